@@ -2,7 +2,9 @@
 import Link from "next/link";
 import { useState } from "react";
 import { useRouter } from "next/navigation";
-import PhotoViewer from "@/app/components/PhotoViewer";
+import PhotoGalleryEditor, { confirmUnprocessedPhotos, isGalleryProcessing } from "@/app/components/PhotoGalleryEditor";
+import { API_BASE_URL, createCar, isAbortError, useAbortSignal } from "@/lib/api";
+import { logout } from "@/lib/session";
 
 export default function AddCar() {
   const router = useRouter();
@@ -20,7 +22,7 @@ export default function AddCar() {
     purchasedKilo: "",
     purchaseDate: "",
     repairHistory: [],
-    carPhoto: null
+    carPhotos: []
   });
 
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -29,7 +31,7 @@ export default function AddCar() {
   const [fieldErrors, setFieldErrors] = useState({});
   const [generalError, setGeneralError] = useState('');
   
-  const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+  const getSignal = useAbortSignal();
 
   // Validation functions
   const validateField = (name, value) => {
@@ -177,11 +179,10 @@ export default function AddCar() {
     }));
   };
 
-  const handleFileChange = (e) => {
-    const file = e.target.files[0];
+  const handlePhotosChange = (update) => {
     setFormData(prev => ({
       ...prev,
-      carPhoto: file
+      carPhotos: update(prev.carPhotos)
     }));
   };
 
@@ -202,6 +203,14 @@ export default function AddCar() {
   const handleSubmit = async (e) => {
     e.preventDefault();
     
+    if (isGalleryProcessing(formData.carPhotos)) {
+      alert("Please wait until all photos have finished processing.");
+      return;
+    }
+    if (!confirmUnprocessedPhotos(formData.carPhotos)) {
+      return;
+    }
+    
     // Clear any previous general errors
     setGeneralError('');
     
@@ -235,9 +244,6 @@ export default function AddCar() {
       // Try to create via API first
       if (API_BASE_URL) {
         try {
-          // Get token from localStorage for authentication
-          const token = localStorage.getItem('token');
-          
           // Debug: Log form data before sending
           console.log('Form data before sending:', formData);
           console.log('Repair history:', repairHistory);
@@ -370,21 +376,12 @@ export default function AddCar() {
           // Always send repairs array, even if empty
           formDataToSend.append('repairs', JSON.stringify(transformedRepairs || []));
           
-          // Append the image file if uploaded (backend expects req.files from multer)
-          // Use field name 'images' (plural) to match backend expectation
-          if (formData.carPhoto) {
-            formDataToSend.append('images', formData.carPhoto);
-            console.log('Car photo added to FormData:', formData.carPhoto.name, formData.carPhoto.size, 'bytes');
-          }
-          
-          const headers = {};
-          
-          // Add Authorization header if token exists
-          if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-          }
-          
-          // Don't set Content-Type for FormData - browser will set it automatically with boundary
+          // Append the image files in gallery order (backend expects req.files from multer)
+          // Use field name 'images' (plural) to match backend expectation; the first is the cover
+          formData.carPhotos.forEach((photo) => {
+            formDataToSend.append('images', photo.file);
+          });
+          console.log('Car photos added to FormData:', formData.carPhotos.length);
           
           // Log the FormData contents for debugging - verify all values
           console.log("=== FormData being sent ===");
@@ -401,97 +398,66 @@ export default function AddCar() {
           console.log("=== End FormData ===");
           console.log("FormData summary:", formDataEntries);
           
-          const response = await fetch(`${API_BASE_URL}/api/create-car`, {
-            method: 'POST',
-            headers: headers,
-            body: formDataToSend
+          await createCar(formDataToSend, { signal: getSignal() });
+
+          alert(`Car "${formData.brand} ${formData.model}" added successfully!`);
+          
+          // Reset form
+          setFormData({
+            licenseNo: "",
+            brand: "",
+            model: "",
+            engine: "",
+            color: "",
+            wd: "",
+            gear: "",
+            price: "",
+            originalPrice: "",
+            year: "",
+            purchasedKilo: "",
+            purchaseDate: "",
+            repairHistory: [],
+            carPhotos: []
           });
+          setRepairHistory([]);
+          
+          // Redirect to dashboard
+          router.push('/admin/dashboard');
+          return;
+        } catch (apiError) {
+          if (isAbortError(apiError) || apiError.isUnauthorized) return;
+          console.log('Backend error response:', apiError.data);
 
-          if (response.ok) {
-            const result = await response.json();
-            
-            // Also save to localStorage as backup
-            
-            
-            alert(`Car "${formData.brand} ${formData.model}" added successfully!`);
-            
-            // Reset form
-            setFormData({
-              licenseNo: "",
-              brand: "",
-              model: "",
-              engine: "",
-              color: "",
-              wd: "",
-              gear: "",
-              price: "",
-              originalPrice: "",
-              year: "",
-              purchasedKilo: "",
-              purchaseDate: "",
-              repairHistory: [],
-              carPhoto: null
-            });
-            setRepairHistory([]);
-            
-            // Redirect to dashboard
-            router.push('/admin/dashboard');
-            return;
-          } else {
-            const errorText = await response.text();
-            console.log('Backend error response:', errorText);
-            console.log('Response status:', response.status);
-            console.log('Response headers:', Object.fromEntries(response.headers.entries()));
-            
-            let errorData;
-            try {
-              errorData = JSON.parse(errorText);
-              console.log('Parsed error data:', errorData);
-            } catch {
-              errorData = { message: errorText || `API creation failed: ${response.status}` };
-            }
+          // Check for duplicate key error (MongoDB E11000)
+          let errorMessage = apiError.message || "Error creating car. Please try again.";
+          
+          // Handle duplicate license number
+          if (errorMessage.includes('E11000') && errorMessage.includes('licenseNo')) {
+            // Extract the duplicate license number - handle both escaped and unescaped quotes
+            const match = errorMessage.match(/dup key: \{ licenseNo: \\"?([^"\\]+)\\"? \}/) || 
+                          errorMessage.match(/dup key: \{ licenseNo: "([^"]+)" \}/);
+            const duplicateLicense = match ? match[1] : formData.licenseNo;
             
-            // Check for duplicate key error (MongoDB E11000)
-            let errorMessage = errorData.message || errorData.error || `API creation failed: ${response.status}`;
-            console.log('Error message to check:', errorMessage);
-            console.log('Contains E11000:', errorMessage.includes('E11000'));
-            console.log('Contains licenseNo:', errorMessage.includes('licenseNo'));
+            // Set field error for license number
+            setFieldErrors(prev => ({
+              ...prev,
+              licenseNo: `License number "${duplicateLicense}" is already registered in the system`
+            }));
             
-            // Handle duplicate license number
-            if (errorMessage.includes('E11000') && errorMessage.includes('licenseNo')) {
-              console.log('Detected duplicate license error, parsing...');
-              // Extract the duplicate license number - handle both escaped and unescaped quotes
-              const match = errorMessage.match(/dup key: \{ licenseNo: \\"?([^"\\]+)\\"? \}/) || 
-                            errorMessage.match(/dup key: \{ licenseNo: "([^"]+)" \}/);
-              console.log('Regex match result:', match);
-              const duplicateLicense = match ? match[1] : formData.licenseNo;
-              console.log('Extracted license number:', duplicateLicense);
-              
-              // Set field error for license number
-              setFieldErrors(prev => ({
-                ...prev,
-                licenseNo: `License number "${duplicateLicense}" is already registered in the system`
-              }));
-              
-              errorMessage = `⚠️ Duplicate License Number\n\nThe license number "${duplicateLicense}" is already registered in the system.\n\nPlease use a different license number or check if this car already exists in the database.`;
-              console.log('Final error message:', errorMessage);
-            }
-            // Format other validation errors for user-friendly display
-            else if (errorData.errors && Array.isArray(errorData.errors) && errorData.errors.length > 0) {
-              console.log('Validation errors:', errorData.errors);
-              const errorMessages = errorData.errors.map(err => 
-                `${err.field}: ${err.message}${err.value !== undefined ? ` (received: ${JSON.stringify(err.value)})` : ''}`
-              ).join('\n');
-              errorMessage = `Validation errors:\n${errorMessages}`;
-            }
-            
-            throw new Error(errorMessage);
+            errorMessage = `⚠️ Duplicate License Number\n\nThe license number "${duplicateLicense}" is already registered in the system.\n\nPlease use a different license number or check if this car already exists in the database.`;
           }
-        } catch (apiError) {
-          setGeneralError(apiError.message || "Error creating car. Please try again.");
+          // Format other validation errors for user-friendly display
+          else if (apiError.fieldErrors?.length > 0) {
+            const errorMessages = apiError.fieldErrors.map(err => 
+              `${err.field}: ${err.message}${err.value !== undefined ? ` (received: ${JSON.stringify(err.value)})` : ''}`
+            ).join('\n');
+            errorMessage = `Validation errors:\n${errorMessages}`;
+          }
+
+          setGeneralError(errorMessage);
           // Scroll to top to see the error banner
           window.scrollTo({ top: 0, behavior: 'smooth' });
-          throw apiError; // Re-throw to be caught by outer catch
+          throw new Error(errorMessage); // Re-throw to be caught by outer catch
         }
       } else {
         // If API_BASE_URL is not set, show error
@@ -511,7 +477,7 @@ export default function AddCar() {
   };
 
   const handleLogout = () => {
-    window.location.href = '/admin/login';
+    logout('/admin/login');
   };
 
   return (
@@ -901,93 +867,13 @@ export default function AddCar() {
 
               {/* Car Photo Upload */}
               <div>
-                <label htmlFor="carPhoto" className="block text-base font-medium text-white mb-2">
-                  Car Photo
+                <label htmlFor="carPhotos" className="block text-base font-medium text-white mb-2">
+                  Car Photos
                 </label>
-                <div className="mt-1 flex justify-center px-6 pt-5 pb-6 border-2 border-gray-600 border-dashed rounded-md bg-black/30">
-                  <div className="space-y-1 text-center">
-                    {formData.carPhoto ? (
-                      <div className="space-y-2">
-                        <PhotoViewer 
-                          src={URL.createObjectURL(formData.carPhoto)} 
-                          alt="Car preview" 
-                          className="mx-auto h-32 w-auto rounded-lg object-cover cursor-pointer hover:opacity-90 transition-opacity"
-                        />
-                        <div className="flex justify-center space-x-2">
-                          <button
-                            type="button"
-                            onClick={() => setFormData(prev => ({ ...prev, carPhoto: null }))}
-                            className="bg-red-600 text-white px-3 py-1 rounded text-sm hover:bg-red-700"
-                          >
-                            Remove Photo
-                          </button>
-                          <label
-                            htmlFor="carPhoto"
-                            className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700 cursor-pointer"
-                          >
-                            Change Photo
-                            <input
-                              id="carPhoto"
-                              name="carPhoto"
-                              type="file"
-                              accept="image/*"
-                              onChange={handleFileChange}
-                              className="sr-only"
-                            />
-                          </label>
-                        </div>
-                      </div>
-                    ) : (
-                      <>
-                        <label
-                          htmlFor="carPhoto"
-                          className="cursor-pointer"
-                        >
-                          <svg
-                            className="mx-auto h-12 w-12 text-gray-400 hover:text-red-500 transition-colors"
-                            stroke="currentColor"
-                            fill="none"
-                            viewBox="0 0 48 48"
-                            aria-hidden="true"
-                          >
-                            <path
-                              d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8m-12 4h.02"
-                              strokeWidth={2}
-                              strokeLinecap="round"
-                              strokeLinejoin="round"
-                            />
-                          </svg>
-                          <input
-                            id="carPhoto"
-                            name="carPhoto"
-                            type="file"
-                            accept="image/*"
-                            onChange={handleFileChange}
-                            className="sr-only"
-                          />
-                        </label>
-                        <div className="flex text-sm text-gray-400">
-                          <label
-                            htmlFor="carPhoto"
-                            className="relative cursor-pointer bg-black/50 rounded-md font-medium text-red-500 hover:text-red-400 focus-within:outline-none focus-within:ring-2 focus-within:ring-offset-2 focus-within:ring-red-500"
-                          >
-                            <span>Upload a file</span>
-                            <input
-                              id="carPhoto"
-                              name="carPhoto"
-                              type="file"
-                              accept="image/*"
-                              onChange={handleFileChange}
-                              className="sr-only"
-                            />
-                          </label>
-                          <p className="pl-1">or drag and drop</p>
-                        </div>
-                        <p className="text-xs text-gray-500">PNG, JPG, GIF up to 10MB</p>
-                      </>
-                    )}
-                  </div>
-                </div>
+                <PhotoGalleryEditor
+                  photos={formData.carPhotos}
+                  onChange={handlePhotosChange}
+                />
               </div>
 
               {/* Repair History */}
@@ -1080,10 +966,10 @@ export default function AddCar() {
                 </Link>
                 <button
                   type="submit"
-                  disabled={isSubmitting}
+                  disabled={isSubmitting || isGalleryProcessing(formData.carPhotos)}
                   className="bg-black/20 backdrop-blur-md text-white px-6 py-3 rounded-lg hover:bg-black/30 hover:text-red-500 disabled:bg-black/10 disabled:cursor-not-allowed text-base font-medium border border-white/30 transition-all duration-200 cursor-pointer"
                 >
-                  {isSubmitting ? "Adding..." : "Add Car"}
+                  {isSubmitting ? "Adding..." : isGalleryProcessing(formData.carPhotos) ? "Processing photos..." : "Add Car"}
                 </button>
               </div>
             </form>
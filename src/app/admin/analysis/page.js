@@ -1,6 +1,8 @@
 "use client";
 import Link from "next/link";
 import { useState, useEffect } from "react";
+import { API_BASE_URL, getNetProfitAnalysis, getProfitAnalysis, isAbortError } from "@/lib/api";
+import { logout } from "@/lib/session";
 
 const toNumber = (value) => {
   const n = typeof value === "string" ? Number(value.replace(/,/g, "")) : Number(value);
@@ -33,9 +35,8 @@ export default function AnalysisPage() {
   const [carsData, setCarsData] = useState([]);
   const [loading, setLoading] = useState(true);
   const [isExporting, setIsExporting] = useState(false);
-  const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
   const handleLogout = () => {
-    window.location.href = '/admin/login';
+    logout('/admin/login');
   };
 
   // Fetch profit analysis data from API
@@ -44,6 +45,8 @@ export default function AnalysisPage() {
       return;
     }
 
+    const controller = new AbortController();
+
     const fetchProfitAnalysis = async (period) => {
       if (!API_BASE_URL) {
         console.warn("API base URL is not set. Cannot fetch profit analysis.");
@@ -54,55 +57,21 @@ export default function AnalysisPage() {
       try {
         setLoading(true);
         
-        // Get token from localStorage for authentication
-        const token = localStorage.getItem('token');
-        
-        const headers = {};
-    
-        // Add Authorization header if token exists
-        if (token) {
-          headers['Authorization'] = `Bearer ${token}`;
-        }
-        
         // Convert frontend period to backend period format
         const apiPeriod = period === 'sixMonths' ? '6months' : period;
         
         // Fetch:
         // - `/api/analysis/profit` for cars list + per-car profit
         // - `/api/analysis/profit/net` for gross/expenses/net totals
-        const [profitRes, netRes] = await Promise.all([
-          fetch(`${API_BASE_URL}/api/analysis/profit?period=${apiPeriod}`, {
-            cache: "no-store",
-            headers: headers
-          }),
-          fetch(`${API_BASE_URL}/api/analysis/profit/net?period=${apiPeriod}`, {
-            cache: "no-store",
-            headers: headers
-          })
+        const [profitJson, netJson] = await Promise.all([
+          getProfitAnalysis(apiPeriod, { signal: controller.signal }),
+          getNetProfitAnalysis(apiPeriod, { signal: controller.signal })
         ]);
-        
-        if (!profitRes.ok || !netRes.ok) {
-          const status = !profitRes.ok ? profitRes.status : netRes.status;
-          if (status === 401) {
-            alert("Unauthorized: Please login again.");
-            window.location.href = '/admin/login';
-            return;
-          }
-          if (status === 400) {
-            const errorData = await (!profitRes.ok ? profitRes.json() : netRes.json());
-            alert(errorData.message || "Invalid period parameter");
-            setLoading(false);
-            return;
-          }
-          throw new Error(`Request failed with status ${status}`);
-        }
-        
-        const [profitJson, netJson] = await Promise.all([profitRes.json(), netRes.json()]);
 
         console.log('profitJson', profitJson);
         console.log('netJson', netJson);
         
-        if (profitJson.success) {
+        if (profitJson?.success) {
           // Cars list + per-car profit
           setCarsData(profitJson.cars || []);
           
@@ -124,6 +93,12 @@ export default function AnalysisPage() {
         
         setLoading(false);
       } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        if (error.status === 400) {
+          alert(error.message || "Invalid period parameter");
+          setLoading(false);
+          return;
+        }
         console.error("Error loading profit analysis:", error);
         alert(`Failed to load profit analysis: ${error.message}`);
         setLoading(false);
@@ -132,7 +107,8 @@ export default function AnalysisPage() {
 
     // Fetch data for the selected period
     fetchProfitAnalysis(selectedPeriod);
-  }, [API_BASE_URL, selectedPeriod]);
+    return () => controller.abort();
+  }, [selectedPeriod]);
 
   // Group cars data by period for display
   const groupDataByPeriod = (cars, period) => {
@@ -625,6 +601,18 @@ export default function AnalysisPage() {
             <Link href="/admin/sold-list" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
               Sold List
             </Link>
+            <Link href="/admin/customers" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Customers
+            </Link>
+            <Link href="/admin/leads" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Leads
+            </Link>
+            <Link href="/admin/discount-approvals" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Approvals
+            </Link>
+            <Link href="/admin/vendors" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Vendors
+            </Link>
             <Link href="/admin/analysis" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-red-500 border-b-2 border-red-500 whitespace-nowrap flex-shrink-0">
               Analysis
             </Link>
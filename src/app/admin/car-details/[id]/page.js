@@ -3,6 +3,25 @@ import Link from "next/link";
 import { useState, useEffect } from "react";
 import { useParams, useRouter } from "next/navigation";
 import PhotoViewer from "@/app/components/PhotoViewer";
+import CustomerAutocomplete from "@/app/components/CustomerAutocomplete";
+import { API_BASE_URL, editCar, getCar, isAbortError, sellCar, useAbortSignal } from "@/lib/api";
+import { logout } from "@/lib/session";
+import { activeReservation, buildReservation, closeReservation, holdExpiryInputValue, saveReservation, withReservationDetails } from "@/lib/reservations";
+import { REPAIR_CATEGORIES, REPAIR_JOB_STATUSES, categoryLabel, isAtGarage, newRepairJob, reconditioningTotal, repairJobsOf, saveRepairJobs, uploadReceiptPhoto } from "@/lib/repairJobs";
+import { addMonths, todayInputValue } from "@/lib/installments";
+import { fetchVendors, findVendor } from "@/lib/vendors";
+import { LIFECYCLE_STATUSES, MANUAL_STATUSES, buildTimeline, currentStatus, recordTransition, recordTransitionQuietly } from "@/lib/lifecycle";
+import {
+  DEFAULT_FLOOR_POLICY,
+  approvedDiscountFor,
+  derivedFloorPrice,
+  fetchDiscountRequests,
+  fetchFloorPolicy,
+  floorPriceOf,
+  markDiscountUsed,
+} from "@/lib/discounts";
+
+const jobInputClass = "w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent";
 
 export default function CarDetails() {
   const params = useParams();
@@ -21,32 +40,44 @@ export default function CarDetails() {
     passportNumber: ""
   });
   const [isSoldCar, setIsSoldCar] = useState(false);
-  const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+  // Discount the admin approved for a staff member's customer, offered in the sell modal
+  const [approvedDiscount, setApprovedDiscount] = useState(null);
+  // Deposit hold
+  const [showReserveModal, setShowReserveModal] = useState(false);
+  const [reserveForm, setReserveForm] = useState({
+    depositAmount: "",
+    customerName: "",
+    passportNumber: "",
+    phoneNumber: "",
+    expiryDate: "",
+    notes: ""
+  });
+  const [savingReservation, setSavingReservation] = useState(false);
+  // Repair job being added or edited
+  const [jobForm, setJobForm] = useState(null);
+  const [savingJobs, setSavingJobs] = useState(false);
+  const [uploadingReceipt, setUploadingReceipt] = useState(false);
+  const [vendors, setVendors] = useState([]);
+  // Lifecycle status change
+  const [statusChange, setStatusChange] = useState({ status: "", note: "" });
+  const [savingStatus, setSavingStatus] = useState(false);
+  // Lowest price staff may agree to; null while not being edited
+  const [minimumPriceDraft, setMinimumPriceDraft] = useState(null);
+  const [savingMinimumPrice, setSavingMinimumPrice] = useState(false);
+  const [floorPolicy, setFloorPolicy] = useState(DEFAULT_FLOOR_POLICY);
+  const getSignal = useAbortSignal();
 
   useEffect(() => {
+    const controller = new AbortController();
+
     const fetchCarData = async () => {
       setLoading(true);
       
       // Try to fetch from API first
       if (API_BASE_URL) {
         try {
-          // Get token from localStorage for authentication
-          const token = localStorage.getItem('token');
-          
-          const headers = {};
-          
-          // Add Authorization header if token exists
-          if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-          }
-          
-          const response = await fetch(`${API_BASE_URL}/api/car/${carId}`, { 
-            cache: "no-store",
-            headers: headers
-          });
-          
-          if (response.ok) {
-            const data = await response.json();
+          const data = await getCar(carId, { signal: controller.signal });
+          if (data) {
             const apiCar = data.data || data;
 
             console.log('apiCar', apiCar);
@@ -54,8 +85,9 @@ export default function CarDetails() {
             if (apiCar) {
               const soldFlag = apiCar?.isAvailable === false;
 
-              // Handle carPhoto - extract URL from image object array (always one object)
-              const carPhotoUrl = apiCar.images?.[0]?.url || null;
+              // The first image is the cover; the rest make up the gallery
+              const carPhotoUrls = (apiCar.images || []).map((img) => img?.url).filter(Boolean);
+              const carPhotoUrl = carPhotoUrls[0] || null;
 
               const isPaidSale = apiCar.sale != null;
               const isInstallment = apiCar.installment != null;
@@ -118,13 +150,22 @@ export default function CarDetails() {
                   apiCar.finance?.financeFee ??
                   "",
                 originalPrice: apiCar.originalPrice || apiCar.priceToBuy || apiCar.price || "",
+                minimumPrice: apiCar.minimumPrice ?? "",
                 year: apiCar.year || "",
                 purchasedKilo: apiCar.kilo || "",
                 repairHistory: apiCar.repairs || [],
+                repairJobs: apiCar.repairJobs || null,
                 carPhoto: carPhotoUrl,
+                carPhotos: carPhotoUrls,
                 carList: apiCar.carList || apiCar.carListNo || "",
                 sale: apiCar.sale || null,
                 installment: apiCar.installment || null,
+                reservation: apiCar.reservation || null,
+                ownerBookTransfer: apiCar.ownerBookTransfer || null,
+                purchaseDate: apiCar.purchaseDate || "",
+                createdAt: apiCar.createdAt || "",
+                lifecycleStatus: apiCar.lifecycleStatus || "",
+                statusHistory: apiCar.statusHistory || [],
 
                 // Fields used by the existing "Sale Information" UI (localStorage shape)
                 soldOutDate: formattedSoldDate,
@@ -139,13 +180,16 @@ export default function CarDetails() {
                 profit: apiCar.profit ?? apiCar.sale?.profit ?? apiCar.installment?.profit,
               };
               
-              setCar(normalizedCar);
+              // Who holds the car is kept off the record the public endpoints serve
+              const [carWithHold] = await withReservationDetails([normalizedCar], { signal: controller.signal });
+              setCar(carWithHold);
               setIsSoldCar(soldFlag);
               setLoading(false);
               return;
             }
           }
         } catch (error) {
+          if (isAbortError(error) || error.isUnauthorized) return;
           console.error("Error fetching car from API:", error);
           // Continue to localStorage fallback
         }
@@ -183,7 +227,26 @@ export default function CarDetails() {
     };
 
     fetchCarData();
-  }, [carId, API_BASE_URL]);
+    return () => controller.abort();
+  }, [carId]);
+
+  useEffect(() => {
+    if (!API_BASE_URL) return;
+
+    const controller = new AbortController();
+
+    const loadFloorPolicy = async () => {
+      try {
+        setFloorPolicy(await fetchFloorPolicy({ signal: controller.signal }));
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to load the floor price policy:", error);
+      }
+    };
+
+    loadFloorPolicy();
+    return () => controller.abort();
+  }, []);
 
   const parseCurrency = (value) => {
     if (!value) return 0;
@@ -201,16 +264,131 @@ export default function CarDetails() {
     return `฿${numeric.toLocaleString()}`;
   };
 
-  const handleMarkAsSold = () => {
+  const handleMarkAsSold = async () => {
     if (!car) return;
     
     // Set sold price to blank - user will enter manually
     setSoldPrice("");
     // Set default kiloAtSale to current car kilo if available
     setKiloAtSale(car.kilo ? car.kilo.toString() : "");
+    // A reserved car is normally sold to the customer holding it
+    const reservation = activeReservation(car);
+    if (reservation) {
+      setCustomerInfo({
+        customerName: reservation.customer?.name || "",
+        phoneNumber: reservation.customer?.phone || "",
+        passportNumber: reservation.customer?.passport || ""
+      });
+    }
+    // An approved discount sets the price, and the buyer when there is no hold
+    const requests = await fetchDiscountRequests({ carId, status: "approved" }, { signal: getSignal() }).catch((error) => {
+      if (!isAbortError(error)) console.error("Failed to fetch discount requests:", error);
+      return [];
+    });
+    const discount = approvedDiscountFor(requests, carId);
+    setApprovedDiscount(discount);
+    if (discount) {
+      setSoldPrice(String(discount.approvedPrice));
+      if (!reservation) {
+        setCustomerInfo({
+          customerName: discount.customerName || "",
+          phoneNumber: discount.customerPhone || "",
+          passportNumber: ""
+        });
+      }
+    }
     setShowSoldModal(true);
   };
 
+  const handleOpenReserve = () => {
+    const reservation = activeReservation(car);
+    setReserveForm(
+      reservation
+        ? {
+            depositAmount: String(reservation.depositAmount || ""),
+            customerName: reservation.customer?.name || "",
+            passportNumber: reservation.customer?.passport || "",
+            phoneNumber: reservation.customer?.phone || "",
+            expiryDate: holdExpiryInputValue(),
+            notes: reservation.notes || ""
+          }
+        : {
+            depositAmount: "",
+            customerName: "",
+            passportNumber: "",
+            phoneNumber: "",
+            expiryDate: holdExpiryInputValue(),
+            notes: ""
+          }
+    );
+    setShowReserveModal(true);
+  };
+
+  const handleReserveSubmit = async () => {
+    const depositAmount = Number(reserveForm.depositAmount);
+    if (!depositAmount || depositAmount <= 0) {
+      alert("Please enter the deposit amount.");
+      return;
+    }
+    if (!reserveForm.customerName.trim() || !reserveForm.phoneNumber.trim()) {
+      alert("Please enter the customer name and phone number.");
+      return;
+    }
+    if (!reserveForm.expiryDate) {
+      alert("Please choose when the hold expires.");
+      return;
+    }
+
+    // Extending keeps the original reservation date
+    const current = activeReservation(car);
+    const reservation = {
+      ...buildReservation({
+        depositAmount,
+        customer: {
+          name: reserveForm.customerName.trim(),
+          passport: reserveForm.passportNumber.trim(),
+          phone: reserveForm.phoneNumber.trim()
+        },
+        expiryDate: reserveForm.expiryDate,
+        notes: reserveForm.notes.trim()
+      }),
+      ...(current ? { id: current.id, reservedAt: current.reservedAt, reservedBy: current.reservedBy } : {})
+    };
+
+    setSavingReservation(true);
+    try {
+      const saved = await saveReservation(carId, reservation, { signal: getSignal() });
+      // The status history is on the car record, so it names neither the customer nor the deposit
+      const transition = current
+        ? null
+        : await recordTransitionQuietly(car, "reserved", "Deposit taken", { signal: getSignal() });
+      setCar((prev) => ({ ...prev, reservation: saved, ...transition }));
+      setShowReserveModal(false);
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Error reserving car:", error);
+      alert(`Failed to reserve car: ${error.message}`);
+    } finally {
+      setSavingReservation(false);
+    }
+  };
+
+  const handleReleaseReservation = async () => {
+    const reservation = activeReservation(car);
+    if (!reservation) return;
+    if (!confirm(`Release the hold for ${reservation.customer?.name || "this customer"}? Settle the ฿${Number(reservation.depositAmount).toLocaleString()} deposit with the customer separately.`)) return;
+
+    try {
+      const closed = await closeReservation(carId, reservation, "released", { signal: getSignal() });
+      const transition = await recordTransitionQuietly(car, "ready_for_sale", "Hold released", { signal: getSignal() });
+      setCar((prev) => ({ ...prev, reservation: closed, ...transition }));
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Error releasing reservation:", error);
+      alert(`Failed to release the hold: ${error.message}`);
+    }
+  };
+
   const handleSoldSubmit = async () => {
     if (!soldPrice || soldPrice.trim() === '') {
       alert("Please enter the sold price.");
@@ -232,12 +410,16 @@ export default function CarDetails() {
       return;
     }
 
+    const reservation = activeReservation(car);
+
     // Prepare sold car data in the format expected by backend
     // Backend expects: boughtType, sale.price, sale.soldDate, sale.kiloAtSale, sale.buyer.name, sale.buyer.passport
     const soldCarData = {
       boughtType: 'Paid',
       sale: {
         price: parseInt(soldPrice),
+        // Deposit taken when the car was reserved, already received towards the price
+        ...(reservation ? { deposit: reservation.depositAmount } : {}),
         soldDate: new Date().toISOString().split('T')[0], // Format: YYYY-MM-DD
         kiloAtSale: parseInt(kiloAtSale),
         buyer: {
@@ -253,29 +435,22 @@ export default function CarDetails() {
     // Call API to mark car as sold
     if (API_BASE_URL) {
       try {
-        const token = localStorage.getItem('token');
-        const headers = {
-          'Content-Type': 'application/json',
-        };
-        
-        if (token) {
-          headers['Authorization'] = `Bearer ${token}`;
+        const responseData = await sellCar(carId, soldCarData, { signal: getSignal() });
+        console.log('Car marked as sold:', responseData);
+        if (reservation) {
+          await closeReservation(carId, reservation, "converted", { signal: getSignal() }).catch((error) => {
+            if (isAbortError(error)) throw error;
+            console.error("Sale recorded but the hold could not be closed:", error);
+          });
         }
-
-        const response = await fetch(`${API_BASE_URL}/api/car/${carId}/sell`, {
-          method: 'PUT',
-          headers: headers,
-          body: JSON.stringify(soldCarData),
-        });
-
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(errorData.message || `Failed to mark car as sold: ${response.statusText}`);
+        await recordTransitionQuietly(car, "sold_cash", "", { signal: getSignal() });
+        if (approvedDiscount) {
+          await markDiscountUsed(approvedDiscount.id, { signal: getSignal() }).catch((error) => {
+            if (isAbortError(error)) throw error;
+            console.error("Sale recorded but the discount could not be marked used:", error);
+          });
         }
 
-        const responseData = await response.json();
-        console.log('Car marked as sold:', responseData);
-
         alert(`"${car.brand} ${car.model}" has been marked as sold for ฿${parseInt(soldPrice).toLocaleString()} and moved to the sold list!`);
         
         // Close modal and redirect to profit calculator
@@ -286,12 +461,163 @@ export default function CarDetails() {
         // router.push(`/admin/profit-calculator/${carId}`);
         router.push(`/admin/sold-list`);
       } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
         console.error("Error marking car as sold:", error);
         alert(`Failed to mark car as sold: ${error.message}`);
       }
     }
   };
 
+  // Re-read on every open so vendors added on another device show up
+  const loadRegisteredVendors = async () => {
+    try {
+      const registered = await fetchVendors({ signal: getSignal() });
+      setVendors(registered);
+      return registered;
+    } catch (error) {
+      if (!isAbortError(error)) console.error("Failed to fetch vendors:", error);
+      return vendors;
+    }
+  };
+
+  const handleOpenJob = async (job) => {
+    const registered = await loadRegisteredVendors();
+    setJobForm(
+      job
+        ? {
+            ...newRepairJob(),
+            ...job,
+            // Jobs saved before the vendor list pick up the vendor by name
+            vendorId: findVendor(registered, { vendorId: job.vendorId, name: job.vendor })?.id || "",
+            estimate: job.estimate ? String(job.estimate) : "",
+            actualCost: job.actualCost ? String(job.actualCost) : ""
+          }
+        : newRepairJob()
+    );
+  };
+
+  const handleJobReceipt = async (file) => {
+    if (!file) return;
+    setUploadingReceipt(true);
+    try {
+      const receiptPhoto = await uploadReceiptPhoto(file, { signal: getSignal() });
+      setJobForm((prev) => prev && { ...prev, receiptPhoto });
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Error uploading receipt photo:", error);
+      alert(`Failed to upload the receipt photo: ${error.message}`);
+    } finally {
+      setUploadingReceipt(false);
+    }
+  };
+
+  // Saves the job list; a car going to or coming back from the garage also
+  // moves its lifecycle status so the timeline shows when
+  const persistRepairJobs = async (jobs) => {
+    const previous = repairJobsOf(car);
+    setSavingJobs(true);
+    try {
+      await saveRepairJobs(carId, jobs, { signal: getSignal() });
+      let transition = null;
+      if (!isSoldCar && isAtGarage(jobs) !== isAtGarage(previous)) {
+        const vendors = [...new Set(jobs.filter((job) => job.status === "in_progress").map((job) => job.vendor))].join(", ");
+        transition = isAtGarage(jobs)
+          ? await recordTransitionQuietly(car, "in_repair", vendors && `At ${vendors}`, { signal: getSignal() })
+          : await recordTransitionQuietly(car, "ready_for_sale", "Repairs finished", { signal: getSignal() });
+      }
+      setCar((prev) => ({ ...prev, repairJobs: jobs, ...transition }));
+      return true;
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return false;
+      console.error("Error saving repair jobs:", error);
+      alert(`Failed to save the repair jobs: ${error.message}`);
+      return false;
+    } finally {
+      setSavingJobs(false);
+    }
+  };
+
+  const handleSaveJob = async () => {
+    if (!jobForm.vendor.trim() || !jobForm.description.trim()) {
+      alert("Please enter the garage and the work done.");
+      return;
+    }
+    if (jobForm.paidAt && jobForm.status === "quoted") {
+      alert("A quoted job cannot be paid yet.");
+      return;
+    }
+    if (jobForm.finishDate && jobForm.startDate && jobForm.finishDate < jobForm.startDate) {
+      alert("The finish date cannot be before the start date.");
+      return;
+    }
+
+    // Starting or finishing a job without a date means today
+    const job = {
+      ...jobForm,
+      vendor: jobForm.vendor.trim(),
+      description: jobForm.description.trim(),
+      notes: jobForm.notes.trim(),
+      estimate: Number(jobForm.estimate) || 0,
+      actualCost: Number(jobForm.actualCost) || 0,
+      startDate: jobForm.startDate || (jobForm.status !== "quoted" ? todayInputValue() : ""),
+      finishDate: jobForm.finishDate || (jobForm.status === "done" ? todayInputValue() : ""),
+    };
+    const current = repairJobsOf(car);
+    const jobs = current.some((item) => item.id === job.id)
+      ? current.map((item) => (item.id === job.id ? job : item))
+      : [...current, job];
+    if (await persistRepairJobs(jobs)) setJobForm(null);
+  };
+
+  const handleDeleteJob = async (job) => {
+    if (!confirm(`Delete the repair job "${job.description}"?`)) return;
+    await persistRepairJobs(repairJobsOf(car).filter((item) => item.id !== job.id));
+  };
+
+  const handleStatusSubmit = async () => {
+    if (!statusChange.status) {
+      alert("Please choose the new status.");
+      return;
+    }
+    if (isSoldCar && !confirm(`Mark ${car.brand} ${car.model} as returned / repossessed? The sale and installment records are kept.`)) {
+      return;
+    }
+
+    setSavingStatus(true);
+    try {
+      const fields = await recordTransition(car, statusChange.status, statusChange.note.trim(), { signal: getSignal() });
+      setCar((prev) => ({ ...prev, ...fields }));
+      setStatusChange({ status: "", note: "" });
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Error updating car status:", error);
+      alert(`Failed to update the status: ${error.message}`);
+    } finally {
+      setSavingStatus(false);
+    }
+  };
+
+  const handleMinimumPriceSave = async () => {
+    const value = parseCurrency(minimumPriceDraft);
+    if (value > 0 && value > parseCurrency(car.price)) {
+      alert("The minimum negotiable price cannot be above the selling price.");
+      return;
+    }
+
+    setSavingMinimumPrice(true);
+    try {
+      await editCar(carId, { minimumPrice: value }, { signal: getSignal() });
+      setCar((prev) => ({ ...prev, minimumPrice: value }));
+      setMinimumPriceDraft(null);
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Error saving the minimum price:", error);
+      alert(`Failed to save the minimum negotiable price: ${error.message}`);
+    } finally {
+      setSavingMinimumPrice(false);
+    }
+  };
+
   const handleSoldCancel = () => {
     setShowSoldModal(false);
     setSoldPrice("");
@@ -300,7 +626,7 @@ export default function CarDetails() {
   };
 
   const handleLogout = () => {
-    window.location.href = '/admin/login';
+    logout('/admin/login');
   };
 
   if (loading) {
@@ -328,6 +654,14 @@ export default function CarDetails() {
       ? car.carPhoto
       : "/admin.png";
 
+  const activeHold = isSoldCar ? null : activeReservation(car);
+  const status = currentStatus(car);
+  // A sold or installment car can only be marked as returned / repossessed here
+  const statusChoices = (isSoldCar ? ["returned"] : MANUAL_STATUSES).filter((key) => key !== status);
+  const timeline = buildTimeline(car);
+  const repairJobs = repairJobsOf(car);
+  const reconditioning = reconditioningTotal(repairJobs);
+
   return (
     <div className="min-h-screen bg-cover bg-center bg-no-repeat bg-fixed" style={{ backgroundImage: "url('/View.png')" }}>
       {/* Top Navigation Bar */}
@@ -376,6 +710,12 @@ export default function CarDetails() {
                 <Link href={`/admin/edit-car/${carId}`} className="bg-black/20 backdrop-blur-md text-white px-4 sm:px-6 py-2 sm:py-3 rounded-lg hover:bg-black/30 hover:text-red-500 text-base sm:text-lg font-medium w-full sm:w-auto border border-white/30 transition-all duration-200 cursor-pointer text-center">
                   Edit Car
                 </Link>
+                <button
+                  onClick={handleOpenReserve}
+                  className="bg-black/20 backdrop-blur-md text-white px-4 sm:px-6 py-2 sm:py-3 rounded-lg hover:bg-black/30 hover:text-yellow-400 text-base sm:text-lg font-medium w-full sm:w-auto border border-white/30 transition-all duration-200 cursor-pointer"
+                >
+                  {activeHold ? "Extend Hold" : "Reserve"}
+                </button>
                 <button
                   onClick={handleMarkAsSold}
                   className="bg-red-600 text-white px-4 sm:px-6 py-2 sm:py-3 rounded-lg hover:bg-red-700 hover:text-red-200 text-base sm:text-lg font-medium w-full sm:w-auto transition-all duration-200 cursor-pointer"
@@ -386,6 +726,30 @@ export default function CarDetails() {
             )}
           </div>
 
+          {/* Reservation */}
+          {activeHold && (
+            <div className="bg-yellow-500/20 border border-yellow-500/50 rounded-lg p-4 mb-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <div>
+                <p className="text-yellow-300 font-semibold">
+                  Reserved for {activeHold.customer?.name || "a customer"} until {new Date(activeHold.expiresAt).toLocaleDateString("en-GB")}
+                </p>
+                <p className="text-white/80 text-sm">
+                  Deposit <span className="font-numeric">{formatCurrency(activeHold.depositAmount)}</span>
+                  {activeHold.customer?.phone && <> · {activeHold.customer.phone}</>}
+                  {activeHold.reservedBy && <> · taken by {activeHold.reservedBy}</>}
+                  {" "}on {new Date(activeHold.reservedAt).toLocaleDateString("en-GB")}
+                </p>
+                {activeHold.notes && <p className="text-white/60 text-sm">{activeHold.notes}</p>}
+              </div>
+              <button
+                onClick={handleReleaseReservation}
+                className="self-start sm:self-auto px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 text-sm font-medium cursor-pointer"
+              >
+                Release Hold
+              </button>
+            </div>
+          )}
+
           {/* Car Details Card */}
           <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-lg">
             <div className="p-6">
@@ -393,10 +757,11 @@ export default function CarDetails() {
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
                 {/* Car Photo */}
                 <div>
-                  <h3 className="text-lg font-semibold text-white mb-4">Car Photo</h3>
+                  <h3 className="text-lg font-semibold text-white mb-4">Car Photos</h3>
                   <div className="bg-black/30 rounded-lg p-4">
                     <PhotoViewer 
                       src={carPhotoSrc} 
+                      images={car.carPhotos}
                       alt={`${car.brand} ${car.model}`}
                       className="w-full h-64 object-cover rounded-lg cursor-pointer hover:opacity-90 transition-opacity"
                       enableFullScreen={true}
@@ -478,6 +843,54 @@ export default function CarDetails() {
                       <label className="block text-sm font-medium text-gray-300 mb-1">Selling Price</label>
                       <p className="text-white text-lg font-semibold">{formatCurrency(car.price)}</p>
                     </div>
+                    <div>
+                      <label htmlFor="minimumPrice" className="block text-sm font-medium text-gray-300 mb-1">
+                        Minimum Negotiable Price <span className="text-xs text-gray-400">(shown to staff)</span>
+                      </label>
+                      {minimumPriceDraft === null ? (
+                        <div className="flex items-center gap-3">
+                          <p className="text-white text-lg font-semibold">{parseCurrency(car.minimumPrice) > 0 ? formatCurrency(car.minimumPrice) : "Not set"}</p>
+                          <button
+                            onClick={() => setMinimumPriceDraft(parseCurrency(car.minimumPrice) > 0 ? String(parseCurrency(car.minimumPrice)) : "")}
+                            className="text-sm text-blue-400 hover:text-blue-300 cursor-pointer"
+                          >
+                            Edit
+                          </button>
+                        </div>
+                      ) : (
+                        <div className="flex items-center gap-2">
+                          <input
+                            type="text"
+                            inputMode="numeric"
+                            id="minimumPrice"
+                            value={minimumPriceDraft}
+                            onChange={(e) => /^\d*$/.test(e.target.value) && setMinimumPriceDraft(e.target.value)}
+                            placeholder="0 = not set"
+                            className="w-40 px-3 py-2 bg-black/30 border border-gray-600 rounded-md text-white font-numeric placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          />
+                          <button
+                            onClick={handleMinimumPriceSave}
+                            disabled={savingMinimumPrice}
+                            className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 text-sm font-medium cursor-pointer"
+                          >
+                            {savingMinimumPrice ? "Saving..." : "Save"}
+                          </button>
+                          <button
+                            onClick={() => setMinimumPriceDraft(null)}
+                            className="px-3 py-2 text-sm text-gray-300 hover:text-white cursor-pointer"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      )}
+                      {!(parseCurrency(car.minimumPrice) > 0) && derivedFloorPrice(car, floorPolicy) > 0 && (
+                        <p className="text-xs text-gray-400 mt-1">
+                          Floor from cost + repairs + {floorPolicy.targetMarginPercent}% margin:{" "}
+                          <span className="font-numeric">{formatCurrency(derivedFloorPrice(car, floorPolicy))}</span>
+                          . Staff only see a minimum price once one is saved here.
+                        </p>
+                      )}
+                    </div>
                   </div>
                 </div>
               )}
@@ -606,81 +1019,155 @@ export default function CarDetails() {
                 </div>
               )}
 
-              {/* Repair History */}
+              {/* Repair Jobs */}
               <div>
-                <h3 className="text-lg font-semibold text-white mb-4">Repair History</h3>
-                <div className="bg-black/30 rounded-lg p-4 space-y-3">
-                  {(() => {
-                    if (!car.repairHistory || (Array.isArray(car.repairHistory) && car.repairHistory.length === 0)) {
-                      return <p className="text-gray-400 text-base italic">No repair history recorded</p>;
-                    }
-
-                    if (Array.isArray(car.repairHistory)) {
-                      return car.repairHistory.map((item, index) => {
-                        if (typeof item === "string") {
-                          return (
-                            <p key={index} className="text-white text-base leading-relaxed">
-                              {item}
-                            </p>
-                          );
-                        }
-
-                        if (item && typeof item === "object") {
-                          // Handle API format: description, repairDate, cost
-                          const description = item.description || item.details || "";
-                          const cost = item.cost !== undefined ? item.cost : item.amount;
-                          const repairDate = item.repairDate;
-                          
-                          // Format date if present
-                          let formattedDate = null;
-                          if (repairDate) {
-                            try {
-                              const date = new Date(repairDate);
-                              formattedDate = date.toLocaleDateString('en-GB', {
-                                year: 'numeric',
-                                month: 'long',
-                                day: 'numeric'
-                              });
-                            } catch (e) {
-                              formattedDate = repairDate;
-                            }
-                          }
-                          
-                          return (
-                            <div key={index} className="bg-black/30 border border-gray-600/50 rounded-md p-3">
-                              {description && (
-                                <p className="text-white text-base font-medium">{description}</p>
-                              )}
-                              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1 sm:gap-2 mt-2">
-                                {formattedDate && (
-                                  <p className="text-gray-400 text-sm">
-                                    Date: {formattedDate}
-                                  </p>
-                                )}
-                                {cost !== undefined && cost !== null && (
-                                  <p className="text-gray-300 text-sm font-numeric">
-                                    Cost: ฿{parseFloat(cost).toLocaleString()}
-                                  </p>
+                <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                  <h3 className="text-lg font-semibold text-white">
+                    Repair Jobs
+                    <span className="ml-3 text-sm font-normal text-gray-300">
+                      Reconditioning total <span className="font-numeric text-white">{formatCurrency(reconditioning)}</span>
+                    </span>
+                  </h3>
+                  <button
+                    onClick={() => handleOpenJob(null)}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm font-medium cursor-pointer"
+                  >
+                    + Add Job
+                  </button>
+                </div>
+                <div className="bg-black/30 rounded-lg p-4">
+                  {repairJobs.length === 0 ? (
+                    <p className="text-gray-400 text-base italic">No repair jobs recorded</p>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-gray-300 border-b border-gray-600">
+                            <th className="py-2 pr-3 font-medium">Job</th>
+                            <th className="py-2 pr-3 font-medium">Garage / Vendor</th>
+                            <th className="py-2 pr-3 font-medium">Status</th>
+                            <th className="py-2 pr-3 font-medium">Dates</th>
+                            <th className="py-2 pr-3 font-medium text-right">Estimate</th>
+                            <th className="py-2 pr-3 font-medium text-right">Actual</th>
+                            <th className="py-2 pr-3 font-medium">Receipt</th>
+                            <th className="py-2 font-medium"></th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {repairJobs.map((job) => (
+                            <tr key={job.id} className="border-b border-gray-700/50 text-white align-top">
+                              <td className="py-2 pr-3">
+                                <p className="font-medium">{job.description || "—"}</p>
+                                <p className="text-xs text-gray-400">{categoryLabel(job.category)}</p>
+                                {job.notes && <p className="text-xs text-gray-400">{job.notes}</p>}
+                              </td>
+                              <td className="py-2 pr-3">{job.vendor || "—"}</td>
+                              <td className="py-2 pr-3">
+                                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${REPAIR_JOB_STATUSES[job.status]?.badge}`}>
+                                  {REPAIR_JOB_STATUSES[job.status]?.label || job.status}
+                                </span>
+                              </td>
+                              <td className="py-2 pr-3 text-gray-300 font-numeric whitespace-nowrap">
+                                {job.startDate ? addMonths(job.startDate, 0).toLocaleDateString("en-GB") : "—"}
+                                {" → "}
+                                {job.finishDate ? addMonths(job.finishDate, 0).toLocaleDateString("en-GB") : "—"}
+                              </td>
+                              <td className="py-2 pr-3 text-right font-numeric">{job.estimate ? formatCurrency(job.estimate) : "—"}</td>
+                              <td className="py-2 pr-3 text-right font-numeric">
+                                {job.actualCost ? formatCurrency(job.actualCost) : "—"}
+                                {job.status !== "quoted" && !job.paidAt && <p className="text-xs text-red-400 font-sans">Unpaid</p>}
+                              </td>
+                              <td className="py-2 pr-3">
+                                {job.receiptPhoto ? (
+                                  <PhotoViewer
+                                    src={job.receiptPhoto}
+                                    alt={`Receipt for ${job.description}`}
+                                    className="w-12 h-12 object-cover rounded cursor-pointer"
+                                    enableFullScreen={true}
+                                  />
+                                ) : (
+                                  <span className="text-gray-500">—</span>
                                 )}
-                              </div>
-                            </div>
-                          );
-                        }
-
-                        return null;
-                      });
-                    }
+                              </td>
+                              <td className="py-2 whitespace-nowrap text-right">
+                                <button onClick={() => handleOpenJob(job)} className="text-blue-300 hover:text-blue-200 text-sm cursor-pointer mr-3">
+                                  Edit
+                                </button>
+                                <button onClick={() => handleDeleteJob(job)} className="text-red-400 hover:text-red-300 text-sm cursor-pointer">
+                                  Delete
+                                </button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              </div>
 
-                    if (typeof car.repairHistory === "string") {
-                      return <p className="text-white text-base leading-relaxed">{car.repairHistory}</p>;
-                    }
+              {/* Status & Timeline */}
+              <div className="mt-8">
+                <div className="flex items-center gap-3 mb-4">
+                  <h3 className="text-lg font-semibold text-white">Status &amp; Timeline</h3>
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium ${LIFECYCLE_STATUSES[status].badge}`}>
+                    {LIFECYCLE_STATUSES[status].label}
+                  </span>
+                </div>
+                <div className="bg-black/30 rounded-lg p-4 space-y-4">
+                  {statusChoices.length > 0 && (
+                    <div className="flex flex-col sm:flex-row gap-3">
+                      <select
+                        value={statusChange.status}
+                        onChange={(e) => setStatusChange((prev) => ({ ...prev, status: e.target.value }))}
+                        className="px-3 py-2 bg-black/30 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">Change status...</option>
+                        {statusChoices.map((key) => (
+                          <option key={key} value={key}>{LIFECYCLE_STATUSES[key].label}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="text"
+                        value={statusChange.note}
+                        onChange={(e) => setStatusChange((prev) => ({ ...prev, note: e.target.value }))}
+                        placeholder="Note (e.g. garage name, reason)"
+                        className="flex-1 px-3 py-2 bg-black/30 border border-gray-600 rounded-md text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      <button
+                        onClick={handleStatusSubmit}
+                        disabled={savingStatus}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 text-sm font-medium cursor-pointer"
+                      >
+                        {savingStatus ? "Saving..." : "Update Status"}
+                      </button>
+                    </div>
+                  )}
 
-                    return (
-                      <pre className="text-white text-sm bg-black/40 rounded-md p-3 overflow-auto">
-                        {JSON.stringify(car.repairHistory, null, 2)}
-                      </pre>
-                    );
-                  })()}
+                  {timeline.length === 0 ? (
+                    <p className="text-gray-400 text-base italic">No status changes recorded</p>
+                  ) : (
+                    <ol className="border-l border-gray-600 ml-2 space-y-4">
+                      {timeline.map((entry, index) => (
+                        <li key={`${entry.status}-${entry.at}-${index}`} className="pl-4 relative">
+                          <span className="absolute -left-1.5 top-1.5 w-3 h-3 rounded-full bg-blue-400" />
+                          <div className="flex flex-wrap items-center gap-2">
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${LIFECYCLE_STATUSES[entry.status]?.badge || "bg-gray-200 text-gray-800"}`}>
+                              {LIFECYCLE_STATUSES[entry.status]?.label || entry.status}
+                            </span>
+                            <span className="text-gray-300 text-sm font-numeric">
+                              {entry.inferred
+                                ? new Date(entry.at).toLocaleDateString("en-GB")
+                                : new Date(entry.at).toLocaleString("en-GB", { dateStyle: "short", timeStyle: "short" })}
+                            </span>
+                            {entry.by && <span className="text-gray-400 text-sm">by {entry.by}</span>}
+                            {entry.inferred && <span className="text-gray-500 text-xs italic">from car records</span>}
+                          </div>
+                          {entry.note && <p className="text-white/80 text-sm mt-1">{entry.note}</p>}
+                        </li>
+                      ))}
+                    </ol>
+                  )}
                 </div>
               </div>
             </div>
@@ -703,6 +1190,25 @@ export default function CarDetails() {
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Listed Price: {car?.price}
                   </label>
+                  {approvedDiscount && (
+                    <p className="text-sm text-green-800 bg-green-100 rounded-md px-3 py-2 mb-2">
+                      Discount approved at <span className="font-numeric">{formatCurrency(approvedDiscount.approvedPrice)}</span> for {approvedDiscount.customerName}
+                      {" "}(requested by {approvedDiscount.staffName})
+                    </p>
+                  )}
+                  {!approvedDiscount && Number(soldPrice) > 0 && Number(soldPrice) < floorPriceOf(car, floorPolicy) && (
+                    <p className="text-sm text-red-800 bg-red-100 rounded-md px-3 py-2 mb-2">
+                      Below the floor price of <span className="font-numeric">{formatCurrency(floorPriceOf(car, floorPolicy))}</span>
+                    </p>
+                  )}
+                  {activeHold && (
+                    <p className="text-sm text-yellow-800 bg-yellow-100 rounded-md px-3 py-2">
+                      Deposit of <span className="font-numeric">{formatCurrency(activeHold.depositAmount)}</span> already received from {activeHold.customer?.name}
+                      {Number(soldPrice) > 0 && (
+                        <> · balance due <span className="font-numeric">{formatCurrency(Math.max(0, Number(soldPrice) - activeHold.depositAmount))}</span></>
+                      )}
+                    </p>
+                  )}
                 </div>
 
               <div>
@@ -751,11 +1257,15 @@ export default function CarDetails() {
                 <label htmlFor="customerName" className="block text-sm font-medium text-gray-700 mb-1">
                   Buyer Name *
                 </label>
-                <input
-                  type="text"
+                <CustomerAutocomplete
                   id="customerName"
                   value={customerInfo.customerName}
                   onChange={(e) => setCustomerInfo({...customerInfo, customerName: e.target.value})}
+                  onSelect={(customer) => setCustomerInfo({
+                    customerName: customer.name,
+                    passportNumber: customer.passport || customerInfo.passportNumber,
+                    phoneNumber: customer.phone || customerInfo.phoneNumber
+                  })}
                   placeholder="Enter buyer name"
                   className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
                   required
@@ -812,6 +1322,332 @@ export default function CarDetails() {
           </div>
         </div>
       )}
+      {/* Reserve Modal */}
+      {showReserveModal && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+          <div className="bg-gray-100 rounded-lg shadow-xl max-w-md w-full">
+            <div className="p-6">
+              <h3 className="text-xl font-bold text-gray-800 mb-2">{activeHold ? "Extend Hold" : "Reserve Car"}</h3>
+              <p className="text-sm text-gray-600 mb-6">
+                {car?.brand} {car?.model} ({car?.licenseNo}) is held for this customer until the end of the expiry date, then released automatically.
+              </p>
+
+              <div className="space-y-4">
+                <div>
+                  <label htmlFor="depositAmount" className="block text-sm font-medium text-gray-700 mb-1">
+                    Deposit Amount *
+                  </label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    id="depositAmount"
+                    value={reserveForm.depositAmount}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      if (value === '' || /^\d*\.?\d*$/.test(value)) {
+                        setReserveForm({ ...reserveForm, depositAmount: value });
+                      }
+                    }}
+                    placeholder="Enter deposit received"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent font-numeric"
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="reserveCustomerName" className="block text-sm font-medium text-gray-700 mb-1">
+                    Customer Name *
+                  </label>
+                  <CustomerAutocomplete
+                    id="reserveCustomerName"
+                    value={reserveForm.customerName}
+                    onChange={(e) => setReserveForm({ ...reserveForm, customerName: e.target.value })}
+                    onSelect={(customer) => setReserveForm({
+                      ...reserveForm,
+                      customerName: customer.name,
+                      passportNumber: customer.passport || reserveForm.passportNumber,
+                      phoneNumber: customer.phone || reserveForm.phoneNumber
+                    })}
+                    placeholder="Enter customer name"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                  />
+                </div>
+
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label htmlFor="reservePhoneNumber" className="block text-sm font-medium text-gray-700 mb-1">
+                      Phone Number *
+                    </label>
+                    <input
+                      type="tel"
+                      id="reservePhoneNumber"
+                      value={reserveForm.phoneNumber}
+                      onChange={(e) => setReserveForm({ ...reserveForm, phoneNumber: e.target.value })}
+                      placeholder="Phone"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="reservePassportNumber" className="block text-sm font-medium text-gray-700 mb-1">
+                      Passport Number
+                    </label>
+                    <input
+                      type="text"
+                      id="reservePassportNumber"
+                      value={reserveForm.passportNumber}
+                      onChange={(e) => setReserveForm({ ...reserveForm, passportNumber: e.target.value })}
+                      placeholder="Optional"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label htmlFor="expiryDate" className="block text-sm font-medium text-gray-700 mb-1">
+                    Hold Until *
+                  </label>
+                  <input
+                    type="date"
+                    id="expiryDate"
+                    value={reserveForm.expiryDate}
+                    min={holdExpiryInputValue(0)}
+                    onChange={(e) => setReserveForm({ ...reserveForm, expiryDate: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                  />
+                </div>
+
+                <div>
+                  <label htmlFor="reserveNotes" className="block text-sm font-medium text-gray-700 mb-1">
+                    Notes
+                  </label>
+                  <textarea
+                    id="reserveNotes"
+                    value={reserveForm.notes}
+                    onChange={(e) => setReserveForm({ ...reserveForm, notes: e.target.value })}
+                    placeholder="Payment method, refund terms..."
+                    rows={2}
+                    maxLength={500}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                  />
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => setShowReserveModal(false)}
+                    className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 hover:text-red-500 font-medium cursor-pointer"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleReserveSubmit}
+                    disabled={savingReservation}
+                    className="px-4 py-2 bg-yellow-600 text-white rounded-md hover:bg-yellow-700 disabled:bg-yellow-800 font-medium cursor-pointer"
+                  >
+                    {savingReservation ? "Saving..." : activeHold ? "Extend Hold" : "Reserve"}
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Repair Job Modal */}
+      {jobForm && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+          <div className="bg-gray-100 rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+            <div className="p-6">
+              <h3 className="text-xl font-bold text-gray-800 mb-6">
+                {repairJobs.some((job) => job.id === jobForm.id) ? "Edit Repair Job" : "Add Repair Job"}
+              </h3>
+
+              <div className="space-y-4">
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="jobVendor" className="block text-sm font-medium text-gray-700 mb-1">Garage / Vendor *</label>
+                    <select
+                      id="jobVendor"
+                      value={jobForm.vendorId}
+                      onChange={(e) => {
+                        const vendor = vendors.find((item) => item.id === e.target.value);
+                        setJobForm({ ...jobForm, vendorId: vendor?.id || "", vendor: vendor?.name || "" });
+                      }}
+                      className={jobInputClass}
+                    >
+                      <option value="">Not in the vendor list</option>
+                      {vendors.map((vendor) => (
+                        <option key={vendor.id} value={vendor.id}>{vendor.name}</option>
+                      ))}
+                    </select>
+                    {!jobForm.vendorId && (
+                      <input
+                        type="text"
+                        aria-label="Garage name"
+                        value={jobForm.vendor}
+                        onChange={(e) => setJobForm({ ...jobForm, vendor: e.target.value })}
+                        placeholder="Garage name"
+                        className={`${jobInputClass} mt-2`}
+                      />
+                    )}
+                  </div>
+                  <div>
+                    <label htmlFor="jobCategory" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                    <select
+                      id="jobCategory"
+                      value={jobForm.category}
+                      onChange={(e) => setJobForm({ ...jobForm, category: e.target.value })}
+                      className={jobInputClass}
+                    >
+                      {!jobForm.category && <option value="">Other</option>}
+                      {Object.entries(REPAIR_CATEGORIES).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div>
+                  <label htmlFor="jobDescription" className="block text-sm font-medium text-gray-700 mb-1">Work *</label>
+                  <input
+                    type="text"
+                    id="jobDescription"
+                    value={jobForm.description}
+                    onChange={(e) => setJobForm({ ...jobForm, description: e.target.value })}
+                    placeholder="e.g. Repaint rear bumper"
+                    className={jobInputClass}
+                  />
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                  <div>
+                    <label htmlFor="jobStatus" className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+                    <select
+                      id="jobStatus"
+                      value={jobForm.status}
+                      onChange={(e) => setJobForm({ ...jobForm, status: e.target.value })}
+                      className={jobInputClass}
+                    >
+                      {Object.entries(REPAIR_JOB_STATUSES).map(([key, { label }]) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor="jobEstimate" className="block text-sm font-medium text-gray-700 mb-1">Estimate</label>
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      id="jobEstimate"
+                      value={jobForm.estimate}
+                      onChange={(e) => /^\d*\.?\d*$/.test(e.target.value) && setJobForm({ ...jobForm, estimate: e.target.value })}
+                      className={`${jobInputClass} font-numeric`}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="jobActualCost" className="block text-sm font-medium text-gray-700 mb-1">Actual Cost</label>
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      id="jobActualCost"
+                      value={jobForm.actualCost}
+                      onChange={(e) => /^\d*\.?\d*$/.test(e.target.value) && setJobForm({ ...jobForm, actualCost: e.target.value })}
+                      className={`${jobInputClass} font-numeric`}
+                    />
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="jobStartDate" className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+                    <input
+                      type="date"
+                      id="jobStartDate"
+                      value={jobForm.startDate}
+                      onChange={(e) => setJobForm({ ...jobForm, startDate: e.target.value })}
+                      className={jobInputClass}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="jobFinishDate" className="block text-sm font-medium text-gray-700 mb-1">Finish Date</label>
+                    <input
+                      type="date"
+                      id="jobFinishDate"
+                      value={jobForm.finishDate}
+                      onChange={(e) => setJobForm({ ...jobForm, finishDate: e.target.value })}
+                      className={jobInputClass}
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label htmlFor="jobPaidAt" className="block text-sm font-medium text-gray-700 mb-1">Paid On</label>
+                  <input
+                    type="date"
+                    id="jobPaidAt"
+                    value={jobForm.paidAt}
+                    onChange={(e) => setJobForm({ ...jobForm, paidAt: e.target.value })}
+                    className={jobInputClass}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">Leave empty while the garage bill is unpaid.</p>
+                </div>
+
+                <div>
+                  <label htmlFor="jobReceipt" className="block text-sm font-medium text-gray-700 mb-1">Receipt Photo</label>
+                  <div className="flex items-center gap-3">
+                    {jobForm.receiptPhoto && (
+                      <PhotoViewer src={jobForm.receiptPhoto} alt="Receipt" className="w-16 h-16 object-cover rounded cursor-pointer" enableFullScreen={true} />
+                    )}
+                    <input
+                      type="file"
+                      id="jobReceipt"
+                      accept="image/*"
+                      onChange={(e) => handleJobReceipt(e.target.files?.[0])}
+                      className="text-sm text-gray-700"
+                    />
+                    {jobForm.receiptPhoto && (
+                      <button type="button" onClick={() => setJobForm({ ...jobForm, receiptPhoto: "" })} className="text-sm text-red-600 hover:text-red-700 cursor-pointer">
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                  {uploadingReceipt && <p className="text-xs text-gray-500 mt-1">Uploading photo...</p>}
+                </div>
+
+                <div>
+                  <label htmlFor="jobNotes" className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                  <textarea
+                    id="jobNotes"
+                    value={jobForm.notes}
+                    onChange={(e) => setJobForm({ ...jobForm, notes: e.target.value })}
+                    rows={2}
+                    maxLength={500}
+                    className={jobInputClass}
+                  />
+                </div>
+
+                <div className="flex justify-end space-x-3 pt-4">
+                  <button
+                    type="button"
+                    onClick={() => setJobForm(null)}
+                    className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 hover:text-red-500 font-medium cursor-pointer"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleSaveJob}
+                    disabled={savingJobs || uploadingReceipt}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-blue-800 font-medium cursor-pointer"
+                  >
+                    {savingJobs ? "Saving..." : "Save Job"}
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,416 @@
+"use client";
+import Link from "next/link";
+import { useState, useEffect, useMemo } from "react";
+import { API_BASE_URL, isAbortError, useAbortSignal } from "@/lib/api";
+import { logout } from "@/lib/session";
+import { addMonths } from "@/lib/installments";
+import { fetchCustomerDirectory, fetchCustomerNotes, mergeCustomerNote, saveCustomerNote, searchCustomers } from "@/lib/customers";
+
+export default function CustomersPage() {
+  const [customers, setCustomers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState("");
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [notes, setNotes] = useState({});
+  const [noteDraft, setNoteDraft] = useState("");
+  const [savingNote, setSavingNote] = useState(false);
+  const getSignal = useAbortSignal();
+
+  useEffect(() => {
+    if (typeof window === "undefined") {
+      return;
+    }
+
+    // Profiles can be linked to directly with ?customer=<passport>
+    const linked = new URLSearchParams(window.location.search).get("customer");
+    if (linked) {
+      setSelectedKey(linked);
+    }
+
+    const controller = new AbortController();
+
+    const fetchNotes = async () => {
+      if (!API_BASE_URL) return;
+      try {
+        const savedNotes = await fetchCustomerNotes({ signal: controller.signal });
+        setNotes(savedNotes);
+        if (linked) {
+          setNoteDraft(savedNotes[linked]?.text || "");
+        }
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to fetch customer notes:", error);
+      }
+    };
+
+    const fetchCustomers = async () => {
+      if (!API_BASE_URL) {
+        console.warn("API base URL is not set. Skipping customer fetch.");
+        setLoading(false);
+        return;
+      }
+
+      try {
+        setLoading(true);
+        setCustomers(await fetchCustomerDirectory({ signal: controller.signal }));
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to fetch customers from API:", error);
+        setCustomers([]);
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchCustomers();
+    fetchNotes();
+    return () => controller.abort();
+  }, []);
+
+  const handleLogout = () => {
+    logout('/admin/login');
+  };
+
+  const filteredCustomers = useMemo(() => searchCustomers(customers, search), [customers, search]);
+  const selected = customers.find((customer) => customer.key === selectedKey) || null;
+
+  const selectCustomer = (key) => {
+    setSelectedKey(key);
+    setNoteDraft(notes[key]?.text || "");
+    const url = key ? `${window.location.pathname}?customer=${encodeURIComponent(key)}` : window.location.pathname;
+    window.history.replaceState(null, "", url);
+  };
+
+  const handleSaveNote = async () => {
+    const key = selected.key;
+    setSavingNote(true);
+    try {
+      const saved = await saveCustomerNote(key, noteDraft, { signal: getSignal() });
+      setNotes((prev) => mergeCustomerNote(prev, key, saved));
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Failed to save customer note:", error);
+      alert(`Failed to save the note: ${error.message}`);
+    } finally {
+      setSavingNote(false);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('th-TH', {
+      style: 'currency',
+      currency: 'THB',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0
+    }).format(amount);
+  };
+
+  const formatDate = (value) => (value ? addMonths(value, 0).toLocaleDateString('en-GB') : '-');
+
+  const formatRate = (rate) => (rate === null ? 'No history' : `${Math.round(rate * 100)}% on time`);
+
+  const rateClass = (rate) =>
+    rate === null ? 'text-gray-400' : rate >= 0.9 ? 'text-green-400' : rate >= 0.7 ? 'text-yellow-400' : 'text-red-400';
+
+  const noteChanged = selected && noteDraft !== (notes[selected.key]?.text || "");
+
+  return (
+    <div className="min-h-screen bg-cover bg-center bg-no-repeat bg-fixed" style={{ backgroundImage: "url('/View.png')" }}>
+      {/* Top Navigation Bar */}
+      <nav className="bg-black/80 backdrop-blur-md shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center h-14 sm:h-16">
+            <h1 className="text-xl sm:text-2xl font-semibold text-white">BKK KAUNG PYAE CAR SHOWROOM</h1>
+            <button
+              onClick={handleLogout}
+              className="bg-black/20 backdrop-blur-md text-white px-4 sm:px-6 py-2 sm:py-3 rounded-lg hover:bg-black/30 hover:text-red-500 text-base sm:text-lg font-medium border border-white/30 transition-all duration-200 cursor-pointer"
+            >
+              Logout
+            </button>
+          </div>
+        </div>
+      </nav>
+
+      {/* Secondary Navigation Bar */}
+      <nav className="bg-black/70 backdrop-blur-md shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex flex-nowrap space-x-4 sm:space-x-8 h-12 sm:h-14 overflow-x-auto scrollbar-hide">
+            <Link href="/admin/dashboard" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Car List
+            </Link>
+            <Link href="/admin/installments" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Installments
+            </Link>
+            <Link href="/admin/installment-calculator" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Installment Calculator
+            </Link>
+            <Link href="/admin/sold-list" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Sold List
+            </Link>
+            <Link href="/admin/customers" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-red-500 border-b-2 border-red-500 whitespace-nowrap flex-shrink-0">
+              Customers
+            </Link>
+            <Link href="/admin/leads" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Leads
+            </Link>
+            <Link href="/admin/discount-approvals" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Approvals
+            </Link>
+            <Link href="/admin/vendors" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Vendors
+            </Link>
+            <Link href="/admin/analysis" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Analysis
+            </Link>
+            <Link href="/admin/installment-analysis" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Installment Analysis
+            </Link>
+            <Link href="/admin/money-manager" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Money Manager
+            </Link>
+          </div>
+        </div>
+      </nav>
+
+      {/* Main Content */}
+      <div className="max-w-7xl mx-auto py-4 sm:py-6 px-2 sm:px-6 lg:px-8">
+        <div className="px-2 sm:px-4 py-4 sm:py-6 sm:px-0">
+          <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 sm:mb-8 gap-4">
+            <div>
+              <h2 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-white">Customers</h2>
+              <p className="text-white/70 text-sm mt-1">
+                {loading ? 'Loading...' : `${customers.length} customer${customers.length !== 1 ? 's' : ''} from cash sales and installments`}
+              </p>
+            </div>
+          </div>
+
+          {/* Customer Profile */}
+          {selected && (
+            <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-md mb-6 sm:mb-8">
+              <div className="px-4 py-5 sm:p-6 space-y-6">
+                <div className="flex flex-col sm:flex-row justify-between items-start gap-3">
+                  <div>
+                    <h3 className="text-xl sm:text-2xl font-semibold text-white">{selected.name || 'Unnamed customer'}</h3>
+                    <p className="text-white/70 text-sm">
+                      {[selected.passport && `Passport ${selected.passport}`, selected.phone, selected.email].filter(Boolean).join(' · ') || 'No contact details'}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => selectCustomer(null)}
+                    className="bg-black/20 text-white px-3 py-2 rounded-lg hover:bg-black/30 hover:text-red-500 text-sm font-medium border border-white/30 transition-all cursor-pointer"
+                  >
+                    Close
+                  </button>
+                </div>
+
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                  <div className="p-3 rounded-lg border border-gray-600 bg-black/30">
+                    <p className="text-xs text-gray-300">Cars Bought</p>
+                    <p className="text-lg font-bold font-numeric text-white">{selected.purchases.length}</p>
+                  </div>
+                  <div className="p-3 rounded-lg border border-gray-600 bg-black/30">
+                    <p className="text-xs text-gray-300">Total Spent</p>
+                    <p className="text-lg font-bold font-numeric text-white">{formatCurrency(selected.totalSpent)}</p>
+                  </div>
+                  <div className="p-3 rounded-lg border border-gray-600 bg-black/30">
+                    <p className="text-xs text-gray-300">Payment Behaviour</p>
+                    <p className={`text-lg font-bold font-numeric ${rateClass(selected.onTimeRate)}`}>{formatRate(selected.onTimeRate)}</p>
+                  </div>
+                  <div className="p-3 rounded-lg border border-gray-600 bg-black/30">
+                    <p className="text-xs text-gray-300">Overdue</p>
+                    <p className={`text-lg font-bold font-numeric ${selected.overdue > 0 ? 'text-red-400' : 'text-white'}`}>{formatCurrency(selected.overdue)}</p>
+                  </div>
+                </div>
+
+                {/* Cars bought */}
+                <div>
+                  <h4 className="text-base sm:text-lg font-semibold text-white mb-2">Cars Bought</h4>
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-600">
+                      <thead className="bg-black/20 backdrop-blur-2xl">
+                        <tr>
+                          <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Date</th>
+                          <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Car</th>
+                          <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Type</th>
+                          <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Price</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-black/10 backdrop-blur-2xl divide-y divide-gray-600">
+                        {selected.purchases.map((purchase) => (
+                          <tr key={purchase.carId}>
+                            <td className="px-3 py-3 whitespace-nowrap text-sm text-white font-numeric">{formatDate(purchase.date)}</td>
+                            <td className="px-3 py-3 whitespace-nowrap text-sm text-white">
+                              {purchase.carModel || 'N/A'}
+                              {purchase.licensePlate && <p className="text-xs text-gray-400">{purchase.licensePlate}</p>}
+                            </td>
+                            <td className="px-3 py-3 whitespace-nowrap text-sm">
+                              <span className={`px-2 py-1 rounded-full text-xs font-medium ${purchase.type === 'installment' ? 'bg-blue-100 text-blue-800' : 'bg-green-100 text-green-800'}`}>
+                                {purchase.type === 'installment' ? 'Installment' : 'Cash'}
+                              </span>
+                            </td>
+                            <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-white font-numeric">{formatCurrency(purchase.price)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+
+                {/* Installments */}
+                {selected.installments.length > 0 && (
+                  <div>
+                    <h4 className="text-base sm:text-lg font-semibold text-white mb-2">
+                      Installments <span className="text-sm font-normal text-white/70">({selected.activeInstallments} active)</span>
+                    </h4>
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full divide-y divide-gray-600">
+                        <thead className="bg-black/20 backdrop-blur-2xl">
+                          <tr>
+                            <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Car</th>
+                            <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Progress</th>
+                            <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Remaining</th>
+                            <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Behaviour</th>
+                            <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Overdue</th>
+                            <th className="px-3 py-2"></th>
+                          </tr>
+                        </thead>
+                        <tbody className="bg-black/10 backdrop-blur-2xl divide-y divide-gray-600">
+                          {selected.installments.map((installment) => (
+                            <tr key={installment.id}>
+                              <td className="px-3 py-3 whitespace-nowrap text-sm text-white">
+                                {installment.carModel || 'N/A'}
+                                {installment.licensePlate && <p className="text-xs text-gray-400">{installment.licensePlate}</p>}
+                              </td>
+                              <td className="px-3 py-3 whitespace-nowrap text-sm text-white">
+                                <span className="font-numeric">{installment.paidMonths}/{installment.months}</span> months
+                                {!installment.active && <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">Completed</span>}
+                                <p className="text-xs text-gray-400">Started {formatDate(installment.startDate)}</p>
+                              </td>
+                              <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-white font-numeric">{formatCurrency(installment.remaining)}</td>
+                              <td className={`px-3 py-3 whitespace-nowrap text-sm font-numeric ${rateClass(installment.onTimeRate)}`}>
+                                {formatRate(installment.onTimeRate)}
+                                {installment.oldestDaysLate > 0 && (
+                                  <p className="text-xs text-red-400"><span className="font-numeric">{installment.oldestDaysLate}</span> days behind</p>
+                                )}
+                              </td>
+                              <td className={`px-3 py-3 whitespace-nowrap text-sm text-right font-numeric ${installment.overdue > 0 ? 'text-red-400 font-semibold' : 'text-white'}`}>
+                                {installment.overdue > 0 ? formatCurrency(installment.overdue) : '-'}
+                              </td>
+                              <td className="px-3 py-3 whitespace-nowrap text-sm text-right">
+                                <Link
+                                  href={`/admin/installment-details/${installment.id}`}
+                                  className="px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium transition-colors"
+                                >
+                                  Open Contract
+                                </Link>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                )}
+
+                {/* Notes */}
+                <div>
+                  <h4 className="text-base sm:text-lg font-semibold text-white mb-2">Notes</h4>
+                  <textarea
+                    value={noteDraft}
+                    onChange={(e) => setNoteDraft(e.target.value)}
+                    placeholder="Preferences, follow-ups, anything the team should know..."
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                    rows={4}
+                    maxLength={2000}
+                  />
+                  <div className="flex justify-between items-center mt-2">
+                    <p className="text-xs text-gray-400">
+                      {notes[selected.key]?.updatedAt ? `Last saved ${new Date(notes[selected.key].updatedAt).toLocaleString('en-GB')}` : 'Not saved yet.'}
+                    </p>
+                    <button
+                      onClick={handleSaveNote}
+                      disabled={!noteChanged || savingNote}
+                      className="bg-red-600 hover:bg-red-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white px-4 py-2 text-sm font-medium rounded-md transition-all cursor-pointer"
+                    >
+                      {savingNote ? "Saving..." : "Save Note"}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Search */}
+          <div className="bg-black/20 backdrop-blur-2xl shadow sm:rounded-md p-4 mb-4">
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search name, passport or phone"
+              aria-label="Search customers"
+              className="w-full px-3 py-2 border border-gray-600 rounded-md bg-black/30 text-white text-base placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+            />
+          </div>
+
+          {/* Customer Table */}
+          <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-md">
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-600">
+                <thead className="bg-black/20 backdrop-blur-2xl">
+                  <tr>
+                    <th className="px-3 sm:px-6 py-3 sm:py-4 text-left text-sm sm:text-base font-bold text-white uppercase tracking-wider">Customer</th>
+                    <th className="px-3 sm:px-6 py-3 sm:py-4 text-left text-sm sm:text-base font-bold text-white uppercase tracking-wider">Passport</th>
+                    <th className="px-3 sm:px-6 py-3 sm:py-4 text-left text-sm sm:text-base font-bold text-white uppercase tracking-wider">Phone</th>
+                    <th className="px-3 sm:px-6 py-3 sm:py-4 text-right text-sm sm:text-base font-bold text-white uppercase tracking-wider">Cars</th>
+                    <th className="px-3 sm:px-6 py-3 sm:py-4 text-right text-sm sm:text-base font-bold text-white uppercase tracking-wider">Active Installments</th>
+                    <th className="px-3 sm:px-6 py-3 sm:py-4 text-left text-sm sm:text-base font-bold text-white uppercase tracking-wider">Behaviour</th>
+                    <th className="px-3 sm:px-6 py-3 sm:py-4 text-left text-sm sm:text-base font-bold text-white uppercase tracking-wider">Last Purchase</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-black/10 backdrop-blur-2xl divide-y divide-gray-600">
+                  {loading ? (
+                    <tr>
+                      <td colSpan={7} className="px-3 sm:px-6 py-6 text-center text-white/70">Loading customers...</td>
+                    </tr>
+                  ) : filteredCustomers.length > 0 ? (
+                    filteredCustomers.map((customer) => (
+                      <tr
+                        key={customer.key}
+                        onClick={() => selectCustomer(customer.key)}
+                        className={`cursor-pointer ${customer.key === selectedKey ? 'bg-red-900/30' : 'hover:bg-black/30'}`}
+                      >
+                        <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm sm:text-base text-white">
+                          {customer.name || 'N/A'}
+                          {notes[customer.key] && <span className="ml-2 text-xs text-gray-400" title={notes[customer.key].text}>📝</span>}
+                        </td>
+                        <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm sm:text-base text-white">{customer.passport || '-'}</td>
+                        <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm sm:text-base text-white">{customer.phone || '-'}</td>
+                        <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm sm:text-base text-right text-white font-numeric">{customer.purchases.length}</td>
+                        <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm sm:text-base text-right text-white font-numeric">{customer.activeInstallments}</td>
+                        <td className={`px-3 sm:px-6 py-3 whitespace-nowrap text-sm font-numeric ${rateClass(customer.onTimeRate)}`}>
+                          {customer.installments.length > 0 ? formatRate(customer.onTimeRate) : '-'}
+                          {customer.overdue > 0 && <p className="text-xs text-red-400">{formatCurrency(customer.overdue)} overdue</p>}
+                        </td>
+                        <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm sm:text-base text-white font-numeric">
+                          {customer.lastPurchaseAt ? new Date(customer.lastPurchaseAt).toLocaleDateString('en-GB') : '-'}
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan={7} className="px-3 sm:px-6 py-6 text-center text-white/70">
+                        {search ? 'No customers match your search.' : 'No customers yet. Buyers appear here once a car is sold.'}
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
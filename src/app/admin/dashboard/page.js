@@ -1,12 +1,23 @@
 "use client";
 import Link from "next/link";
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo } from "react";
 import { useRouter } from "next/navigation";
+import { API_BASE_URL, getCars, isAbortError, sellCarInstallment, useAbortSignal } from "@/lib/api";
+import { logout } from "@/lib/session";
+import CarFilters, { useCarFilters } from "@/app/components/CarFilters";
+import CustomerAutocomplete from "@/app/components/CustomerAutocomplete";
+import PriceVisibilitySettings from "@/app/components/PriceVisibilitySettings";
+import { INTEREST_METHODS, VAT_PERCENT, addMonths, buildQuote, formatBaht, parseQuoteInputs } from "@/lib/installments";
+import { fetchQuote, isQuoteExpired, markQuoteConverted } from "@/lib/quotes";
+import { activeReservation, closeReservation, releaseLapsedReservations, withReservationDetails } from "@/lib/reservations";
+import { recordTransitionQuietly } from "@/lib/lifecycle";
+import { carsAtGarage } from "@/lib/repairJobs";
 
 export default function AdminDashboard() {
   const router = useRouter();
   const [cars, setCars] = useState([]);
   const [showAddModal, setShowAddModal] = useState(false);
+  const [showVisibilitySettings, setShowVisibilitySettings] = useState(false);
   const [formData, setFormData] = useState({
     carModel: "",
     licensePlate: "",
@@ -16,14 +27,37 @@ export default function AdminDashboard() {
     email: "",
     carPrice: "",
     downPayment: "",
-    monthlyPayment: "",
+    interestPerMonth: "",
+    financeFees: "",
+    interestMethod: "flat",
     installmentPeriod: "",
     purchasedDate: "",
     carListNo: "",
     carId: ""
   });
   const [errors, setErrors] = useState({});
-  const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+  // Saved quote the open sell form was converted from, if any
+  const [convertingQuoteId, setConvertingQuoteId] = useState(null);
+  // Quote opened with ?quote=<id>, waiting for its car to be in the list
+  const [pendingQuote, setPendingQuote] = useState(null);
+  const getSignal = useAbortSignal();
+  const { filters, setFilters, resetFilters, filteredCars } = useCarFilters(cars);
+  const garageCars = useMemo(() => carsAtGarage(cars), [cars]);
+
+  // Contract terms priced by the shared installment engine, same as the calculators
+  const installmentQuote = useMemo(() => {
+    const inputs = parseQuoteInputs({
+      carValue: formData.carPrice,
+      vatPercent: VAT_PERCENT,
+      downPayment: formData.downPayment,
+      interestPerMonth: formData.interestPerMonth,
+      financeFees: formData.financeFees,
+      months: formData.installmentPeriod,
+      interestMethod: formData.interestMethod,
+      startDate: formData.purchasedDate
+    });
+    return inputs ? { inputs, ...buildQuote(inputs) } : null;
+  }, [formData.carPrice, formData.downPayment, formData.interestPerMonth, formData.financeFees, formData.installmentPeriod, formData.interestMethod, formData.purchasedDate]);
 
   const getInstallments = () => {
     if (typeof window === "undefined") return [];
@@ -73,7 +107,7 @@ export default function AdminDashboard() {
         // No validation - manual entry allowed
         break;
         
-      case "monthlyPayment":
+      case "interestPerMonth":
         // No validation - manual entry allowed
         break;
         
@@ -101,11 +135,11 @@ export default function AdminDashboard() {
   const validateForm = () => {
     const newErrors = {};
     
-    // Validate all fields except downPayment, monthlyPayment, installmentPeriod (manual entry)
+    // Validate all fields except downPayment, interestPerMonth, installmentPeriod (manual entry)
     Object.keys(formData).forEach(key => {
       if (key !== "carModel" && key !== "licensePlate" && key !== "carPrice" && 
           key !== "carListNo" && key !== "carId" && key !== "email" &&
-          key !== "downPayment" && key !== "monthlyPayment" && key !== "installmentPeriod") {
+          key !== "downPayment" && key !== "interestPerMonth" && key !== "installmentPeriod") {
         const error = validateField(key, formData[key]);
         if (error) {
           newErrors[key] = error;
@@ -117,6 +151,20 @@ export default function AdminDashboard() {
     return Object.keys(newErrors).length === 0;
   };
 
+  // Existing customer picked from the name suggestions
+  const handleCustomerSelect = (customer) => {
+    const filled = {
+      customerName: customer.name,
+      phoneNumber: customer.phone || formData.phoneNumber,
+      passportNumber: customer.passport || formData.passportNumber
+    };
+    setFormData(prev => ({ ...prev, ...filled }));
+    setErrors(prev => ({
+      ...prev,
+      ...Object.fromEntries(Object.entries(filled).map(([name, value]) => [name, validateField(name, value) || undefined]))
+    }));
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     if (name === 'installmentPeriod') {
@@ -128,8 +176,8 @@ export default function AdminDashboard() {
       [name]: value
     }));
     
-    // Validate field on change (skip validation for downPayment, monthlyPayment, installmentPeriod)
-    if (name !== "downPayment" && name !== "monthlyPayment" && name !== "installmentPeriod") {
+    // Validate field on change (skip validation for downPayment, interestPerMonth, installmentPeriod)
+    if (name !== "downPayment" && name !== "interestPerMonth" && name !== "installmentPeriod") {
       const error = validateField(name, value);
       setErrors(prev => ({
         ...prev,
@@ -159,45 +207,47 @@ export default function AdminDashboard() {
       return;
     }
 
+    if (!installmentQuote) {
+      alert("Please enter a down payment below the total price and the number of months.");
+      return;
+    }
+
     if (!API_BASE_URL) {
       alert("API base URL is not configured.");
       return;
     }
 
-    try {
-      // Get token from localStorage for authentication
-      const token = localStorage.getItem('token');
-      
-      const headers = {
-        'Content-Type': 'application/json',
-      };
-      
-      // Add Authorization header if token exists
-      if (token) {
-        headers['Authorization'] = `Bearer ${token}`;
-      }
-
-      // Calculate remaining amount
-      const carPrice = parseFloat(formData.carPrice);
-      const downPayment = parseFloat(formData.downPayment);
-      const remainingAmount = carPrice - downPayment;
-
-      // Parse monthly payment to ensure correct value
-      const monthlyPayment = Number(formData.monthlyPayment);
-      console.log("Monthly Payment Input:", formData.monthlyPayment, "Parsed:", monthlyPayment);
+    const soldCar = cars.find((car) => String(car.id) === String(formData.carId));
+    const hold = activeReservation(soldCar);
+    if (hold && installmentQuote.inputs.downPayment < hold.depositAmount) {
+      alert(`The down payment must include the ฿${Number(hold.depositAmount).toLocaleString()} deposit already received.`);
+      return;
+    }
 
-      // Parse installment period to ensure correct value
-      const installmentPeriod = Number(formData.installmentPeriod);
-      console.log("Installment Period Input:", formData.installmentPeriod, "Parsed:", installmentPeriod);
+    try {
+      const { inputs } = installmentQuote;
 
-      // Prepare installment data in the required format
+      // Prepare installment data in the required format. remainingAmount keeps
+      // its original meaning (car price - down payment); financedAmount is what
+      // the customer actually owes after the down payment (price + VAT + fees
+      // - down payment). The car price and pricing terms are stored so every
+      // screen can rebuild the same schedule.
       const installmentData = {
         installment: {
-          downPayment: downPayment,
-          remainingAmount: remainingAmount,
-          months: installmentPeriod,
+          carValue: inputs.carValue,
+          downPayment: inputs.downPayment,
+          remainingAmount: inputs.carValue - inputs.downPayment,
+          financedAmount: installmentQuote.financedAmount,
+          months: inputs.months,
           startDate: formData.purchasedDate,
-          monthlyPayment: monthlyPayment,
+          monthlyPayment: installmentQuote.monthlyPayment,
+          totalPayable: installmentQuote.totalPayable,
+          vatPercent: inputs.vatPercent,
+          financeFees: inputs.financeFees,
+          interestPerMonth: inputs.interestPerMonth,
+          interestMethod: inputs.interestMethod,
+          // Part of the down payment taken earlier as a reservation deposit
+          ...(hold ? { deposit: hold.depositAmount } : {}),
           buyer: {
             name: formData.customerName,
             passport: formData.passportNumber,
@@ -209,53 +259,44 @@ export default function AdminDashboard() {
 
       console.log("installmentData",installmentData);
 
-      const response = await fetch(`${API_BASE_URL}/api/car/${formData.carId}/sell-installment`, {
-        method: 'PUT',
-        headers: headers,
-        body: JSON.stringify(installmentData),
-      });
+      await sellCarInstallment(formData.carId, installmentData, { signal: getSignal() });
 
-      if (!response.ok) {
-        if (response.status === 401) {
-          alert("Unauthorized: Please login again.");
-          return;
-        }
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || `Request failed with status ${response.status}`);
+      if (hold) {
+        await closeReservation(formData.carId, hold, "converted", { signal: getSignal() }).catch((error) => {
+          if (isAbortError(error)) throw error;
+          console.error("Installment recorded but the hold could not be closed:", error);
+        });
+      }
+      if (soldCar) {
+        await recordTransitionQuietly(soldCar, "sold_installment", "", { signal: getSignal() });
       }
 
-      const result = await response.json();
-      
-      // Refresh the cars list to reflect the change
-      const tokenForRefresh = localStorage.getItem('token');
-      const refreshHeaders = {};
-      if (tokenForRefresh) {
-        refreshHeaders['Authorization'] = `Bearer ${tokenForRefresh}`;
+      if (convertingQuoteId) {
+        await markQuoteConverted(convertingQuoteId, { signal: getSignal() }).catch((error) => {
+          if (isAbortError(error)) throw error;
+          console.error("Installment recorded but the quote could not be marked converted:", error);
+        });
+        setConvertingQuoteId(null);
       }
       
-      const carsResponse = await fetch(`${API_BASE_URL}/api/cars`, { 
-        cache: "no-store",
-        headers: refreshHeaders
-      });
+      // Refresh the cars list to reflect the change
+      const carsData = await getCars({ signal: getSignal() });
+      const apiCars = Array.isArray(carsData?.data) ? carsData.data : [];
       
-      if (carsResponse.ok) {
-        const carsData = await carsResponse.json();
-        const apiCars = Array.isArray(carsData.data) ? carsData.data : [];
-        
-        const normalizedCars = apiCars.map((car, index) => ({
-          ...car,
-          id: car.id ?? car._id ?? index,
-          price: car.priceToSell,
-          wd: car.wheelDrive,
-        }));
+      const normalizedCars = apiCars.map((car, index) => ({
+        ...car,
+        id: car.id ?? car._id ?? index,
+        price: car.priceToSell,
+        wd: car.wheelDrive,
+      }));
 
-        const availableCars = normalizedCars.filter(car => car.isAvailable !== false);
-        setCars(availableCars);
-      }
+      const availableCars = normalizedCars.filter(car => car.isAvailable !== false);
+      setCars(availableCars);
 
       // Redirect to installments page after successful submission
       router.push('/admin/installments');
     } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
       console.error("Failed to add installment:", error);
       alert(`Failed to add installment: ${error.message}`);
     }
@@ -263,6 +304,7 @@ export default function AdminDashboard() {
 
   const handleCancel = () => {
     setShowAddModal(false);
+    setConvertingQuoteId(null);
     setFormData({
       carModel: "",
       licensePlate: "",
@@ -272,7 +314,9 @@ export default function AdminDashboard() {
       email: "",
       carPrice: "",
       downPayment: "",
-      monthlyPayment: "",
+      interestPerMonth: "",
+      financeFees: "",
+      interestMethod: "flat",
       installmentPeriod: "",
       purchasedDate: "",
       carListNo: "",
@@ -317,16 +361,89 @@ export default function AdminDashboard() {
       email: "",
       carPrice: carPrice, // Remove currency formatting
       downPayment: "",
-      monthlyPayment: "",
+      interestPerMonth: "",
+      financeFees: "",
+      interestMethod: "flat",
       installmentPeriod: "",
       purchasedDate: formattedDate,
       carListNo: car.carList,
       carId: car.id || car._id || ""
     });
+    // The deposit on a reserved car becomes part of the down payment
+    const hold = activeReservation(car);
+    if (hold) {
+      setFormData(prev => ({
+        ...prev,
+        customerName: hold.customer?.name || "",
+        passportNumber: hold.customer?.passport || "",
+        phoneNumber: hold.customer?.phone || "",
+        downPayment: String(hold.depositAmount || "")
+      }));
+    }
+    setConvertingQuoteId(null);
     
     setShowAddModal(true);
   };
 
+  // "Convert to Contract" from the calculator lands here with ?quote=<id>
+  useEffect(() => {
+    const quoteId = new URLSearchParams(window.location.search).get("quote");
+    if (!quoteId) return;
+    window.history.replaceState(null, "", window.location.pathname);
+    const controller = new AbortController();
+
+    const loadQuote = async () => {
+      try {
+        const quote = await fetchQuote(quoteId, { signal: controller.signal });
+        if (!quote) {
+          alert(`Quote ${quoteId} was not found.`);
+          return;
+        }
+        if (isQuoteExpired(quote)) {
+          alert(`Quote ${quoteId} has expired. Reopen it in the calculator and save it again to extend it.`);
+          return;
+        }
+        setPendingQuote(quote);
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to load quote:", error);
+        alert(`Failed to load quote ${quoteId}: ${error.message}`);
+      }
+    };
+
+    loadQuote();
+    return () => controller.abort();
+  }, []);
+
+  // Open the sell-installment form once the quoted car is in the list
+  useEffect(() => {
+    const quote = pendingQuote;
+    if (!quote) return;
+    const car = cars.find(
+      (item) =>
+        String(item.id ?? item._id) === String(quote.car?.id) ||
+        (quote.car?.licenseNo && item.licenseNo === quote.car.licenseNo)
+    );
+    if (!car) return;
+    setPendingQuote(null);
+
+    handleAddCarToInstallment(car);
+    setFormData(prev => ({
+      ...prev,
+      customerName: quote.customer?.name || "",
+      passportNumber: quote.customer?.passport || "",
+      phoneNumber: quote.customer?.phone || "",
+      carPrice: quote.inputs?.carValue || prev.carPrice,
+      downPayment: quote.inputs?.downPaymentAmount || "",
+      interestPerMonth: quote.inputs?.interestPerMonth || "",
+      financeFees: quote.inputs?.financeFees || "",
+      interestMethod: quote.inputs?.interestMethod || "flat",
+      installmentPeriod: quote.inputs?.installmentMonths || "",
+      purchasedDate: quote.inputs?.startDate || prev.purchasedDate
+    }));
+    setConvertingQuoteId(quote.id);
+  }, [cars, pendingQuote]);
+
   useEffect(() => {
     if (typeof window === "undefined") {
       return;
@@ -339,6 +456,8 @@ export default function AdminDashboard() {
       return;
     }
 
+    const controller = new AbortController();
+
     const filterCarsByInstallments = (carList) => {
       const installments = getInstallments();
       return carList.filter(
@@ -384,34 +503,9 @@ export default function AdminDashboard() {
       }
 
       try {
-        // Get token from localStorage for authentication
-        const token = localStorage.getItem('token');
-        
-        const headers = {};
-        
-        // Add Authorization header if token exists
-        if (token) {
-          headers['Authorization'] = `Bearer ${token}`;
-        }
-        
-        const response = await fetch(`${API_BASE_URL}/api/cars`, { 
-          cache: "no-store",
-          headers: headers
-        });
-        
-        if (!response.ok) {
-          if (response.status === 401) {
-            console.error("Unauthorized: Token is missing or invalid");
-            // Optionally redirect to login
-            // router.push('/admin/login');
-            return;
-          }
-          throw new Error(`Request failed with status ${response.status}`);
-        }
-        
-        const data = await response.json();
+        const data = await getCars({ signal: controller.signal });
         console.log("data",data);
-        const apiCars = Array.isArray(data.data) ? data.data : [];
+        const apiCars = Array.isArray(data?.data) ? data.data : [];
         console.log("apiCars",apiCars);
 
         if (!Array.isArray(apiCars)) {
@@ -450,20 +544,33 @@ export default function AdminDashboard() {
 
         setCars(availableCars);
         // localStorage.setItem("cars", JSON.stringify(filteredCars));
+
+        // Holds that ran out are released here, as nothing does it on the server.
+        // Who holds each car comes from the admin-only reservation records.
+        const releasedCars = await releaseLapsedReservations(availableCars, { signal: controller.signal }).catch((error) => {
+          if (isAbortError(error)) throw error;
+          console.error("Failed to release expired holds:", error);
+          return null;
+        });
+        setCars(await withReservationDetails(releasedCars || availableCars, { signal: controller.signal }));
       } catch (error) {
+        if (isAbortError(error)) return;
         console.error("Failed to fetch cars from API:", error);
       }
     };
 
     loadCarsFromStorage();
     fetchCarsFromApi();
-  }, [API_BASE_URL]);
+    return () => controller.abort();
+  }, [router]);
 
 
   const handleLogout = () => {
-    window.location.href = '/admin/login';
+    logout('/admin/login');
   };
 
+  const formHold = showAddModal ? activeReservation(cars.find((car) => String(car.id) === String(formData.carId))) : null;
+
   return (
     <div className="min-h-screen bg-cover bg-center bg-no-repeat bg-fixed" style={{ backgroundImage: "url('/View.png')" }}>
       {/* Top Navigation Bar */}
@@ -497,6 +604,18 @@ export default function AdminDashboard() {
             <Link href="/admin/sold-list" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
               Sold List
             </Link>
+            <Link href="/admin/customers" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Customers
+            </Link>
+            <Link href="/admin/leads" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Leads
+            </Link>
+            <Link href="/admin/discount-approvals" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Approvals
+            </Link>
+            <Link href="/admin/vendors" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Vendors
+            </Link>
             <Link href="/admin/analysis" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
               Analysis
             </Link>
@@ -516,12 +635,54 @@ export default function AdminDashboard() {
           <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 sm:mb-8 gap-4">
             <h2 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-white">Car Inventory</h2>
             <div className="flex flex-col sm:flex-row space-y-2 sm:space-y-0 sm:space-x-3">
+              <button
+                onClick={() => setShowVisibilitySettings(true)}
+                className="bg-black/20 backdrop-blur-md text-white px-4 sm:px-6 py-2 sm:py-3 rounded-lg hover:bg-black/30 hover:text-red-500 text-base sm:text-lg font-medium w-full sm:w-auto border border-white/30 transition-all duration-200 cursor-pointer"
+              >
+                Price Visibility
+              </button>
               <Link href="/admin/add-car" className="bg-black/20 backdrop-blur-md text-white px-4 sm:px-6 py-2 sm:py-3 rounded-lg hover:bg-black/30 hover:text-red-500 text-base sm:text-lg font-medium w-full sm:w-auto border border-white/30 transition-all duration-200 cursor-pointer">
                 Add New Car
               </Link>
             </div>
           </div>
 
+          {/* Cars with a repair job in progress */}
+          {garageCars.length > 0 && (
+            <div className="bg-black/20 backdrop-blur-2xl shadow sm:rounded-md p-4 mb-6">
+              <h3 className="text-lg font-semibold text-white mb-3">
+                At the Garage <span className="font-numeric text-orange-300">({garageCars.length})</span>
+              </h3>
+              <ul className="divide-y divide-gray-600">
+                {garageCars.map(({ car, jobs, since, days, vendors }) => (
+                  <li key={car.id} className="py-2 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1">
+                    <Link href={`/admin/car-details/${car.id}`} className="text-white hover:text-orange-300 font-medium">
+                      {car.brand} {car.model} <span className="text-gray-400">({car.licenseNo})</span>
+                    </Link>
+                    <span className="text-sm text-gray-300">
+                      {vendors.join(", ") || "Garage not set"} · {jobs.map((job) => job.description).join(", ")}
+                      {since && (
+                        <>
+                          {" "}· since <span className="font-numeric">{addMonths(since, 0).toLocaleDateString("en-GB")}</span>
+                          {" "}(<span className="font-numeric">{days}</span> {days === 1 ? "day" : "days"})
+                        </>
+                      )}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {/* Search, Filters & Sort */}
+          <CarFilters
+            cars={cars}
+            filters={filters}
+            onChange={setFilters}
+            onReset={resetFilters}
+            resultCount={filteredCars.length}
+          />
+
           {/* Car Table */}
           <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-md">
             <div className="overflow-x-auto">
@@ -561,13 +722,28 @@ export default function AdminDashboard() {
                   </tr>
                 </thead>
                 <tbody className="bg-black/10 backdrop-blur-2xl divide-y divide-gray-600">
-                  {cars.map((car, index) => (
+                  {filteredCars.length === 0 && (
+                    <tr>
+                      <td colSpan="10" className="px-6 py-8 text-center text-white">
+                        {cars.length === 0 ? "No cars available" : "No cars match the current filters"}
+                      </td>
+                    </tr>
+                  )}
+                  {filteredCars.map((car, index) => (
                     <tr key={car.id} className="hover:bg-black/30 backdrop-blur-2xl">
                       <td className="px-3 sm:px-6 py-3 sm:py-5 whitespace-nowrap text-sm sm:text-base font-medium text-white cursor-pointer font-numeric" onClick={() => window.location.href = `/admin/car-details/${car.id}`}>
                         {index + 1}
                       </td>
                       <td className="px-3 sm:px-6 py-3 sm:py-5 whitespace-nowrap text-sm sm:text-base text-white cursor-pointer" onClick={() => window.location.href = `/admin/car-details/${car.id}`}>
                         {car.licenseNo}
+                        {activeReservation(car) && (
+                          <span
+                            className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800"
+                            title={`Reserved for ${car.reservation.customer?.name || "a customer"}`}
+                          >
+                            Reserved until {new Date(car.reservation.expiresAt).toLocaleDateString("en-GB")}
+                          </span>
+                        )}
                       </td>
                       <td className="px-3 sm:px-6 py-3 sm:py-5 whitespace-nowrap text-sm sm:text-base text-white cursor-pointer" onClick={() => window.location.href = `/admin/car-details/${car.id}`}>
                         {car.brand}
@@ -617,7 +793,10 @@ export default function AdminDashboard() {
         <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
           <div className="bg-gray-100 rounded-lg shadow-xl max-w-md w-full max-h-[90vh] overflow-hidden">
             <div className="p-6">
-              <h3 className="text-xl font-bold text-gray-800 mb-6">Add New Installment</h3>
+              <h3 className={`text-xl font-bold text-gray-800 ${convertingQuoteId ? "mb-1" : "mb-6"}`}>Add New Installment</h3>
+              {convertingQuoteId && (
+                <p className="text-sm text-gray-600 mb-5">Pre-filled from quote <span className="font-numeric">{convertingQuoteId}</span></p>
+              )}
               
               <div className="max-h-[60vh] overflow-y-auto pr-2">
                 <form onSubmit={handleSubmit} className="space-y-4">
@@ -653,12 +832,12 @@ export default function AdminDashboard() {
                     <label htmlFor="customerName" className="block text-sm font-medium text-gray-700 mb-1">
                       Customer Name
                     </label>
-                    <input
-                      type="text"
+                    <CustomerAutocomplete
                       id="customerName"
                       name="customerName"
                       value={formData.customerName}
                       onChange={handleInputChange}
+                      onSelect={handleCustomerSelect}
                       placeholder="Full Name"
                       className={`w-full px-3 py-2 border rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:border-transparent ${
                         errors.customerName ? 'border-red-500 focus:ring-red-500' : 'border-gray-300 focus:ring-red-500'
@@ -761,27 +940,71 @@ export default function AdminDashboard() {
                       placeholder="100000"
                       className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
                     />
+                    {formHold && (
+                      <p className="mt-1 text-sm text-yellow-700">
+                        Includes the <span className="font-numeric">฿{Number(formHold.depositAmount).toLocaleString()}</span> deposit taken when the car was reserved
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label htmlFor="interestPerMonth" className="block text-sm font-medium text-gray-700 mb-1">
+                        Interest Per Month (%)
+                      </label>
+                      <input
+                        type="text"
+                        inputMode="decimal"
+                        id="interestPerMonth"
+                        name="interestPerMonth"
+                        value={formData.interestPerMonth}
+                        onChange={(e) => {
+                          const value = e.target.value;
+                          if (value === '' || /^\d*\.?\d*$/.test(value)) {
+                            handleInputChange(e);
+                          }
+                        }}
+                        placeholder="2.5"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                      />
+                    </div>
+                    <div>
+                      <label htmlFor="financeFees" className="block text-sm font-medium text-gray-700 mb-1">
+                        Finance Fees
+                      </label>
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        id="financeFees"
+                        name="financeFees"
+                        value={formData.financeFees}
+                        onChange={(e) => {
+                          const value = e.target.value;
+                          if (value === '' || /^\d*\.?\d*$/.test(value)) {
+                            handleInputChange(e);
+                          }
+                        }}
+                        placeholder="0"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                      />
+                    </div>
                   </div>
 
                   <div>
-                    <label htmlFor="monthlyPayment" className="block text-sm font-medium text-gray-700 mb-1">
-                      Monthly Payment
+                    <label htmlFor="interestMethod" className="block text-sm font-medium text-gray-700 mb-1">
+                      Interest Method
                     </label>
-                    <input
-                      type="text"
-                      inputMode="numeric"
-                      id="monthlyPayment"
-                      name="monthlyPayment"
-                      value={formData.monthlyPayment}
-                      onChange={(e) => {
-                        const value = e.target.value;
-                        if (value === '' || /^\d*\.?\d*$/.test(value)) {
-                          handleInputChange(e);
-                        }
-                      }}
-                      placeholder="45000"
-                      className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
-                    />
+                    <select
+                      id="interestMethod"
+                      name="interestMethod"
+                      value={formData.interestMethod}
+                      onChange={handleInputChange}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                    >
+                      {Object.entries(INTEREST_METHODS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
                   </div>
 
                   <div>
@@ -826,6 +1049,40 @@ export default function AdminDashboard() {
                     />
                   </div>
 
+                  {/* Monthly payment from the installment engine */}
+                  <div className="rounded-md border border-gray-300 bg-white p-3 text-sm text-gray-700">
+                    {installmentQuote ? (
+                      <div className="space-y-1">
+                        <div className="flex justify-between">
+                          <span>Price + VAT ({VAT_PERCENT}%) + Fees</span>
+                          <span className="font-numeric">{formatBaht(installmentQuote.calculation.total_with_vat_and_fees)}</span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span>Remaining after Down Payment</span>
+                          <span className="font-numeric">{formatBaht(installmentQuote.financedAmount)}</span>
+                        </div>
+                        <div className="flex justify-between font-semibold text-gray-900">
+                          <span>Monthly Payment</span>
+                          <span className="font-numeric">{formatBaht(installmentQuote.monthlyPayment)}</span>
+                        </div>
+                        {installmentQuote.lastPayment !== installmentQuote.monthlyPayment && (
+                          <div className="flex justify-between text-xs text-gray-500">
+                            <span>Last month (rounding)</span>
+                            <span className="font-numeric">{formatBaht(installmentQuote.lastPayment)}</span>
+                          </div>
+                        )}
+                        <div className="flex justify-between text-xs text-gray-500">
+                          <span>Total Payable / APR</span>
+                          <span className="font-numeric">
+                            {formatBaht(installmentQuote.totalPayable)} / {installmentQuote.apr.toFixed(2)}%
+                          </span>
+                        </div>
+                      </div>
+                    ) : (
+                      <p className="text-gray-500">Enter the down payment, interest and months to calculate the monthly payment.</p>
+                    )}
+                  </div>
+
                   <div className="flex justify-end space-x-3 pt-4">
                     <button
                       type="button"
@@ -847,6 +1104,8 @@ export default function AdminDashboard() {
           </div>
         </div>
       )}
+
+      {showVisibilitySettings && <PriceVisibilitySettings onClose={() => setShowVisibilitySettings(false)} />}
     </div>
   );
 }
@@ -0,0 +1,429 @@
+"use client";
+import Link from "next/link";
+import { useState, useEffect, useMemo } from "react";
+import { API_BASE_URL, getCars, isAbortError, useAbortSignal } from "@/lib/api";
+import { logout } from "@/lib/session";
+import {
+  DISCOUNT_STATUSES,
+  decideDiscountRequest,
+  DEFAULT_FLOOR_POLICY,
+  decidedRequests,
+  discountPercent,
+  fetchDiscountRequests,
+  fetchFloorPolicy,
+  floorPriceOf,
+  isFloorSet,
+  mergeDiscountRequest,
+  pendingRequests,
+  saveFloorPolicy,
+} from "@/lib/discounts";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-600 rounded-md bg-black/30 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent";
+
+export default function DiscountApprovalsPage() {
+  const [requests, setRequests] = useState([]);
+  const [cars, setCars] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [floorPolicy, setFloorPolicy] = useState(DEFAULT_FLOOR_POLICY);
+  const [marginInput, setMarginInput] = useState("");
+  const [policySaved, setPolicySaved] = useState(false);
+  const [savingPolicy, setSavingPolicy] = useState(false);
+  // Counter price and note typed against each pending request
+  const [decisions, setDecisions] = useState({});
+  const [decidingId, setDecidingId] = useState(null);
+  const getSignal = useAbortSignal();
+
+  useEffect(() => {
+    if (typeof window === "undefined") {
+      return;
+    }
+
+    if (!API_BASE_URL) {
+      console.warn("API base URL is not set. Skipping car fetch.");
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+
+    // Current floor prices come from the cars themselves
+    const fetchCars = async () => {
+      try {
+        const data = await getCars({ signal: controller.signal });
+        setCars(Array.isArray(data?.data) ? data.data : []);
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to fetch cars from API:", error);
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    const loadRequests = async () => {
+      try {
+        setRequests(await fetchDiscountRequests(undefined, { signal: controller.signal }));
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to fetch discount requests from API:", error);
+      }
+    };
+
+    const loadFloorPolicy = async () => {
+      try {
+        const policy = await fetchFloorPolicy({ signal: controller.signal });
+        setFloorPolicy(policy);
+        setMarginInput(String(policy.targetMarginPercent));
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to load the floor price policy:", error);
+        setMarginInput(String(DEFAULT_FLOOR_POLICY.targetMarginPercent));
+      }
+    };
+
+    fetchCars();
+    loadRequests();
+    loadFloorPolicy();
+    return () => controller.abort();
+  }, []);
+
+  const handleLogout = () => {
+    logout('/admin/login');
+  };
+
+  const carsById = useMemo(() => new Map(cars.map((car) => [String(car.id || car._id), car])), [cars]);
+  const pending = useMemo(() => pendingRequests(requests), [requests]);
+  const decided = useMemo(() => decidedRequests(requests).slice(0, 50), [requests]);
+
+  const floorFor = (request) => {
+    const car = carsById.get(String(request.carId));
+    return car ? floorPriceOf(car, floorPolicy) : Number(request.floorPrice) || 0;
+  };
+
+  const updateDecision = (id, changes) =>
+    setDecisions((prev) => ({ ...prev, [id]: { ...prev[id], ...changes } }));
+
+  const handleDecide = async (request, approve) => {
+    const decision = decisions[request.id] || {};
+    const approvedPrice = Number(decision.price || request.requestedPrice);
+    if (approve) {
+      if (!(approvedPrice > 0)) {
+        alert("Please enter the approved price.");
+        return;
+      }
+      const floor = floorFor(request);
+      if (floor > 0 && approvedPrice < floor && !confirm(`฿${approvedPrice.toLocaleString()} is below the floor price of ฿${floor.toLocaleString()}. Approve anyway?`)) {
+        return;
+      }
+    } else if (!confirm(`Reject ${request.staffName}'s request for ${request.carLabel}?`)) {
+      return;
+    }
+
+    setDecidingId(request.id);
+    try {
+      const saved = await decideDiscountRequest(request, { approve, approvedPrice, note: (decision.note || "").trim() }, { signal: getSignal() });
+      setRequests((prev) => mergeDiscountRequest(prev, saved));
+      setDecisions((prev) => {
+        const next = { ...prev };
+        delete next[request.id];
+        return next;
+      });
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Failed to save the decision:", error);
+      alert(`Failed to save the decision: ${error.message}`);
+    } finally {
+      setDecidingId(null);
+    }
+  };
+
+  const handleSavePolicy = async (e) => {
+    e.preventDefault();
+    const margin = Number(marginInput);
+    if (!Number.isFinite(margin) || margin < 0) {
+      alert("Please enter a target margin of 0% or more.");
+      return;
+    }
+    setSavingPolicy(true);
+    try {
+      await saveFloorPolicy({ targetMarginPercent: margin }, { signal: getSignal() });
+      setFloorPolicy({ targetMarginPercent: margin });
+      setPolicySaved(true);
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Failed to save the floor price policy:", error);
+      alert(`Failed to save the target margin: ${error.message}`);
+    } finally {
+      setSavingPolicy(false);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('th-TH', {
+      style: 'currency',
+      currency: 'THB',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0
+    }).format(amount || 0);
+  };
+
+  return (
+    <div className="min-h-screen bg-cover bg-center bg-no-repeat bg-fixed" style={{ backgroundImage: "url('/View.png')" }}>
+      {/* Top Navigation Bar */}
+      <nav className="bg-black/80 backdrop-blur-md shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center h-14 sm:h-16">
+            <h1 className="text-xl sm:text-2xl font-semibold text-white">BKK KAUNG PYAE CAR SHOWROOM</h1>
+            <button
+              onClick={handleLogout}
+              className="bg-black/20 backdrop-blur-md text-white px-4 sm:px-6 py-2 sm:py-3 rounded-lg hover:bg-black/30 hover:text-red-500 text-base sm:text-lg font-medium border border-white/30 transition-all duration-200 cursor-pointer"
+            >
+              Logout
+            </button>
+          </div>
+        </div>
+      </nav>
+
+      {/* Secondary Navigation Bar */}
+      <nav className="bg-black/70 backdrop-blur-md shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex flex-nowrap space-x-4 sm:space-x-8 h-12 sm:h-14 overflow-x-auto scrollbar-hide">
+            <Link href="/admin/dashboard" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Car List
+            </Link>
+            <Link href="/admin/installments" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Installments
+            </Link>
+            <Link href="/admin/installment-calculator" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Installment Calculator
+            </Link>
+            <Link href="/admin/sold-list" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Sold List
+            </Link>
+            <Link href="/admin/customers" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Customers
+            </Link>
+            <Link href="/admin/leads" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Leads
+            </Link>
+            <Link href="/admin/discount-approvals" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-red-500 border-b-2 border-red-500 whitespace-nowrap flex-shrink-0">
+              Approvals
+            </Link>
+            <Link href="/admin/vendors" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Vendors
+            </Link>
+            <Link href="/admin/analysis" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Analysis
+            </Link>
+            <Link href="/admin/installment-analysis" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Installment Analysis
+            </Link>
+            <Link href="/admin/money-manager" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Money Manager
+            </Link>
+          </div>
+        </div>
+      </nav>
+
+      {/* Main Content */}
+      <div className="max-w-7xl mx-auto py-4 sm:py-6 px-2 sm:px-6 lg:px-8">
+        <div className="px-2 sm:px-4 py-4 sm:py-6 sm:px-0">
+          <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 sm:mb-8 gap-4">
+            <div>
+              <h2 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-white">Discount Approvals</h2>
+              <p className="text-white/70 text-sm mt-1">
+                <span className="font-numeric">{pending.length}</span> waiting for a decision
+              </p>
+            </div>
+            {/* Floor price policy */}
+            <form onSubmit={handleSavePolicy} className="flex items-end gap-2">
+              <div>
+                <label htmlFor="targetMargin" className="block text-sm text-white/80 mb-1">Target margin for floor prices (%)</label>
+                <input
+                  id="targetMargin"
+                  type="text"
+                  inputMode="decimal"
+                  value={marginInput}
+                  onChange={(e) => {
+                    if (/^\d*\.?\d*$/.test(e.target.value)) {
+                      setMarginInput(e.target.value);
+                      setPolicySaved(false);
+                    }
+                  }}
+                  className={`${inputClass} w-32 font-numeric`}
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={savingPolicy}
+                className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 font-medium cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {savingPolicy ? "Saving..." : policySaved ? "Saved" : "Save"}
+              </button>
+            </form>
+          </div>
+          <p className="text-white/60 text-sm -mt-4 mb-6">
+            A car&apos;s floor is the minimum negotiable price set on its details page, or else its purchase price plus repairs plus this margin. Staff only see a floor that was set on the details page.
+          </p>
+
+          {/* Pending requests */}
+          <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-md mb-6 sm:mb-8">
+            <div className="px-4 py-5 sm:p-6">
+              <h3 className="text-lg sm:text-xl font-semibold text-white mb-4">Waiting for Approval</h3>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-600">
+                  <thead className="bg-black/20 backdrop-blur-2xl">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Car</th>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Requested By</th>
+                      <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Listed</th>
+                      <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Asked</th>
+                      <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Floor</th>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Decision</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-black/10 backdrop-blur-2xl divide-y divide-gray-600">
+                    {pending.length > 0 ? (
+                      pending.map((request) => {
+                        const floor = floorFor(request);
+                        const car = carsById.get(String(request.carId));
+                        const belowFloor = floor > 0 && Number(request.requestedPrice) < floor;
+                        const decision = decisions[request.id] || {};
+                        return (
+                          <tr key={request.id} className="hover:bg-black/30 align-top">
+                            <td className="px-3 py-3 text-sm text-white">
+                              <Link href={`/admin/car-details/${request.carId}`} className="font-medium hover:text-red-400">{request.carLabel}</Link>
+                              <p className="text-xs text-gray-400">
+                                For {request.customerName}
+                                {request.customerPhone && <> · {request.customerPhone}</>}
+                              </p>
+                              {request.reason && <p className="text-xs text-gray-300 mt-1">{request.reason}</p>}
+                            </td>
+                            <td className="px-3 py-3 whitespace-nowrap text-sm text-white">
+                              {request.staffName}
+                              <p className="text-xs text-gray-400 font-numeric">{new Date(request.createdAt).toLocaleDateString('en-GB')}</p>
+                            </td>
+                            <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-white font-numeric">
+                              {request.listPrice > 0 ? formatCurrency(request.listPrice) : '-'}
+                            </td>
+                            <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-white font-bold font-numeric">
+                              {formatCurrency(request.requestedPrice)}
+                              {request.listPrice > 0 && <p className="text-xs font-normal text-gray-400">{discountPercent(request).toFixed(1)}% off</p>}
+                            </td>
+                            <td className="px-3 py-3 whitespace-nowrap text-sm text-right font-numeric">
+                              <span className={belowFloor ? "text-red-400 font-semibold" : "text-white"}>{floor > 0 ? formatCurrency(floor) : '-'}</span>
+                              {floor > 0 && (
+                                <p className="text-xs text-gray-400">{car && !isFloorSet(car) ? "cost + repairs + margin" : "set by admin"}</p>
+                              )}
+                              {belowFloor && <p className="text-xs text-red-400">below floor</p>}
+                            </td>
+                            <td className="px-3 py-3 text-sm">
+                              <div className="flex flex-col gap-2 min-w-[14rem]">
+                                <input
+                                  type="text"
+                                  inputMode="numeric"
+                                  aria-label="Approved price"
+                                  value={decision.price ?? String(request.requestedPrice)}
+                                  onChange={(e) => /^\d*$/.test(e.target.value) && updateDecision(request.id, { price: e.target.value })}
+                                  className={`${inputClass} font-numeric`}
+                                />
+                                <input
+                                  type="text"
+                                  aria-label="Note to staff"
+                                  value={decision.note || ""}
+                                  onChange={(e) => updateDecision(request.id, { note: e.target.value })}
+                                  placeholder="Note to staff (optional)"
+                                  className={inputClass}
+                                />
+                                <div className="flex gap-2">
+                                  <button
+                                    onClick={() => handleDecide(request, true)}
+                                    disabled={decidingId === request.id}
+                                    className="flex-1 px-3 py-1.5 bg-green-600 text-white rounded-md hover:bg-green-700 font-medium cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                                  >
+                                    Approve
+                                  </button>
+                                  <button
+                                    onClick={() => handleDecide(request, false)}
+                                    disabled={decidingId === request.id}
+                                    className="flex-1 px-3 py-1.5 bg-gray-600 text-white rounded-md hover:bg-gray-700 hover:text-red-400 font-medium cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                                  >
+                                    Reject
+                                  </button>
+                                </div>
+                              </div>
+                            </td>
+                          </tr>
+                        );
+                      })
+                    ) : (
+                      <tr>
+                        <td colSpan={6} className="px-3 py-6 text-center text-white/70">
+                          {loading ? "Loading..." : "No discount requests waiting."}
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+
+          {/* Decided requests */}
+          <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-md">
+            <div className="px-4 py-5 sm:p-6">
+              <h3 className="text-lg sm:text-xl font-semibold text-white mb-4">Recent Decisions</h3>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-600">
+                  <thead className="bg-black/20 backdrop-blur-2xl">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Decided</th>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Car</th>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Requested By</th>
+                      <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Asked</th>
+                      <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Approved</th>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-black/10 backdrop-blur-2xl divide-y divide-gray-600">
+                    {decided.length > 0 ? (
+                      decided.map((request) => (
+                        <tr key={request.id} className="hover:bg-black/30">
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-white font-numeric">
+                            {request.decidedAt ? new Date(request.decidedAt).toLocaleDateString('en-GB') : '-'}
+                            {request.decidedBy && <p className="text-xs text-gray-400">{request.decidedBy}</p>}
+                          </td>
+                          <td className="px-3 py-3 text-sm text-white">
+                            <Link href={`/admin/car-details/${request.carId}`} className="hover:text-red-400">{request.carLabel}</Link>
+                            <p className="text-xs text-gray-400">For {request.customerName}</p>
+                          </td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-white">{request.staffName}</td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-white font-numeric">{formatCurrency(request.requestedPrice)}</td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-white font-bold font-numeric">
+                            {request.approvedPrice ? formatCurrency(request.approvedPrice) : '-'}
+                          </td>
+                          <td className="px-3 py-3 text-sm">
+                            <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${DISCOUNT_STATUSES[request.status]?.badge}`}>
+                              {DISCOUNT_STATUSES[request.status]?.label || request.status}
+                            </span>
+                            {request.decisionNote && <p className="text-xs text-gray-300 mt-1">{request.decisionNote}</p>}
+                          </td>
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td colSpan={6} className="px-3 py-6 text-center text-white/70">No decisions yet.</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
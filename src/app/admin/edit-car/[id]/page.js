@@ -2,7 +2,9 @@
 import Link from "next/link";
 import { useState, useEffect } from "react";
 import { useParams, useRouter } from "next/navigation";
-import PhotoViewer from "@/app/components/PhotoViewer";
+import PhotoGalleryEditor, { confirmUnprocessedPhotos, isGalleryProcessing, photosFromImages } from "@/app/components/PhotoGalleryEditor";
+import { API_BASE_URL, editCar, getCar, isAbortError, useAbortSignal } from "@/lib/api";
+import { logout } from "@/lib/session";
 
 export default function EditCar() {
   const params = useParams();
@@ -22,7 +24,7 @@ export default function EditCar() {
     year: "",
     purchasedKilo: "",
     repairHistory: [],
-    carPhoto: null
+    carPhotos: []
   });
 
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -36,35 +38,23 @@ export default function EditCar() {
   });
   const [loading, setLoading] = useState(true);
   const [repairHistory, setRepairHistory] = useState([]);
-  const [photoPreviewUrl, setPhotoPreviewUrl] = useState(null);
+  // Once a car has repair jobs, the free-text repairs are written from them
+  const [hasRepairJobs, setHasRepairJobs] = useState(false);
   const [originalImagePublicIds, setOriginalImagePublicIds] = useState([]); // Store original image public_ids for backend
-  const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+  const getSignal = useAbortSignal();
 
   useEffect(() => {
+    const controller = new AbortController();
+
     const fetchCarData = async () => {
       setLoading(true);
       
       // Try to fetch from API first
       if (API_BASE_URL) {
         try {
-          // Get token from localStorage for authentication
-          const token = localStorage.getItem('token');
-          
-          const headers = {};
-          
-          // Add Authorization header if token exists
-          if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-          }
-          
-          const response = await fetch(`${API_BASE_URL}/api/car/${carId}`, { 
-            cache: "no-store",
-            headers: headers
-          });
-          
-          if (response.ok) {
-            const data = await response.json();
-            const car = data.data || data; 
+          const data = await getCar(carId, { signal: controller.signal });
+          if (data) {
+            const car = data.data || data;
             
             console.log("Editcar",car); // Handle both {data: {...}} and direct object
             
@@ -86,9 +76,8 @@ export default function EditCar() {
                 ? normalizeCurrency(car.priceToBuy)
                 : priceValue;
               
-              // Extract URL and public_id from image object array
-              const carPhotoUrl = car.images?.[0]?.url || null;
-              const carPhotoPublicId = car.images?.[0]?.public_id || null;
+              // Gallery in backend order; the first image is the cover
+              const carPhotos = photosFromImages(Array.isArray(car.images) ? car.images : []);
               
               // Store original image public_ids for backend image management
               const originalPublicIds = car.images && Array.isArray(car.images) 
@@ -98,6 +87,7 @@ export default function EditCar() {
               
               // Get repairs from API (can be 'repairs' or 'repairHistory')
               const repairsData = car.repairs || [];
+              setHasRepairJobs(Array.isArray(car.repairJobs));
               
               const normalizedCar = {
                 licenseNo: car.licenseNo || "",
@@ -112,7 +102,7 @@ export default function EditCar() {
                 year: car.year || "",
                 purchasedKilo: car.kilo || "",
                 repairHistory: repairsData,
-                image: carPhotoUrl
+                images: carPhotos
               };
               
               setFormData({
@@ -128,7 +118,7 @@ export default function EditCar() {
                 year: normalizedCar.year,
                 purchasedKilo: normalizedCar.purchasedKilo,
                 repairHistory: normalizedCar.repairHistory,
-                carPhoto: normalizedCar.image
+                carPhotos: normalizedCar.images
               });
               
               // Load repair history if it exists
@@ -164,6 +154,7 @@ export default function EditCar() {
             }
           }
         } catch (error) {
+          if (isAbortError(error) || error.isUnauthorized) return;
           console.error("Error fetching car from API:", error);
           // Continue to localStorage fallback
         }
@@ -201,7 +192,7 @@ export default function EditCar() {
               year: foundCar.year || "",
               purchasedKilo: foundCar.purchasedKilo || "",
               repairHistory: foundCar.repairHistory || [],
-              carPhoto: foundCar.carPhoto || null
+              carPhotos: foundCar.carPhoto ? photosFromImages([{ url: foundCar.carPhoto }]) : []
             });
             
             // localStorage doesn't have public_ids, so set to empty array
@@ -233,7 +224,8 @@ export default function EditCar() {
     };
 
     fetchCarData();
-  }, [carId, API_BASE_URL]);
+    return () => controller.abort();
+  }, [carId]);
 
   const formatCurrency = (value) => {
     if (value === null || value === undefined || value === "") return "N/A";
@@ -252,47 +244,13 @@ export default function EditCar() {
     }));
   };
 
-  const handleFileChange = (e) => {
-    const file = e.target.files[0];
+  const handlePhotosChange = (update) => {
     setFormData(prev => ({
       ...prev,
-      carPhoto: file
+      carPhotos: update(prev.carPhotos)
     }));
   };
 
-  useEffect(() => {
-    if (formData.carPhoto instanceof Blob) {
-      const objectUrl = URL.createObjectURL(formData.carPhoto);
-      setPhotoPreviewUrl(objectUrl);
-      return () => {
-        URL.revokeObjectURL(objectUrl);
-      };
-    } else if (typeof formData.carPhoto === 'string' && formData.carPhoto.trim().length > 0) {
-      // For string URLs from API, set it directly as preview
-      setPhotoPreviewUrl(formData.carPhoto);
-    } else {
-      setPhotoPreviewUrl(null);
-    }
-  }, [formData.carPhoto]);
-
-  // Determine the image source to display
-  // Add cache-busting parameter to image URLs to ensure browser loads latest version
-  const getImageSrc = (src) => {
-    if (!src || src === "/admin.png") return src;
-    if (src instanceof Blob) return photoPreviewUrl;
-    if (typeof src === 'string' && src.trim().length > 0) {
-      // Add cache-busting parameter if it's a URL (not a data URL)
-      if (src.startsWith('http://') || src.startsWith('https://')) {
-        const separator = src.includes('?') ? '&' : '?';
-        return `${src}${separator}t=${Date.now()}`;
-      }
-      return src;
-    }
-    return photoPreviewUrl || "/admin.png";
-  };
-  
-  const carPhotoSrc = getImageSrc(formData.carPhoto);
-
   const addRepairHistory = () => {
     setRepairHistory(prev => [...prev, { details: '', amount: '', repairDate: '' }]);
   };
@@ -309,18 +267,28 @@ export default function EditCar() {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (isGalleryProcessing(formData.carPhotos)) {
+      alert("Please wait until all photos have finished processing.");
+      return;
+    }
+    if (!confirmUnprocessedPhotos(formData.carPhotos)) {
+      return;
+    }
     setIsSubmitting(true);
     
     try {
-      // Check if there's a new image file to upload
-      const hasNewImage = formData.carPhoto instanceof Blob;
+      // Work out what changed in the gallery so the backend can apply it in one request
+      const keptPublicIds = formData.carPhotos.filter(photo => photo.public_id).map(photo => photo.public_id);
+      const deletedPublicIds = originalImagePublicIds.filter(id => !keptPublicIds.includes(id));
+      const newPhotos = formData.carPhotos.filter(photo => photo.file);
+      const imagesChanged =
+        newPhotos.length > 0 ||
+        deletedPublicIds.length > 0 ||
+        keptPublicIds.some((id, index) => id !== originalImagePublicIds[index]);
 
       // Try to update via API first
       if (API_BASE_URL) {
         try {
-          // Get token from localStorage for authentication
-          const token = localStorage.getItem('token');
-          
           // Always use FormData for consistency with add-car endpoint
           const formDataToSend = new FormData();
           
@@ -371,38 +339,23 @@ export default function EditCar() {
           // Send repairs as JSON string - backend needs to parse it
           // Some backends automatically parse JSON strings from FormData
           // If not, the backend middleware needs to handle JSON string parsing
-          formDataToSend.append('repairs', JSON.stringify(transformedRepairs));
-          
-          // Handle image updates/removal
-          // Backend expects existingImages array to know which images to keep
-          if (formData.carPhoto === null || formData.carPhoto === '') {
-            // User removed the photo - send empty array to delete all existing images
-            formDataToSend.append('existingImages', JSON.stringify([]));
-            console.log('Image removal: Sending empty existingImages array to remove all images');
-          } else if (hasNewImage && formData.carPhoto instanceof Blob) {
-            // User uploaded a new image - keep existing images (if any) and add new one
-            // Send existing public_ids so backend knows to keep them
-            formDataToSend.append('existingImages', JSON.stringify(originalImagePublicIds));
-            formDataToSend.append('images', formData.carPhoto);
-            console.log('New image upload: Keeping existing images:', originalImagePublicIds);
-          } else if (typeof formData.carPhoto === 'string' && formData.carPhoto.trim().length > 0) {
-            // User kept the existing photo - send existing public_ids to keep them
-            formDataToSend.append('existingImages', JSON.stringify(originalImagePublicIds));
-            console.log('Keeping existing images:', originalImagePublicIds);
-          } else {
-            // No image change - send existing public_ids to keep them
-            formDataToSend.append('existingImages', JSON.stringify(originalImagePublicIds));
-            console.log('No image change: Keeping existing images:', originalImagePublicIds);
-          }
-          
-          const headers = {};
-          
-          // Add Authorization header if token exists
-          if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
+          if (!hasRepairJobs) {
+            formDataToSend.append('repairs', JSON.stringify(transformedRepairs));
           }
           
-          // Don't set Content-Type for FormData - browser will set it automatically with boundary
+          // Handle image updates
+          // existingImages: public_ids to keep, deletedImages: public_ids to remove,
+          // imageOrder: final order where new uploads are "new:<index into images>"
+          formDataToSend.append('existingImages', JSON.stringify(keptPublicIds));
+          formDataToSend.append('deletedImages', JSON.stringify(deletedPublicIds));
+          formDataToSend.append(
+            'imageOrder',
+            JSON.stringify(formData.carPhotos.map(photo => photo.public_id || `new:${newPhotos.indexOf(photo)}`))
+          );
+          newPhotos.forEach(photo => {
+            formDataToSend.append('images', photo.file);
+          });
+          console.log('Images: keeping', keptPublicIds, 'deleting', deletedPublicIds, 'uploading', newPhotos.length);
           
           // Log the FormData contents for debugging
           console.log("Sending update request with FormData:");
@@ -412,89 +365,35 @@ export default function EditCar() {
 
           console.log("formDataToSend",formDataToSend);
           
-          // Try PUT method
-          const response = await fetch(`${API_BASE_URL}/api/car/${carId}/edit`, {
-            method: 'PUT',
-            headers: headers,
-            body: formDataToSend
-          });
-
-          console.log("Response status:", response.status);
-          const responseData = await response.json().catch(() => ({}));
+          const responseData = await editCar(carId, formDataToSend, { signal: getSignal() });
           console.log("Response data:", responseData);
-          
-          // Log more details if error
-          if (!response.ok) {
-            console.error("Full error details:", {
-              status: response.status,
-              statusText: response.statusText,
-              data: responseData,
-              url: `${API_BASE_URL}/api/car/${carId}/edit`,
-              method: 'PUT'
-            });
-          }
 
-          if (response.ok) {
+          if (responseData?.success !== false) {
             console.log("Car updated via API:", responseData);
             
             // Get the updated car data from API response
-            const updatedCar = responseData.car || responseData.data || responseData;
+            const updatedCar = responseData?.car || responseData?.data || responseData;
             
-            // Extract the new image URL from the updated car data
-            let newImageUrl = null;
-            if (updatedCar && updatedCar.images && Array.isArray(updatedCar.images) && updatedCar.images.length > 0) {
-              newImageUrl = updatedCar.images[0].url;
-            } else if (updatedCar && updatedCar.image) {
-              newImageUrl = updatedCar.image;
-            }
-            
-            // If we uploaded a new image or removed an image, refresh from API to get the updated image data
-            // This ensures we have the correct URL and public_ids even if response doesn't include them
-            if (hasNewImage || formData.carPhoto === null) {
+            // Take the saved gallery from the response, or refresh from the API when the
+            // response doesn't carry it, so the form holds real URLs and public_ids
+            let savedImages = Array.isArray(updatedCar?.images) ? updatedCar.images : null;
+            if (imagesChanged && !savedImages) {
               try {
-                const refreshResponse = await fetch(`${API_BASE_URL}/api/car/${carId}`, { 
-                  cache: "no-store",
-                  headers: headers
-                });
-                
-                if (refreshResponse.ok) {
-                  const refreshData = await refreshResponse.json();
-                  const refreshedCar = refreshData.data || refreshData;
-                  
-                  // Get the new image URL and public_ids from refreshed data
-                  if (refreshedCar && refreshedCar.images && Array.isArray(refreshedCar.images)) {
-                    if (refreshedCar.images.length > 0) {
-                      newImageUrl = refreshedCar.images[0].url;
-                      // Update original image public_ids with new data
-                      const newPublicIds = refreshedCar.images.map(img => img.public_id).filter(id => id);
-                      setOriginalImagePublicIds(newPublicIds);
-                    } else {
-                      // Images were removed
-                      newImageUrl = null;
-                      setOriginalImagePublicIds([]);
-                    }
-                  } else if (refreshedCar && refreshedCar.image) {
-                    newImageUrl = refreshedCar.image;
-                  }
-                }
+                const refreshData = await getCar(carId, { signal: getSignal() });
+                const refreshedCar = refreshData?.data || refreshData;
+                savedImages = Array.isArray(refreshedCar?.images) ? refreshedCar.images : null;
               } catch (refreshError) {
                 console.error("Error refreshing car data after image update:", refreshError);
-                // Continue with URL from response if available
               }
             }
             
-            // Update formData with the new image URL from backend
-            // This replaces the Blob object with the actual URL, or null if removed
-            if (newImageUrl !== null) {
-              setFormData(prev => ({
-                ...prev,
-                carPhoto: newImageUrl // Update with new URL from backend (replaces Blob)
-              }));
-            } else if (hasNewImage || formData.carPhoto === null) {
-              // If we uploaded but couldn't get URL, or if we removed image, clear it
+            let newImageUrl = null;
+            if (savedImages) {
+              newImageUrl = savedImages[0]?.url || null;
+              setOriginalImagePublicIds(savedImages.map(img => img.public_id).filter(id => id));
               setFormData(prev => ({
                 ...prev,
-                carPhoto: null // Clear if removed or can't get new URL
+                carPhotos: photosFromImages(savedImages)
               }));
             }
             
@@ -531,11 +430,11 @@ export default function EditCar() {
             router.push(`/admin/car-details/${carId}`);
             return;
           } else {
-            console.error("API update failed - Status:", response.status);
             console.error("API update failed - Response:", responseData);
-            throw new Error(`API update failed: ${response.status} - ${responseData.message || 'Unknown error'}`);
+            throw new Error(`API update failed: ${responseData.message || 'Unknown error'}`);
           }
         } catch (apiError) {
+          if (isAbortError(apiError) || apiError.isUnauthorized) return;
           console.error("Error updating car via API:", apiError);
           // Continue to localStorage fallback
         }
@@ -636,7 +535,7 @@ export default function EditCar() {
       year: formData.year,
       purchasedKilo: formData.purchasedKilo,
       repairHistory: repairHistory,
-      carPhoto: formData.carPhoto,
+      carPhoto: formData.carPhotos.find(photo => !photo.file)?.url || null,
       soldDate: new Date().toLocaleDateString('en-GB'),
       soldPrice: `฿${parseInt(soldPrice).toLocaleString()}`,
       customerName: customerInfo.customerName,
@@ -667,7 +566,7 @@ export default function EditCar() {
   };
 
   const handleLogout = () => {
-    window.location.href = '/admin/login';
+    logout('/admin/login');
   };
 
   if (loading) {
@@ -933,167 +832,112 @@ export default function EditCar() {
 
               {/* Car Photo Upload */}
               <div>
-                <label htmlFor="carPhoto" className="block text-base font-medium text-white mb-2">
-                  Car Photo
+                <label htmlFor="carPhotos" className="block text-base font-medium text-white mb-2">
+                  Car Photos
                 </label>
-                <div className="mt-1 flex justify-center px-6 pt-5 pb-6 border-2 border-gray-600 border-dashed rounded-md bg-black/30">
-                  <div className="space-y-1 text-center">
-                    {formData.carPhoto ? (
-                      <div className="space-y-2">
-                        <PhotoViewer 
-                          src={carPhotoSrc} 
-                          alt="Car preview" 
-                          className="mx-auto h-32 w-auto rounded-lg object-cover cursor-pointer hover:opacity-90 transition-opacity"
-                        />
-                        <div className="flex justify-center space-x-2">
-                          <button
-                            type="button"
-                            onClick={() => setFormData(prev => ({ ...prev, carPhoto: null }))}
-                            className="bg-red-600 text-white px-3 py-1 rounded text-sm hover:bg-red-700 cursor-pointer"
-                          >
-                            Remove Photo
-                          </button>
-                          <label
-                            htmlFor="carPhoto"
-                            className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700 cursor-pointer"
-                          >
-                            Change Photo
-                            <input
-                              id="carPhoto"
-                              name="carPhoto"
-                              type="file"
-                              accept="image/*"
-                              onChange={handleFileChange}
-                              className="sr-only"
-                            />
-                          </label>
-                        </div>
-                      </div>
-                    ) : (
-                      <>
-                        <svg
-                          className="mx-auto h-12 w-12 text-gray-400"
-                          stroke="currentColor"
-                          fill="none"
-                          viewBox="0 0 48 48"
-                          aria-hidden="true"
-                        >
-                          <path
-                            d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8m-12 4h.02"
-                            strokeWidth={2}
-                            strokeLinecap="round"
-                            strokeLinejoin="round"
-                          />
-                        </svg>
-                        <div className="flex text-sm text-gray-400">
-                          <label
-                            htmlFor="carPhoto"
-                            className="relative cursor-pointer bg-black/50 rounded-md font-medium text-red-500 hover:text-red-400 focus-within:outline-none focus-within:ring-2 focus-within:ring-offset-2 focus-within:ring-red-500"
-                          >
-                            <span>Upload a file</span>
-                            <input
-                              id="carPhoto"
-                              name="carPhoto"
-                              type="file"
-                              accept="image/*"
-                              onChange={handleFileChange}
-                              className="sr-only"
-                            />
-                          </label>
-                          <p className="pl-1">or drag and drop</p>
-                        </div>
-                        <p className="text-xs text-gray-500">PNG, JPG, GIF up to 10MB</p>
-                      </>
-                    )}
-                  </div>
-                </div>
+                <PhotoGalleryEditor
+                  photos={formData.carPhotos}
+                  onChange={handlePhotosChange}
+                />
               </div>
 
-              {/* Repair History */}
-              <div>
-                <div className="flex items-center gap-2 mb-2">
+              {/* Repair History - cars with repair jobs are managed on the car details page */}
+              {hasRepairJobs ? (
+                <div>
                   <span className="text-base font-bold text-white">Repair History</span>
-                  <button
-                    type="button"
-                    onClick={() => {
-                      const newShowState = !showRepairHistory;
-                      setShowRepairHistory(newShowState);
-                      // Auto-add first repair entry when opening
-                      if (newShowState && repairHistory.length === 0) {
-                        setRepairHistory([{ details: '', amount: '', repairDate: new Date().toISOString().split('T')[0] }]);
-                      }
-                    }}
-                    className="flex items-center justify-center w-6 h-6 bg-red-600 text-white rounded-full hover:bg-red-700 transition-colors cursor-pointer"
-                  >
-                    {showRepairHistory ? (
-                      <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 12H4" />
-                      </svg>
-                    ) : (
-                      <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-                      </svg>
-                    )}
-                  </button>
+                  <p className="text-gray-300 text-sm mt-2">
+                    This car&apos;s repairs are tracked as repair jobs.{" "}
+                    <Link href={`/admin/car-details/${carId}`} className="text-blue-300 hover:text-blue-200 underline">
+                      Manage them on the car details page
+                    </Link>
+                  </p>
                 </div>
-                {showRepairHistory && (
-                  <div className="space-y-4">
-                    {repairHistory.map((item, index) => (
-                      <div key={index} className="flex gap-4 items-start">
-                        <div className="flex-1">
-                          <input
-                            type="text"
-                            placeholder="Repair details"
-                            value={item.details}
-                            onChange={(e) => updateRepairHistory(index, 'details', e.target.value)}
-                            className="w-full px-3 py-2 border border-gray-600 rounded-md bg-black/30 text-white text-base placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
-                          />
-                        </div>
-                        <div className="w-40">
-                          <input
-                            type="date"
-                            placeholder="Repair Date"
-                            value={item.repairDate || ''}
-                            onChange={(e) => updateRepairHistory(index, 'repairDate', e.target.value)}
-                            className="w-full px-3 py-2 border border-gray-600 rounded-md bg-black/30 text-white text-base placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
-                            required
-                          />
-                        </div>
-                        <div className="w-32">
-                          <input
-                            type="text"
-                            inputMode="numeric"
-                            placeholder="Amount (฿)"
-                            value={item.amount}
-                            onChange={(e) => {
-                              const value = e.target.value;
-                              if (value === '' || /^\d*\.?\d*$/.test(value)) {
-                                updateRepairHistory(index, 'amount', value);
-                              }
-                            }}
-                            className="w-full px-3 py-2 border border-gray-600 rounded-md bg-black/30 text-white text-base placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
-                            required
-                          />
-                        </div>
-                        <button
-                          type="button"
-                          onClick={() => removeRepairHistory(index)}
-                          className="bg-red-600 text-white px-3 py-2 rounded hover:bg-red-700 transition-colors cursor-pointer"
-                        >
-                          ×
-                        </button>
-                      </div>
-                    ))}
+              ) : (
+                <div>
+                  <div className="flex items-center gap-2 mb-2">
+                    <span className="text-base font-bold text-white">Repair History</span>
                     <button
                       type="button"
-                      onClick={addRepairHistory}
-                      className="bg-red-600 text-white px-4 py-2 rounded hover:bg-red-700 transition-colors cursor-pointer"
+                      onClick={() => {
+                        const newShowState = !showRepairHistory;
+                        setShowRepairHistory(newShowState);
+                        // Auto-add first repair entry when opening
+                        if (newShowState && repairHistory.length === 0) {
+                          setRepairHistory([{ details: '', amount: '', repairDate: new Date().toISOString().split('T')[0] }]);
+                        }
+                      }}
+                      className="flex items-center justify-center w-6 h-6 bg-red-600 text-white rounded-full hover:bg-red-700 transition-colors cursor-pointer"
                     >
-                      + Add Repair
+                      {showRepairHistory ? (
+                        <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 12H4" />
+                        </svg>
+                      ) : (
+                        <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                        </svg>
+                      )}
                     </button>
                   </div>
-                )}
-              </div>
+                  {showRepairHistory && (
+                    <div className="space-y-4">
+                      {repairHistory.map((item, index) => (
+                        <div key={index} className="flex gap-4 items-start">
+                          <div className="flex-1">
+                            <input
+                              type="text"
+                              placeholder="Repair details"
+                              value={item.details}
+                              onChange={(e) => updateRepairHistory(index, 'details', e.target.value)}
+                              className="w-full px-3 py-2 border border-gray-600 rounded-md bg-black/30 text-white text-base placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                            />
+                          </div>
+                          <div className="w-40">
+                            <input
+                              type="date"
+                              placeholder="Repair Date"
+                              value={item.repairDate || ''}
+                              onChange={(e) => updateRepairHistory(index, 'repairDate', e.target.value)}
+                              className="w-full px-3 py-2 border border-gray-600 rounded-md bg-black/30 text-white text-base placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                              required
+                            />
+                          </div>
+                          <div className="w-32">
+                            <input
+                              type="text"
+                              inputMode="numeric"
+                              placeholder="Amount (฿)"
+                              value={item.amount}
+                              onChange={(e) => {
+                                const value = e.target.value;
+                                if (value === '' || /^\d*\.?\d*$/.test(value)) {
+                                  updateRepairHistory(index, 'amount', value);
+                                }
+                              }}
+                              className="w-full px-3 py-2 border border-gray-600 rounded-md bg-black/30 text-white text-base placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                              required
+                            />
+                          </div>
+                          <button
+                            type="button"
+                            onClick={() => removeRepairHistory(index)}
+                            className="bg-red-600 text-white px-3 py-2 rounded hover:bg-red-700 transition-colors cursor-pointer"
+                          >
+                            ×
+                          </button>
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        onClick={addRepairHistory}
+                        className="bg-red-600 text-white px-4 py-2 rounded hover:bg-red-700 transition-colors cursor-pointer"
+                      >
+                        + Add Repair
+                      </button>
+                    </div>
+                  )}
+                </div>
+              )}
 
               {/* Submit Button */}
               <div className="flex flex-col sm:flex-row justify-end gap-4">
@@ -1103,10 +947,10 @@ export default function EditCar() {
                   </Link>
                   <button
                     type="submit"
-                    disabled={isSubmitting}
+                    disabled={isSubmitting || isGalleryProcessing(formData.carPhotos)}
                     className="bg-black/20 backdrop-blur-md text-white px-6 py-3 rounded-lg hover:bg-black/30 hover:text-red-500 disabled:bg-black/10 disabled:cursor-not-allowed text-base font-medium border border-white/30 transition-all duration-200 cursor-pointer"
                   >
-                    {isSubmitting ? "Updating..." : "Update Car"}
+                    {isSubmitting ? "Updating..." : isGalleryProcessing(formData.carPhotos) ? "Processing photos..." : "Update Car"}
                   </button>
                 </div>
               </div>
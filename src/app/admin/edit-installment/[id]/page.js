@@ -1,7 +1,38 @@
 "use client";
 import Link from "next/link";
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo } from "react";
 import { useParams, useRouter } from "next/navigation";
+import {
+  API_BASE_URL,
+  editInstallment,
+  getInstallment,
+  isAbortError,
+  recordMonthlyPayment,
+  useAbortSignal,
+} from "@/lib/api";
+import { logout } from "@/lib/session";
+import {
+  INTEREST_METHODS,
+  VAT_PERCENT,
+  addMonths,
+  buildQuote,
+  formatBaht,
+  fromSatang,
+  parseQuoteInputs,
+  scheduledPaymentForMonth,
+  toSatang,
+  todayInputValue,
+} from "@/lib/installments";
+import { allocateReceipt, monthBalances, nextMonthRecord } from "@/lib/installmentLedger";
+import {
+  DEFAULT_PENALTY_RULES,
+  fetchPenaltyRules,
+  findOverdueMonths,
+  savePenaltyRules,
+} from "@/lib/penalties";
+import { completeReceipt, issueReceiptNumber, voidReceipt } from "@/lib/receipts";
+import { downloadReceiptPdf } from "@/lib/receiptPdf";
+import OwnerBookTransferTracker from "@/app/components/OwnerBookTransferTracker";
 
 export default function EditInstallment() {
   const params = useParams();
@@ -15,6 +46,11 @@ export default function EditInstallment() {
     carPrice: "",
     downPayment: "",
     monthlyPayment: "",
+    totalPayable: "",
+    vatPercent: "",
+    interestPerMonth: "",
+    financeFees: "",
+    interestMethod: "flat",
     installmentPeriod: "",
     carModel: "",
     licensePlate: "",
@@ -23,21 +59,50 @@ export default function EditInstallment() {
   });
   const [loading, setLoading] = useState(true);
   const [paidMonths, setPaidMonths] = useState(new Set());
+  // One record per month, including the cash receipts applied to it
+  const [paymentHistory, setPaymentHistory] = useState([]);
+  const [receiptForm, setReceiptForm] = useState({ amount: "", date: todayInputValue() });
+  const [recordingReceipt, setRecordingReceipt] = useState(false);
   const [ownerBookStatus, setOwnerBookStatus] = useState('pending');
+  // The sold car as the owner book transfer tracker needs it
+  const [transferCar, setTransferCar] = useState(null);
+  const [showTransferTracker, setShowTransferTracker] = useState(false);
   const [selectedMonths, setSelectedMonths] = useState([]);
   const [penaltyFees, setPenaltyFees] = useState({});
   const [confirmedPenalties, setConfirmedPenalties] = useState({});
+  // { [month]: reason } for months where less than the suggested penalty is charged
+  const [penaltyWaivers, setPenaltyWaivers] = useState({});
+  const [penaltyRules, setPenaltyRules] = useState(DEFAULT_PENALTY_RULES);
+  const [showPenaltyRules, setShowPenaltyRules] = useState(false);
   const [bulkActionInProgress, setBulkActionInProgress] = useState(false);
   const [bulkActionMessage, setBulkActionMessage] = useState("");
   const [showResetConfirmation, setShowResetConfirmation] = useState(false);
   const [showMarkAllPaidConfirmation, setShowMarkAllPaidConfirmation] = useState(false);
-  const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+  const getSignal = useAbortSignal();
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const loadPenaltyRules = async () => {
+      try {
+        setPenaltyRules(await fetchPenaltyRules({ signal: controller.signal }));
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to load penalty rules:", error);
+      }
+    };
+
+    loadPenaltyRules();
+    return () => controller.abort();
+  }, []);
 
   useEffect(() => {
     if (typeof window === "undefined") {
       return;
     }
 
+    const controller = new AbortController();
+
     const fetchInstallmentData = async () => {
       if (!API_BASE_URL) {
         console.warn("API base URL is not set. Cannot fetch installment data.");
@@ -47,33 +112,8 @@ export default function EditInstallment() {
 
       try {
         setLoading(true);
-        
-        // Get token from localStorage for authentication
-        const token = localStorage.getItem('token');
-        
-        const headers = {};
-        
-        // Add Authorization header if token exists
-        if (token) {
-          headers['Authorization'] = `Bearer ${token}`;
-        }
-        
-        // Fetch installment data from API
-        const response = await fetch(`${API_BASE_URL}/api/car/${installmentId}/installment`, {
-          cache: "no-store",
-          headers: headers
-        });
-        
-        if (!response.ok) {
-          if (response.status === 401) {
-            alert("Unauthorized: Please login again.");
-            router.push('/admin/login');
-            return;
-          }
-          throw new Error(`Request failed with status ${response.status}`);
-        }
-        
-        const data = await response.json();
+
+        const data = await getInstallment(installmentId, { signal: controller.signal });
         console.log("Installment details (edit page)", data);
 
         const root = data.data || data;
@@ -86,9 +126,9 @@ export default function EditInstallment() {
         const months = installment.months || 0;
         const monthlyPayment = installment.monthlyPayment || summaryData.monthlyPayment || 0;
         
-        // Calculate total price (downPayment + remainingAmount)
-        // Use the original car price (priceToSell) - same as shown in other pages
-        const carPrice = carData.priceToSell || 0;
+        // The price the contract was written at; contracts from before it was
+        // stored fall back to the car's listed price (priceToSell)
+        const carPrice = installment.carValue ?? carData.priceToSell ?? 0;
         
         // Convert start date to YYYY-MM-DD format for date input
         let formattedDate = "";
@@ -110,6 +150,12 @@ export default function EditInstallment() {
           carPrice: carPrice.toString(),
           downPayment: (installment.downPayment || 0).toString(),
           monthlyPayment: monthlyPayment.toString(),
+          // Pricing terms are only present on contracts created through the engine
+          totalPayable: installment.totalPayable ? installment.totalPayable.toString() : "",
+          vatPercent: installment.vatPercent !== undefined ? installment.vatPercent.toString() : "",
+          interestPerMonth: installment.interestPerMonth !== undefined ? installment.interestPerMonth.toString() : "",
+          financeFees: installment.financeFees !== undefined ? installment.financeFees.toString() : "",
+          interestMethod: installment.interestMethod || "flat",
           installmentPeriod: months.toString(),
           carModel: `${carData.brand || ""} ${carData.model || ""}`.trim(),
           licensePlate: carData.licenseNo || "",
@@ -122,11 +168,13 @@ export default function EditInstallment() {
         const paidMonthsSet = new Set();
         const paymentHistory = installment.paymentHistory || [];
 
-        if (paymentHistory.length > 0 && paymentHistory[0].month !== undefined) {
-          // Use explicit month field from payment history
+        const monthOf = (payment) => payment.month ?? payment.monthNumber;
+
+        if (paymentHistory.length > 0 && monthOf(paymentHistory[0]) !== undefined) {
+          // Use explicit month field from payment history; partial payments stay unpaid
           paymentHistory.forEach((payment) => {
-            if (payment.month && payment.month <= months) {
-              paidMonthsSet.add(payment.month);
+            if (monthOf(payment) && monthOf(payment) <= months && payment.paid !== false) {
+              paidMonthsSet.add(monthOf(payment));
             }
           });
         } else {
@@ -139,6 +187,20 @@ export default function EditInstallment() {
         }
 
         setPaidMonths(paidMonthsSet);
+        setPaymentHistory(
+          paymentHistory.map((payment, index) => ({ ...payment, monthNumber: monthOf(payment) ?? index + 1 }))
+        );
+
+        setTransferCar({
+          id: installmentId,
+          brand: carData.brand || "",
+          model: carData.model || "",
+          licenseNo: carData.licenseNo || "",
+          customerName: buyer.name || "",
+          ownerBookProcess: carData.ownerBookProcess,
+          statusHistory: carData.statusHistory || [],
+          installment,
+        });
 
         // Initialize owner book status similar to InstallmentDetails
         if (summaryData.isFullyPaid || (summaryData.paymentProgress || 0) >= 100) {
@@ -149,6 +211,7 @@ export default function EditInstallment() {
 
         setLoading(false);
       } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
         console.error("Error loading installment data:", error);
         alert(`Failed to load installment data: ${error.message}`);
         setLoading(false);
@@ -156,7 +219,8 @@ export default function EditInstallment() {
     };
 
     fetchInstallmentData();
-  }, [installmentId, API_BASE_URL, router]);
+    return () => controller.abort();
+  }, [installmentId]);
 
   // Auto-update owner book status based on payment progress:
   // - Pending while not all months are paid
@@ -177,7 +241,79 @@ export default function EditInstallment() {
     const { name, value } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: value,
+      // A hand-typed monthly payment or term no longer matches the stored schedule
+      ...((name === "monthlyPayment" || name === "installmentPeriod") && { totalPayable: "" })
+    }));
+  };
+
+  // Scheduled amounts per month. The last month of an engine-priced contract
+  // carries the rounding remainder, so it can differ from the monthly figure.
+  const contract = useMemo(() => ({
+    monthlyPayment: parseFloat(formData.monthlyPayment) || 0,
+    months: parseInt(formData.installmentPeriod) || 0,
+    totalPayable: parseFloat(formData.totalPayable) || 0,
+  }), [formData.monthlyPayment, formData.installmentPeriod, formData.totalPayable]);
+
+  // What has been paid on each month so far, including partial payments
+  const balances = useMemo(() => monthBalances(contract, paymentHistory), [contract, paymentHistory]);
+  const paidAmount = balances.reduce((sum, balance) => sum + balance.installmentPaid, 0);
+  const remainingAmount = balances.reduce((sum, balance) => sum + balance.remaining, 0);
+
+  // Unpaid months past their due date, with the penalty the rules suggest
+  const overdueMonths = useMemo(
+    () =>
+      findOverdueMonths({
+        startDate: formData.purchasedDate,
+        months: contract.months,
+        paidMonths,
+        amountForMonth: (month) => scheduledPaymentForMonth(contract, month),
+        rules: penaltyRules
+      }),
+    [formData.purchasedDate, contract, paidMonths, penaltyRules]
+  );
+  const overdueByMonth = Object.fromEntries(overdueMonths.map((item) => [item.month, item]));
+  const totalSuggestedPenalties = overdueMonths.reduce((sum, item) => sum + item.suggestedPenalty, 0);
+
+  // Penalty typed by the admin, otherwise the suggested one
+  const penaltyForMonth = (monthNumber) =>
+    penaltyFees[monthNumber] !== undefined ? penaltyFees[monthNumber] : overdueByMonth[monthNumber]?.suggestedPenalty || 0;
+
+  // Charging less than the suggested penalty needs a waiver reason
+  const penaltyNeedsReason = (monthNumber) =>
+    penaltyForMonth(monthNumber) < (overdueByMonth[monthNumber]?.suggestedPenalty || 0) &&
+    !(penaltyWaivers[monthNumber] || "").trim();
+
+  // How the cash being recorded would be applied across the open months
+  const receiptPreview = parseFloat(receiptForm.amount) > 0
+    ? allocateReceipt({ amount: parseFloat(receiptForm.amount), balances, penaltyForMonth })
+    : null;
+
+  // Quote for the current price, down payment, term and interest terms
+  const recalculatedQuote = useMemo(() => {
+    const inputs = parseQuoteInputs({
+      carValue: formData.carPrice,
+      vatPercent: formData.vatPercent || VAT_PERCENT,
+      downPayment: formData.downPayment,
+      interestPerMonth: formData.interestPerMonth,
+      financeFees: formData.financeFees,
+      months: formData.installmentPeriod,
+      interestMethod: formData.interestMethod,
+      startDate: formData.purchasedDate || undefined
+    });
+    return inputs ? { inputs, ...buildQuote(inputs) } : null;
+  }, [formData.carPrice, formData.vatPercent, formData.downPayment, formData.interestPerMonth, formData.financeFees, formData.installmentPeriod, formData.interestMethod, formData.purchasedDate]);
+
+  const handleRecalculate = () => {
+    if (!recalculatedQuote) {
+      alert("Please enter the car price, a down payment below the total price and the number of months.");
+      return;
+    }
+    setFormData(prev => ({
+      ...prev,
+      monthlyPayment: recalculatedQuote.monthlyPayment.toString(),
+      totalPayable: recalculatedQuote.totalPayable.toString(),
+      vatPercent: recalculatedQuote.inputs.vatPercent.toString()
     }));
   };
 
@@ -188,137 +324,289 @@ export default function EditInstallment() {
     }));
   };
 
-  // Record a single monthly payment as PAID via API
+  const handlePenaltyRuleChange = (name, value) => {
+    if (value !== '' && !/^\d*\.?\d*$/.test(value)) return;
+    setPenaltyRules(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSavePenaltyRules = async () => {
+    const rules = Object.fromEntries(
+      Object.keys(DEFAULT_PENALTY_RULES).map((key) => [key, Number(penaltyRules[key]) || 0])
+    );
+    try {
+      await savePenaltyRules(rules, { signal: getSignal() });
+      setPenaltyRules(rules);
+      setShowPenaltyRules(false);
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Failed to save penalty rules:", error);
+      alert(`Failed to save penalty rules: ${error.message}`);
+    }
+  };
+
+  const handleWaivePenalty = (monthNumber) => {
+    setPenaltyWaivers(prev => ({ ...prev, [monthNumber]: prev[monthNumber] ?? "" }));
+    setPenaltyFees(prev => ({ ...prev, [monthNumber]: 0 }));
+  };
+
+  const handleCancelWaiver = (monthNumber) => {
+    setPenaltyWaivers(prev => {
+      const next = { ...prev };
+      delete next[monthNumber];
+      return next;
+    });
+    setPenaltyFees(prev => {
+      const next = { ...prev };
+      delete next[monthNumber];
+      return next;
+    });
+  };
+
+  // Receipt contents for the months one payment was applied to
+  const receiptDetails = (allocations, date) => {
+    const installmentTotal = allocations.reduce((sum, allocation) => sum + toSatang(allocation.installmentAmount), 0);
+    const penaltyTotal = allocations.reduce((sum, allocation) => sum + toSatang(allocation.penaltyFee), 0);
+    return {
+      contractId: installmentId,
+      date,
+      customer: { name: formData.customerName, passport: formData.passportNumber },
+      carModel: formData.carModel,
+      licensePlate: formData.licensePlate,
+      lines: allocations.map(({ month, installmentAmount, penaltyFee }) => ({ month, installmentAmount, penaltyFee })),
+      amount: fromSatang(installmentTotal + penaltyTotal),
+      penalty: fromSatang(penaltyTotal),
+      balanceRemaining: fromSatang(Math.max(0, toSatang(remainingAmount) - installmentTotal)),
+    };
+  };
+
+  // A receipt number from the server, or null (after telling the user) when none could be had
+  const reserveReceiptNumber = async () => {
+    try {
+      return await issueReceiptNumber({ signal: getSignal() });
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return null;
+      console.error("Failed to reserve a receipt number:", error);
+      alert(`Could not get a receipt number: ${error.message}`);
+      return null;
+    }
+  };
+
+  const printReceipt = (receipt) =>
+    downloadReceiptPdf(receipt).catch((error) => {
+      console.error("Failed to create receipt PDF:", error);
+      alert(`Payment recorded, but the PDF for receipt ${receipt.number} could not be created. Reprint it from the installment details page.`);
+    });
+
+  // Record a payment on one month via API. Without `allocation` the month's
+  // remaining balance plus its penalty is paid in full; a cash receipt passes
+  // the part of it applied to this month. Without `receipt` the payment gets
+  // its own receipt number. Resolves to the allocation once recorded, else false.
   const handleMonthlyPayment = async (monthNumber, options = {}) => {
-    const { silent = false } = options;
+    const { silent = false, allocation, receipt } = options;
     if (!API_BASE_URL) {
       if (!silent) {
         alert("API base URL is not configured.");
       }
-      return;
+      return false;
     }
 
+    let ownReceiptNumber = null;
     try {
-      // Get token from localStorage for authentication
-      const token = localStorage.getItem('token');
-      
-      const headers = {
-        'Content-Type': 'application/json',
+      // Calculate payment amount (balance left on the month + penalty fee if any)
+      const balance = balances[monthNumber - 1];
+      const applied = allocation || {
+        month: monthNumber,
+        installmentAmount: balance.remaining,
+        penaltyFee: Math.max(0, penaltyForMonth(monthNumber) - balance.penaltyPaid),
+        settles: true
       };
-      
-      // Add Authorization header if token exists
-      if (token) {
-        headers['Authorization'] = `Bearer ${token}`;
+      const penaltyFee = penaltyForMonth(monthNumber);
+      const totalAmount = applied.installmentAmount + applied.penaltyFee;
+      const overdue = overdueByMonth[monthNumber];
+      const suggestedPenalty = overdue?.suggestedPenalty || 0;
+      const waiverReason = (penaltyWaivers[monthNumber] || "").trim();
+
+      // Charging less than the rules suggest needs a recorded reason
+      if (penaltyNeedsReason(monthNumber)) {
+        if (!silent) {
+          alert(`Month ${monthNumber} is ${overdue.daysLate} days late. Enter a reason to waive the suggested penalty of ${formatCurrency(suggestedPenalty)}, or charge it in full.`);
+        }
+        return false;
       }
 
-      // Calculate payment amount (monthly payment + penalty fee if any)
-      const monthlyPayment = parseFloat(formData.monthlyPayment) || 0;
-      const penaltyFee = penaltyFees[monthNumber] || 0;
-      const totalAmount = monthlyPayment + penaltyFee;
+      // Numbers are taken just before sending so a rejected payment voids it
+      if (!receipt) {
+        ownReceiptNumber = await issueReceiptNumber({ signal: getSignal() });
+      }
 
       console.log('💰 Payment Data for Month', monthNumber, ':', {
-        monthlyPayment,
+        applied,
         penaltyFee,
         totalAmount,
         penaltyFeesState: penaltyFees
       });
 
-      // Prepare payment data according to API validation requirements
-      const paymentData = {
-        monthNumber: monthNumber,
-        amount: totalAmount,
-        paid: true,
-        paymentDate: new Date().toISOString(),
-      };
+      // Prepare payment data according to API validation requirements; the
+      // month keeps its cumulative totals and every receipt applied to it
+      const paymentDate = receipt?.date || new Date().toISOString();
+      const paymentData = nextMonthRecord(balance, applied, {
+        receiptId: receipt?.receiptId || ownReceiptNumber,
+        date: paymentDate,
+        receiptAmount: receipt?.amount ?? totalAmount
+      });
 
       // Add penalty fee if it exists
-      if (penaltyFee > 0) {
-        paymentData.penaltyFee = penaltyFee;
-        console.log('✅ Including penalty fee in payment:', penaltyFee);
+      if (paymentData.penaltyFee > 0) {
+        console.log('✅ Including penalty fee in payment:', applied.penaltyFee);
       } else {
+        delete paymentData.penaltyFee;
         console.log('❌ No penalty fee for this month');
       }
 
-      const response = await fetch(`${API_BASE_URL}/api/car/${installmentId}/installment/monthly-payment`, {
-        method: 'POST',
-        headers: headers,
-        body: JSON.stringify(paymentData),
-      });
-
-      if (!response.ok) {
-        if (response.status === 401) {
-          if (!silent) {
-            alert("Unauthorized: Please login again.");
-          }
-          router.push('/admin/login');
-          return;
-        }
-        const errorData = await response.json().catch(() => ({}));
-        
-        // Handle validation errors
-        if (errorData.errors && Array.isArray(errorData.errors)) {
-          const errorMessages = errorData.errors.map(err => `${err.field}: ${err.message}`).join('\n');
-          if (!silent) {
-            alert(`Validation errors:\n${errorMessages}`);
-          } else {
-            console.error("Validation errors (monthly payment):", errorMessages);
-          }
-          return;
-        }
-        
-        throw new Error(errorData.message || errorData.error || `Request failed with status ${response.status}`);
+      // Keep how late it was and any waived amount with the payment
+      if (overdue) {
+        paymentData.daysLate = overdue.daysLate;
+        paymentData.suggestedPenalty = suggestedPenalty;
+      }
+      if (penaltyFee < suggestedPenalty) {
+        paymentData.penaltyWaived = suggestedPenalty - penaltyFee;
+        paymentData.penaltyWaiverReason = waiverReason;
       }
 
-      const result = await response.json();
-      
+      const result = await recordMonthlyPayment(installmentId, paymentData, { signal: getSignal() });
+
       if (!result.success) {
         // Handle validation errors in response
         if (result.errors && Array.isArray(result.errors)) {
           const errorMessages = result.errors.map(err => `${err.field}: ${err.message}`).join('\n');
+          if (ownReceiptNumber) voidReceipt(ownReceiptNumber, errorMessages);
           if (!silent) {
             alert(`Validation errors:\n${errorMessages}`);
           } else {
             console.error("Validation errors (monthly payment):", errorMessages);
           }
-          return;
+          return false;
         }
         
+        if (ownReceiptNumber) voidReceipt(ownReceiptNumber, result.message || 'Payment was not recorded');
         if (!silent) {
           alert(`Failed to record payment: ${result.message || 'Unknown error occurred'}`);
         } else {
           console.error("Failed to record payment:", result.message || 'Unknown error occurred');
         }
-        return;
+        return false;
       }
 
       // Update local state to reflect the payment
-      setPaidMonths(prev => {
-        const newPaidMonths = new Set(prev);
-        newPaidMonths.add(monthNumber);
-        return newPaidMonths;
-      });
+      setPaymentHistory(prev => [...prev.filter(payment => payment.monthNumber !== monthNumber), paymentData]);
+      if (paymentData.paid) {
+        setPaidMonths(prev => {
+          const newPaidMonths = new Set(prev);
+          newPaidMonths.add(monthNumber);
+          return newPaidMonths;
+        });
+      }
 
-      // Clear penalty fee for this month after successful payment
+      // Clear penalty fee and waiver for this month after successful payment
       setPenaltyFees(prev => {
         const newPenaltyFees = { ...prev };
         delete newPenaltyFees[monthNumber];
         return newPenaltyFees;
       });
+      setPenaltyWaivers(prev => {
+        const newWaivers = { ...prev };
+        delete newWaivers[monthNumber];
+        return newWaivers;
+      });
+
+      if (ownReceiptNumber) {
+        const issued = await completeReceipt(ownReceiptNumber, receiptDetails([applied], paymentDate));
+        if (!silent) printReceipt(issued);
+      }
 
       // Show success message
       if (!silent) {
-        alert(`Payment for Month ${monthNumber} recorded successfully!`);
+        alert(`Payment for Month ${monthNumber} recorded successfully!${ownReceiptNumber ? ` Receipt ${ownReceiptNumber}.` : ''}`);
       }
+      return applied;
       
       // Optionally refresh the installment data to get updated payment history
       // You can uncomment this if you want to refresh the data
       // window.location.reload();
       
     } catch (error) {
+      if (ownReceiptNumber) voidReceipt(ownReceiptNumber, error.message || 'Payment was not recorded');
+      if (isAbortError(error) || error.isUnauthorized) return false;
+      if (error.fieldErrors?.length > 0) {
+        const errorMessages = error.fieldMessages.join('\n');
+        if (!silent) {
+          alert(`Validation errors:\n${errorMessages}`);
+        } else {
+          console.error("Validation errors (monthly payment):", errorMessages);
+        }
+        return false;
+      }
       console.error("Failed to record payment:", error);
       if (!silent) {
         alert(`Failed to record payment: ${error.message || 'An unexpected error occurred. Please try again.'}`);
       }
+      return false;
+    }
+  };
+
+  // Record cash brought in by the customer. It is applied to the oldest open
+  // month first (penalty, then installment); anything beyond that month's
+  // balance rolls forward to the next ones, and a short amount leaves the
+  // month partially paid.
+  const handleRecordReceipt = async () => {
+    const amount = parseFloat(receiptForm.amount);
+    if (!(amount > 0) || !receiptPreview) {
+      alert("Please enter the amount received.");
+      return;
+    }
+    if (receiptPreview.unapplied > 0) {
+      alert(`This is ${formatCurrency(receiptPreview.unapplied)} more than the contract still owes. Please check the amount.`);
+      return;
+    }
+    const needsReason = receiptPreview.allocations.find((allocation) => penaltyNeedsReason(allocation.month));
+    if (needsReason) {
+      alert(`Month ${needsReason.month} has a suggested penalty. Charge it or waive it with a reason on the month first.`);
+      return;
+    }
+
+    setRecordingReceipt(true);
+    const receiptId = await reserveReceiptNumber();
+    if (!receiptId) {
+      setRecordingReceipt(false);
+      return;
+    }
+    // Midday keeps the chosen calendar date in every timezone
+    const receipt = {
+      receiptId,
+      date: new Date(`${receiptForm.date || todayInputValue()}T12:00:00`).toISOString(),
+      amount
+    };
+    const applied = [];
+    for (const allocation of receiptPreview.allocations) {
+      const ok = await handleMonthlyPayment(allocation.month, { silent: true, allocation, receipt });
+      if (!ok) break;
+      applied.push(ok);
+    }
+    setRecordingReceipt(false);
+
+    // The receipt covers whatever was saved; nothing saved voids the number
+    const recorded = applied.length;
+    if (recorded > 0) {
+      printReceipt(await completeReceipt(receipt.receiptId, receiptDetails(applied, receipt.date)));
+    } else {
+      voidReceipt(receipt.receiptId, "No month could be recorded");
+    }
+
+    if (recorded === receiptPreview.allocations.length) {
+      setReceiptForm({ amount: "", date: todayInputValue() });
+      setBulkActionMessage(`Receipt ${receipt.receiptId} of ${formatCurrency(amount)} applied to month${recorded > 1 ? "s" : ""} ${receiptPreview.allocations.map((a) => a.month).join(", ")}.`);
+    } else {
+      alert(`Recording stopped at month ${receiptPreview.allocations[recorded].month}. Earlier months were saved; check the schedule before recording the rest.`);
     }
   };
 
@@ -330,47 +618,15 @@ export default function EditInstallment() {
     }
 
     try {
-      const token = localStorage.getItem('token');
-
-      const headers = {
-        'Content-Type': 'application/json',
-      };
-
-      if (token) {
-        headers['Authorization'] = `Bearer ${token}`;
-      }
-
       // When resetting, mark paid=false and amount=0 for that month
       const paymentData = {
         monthNumber: monthNumber,
         amount: 0,
         paid: false,
+        receipts: [],
       };
 
-      const response = await fetch(`${API_BASE_URL}/api/car/${installmentId}/installment/monthly-payment`, {
-        method: 'POST',
-        headers: headers,
-        body: JSON.stringify(paymentData),
-      });
-
-      if (!response.ok) {
-        if (response.status === 401) {
-          alert("Unauthorized: Please login again.");
-          router.push('/admin/login');
-          return;
-        }
-        const errorData = await response.json().catch(() => ({}));
-
-        if (errorData.errors && Array.isArray(errorData.errors)) {
-          const errorMessages = errorData.errors.map(err => `${err.field}: ${err.message}`).join('\n');
-          alert(`Validation errors:\n${errorMessages}`);
-          return;
-        }
-
-        throw new Error(errorData.message || errorData.error || `Request failed with status ${response.status}`);
-      }
-
-      const result = await response.json();
+      const result = await recordMonthlyPayment(installmentId, paymentData, { signal: getSignal() });
 
       if (!result.success) {
         if (result.errors && Array.isArray(result.errors)) {
@@ -384,6 +640,7 @@ export default function EditInstallment() {
       }
 
       // Update local state: remove this month from paidMonths
+      setPaymentHistory(prev => [...prev.filter(payment => payment.monthNumber !== monthNumber), paymentData]);
       setPaidMonths(prev => {
         const newPaidMonths = new Set(prev);
         newPaidMonths.delete(monthNumber);
@@ -397,70 +654,35 @@ export default function EditInstallment() {
         return newPenaltyFees;
       });
     } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      if (error.fieldErrors?.length > 0) {
+        alert(`Validation errors:\n${error.fieldMessages.join('\n')}`);
+        return;
+      }
       console.error("Failed to reset payment:", error);
       alert(`Failed to reset payment: ${error.message || 'An unexpected error occurred. Please try again.'}`);
     }
     };
 
-  // Mark car as sold / owner book transferred (moves to Sold List)
-  const handleTransferOwnerBook = async () => {
+  // Opens the transfer checklist; its last step marks the owner book transferred
+  const handleTransferOwnerBook = () => {
     if (!API_BASE_URL) {
       alert("API base URL is not configured.");
       return;
     }
+    setShowTransferTracker(true);
+  };
 
-    // Confirm transfer
-    if (!window.confirm("Are you sure you want to transfer the owner book?")) {
-      return;
-    }
-
-    try {
-      const token = localStorage.getItem("token");
-
-      const headers = {
-        "Content-Type": "application/json",
-      };
-
-      if (token) {
-        headers["Authorization"] = `Bearer ${token}`;
-      }
-
-      const response = await fetch(
-        `${API_BASE_URL}/api/car/${installmentId}/owner-book-transfer`,
-        {
-          method: "PUT",
-          headers,
-          body: JSON.stringify({ notes: "" }),
-        }
-      );
-
-      const result = await response.json().catch(() => ({}));
-
-      if (!response.ok || result.success === false) {
-        const message =
-          result.message ||
-          result.error ||
-          `Request failed with status ${response.status}`;
-        alert(`Failed to transfer owner book: ${message}`);
-        return;
-      }
-
-      // Update UI status
-      setOwnerBookStatus("transferred");
-      setBulkActionMessage("✅ Owner book transferred successfully!");
+  // Owner book handed over (moves to Sold List)
+  const handleOwnerBookTransferred = () => {
+    setShowTransferTracker(false);
+    setOwnerBookStatus("transferred");
+    setBulkActionMessage("✅ Owner book transferred successfully!");
 
-      // After transfer, navigate to Sold List
-      setTimeout(() => {
-        router.push("/admin/sold-list");
-      }, 800);
-    } catch (error) {
-      console.error("Failed to transfer owner book:", error);
-      alert(
-        `Failed to transfer owner book: ${
-          error.message || "An unexpected error occurred. Please try again."
-        }`
-      );
-    }
+    // After transfer, navigate to Sold List
+    setTimeout(() => {
+      router.push("/admin/sold-list");
+    }, 800);
   };
 
   const handleConfirmResetAll = async () => {
@@ -472,7 +694,6 @@ export default function EditInstallment() {
     // Reset only months that are currently marked as paid
     for (let month = 1; month <= totalMonths; month++) {
       if (paidMonths.has(month)) {
-        // eslint-disable-next-line no-await-in-loop
         await handleResetMonthlyPayment(month);
       }
     }
@@ -487,15 +708,29 @@ export default function EditInstallment() {
     setBulkActionMessage("Marking all months as paid...");
     
     const totalMonths = parseInt(formData.installmentPeriod) || 0;
+    // One receipt for everything paid off in this action
+    const receiptId = await reserveReceiptNumber();
+    if (!receiptId) {
+      setBulkActionInProgress(false);
+      setBulkActionMessage("");
+      return;
+    }
+    const receipt = { receiptId, date: new Date().toISOString() };
+    const applied = [];
     for (let month = 1; month <= totalMonths; month++) {
       if (!paidMonths.has(month)) {
-        // eslint-disable-next-line no-await-in-loop
-        await handleMonthlyPayment(month, { silent: true });
+        const ok = await handleMonthlyPayment(month, { silent: true, receipt });
+        if (ok) applied.push(ok);
       }
     }
+    if (applied.length > 0) {
+      printReceipt(await completeReceipt(receipt.receiptId, receiptDetails(applied, receipt.date)));
+    } else {
+      voidReceipt(receipt.receiptId, "No month could be recorded");
+    }
     
     setBulkActionInProgress(false);
-    setBulkActionMessage("All months have been marked as paid.");
+    setBulkActionMessage(`All months have been marked as paid.${applied.length > 0 ? ` Receipt ${receipt.receiptId}.` : ''}`);
   };
 
   const handleSubmit = async (e) => {
@@ -507,22 +742,11 @@ export default function EditInstallment() {
     }
 
     try {
-      // Get token from localStorage for authentication
-      const token = localStorage.getItem('token');
-      
-      const headers = {
-        'Content-Type': 'application/json',
-      };
-      
-      // Add Authorization header if token exists
-      if (token) {
-        headers['Authorization'] = `Bearer ${token}`;
-      }
-
       // Parse numeric fields
       const downPayment = formData.downPayment !== "" ? Number(formData.downPayment) : undefined;
       const monthlyPayment = formData.monthlyPayment !== "" ? Number(formData.monthlyPayment) : undefined;
       const installmentPeriod = formData.installmentPeriod !== "" ? Number(formData.installmentPeriod) : undefined;
+      const hasPricingTerms = formData.interestPerMonth !== "";
 
       // Prepare payload according to editInstallmentInfo controller
       const installmentData = {
@@ -534,9 +758,17 @@ export default function EditInstallment() {
         },
         downPayment,
         // remainingAmount is managed by backend / existing data; we don't override it here
+        // The price and amount financed behind the pricing terms, kept in step with them
+        carValue: hasPricingTerms && formData.carPrice !== "" ? Number(formData.carPrice) : undefined,
+        financedAmount: hasPricingTerms ? recalculatedQuote?.financedAmount : undefined,
         months: installmentPeriod,
         startDate: formData.purchasedDate || undefined,
         monthlyPayment,
+        totalPayable: formData.totalPayable !== "" ? Number(formData.totalPayable) : undefined,
+        vatPercent: hasPricingTerms ? Number(formData.vatPercent || VAT_PERCENT) : undefined,
+        interestPerMonth: hasPricingTerms ? Number(formData.interestPerMonth) : undefined,
+        financeFees: hasPricingTerms ? Number(formData.financeFees || 0) : undefined,
+        interestMethod: hasPricingTerms ? formData.interestMethod : undefined,
       };
 
       // Clean undefined fields (top-level)
@@ -552,28 +784,7 @@ export default function EditInstallment() {
       });
 
       // Update installment via correct API route
-      const response = await fetch(`${API_BASE_URL}/api/car/${installmentId}/edit-installment`, {
-        method: 'PUT',
-        headers: headers,
-        body: JSON.stringify(installmentData),
-      });
-
-      const result = await response.json().catch(() => ({}));
-
-      if (!response.ok) {
-        if (response.status === 401) {
-          alert("Unauthorized: Please login again.");
-          router.push('/admin/login');
-          return;
-        }
-
-        if (result && result.message) {
-          alert(`Failed to update installment: ${result.message}`);
-        } else {
-          alert(`Failed to update installment: Request failed with status ${response.status}`);
-        }
-        return;
-      }
+      const result = await editInstallment(installmentId, installmentData, { signal: getSignal() });
 
       if (result && result.success === false) {
         alert(`Failed to update installment: ${result.message || 'Unknown error occurred'}`);
@@ -583,13 +794,14 @@ export default function EditInstallment() {
       alert("Installment info updated successfully!");
     router.push(`/admin/installment-details/${installmentId}`);
     } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
       console.error("Failed to update installment:", error);
       alert(`Failed to update installment: ${error.message}`);
     }
   };
 
   const handleLogout = () => {
-    window.location.href = '/admin/login';
+    logout('/admin/login');
   };
 
   const formatCurrency = (amount) => {
@@ -597,7 +809,7 @@ export default function EditInstallment() {
       style: 'currency',
       currency: 'THB',
       minimumFractionDigits: 0,
-      maximumFractionDigits: 0
+      maximumFractionDigits: 2
     }).format(amount);
   };
 
@@ -800,6 +1012,98 @@ export default function EditInstallment() {
                       />
                     </div>
                   </div>
+
+                  {/* Pricing Terms */}
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+                    <div>
+                      <label htmlFor="interestPerMonth" className="block text-sm font-medium text-white mb-2">
+                        Interest Per Month (%)
+                      </label>
+                      <input
+                        type="text"
+                        inputMode="decimal"
+                        id="interestPerMonth"
+                        name="interestPerMonth"
+                        value={formData.interestPerMonth}
+                        onChange={(e) => {
+                          const value = e.target.value;
+                          if (value === '' || /^\d*\.?\d*$/.test(value)) {
+                            handleInputChange(e);
+                          }
+                        }}
+                        placeholder="2.5"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent appearance-textfield"
+                      />
+                    </div>
+                    <div>
+                      <label htmlFor="financeFees" className="block text-sm font-medium text-white mb-2">
+                        Finance Fees (฿)
+                      </label>
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        id="financeFees"
+                        name="financeFees"
+                        value={formData.financeFees}
+                        onChange={(e) => {
+                          const value = e.target.value;
+                          if (value === '' || /^\d*\.?\d*$/.test(value)) {
+                            handleInputChange(e);
+                          }
+                        }}
+                        placeholder="0"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent appearance-textfield"
+                      />
+                    </div>
+                    <div>
+                      <label htmlFor="interestMethod" className="block text-sm font-medium text-white mb-2">
+                        Interest Method
+                      </label>
+                      <select
+                        id="interestMethod"
+                        name="interestMethod"
+                        value={formData.interestMethod}
+                        onChange={handleInputChange}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                      >
+                        {Object.entries(INTEREST_METHODS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+
+                  {/* Recalculated terms from the shared installment engine */}
+                  <div className="mt-4 p-3 bg-black/30 rounded-lg border border-gray-600 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                    {recalculatedQuote ? (
+                      <div className="text-sm text-gray-300 space-y-1">
+                        <p>
+                          Monthly payment at these terms:{" "}
+                          <span className="text-white font-bold font-numeric">{formatBaht(recalculatedQuote.monthlyPayment)}</span>
+                          {recalculatedQuote.lastPayment !== recalculatedQuote.monthlyPayment && (
+                            <span className="font-numeric"> (last month {formatBaht(recalculatedQuote.lastPayment)})</span>
+                          )}
+                        </p>
+                        <p>
+                          Financed <span className="font-numeric">{formatBaht(recalculatedQuote.financedAmount)}</span> · Total payable{" "}
+                          <span className="font-numeric">{formatBaht(recalculatedQuote.totalPayable)}</span> · APR{" "}
+                          <span className="font-numeric">{recalculatedQuote.apr.toFixed(2)}%</span>
+                        </p>
+                      </div>
+                    ) : (
+                      <p className="text-sm text-gray-400">
+                        Enter the car price, a down payment below the total price and the number of months to recalculate.
+                      </p>
+                    )}
+                    <button
+                      type="button"
+                      onClick={handleRecalculate}
+                      disabled={!recalculatedQuote}
+                      className="bg-black/20 backdrop-blur-md text-white px-3 py-1.5 rounded-md text-sm font-medium cursor-pointer border border-white/30 transition-all duration-200 hover:bg-black/30 hover:text-red-500 disabled:opacity-60 disabled:cursor-not-allowed whitespace-nowrap"
+                    >
+                      Recalculate Monthly Payment
+                    </button>
+                  </div>
                 </div>
 
                 {/* Vehicle Details */}
@@ -904,6 +1208,65 @@ export default function EditInstallment() {
                         </div>
                       </div>
                       
+                      {/* Overdue summary and penalty rules */}
+                      <div className="mb-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                        {overdueMonths.length > 0 ? (
+                          <p className="text-sm text-red-300">
+                            <span className="font-numeric">{overdueMonths.length}</span> month{overdueMonths.length > 1 ? 's' : ''} overdue
+                            {totalSuggestedPenalties > 0 && (
+                              <> · suggested penalties <span className="font-numeric">{formatCurrency(totalSuggestedPenalties)}</span></>
+                            )}
+                          </p>
+                        ) : (
+                          <p className="text-sm text-green-400">No overdue months</p>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => setShowPenaltyRules((v) => !v)}
+                          className="text-sm text-gray-300 hover:text-red-500 cursor-pointer self-start sm:self-auto"
+                        >
+                          {showPenaltyRules ? 'Hide penalty rules' : 'Penalty rules'}
+                        </button>
+                      </div>
+
+                      {showPenaltyRules && (
+                        <div className="mb-4 p-3 rounded-lg border border-gray-600 bg-black/30">
+                          <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                            {[
+                              ['graceDays', 'Grace days'],
+                              ['flatFee', 'Flat fee (฿)'],
+                              ['percentOfInstallment', '% of installment'],
+                              ['perDayFee', 'Per day after grace (฿)'],
+                              ['cap', 'Cap (฿, 0 = none)']
+                            ].map(([name, label]) => (
+                              <div key={name}>
+                                <label htmlFor={`penalty-${name}`} className="block text-xs font-medium text-gray-300 mb-1">{label}</label>
+                                <input
+                                  type="text"
+                                  inputMode="decimal"
+                                  id={`penalty-${name}`}
+                                  value={penaltyRules[name]}
+                                  onChange={(e) => handlePenaltyRuleChange(name, e.target.value)}
+                                  className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 text-sm focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent appearance-textfield"
+                                />
+                              </div>
+                            ))}
+                          </div>
+                          <div className="flex items-center justify-between mt-3 gap-3">
+                            <p className="text-xs text-gray-400">
+                              Penalty = flat fee + % of the installment + per-day fee for each day past the grace period, up to the cap.
+                            </p>
+                            <button
+                              type="button"
+                              onClick={handleSavePenaltyRules}
+                              className="bg-red-600 hover:bg-red-700 text-white px-3 py-1.5 rounded-md text-sm font-medium cursor-pointer whitespace-nowrap"
+                            >
+                              Save Rules
+                            </button>
+                          </div>
+                        </div>
+                      )}
+
                       {bulkActionMessage && (
                         <div className="mb-4 max-w-md mx-auto">
                           <div className="flex items-center justify-between px-4 py-3 rounded-lg border border-blue-400 bg-blue-500/10 text-blue-100 shadow-sm">
@@ -924,6 +1287,68 @@ export default function EditInstallment() {
                         </div>
                       )}
 
+                      {/* Cash receipt: partial payments and over-payments */}
+                      {remainingAmount > 0 && (
+                        <div className="mb-4 p-4 bg-black/30 rounded-lg border border-gray-600">
+                          <h4 className="text-white font-semibold mb-1">Record Cash Receipt</h4>
+                          <p className="text-xs text-gray-400 mb-3">
+                            Applied to the oldest open month first (penalty, then installment). Less than a month&apos;s balance leaves it partially paid; more rolls forward to the next months.
+                          </p>
+                          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+                            <div>
+                              <label className="block text-xs font-medium text-gray-300 mb-1">Amount Received (฿)</label>
+                              <input
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                value={receiptForm.amount}
+                                onChange={(e) => setReceiptForm(prev => ({ ...prev, amount: e.target.value }))}
+                                className="w-full px-3 py-2 bg-gray-200 border border-gray-600 rounded-lg text-black font-numeric focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                placeholder="0"
+                              />
+                            </div>
+                            <div>
+                              <label className="block text-xs font-medium text-gray-300 mb-1">Received On</label>
+                              <input
+                                type="date"
+                                value={receiptForm.date}
+                                onChange={(e) => setReceiptForm(prev => ({ ...prev, date: e.target.value }))}
+                                className="w-full px-3 py-2 bg-gray-200 border border-gray-600 rounded-lg text-black font-numeric focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              />
+                            </div>
+                            <button
+                              type="button"
+                              onClick={handleRecordReceipt}
+                              disabled={recordingReceipt || !receiptPreview}
+                              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors cursor-pointer"
+                            >
+                              {recordingReceipt ? "Recording..." : "Record Receipt"}
+                            </button>
+                          </div>
+                          {receiptPreview && (
+                            <div className="mt-3 text-xs text-gray-300 space-y-1">
+                              {receiptPreview.allocations.map((allocation) => (
+                                <p key={allocation.month}>
+                                  Month <span className="font-numeric">{allocation.month}</span>:{" "}
+                                  <span className="font-numeric">{formatCurrency(allocation.installmentAmount)}</span>
+                                  {allocation.penaltyFee > 0 && (
+                                    <> + penalty <span className="font-numeric">{formatCurrency(allocation.penaltyFee)}</span></>
+                                  )}
+                                  <span className={allocation.settles ? "text-green-400" : "text-orange-300"}>
+                                    {allocation.settles ? " · settles the month" : " · partial"}
+                                  </span>
+                                </p>
+                              ))}
+                              {receiptPreview.unapplied > 0 && (
+                                <p className="text-red-300">
+                                  <span className="font-numeric">{formatCurrency(receiptPreview.unapplied)}</span> is more than the contract still owes.
+                                </p>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      )}
+
                       <div
                         className={`grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 transition-all duration-300 ${
                           bulkActionInProgress ? "opacity-70 animate-pulse" : ""
@@ -932,6 +1357,8 @@ export default function EditInstallment() {
                         {Array.from({ length: parseInt(formData.installmentPeriod) || 0 }, (_, index) => {
                           const monthNumber = index + 1;
                           const isPaid = paidMonths.has(monthNumber);
+                          const balance = balances[index];
+                          const isPartial = !isPaid && balance?.status === "partial";
                           
                           // Calculate the next available box (first unpaid month)
                           const totalMonths = parseInt(formData.installmentPeriod) || 0;
@@ -948,8 +1375,9 @@ export default function EditInstallment() {
                           const isDisabled = !isEnabled;
                           
                           // Calculate due date from purchased date
-                          const dueDate = new Date(formData.purchasedDate);
-                          dueDate.setMonth(dueDate.getMonth() + monthNumber);
+                          const dueDate = addMonths(formData.purchasedDate, monthNumber);
+                          const overdue = overdueByMonth[monthNumber];
+                          const isWaiving = penaltyWaivers[monthNumber] !== undefined;
                           
                           return (
                             <div
@@ -958,7 +1386,11 @@ export default function EditInstallment() {
                                 isPaid 
                                   ? 'border-green-500 bg-green-900/20' 
                                   : isDisabled
-                                  ? 'border-gray-700 bg-black/20 opacity-50 cursor-not-allowed'
+                                  ? `${overdue && !overdue.withinGrace ? 'border-red-700' : 'border-gray-700'} bg-black/20 opacity-50 cursor-not-allowed`
+                                  : overdue && !overdue.withinGrace
+                                  ? 'border-red-500 bg-red-900/20 cursor-pointer'
+                                  : isPartial
+                                  ? 'border-orange-500 bg-orange-900/20 cursor-pointer'
                                   : 'border-gray-600 hover:border-gray-500 cursor-pointer'
                               }`}
                               onClick={() => {
@@ -988,17 +1420,29 @@ export default function EditInstallment() {
                                         ? 'bg-green-100 text-green-800'
                                         : isDisabled
                                         ? 'bg-gray-100 text-gray-500'
+                                        : isPartial
+                                        ? 'bg-orange-100 text-orange-800'
                                         : 'bg-yellow-100 text-yellow-800'
                                     }`}>
-                                      {isPaid ? 'Paid' : isDisabled ? 'Locked' : 'Pending'}
+                                      {isPaid ? 'Paid' : isDisabled ? 'Locked' : isPartial ? 'Partial' : 'Pending'}
                                     </span>
                                   </button>
                                 </div>
+                                {overdue && (
+                                  <p className={`text-xs font-medium mb-2 ${overdue.withinGrace ? 'text-yellow-300' : 'text-red-300'}`}>
+                                    {overdue.withinGrace ? 'In grace period' : 'Overdue'} · <span className="font-numeric">{overdue.daysLate}</span> day{overdue.daysLate > 1 ? 's' : ''} late
+                                  </p>
+                                )}
                                 <div className="mb-2">
                                   <p className="text-xs text-gray-400 mb-1">Monthly Payment</p>
                                   <p className={`text-lg font-bold ${isDisabled ? 'text-gray-500' : 'text-white'}`}>
-                                  {formatCurrency(parseInt(formData.monthlyPayment) || 0)}
+                                  {formatCurrency(scheduledPaymentForMonth(contract, monthNumber))}
                                 </p>
+                                  {isPartial && (
+                                    <p className="text-xs text-orange-300 mt-1">
+                                      Paid <span className="font-numeric">{formatCurrency(balance.installmentPaid)}</span> · Remaining <span className="font-numeric">{formatCurrency(balance.remaining)}</span>
+                                    </p>
+                                  )}
                                 </div>
                                 
                                 {!isPaid && !isDisabled && (
@@ -1015,7 +1459,7 @@ export default function EditInstallment() {
                                     <input
                                           type="text"
                                           inputMode="numeric"
-                                      value={penaltyFees[monthNumber] || ''}
+                                      value={penaltyForMonth(monthNumber) || ''}
                                           onChange={(e) => {
                                             const value = e.target.value;
                                             // Allow only numbers and empty string
@@ -1043,7 +1487,7 @@ export default function EditInstallment() {
                                         type="button"
                                         onClick={(e) => {
                                           e.stopPropagation();
-                                          const currentValue = penaltyFees[monthNumber] || 0;
+                                          const currentValue = penaltyForMonth(monthNumber);
                                           if (currentValue > 0) {
                                             setConfirmedPenalties(prev => ({
                                               ...prev,
@@ -1068,12 +1512,44 @@ export default function EditInstallment() {
                                         <span className="text-green-400 text-xs font-medium">✓ Penalty fee added!</span>
                                   </div>
                                     )}
-                                    {penaltyFees[monthNumber] > 0 && !confirmedPenalties[monthNumber] && (
+                                    {overdue?.suggestedPenalty > 0 && (
+                                      <div className="mt-2 text-xs text-left">
+                                        <div className="flex justify-between items-center text-gray-400">
+                                          <span>Suggested: <span className="font-numeric">{formatCurrency(overdue.suggestedPenalty)}</span></span>
+                                          <button
+                                            type="button"
+                                            onClick={(e) => {
+                                              e.stopPropagation();
+                                              if (isWaiving) {
+                                                handleCancelWaiver(monthNumber);
+                                              } else {
+                                                handleWaivePenalty(monthNumber);
+                                              }
+                                            }}
+                                            className="text-yellow-300 hover:text-yellow-200 cursor-pointer"
+                                          >
+                                            {isWaiving ? 'Undo waive' : 'Waive'}
+                                          </button>
+                                        </div>
+                                        {isWaiving && (
+                                          <input
+                                            type="text"
+                                            value={penaltyWaivers[monthNumber]}
+                                            onChange={(e) => setPenaltyWaivers(prev => ({ ...prev, [monthNumber]: e.target.value }))}
+                                            onClick={(e) => e.stopPropagation()}
+                                            onKeyDown={(e) => e.stopPropagation()}
+                                            placeholder="Reason for waiving (required)"
+                                            className="mt-1 w-full px-2 py-1.5 text-xs border border-yellow-400 rounded-md bg-gray-900 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                                          />
+                                        )}
+                                      </div>
+                                    )}
+                                    {penaltyForMonth(monthNumber) > 0 && !confirmedPenalties[monthNumber] && (
                                       <div className="mt-2 pt-2 border-t border-red-400/30">
                                         <div className="flex justify-between items-center text-xs">
                                           <span className="text-gray-400">Total with Penalty:</span>
                                           <span className="text-red-300 font-bold font-numeric">
-                                            ฿{((parseInt(formData.monthlyPayment) || 0) + (penaltyFees[monthNumber] || 0)).toLocaleString()}
+                                            ฿{(scheduledPaymentForMonth(contract, monthNumber) + penaltyForMonth(monthNumber)).toLocaleString()}
                                           </span>
                                         </div>
                                       </div>
@@ -1082,7 +1558,7 @@ export default function EditInstallment() {
                                 )}
                                 
                                 <p className={`text-xs ${isDisabled ? 'text-gray-600' : 'text-gray-400'} ${!isPaid && !isDisabled ? 'mt-2' : 'mt-0'}`}>
-                                  Due: {dueDate.toLocaleDateString('en-GB')}
+                                  Due: {formData.purchasedDate ? dueDate.toLocaleDateString('en-GB') : '-'}
                                 </p>
                                 {isDisabled && !isPaid && (
                                   <p className="text-xs text-gray-500 mt-2 italic">
@@ -1101,19 +1577,19 @@ export default function EditInstallment() {
                           <div>
                             <p className="text-sm text-gray-300">Monthly Payment</p>
                             <p className="text-white text-base font-bold">
-                              {formatCurrency(parseInt(formData.monthlyPayment) || 0)}
+                              {formatCurrency(contract.monthlyPayment)}
                             </p>
                           </div>
                           <div>
                             <p className="text-sm text-gray-300">Paid Amount</p>
                             <p className="text-green-400 text-base font-bold">
-                              {formatCurrency((parseInt(formData.monthlyPayment) || 0) * paidMonths.size)}
+                              {formatCurrency(paidAmount)}
                             </p>
                           </div>
                           <div>
                             <p className="text-sm text-gray-300">Remaining</p>
                             <p className="text-yellow-400 text-base font-bold">
-                              {formatCurrency((parseInt(formData.monthlyPayment) || 0) * ((parseInt(formData.installmentPeriod) || 0) - paidMonths.size))}
+                              {formatCurrency(remainingAmount)}
                             </p>
                           </div>
                         </div>
@@ -1183,6 +1659,15 @@ export default function EditInstallment() {
         </div>
       </div>
 
+      {showTransferTracker && transferCar && (
+        <OwnerBookTransferTracker
+          car={transferCar}
+          onClose={() => setShowTransferTracker(false)}
+          onSaved={(process) => setTransferCar((prev) => ({ ...prev, ownerBookProcess: process }))}
+          onTransferred={handleOwnerBookTransferred}
+        />
+      )}
+
       {/* Reset All Confirmation Modal */}
       {showResetConfirmation && (
         <div className="fixed inset-0 bg-black/70 backdrop-blur-sm z-50 flex items-center justify-center p-4">
@@ -2,6 +2,22 @@
 
 import Link from 'next/link';
 import { useEffect, useMemo, useState } from "react";
+import {
+  API_BASE_URL,
+  getInstallmentCars,
+  getInstallmentProfitAnalysis,
+  isAbortError,
+} from "@/lib/api";
+import {
+  averageMonthlyExpenses,
+  buildCashFlowForecast,
+  EXPENSE_HISTORY_MONTHS,
+  expenseHistoryRange,
+  FORECAST_MONTHS,
+} from "@/lib/cashFlowForecast";
+import { DEFAULT_PENALTY_RULES, fetchPenaltyRules } from "@/lib/penalties";
+import { logout } from "@/lib/session";
+import { fetchExpensesInRange } from "@/lib/vendors";
 
 export default function InstallmentAnalysis() {
   const [selectedPeriod, setSelectedPeriod] = useState("monthly"); // monthly | sixMonths | yearly
@@ -15,8 +31,11 @@ export default function InstallmentAnalysis() {
   const [count, setCount] = useState(0);
   const [loading, setLoading] = useState(true);
   const [isExporting, setIsExporting] = useState(false);
-
-  const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+  // Cash-flow forecast: active contracts and the average monthly recurring spend
+  const [forecastContracts, setForecastContracts] = useState([]);
+  const [monthlyExpenses, setMonthlyExpenses] = useState(0);
+  const [graceDays, setGraceDays] = useState(DEFAULT_PENALTY_RULES.graceDays);
+  const [forecastLoading, setForecastLoading] = useState(true);
 
   const toNumber = (value) => {
     if (value === null || value === undefined || value === "") return 0;
@@ -26,7 +45,7 @@ export default function InstallmentAnalysis() {
   };
 
   const handleLogout = () => {
-    window.location.href = '/admin/login';
+    logout('/admin/login');
   };
 
   const formatDate = (d) => {
@@ -420,6 +439,8 @@ export default function InstallmentAnalysis() {
   useEffect(() => {
     if (typeof window === "undefined") return;
 
+    const controller = new AbortController();
+
     const fetchInstallmentProfit = async (period) => {
       if (!API_BASE_URL) {
         console.warn("API base URL is not set. Cannot fetch installment profit analysis.");
@@ -430,32 +451,8 @@ export default function InstallmentAnalysis() {
       try {
         setLoading(true);
 
-        const token = localStorage.getItem("token");
-        const headers = {};
-        if (token) headers["Authorization"] = `Bearer ${token}`;
-
         const apiPeriod = period === "sixMonths" ? "6months" : period;
-        const response = await fetch(
-          `${API_BASE_URL}/api/analysis/profit/installment?period=${apiPeriod}`,
-          { cache: "no-store", headers }
-        );
-
-        if (!response.ok) {
-          if (response.status === 401) {
-            alert("Unauthorized: Please login again.");
-            window.location.href = "/admin/login";
-            return;
-          }
-          if (response.status === 400) {
-            const errorData = await response.json();
-            alert(errorData.message || "Invalid period parameter");
-            setLoading(false);
-            return;
-          }
-          throw new Error(`Request failed with status ${response.status}`);
-        }
-
-        const data = await response.json();
+        const data = await getInstallmentProfitAnalysis(apiPeriod, { signal: controller.signal });
 
         if (data?.success) {
           const normalizedCars = (data.cars || []).map(normalizeReportCar);
@@ -485,6 +482,12 @@ export default function InstallmentAnalysis() {
 
         setLoading(false);
       } catch (err) {
+        if (isAbortError(err) || err.isUnauthorized) return;
+        if (err.status === 400) {
+          alert(err.message || "Invalid period parameter");
+          setLoading(false);
+          return;
+        }
         console.error("Error loading installment profit analysis:", err);
         alert(`Failed to load installment profit analysis: ${err.message}`);
         setLoading(false);
@@ -492,7 +495,64 @@ export default function InstallmentAnalysis() {
     };
 
     fetchInstallmentProfit(selectedPeriod);
-  }, [API_BASE_URL, selectedPeriod]);
+    return () => controller.abort();
+  }, [selectedPeriod]);
+
+  // Fetch active contracts and recent expenses for the forecast
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+
+    const controller = new AbortController();
+
+    const fetchForecastData = async () => {
+      if (!API_BASE_URL) {
+        setForecastLoading(false);
+        return;
+      }
+
+      try {
+        const [installmentsJson, expenses, penaltyRules] = await Promise.all([
+          getInstallmentCars({ signal: controller.signal }),
+          fetchExpensesInRange(expenseHistoryRange(), { signal: controller.signal }),
+          fetchPenaltyRules({ signal: controller.signal }),
+        ]);
+        const cars = Array.isArray(installmentsJson?.data) ? installmentsJson.data : [];
+        setForecastContracts(
+          cars.map((car, index) => {
+            const installment = car.installment || {};
+            return {
+              id: car.id || car._id || index,
+              startDate: installment.startDate || "",
+              monthlyPayment: toNumber(installment.monthlyPayment),
+              months: toNumber(installment.months),
+              totalPayable: toNumber(installment.totalPayable),
+              paymentHistory: installment.paymentHistory || [],
+            };
+          })
+        );
+        setMonthlyExpenses(averageMonthlyExpenses(expenses));
+        setGraceDays(penaltyRules.graceDays);
+        setForecastLoading(false);
+      } catch (err) {
+        if (isAbortError(err) || err.isUnauthorized) return;
+        console.error("Error loading cash-flow forecast data:", err);
+        setForecastLoading(false);
+      }
+    };
+
+    fetchForecastData();
+    return () => controller.abort();
+  }, []);
+
+  const forecast = useMemo(
+    () =>
+      buildCashFlowForecast({
+        contracts: forecastContracts,
+        monthlyExpenses,
+        graceDays: toNumber(graceDays),
+      }),
+    [forecastContracts, monthlyExpenses, graceDays]
+  );
 
   const currentData = useMemo(() => getCurrentData(), [carsData, selectedPeriod]);
 
@@ -529,6 +589,18 @@ export default function InstallmentAnalysis() {
             <Link href="/admin/sold-list" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
               Sold List
             </Link>
+            <Link href="/admin/customers" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Customers
+            </Link>
+            <Link href="/admin/leads" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Leads
+            </Link>
+            <Link href="/admin/discount-approvals" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Approvals
+            </Link>
+            <Link href="/admin/vendors" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Vendors
+            </Link>
             <Link href="/admin/analysis" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
               Analysis
             </Link>
@@ -788,6 +860,82 @@ export default function InstallmentAnalysis() {
                   </div>
                 </div>
               )}
+
+              {/* Cash-flow forecast for the next 12 months */}
+              <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-lg mt-6 sm:mt-8">
+                <div className="px-4 sm:px-6 py-4 sm:py-6">
+                  <h3 className="text-lg sm:text-xl font-semibold text-white">Cash-Flow Forecast ({FORECAST_MONTHS} months)</h3>
+                  <p className="text-white/70 text-sm mt-1">
+                    Installments still due on active contracts, less an average monthly spend of{" "}
+                    <span className="font-numeric text-white">฿{monthlyExpenses.toLocaleString()}</span> (expenses marked recurring in the
+                    Money Manager, averaged over the last <span className="font-numeric">{EXPENSE_HISTORY_MONTHS}</span> complete months).
+                    Expected and worst cases use each customer&apos;s on-time rate; customers without history use the average of{" "}
+                    <span className="font-numeric text-white">{(forecast.portfolioRate * 100).toFixed(0)}%</span>.
+                  </p>
+                </div>
+                {forecastLoading ? (
+                  <div className="px-4 sm:px-6 pb-6 text-white/70">Loading forecast...</div>
+                ) : (
+                  <>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 px-4 sm:px-6 pb-4">
+                      {[
+                        { key: "netBest", label: "Best Case (net)", color: "text-green-400" },
+                        { key: "netExpected", label: "Expected (net)", color: "text-white" },
+                        { key: "netWorst", label: "Worst Case (net)", color: "text-red-400" },
+                      ].map(({ key, label, color }) => (
+                        <div key={key} className="bg-black/30 rounded-lg p-4 border border-gray-600">
+                          <p className="text-sm text-gray-300">{label}</p>
+                          <p className={`text-xl font-bold font-numeric ${forecast.totals[key] < 0 ? "text-red-400" : color}`}>
+                            ฿{Math.round(forecast.totals[key]).toLocaleString()}
+                          </p>
+                        </div>
+                      ))}
+                    </div>
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full divide-y divide-gray-600">
+                        <thead className="bg-black/20 backdrop-blur-2xl">
+                          <tr>
+                            <th className="px-3 sm:px-6 py-3 text-left text-sm font-bold text-white uppercase tracking-wider">Month</th>
+                            <th className="px-3 sm:px-6 py-3 text-right text-sm font-bold text-white uppercase tracking-wider">Best</th>
+                            <th className="px-3 sm:px-6 py-3 text-right text-sm font-bold text-white uppercase tracking-wider">Expected</th>
+                            <th className="px-3 sm:px-6 py-3 text-right text-sm font-bold text-white uppercase tracking-wider">Worst</th>
+                            <th className="px-3 sm:px-6 py-3 text-right text-sm font-bold text-white uppercase tracking-wider">Recurring Expenses</th>
+                            <th className="px-3 sm:px-6 py-3 text-right text-sm font-bold text-white uppercase tracking-wider">Net (Expected)</th>
+                            <th className="px-3 sm:px-6 py-3 text-right text-sm font-bold text-white uppercase tracking-wider">Net (Worst)</th>
+                          </tr>
+                        </thead>
+                        <tbody className="bg-black/10 backdrop-blur-2xl divide-y divide-gray-600">
+                          {forecast.rows.map((row) => (
+                            <tr key={row.key} className="hover:bg-black/30">
+                              <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm text-white">
+                                {row.date.toLocaleDateString("en-GB", { month: "short", year: "numeric" })}
+                              </td>
+                              <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm text-right text-green-400 font-numeric">฿{Math.round(row.best).toLocaleString()}</td>
+                              <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm text-right text-white font-numeric">฿{Math.round(row.expected).toLocaleString()}</td>
+                              <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm text-right text-red-300 font-numeric">฿{Math.round(row.worst).toLocaleString()}</td>
+                              <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm text-right text-gray-300 font-numeric">฿{Math.round(row.expenses).toLocaleString()}</td>
+                              <td className={`px-3 sm:px-6 py-3 whitespace-nowrap text-sm text-right font-semibold font-numeric ${row.netExpected >= 0 ? "text-green-400" : "text-red-400"}`}>
+                                ฿{Math.round(row.netExpected).toLocaleString()}
+                              </td>
+                              <td className={`px-3 sm:px-6 py-3 whitespace-nowrap text-sm text-right font-semibold font-numeric ${row.netWorst >= 0 ? "text-green-400" : "text-red-400"}`}>
+                                ฿{Math.round(row.netWorst).toLocaleString()}
+                              </td>
+                            </tr>
+                          ))}
+                          <tr className="bg-black/30">
+                            <td className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm font-bold text-white">Total</td>
+                            {["best", "expected", "worst", "expenses", "netExpected", "netWorst"].map((key) => (
+                              <td key={key} className="px-3 sm:px-6 py-3 whitespace-nowrap text-sm text-right font-bold text-white font-numeric">
+                                ฿{Math.round(forecast.totals[key]).toLocaleString()}
+                              </td>
+                            ))}
+                          </tr>
+                        </tbody>
+                      </table>
+                    </div>
+                  </>
+                )}
+              </div>
             </>
           )}
         </div>
@@ -1,7 +1,23 @@
 "use client";
 import Link from "next/link";
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo } from "react";
 import { useParams } from "next/navigation";
+import { API_BASE_URL, getInstallment, isAbortError, useAbortSignal } from "@/lib/api";
+import { logout } from "@/lib/session";
+import { addMonths, fromSatang, todayInputValue, toSatang } from "@/lib/installments";
+import { buildLedger, monthBalances, nextMonthRecord } from "@/lib/installmentLedger";
+import { DEFAULT_PENALTY_RULES, fetchPenaltyRules, findOverdueMonths } from "@/lib/penalties";
+import {
+  DEFAULT_REBATE_POLICY,
+  REBATE_METHODS,
+  calculateSettlement,
+  fetchRebatePolicy,
+  postSettlement,
+  saveRebatePolicy,
+} from "@/lib/settlement";
+import { downloadSettlementLetterPdf } from "@/lib/settlementLetterPdf";
+import { completeReceipt, findReceipt, issueReceiptNumber, voidReceipt } from "@/lib/receipts";
+import { downloadReceiptPdf } from "@/lib/receiptPdf";
 
 export default function InstallmentDetails() {
   const params = useParams();
@@ -14,13 +30,41 @@ export default function InstallmentDetails() {
   const [selectedPeriod, setSelectedPeriod] = useState(null);
   const [paidMonths, setPaidMonths] = useState(new Set());
   const [ownerBookStatus, setOwnerBookStatus] = useState('pending'); // 'pending', 'ready', 'transferred'
-  const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+  // Early settlement quote
+  const [settlementDate, setSettlementDate] = useState(todayInputValue());
+  const [rebatePolicy, setRebatePolicy] = useState(DEFAULT_REBATE_POLICY);
+  const [penaltyRules, setPenaltyRules] = useState(DEFAULT_PENALTY_RULES);
+  const [recordingSettlement, setRecordingSettlement] = useState(false);
+  const getSignal = useAbortSignal();
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const loadPolicies = async () => {
+      try {
+        const [rules, policy] = await Promise.all([
+          fetchPenaltyRules({ signal: controller.signal }),
+          fetchRebatePolicy({ signal: controller.signal }),
+        ]);
+        setPenaltyRules(rules);
+        setRebatePolicy(policy);
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to load penalty rules and rebate policy:", error);
+      }
+    };
+
+    loadPolicies();
+    return () => controller.abort();
+  }, []);
 
   useEffect(() => {
     if (typeof window === "undefined") {
       return;
     }
 
+    const controller = new AbortController();
+
     const fetchInstallmentDetails = async () => {
       if (!API_BASE_URL) {
         console.warn("API base URL is not set. Cannot fetch installment details.");
@@ -31,40 +75,10 @@ export default function InstallmentDetails() {
       try {
         setLoading(true);
         
-        // Get token from localStorage for authentication
-        const token = localStorage.getItem('token');
-        
-        const headers = {};
-        
-        // Add Authorization header if token exists
-        if (token) {
-          headers['Authorization'] = `Bearer ${token}`;
-        }
-        
         // Fetch installment details from API
-        const response = await fetch(`${API_BASE_URL}/api/car/${installmentId}/installment`, {
-          cache: "no-store",
-          headers: headers
-        });
+        const data = await getInstallment(installmentId, { signal: controller.signal });
         
-        if (!response.ok) {
-          if (response.status === 401) {
-            alert("Unauthorized: Please login again.");
-            window.location.href = '/admin/login';
-            return;
-          }
-          if (response.status === 404) {
-            const errorData = await response.json().catch(() => ({}));
-            alert(errorData.message || "Car or installment not found");
-          setLoading(false);
-            return;
-          }
-          throw new Error(`Request failed with status ${response.status}`);
-        }
-        
-        const data = await response.json();
-        
-        if (data.success && data.data) {
+        if (data?.success && data.data) {
           const { car: carData, installment: installmentData, paymentSummary: summaryData } = data.data;
           
           // Set car and payment summary
@@ -86,8 +100,9 @@ export default function InstallmentDetails() {
             }
           }
           
-          // Use the original car price (priceToSell) - same as shown in the installments list
-          const carPrice = carData.priceToSell || 0;
+          // The price the contract was written at; older contracts fall back to
+          // the car's listed price (priceToSell), as the installments list shows
+          const carPrice = installmentData.carValue ?? carData.priceToSell ?? 0;
           
           const normalizedInstallment = {
             id: installmentId,
@@ -100,10 +115,20 @@ export default function InstallmentDetails() {
             monthlyPayment: installmentData.monthlyPayment || summaryData.monthlyPayment || 0,
             installmentPeriod: months,
             purchasedDate: formattedDate,
+            startDate: installmentData.startDate || "",
+            totalPayable: installmentData.totalPayable || 0,
+            // Amount financed as stored with the contract (older contracts
+            // without it get no interest rebate)
+            financedAmount: Number(installmentData.financedAmount) || 0,
+            interestPerMonth: installmentData.interestPerMonth || 0,
+            interestMethod: installmentData.interestMethod || "flat",
             carModel: `${carData.brand || ''} ${carData.model || ''}`.trim(),
             licensePlate: carData.licenseNo || "",
             carListNo: carData.carList || "",
-            paymentHistory: installmentData.paymentHistory || []
+            paymentHistory: (installmentData.paymentHistory || []).map((payment, index) => ({
+              ...payment,
+              monthNumber: payment.month ?? payment.monthNumber ?? index + 1
+            }))
           };
           
           setInstallment(normalizedInstallment);
@@ -113,11 +138,12 @@ export default function InstallmentDetails() {
           const paymentHistory = installmentData.paymentHistory || [];
           
           // Try to extract month numbers from paymentHistory if available
-          if (paymentHistory.length > 0 && paymentHistory[0].month !== undefined) {
-            // If paymentHistory has month field, use it
+          const monthOf = (payment) => payment.month ?? payment.monthNumber;
+          if (paymentHistory.length > 0 && monthOf(paymentHistory[0]) !== undefined) {
+            // If paymentHistory has month field, use it; partial payments stay pending
             paymentHistory.forEach(payment => {
-              if (payment.month && payment.month <= months) {
-                paidMonthsSet.add(payment.month);
+              if (monthOf(payment) && monthOf(payment) <= months && payment.paid !== false) {
+                paidMonthsSet.add(monthOf(payment));
               }
             });
           } else {
@@ -142,6 +168,12 @@ export default function InstallmentDetails() {
         
         setLoading(false);
       } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        if (error.status === 404) {
+          alert(error.message || "Car or installment not found");
+          setLoading(false);
+          return;
+        }
         console.error("Error loading installment details:", error);
         alert(`Failed to load installment details: ${error.message}`);
         setLoading(false);
@@ -149,11 +181,220 @@ export default function InstallmentDetails() {
     };
 
     fetchInstallmentDetails();
-  }, [installmentId, API_BASE_URL]);
+    return () => controller.abort();
+  }, [installmentId]);
 
 
   const handleLogout = () => {
-    window.location.href = '/admin/login';
+    logout('/admin/login');
+  };
+
+  const contract = useMemo(() => ({
+    monthlyPayment: parseFloat(installment?.monthlyPayment) || 0,
+    months: parseInt(installment?.installmentPeriod) || 0,
+    totalPayable: parseFloat(installment?.totalPayable) || 0,
+  }), [installment]);
+
+  // Cash applied to each month, and one ledger row per receipt
+  const balances = useMemo(
+    () => monthBalances(contract, installment?.paymentHistory || []),
+    [contract, installment]
+  );
+  const ledger = useMemo(() => {
+    const totalDue = balances.reduce((sum, balance) => sum + balance.due, 0);
+    return buildLedger(balances, totalDue);
+  }, [balances]);
+  const remainingAmount = balances.reduce((sum, balance) => sum + balance.remaining, 0);
+
+  // Penalties as they would stand on the settlement date
+  const overdueByMonth = useMemo(() => {
+    if (!installment?.startDate) return {};
+    const overdue = findOverdueMonths({
+      startDate: installment.startDate,
+      months: contract.months,
+      paidMonths,
+      amountForMonth: (month) => balances[month - 1]?.due || 0,
+      rules: penaltyRules,
+      today: addMonths(settlementDate || todayInputValue(), 0)
+    });
+    return Object.fromEntries(overdue.map((item) => [item.month, item]));
+  }, [installment, contract, paidMonths, balances, penaltyRules, settlementDate]);
+
+  const settlement = useMemo(() => {
+    if (!installment || !settlementDate) return null;
+    return calculateSettlement({
+      terms: {
+        ...contract,
+        financedAmount: installment.financedAmount,
+        interestPerMonth: installment.interestPerMonth,
+        interestMethod: installment.interestMethod
+      },
+      balances,
+      startDate: installment.startDate,
+      settlementDate,
+      policy: rebatePolicy,
+      penaltyForMonth: (month) => overdueByMonth[month]?.suggestedPenalty || 0
+    });
+  }, [installment, contract, balances, settlementDate, rebatePolicy, overdueByMonth]);
+
+  // The policy is shared by every admin, so changes are saved straight away
+  // (the percentage once the field is left)
+  const handleRebatePolicyChange = async (changes, { save = true } = {}) => {
+    const previous = rebatePolicy;
+    const next = { ...rebatePolicy, ...changes };
+    setRebatePolicy(next);
+    if (!save) return;
+    try {
+      await saveRebatePolicy(next, { signal: getSignal() });
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Failed to save rebate policy:", error);
+      setRebatePolicy(previous);
+      alert(`Failed to save the rebate policy: ${error.message}`);
+    }
+  };
+
+  const handleDownloadSettlementLetter = async () => {
+    if (!settlement) return;
+    try {
+      await downloadSettlementLetterPdf({
+        settlement,
+        customer: { name: installment.customerName, passport: installment.passportNumber, phone: installment.phoneNumber },
+        vehicle: { model: installment.carModel, licensePlate: installment.licensePlate, carListNo: installment.carListNo },
+        contractId: installmentId
+      });
+    } catch (error) {
+      console.error("Failed to create settlement letter:", error);
+      alert("Could not create the settlement letter PDF. Please try again.");
+    }
+  };
+
+  // Reprint from the receipt register, or rebuild it from the ledger when the
+  // register has no issued copy (payments from before receipts were numbered)
+  const handleReprintReceipt = async (row) => {
+    let saved = null;
+    try {
+      saved = await findReceipt(row.receiptId, { signal: getSignal() });
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Failed to look up the receipt register:", error);
+    }
+    const receipt = saved?.status === "issued"
+      ? saved
+      : {
+          number: row.receiptId,
+          date: row.date,
+          customer: { name: installment.customerName, passport: installment.passportNumber },
+          carModel: installment.carModel,
+          licensePlate: installment.licensePlate,
+          lines: row.allocations.map((allocation) => ({
+            month: allocation.month,
+            installmentAmount: fromSatang(toSatang(allocation.amount) - toSatang(allocation.penaltyFee)),
+            penaltyFee: allocation.penaltyFee
+          })),
+          amount: row.received,
+          penalty: row.penalty,
+          balanceRemaining: row.balanceAfter,
+          cashier: ""
+        };
+    try {
+      await downloadReceiptPdf(receipt, { copy: true });
+    } catch (error) {
+      console.error("Failed to create receipt PDF:", error);
+      alert("Could not create the receipt PDF. Please try again.");
+    }
+  };
+
+  // Closes every open month: each gets the cash collected for it (after its
+  // share of the rebate) and is marked paid. Months are posted one by one and
+  // rolled back together if any is rejected.
+  const handleRecordSettlement = async () => {
+    if (!settlement || settlement.months.length === 0) return;
+    if (!API_BASE_URL) {
+      alert("API base URL is not configured.");
+      return;
+    }
+    if (!window.confirm(`Record early settlement of ${formatCurrency(settlement.total)} on ${addMonths(settlement.settlementDate, 0).toLocaleDateString('en-GB')}? All ${settlement.months.length} remaining months will be marked as paid.`)) {
+      return;
+    }
+
+    setRecordingSettlement(true);
+    let receiptId;
+    try {
+      receiptId = await issueReceiptNumber({ signal: getSignal() });
+    } catch (error) {
+      setRecordingSettlement(false);
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Failed to reserve a receipt number:", error);
+      alert(`Could not get a receipt number: ${error.message}`);
+      return;
+    }
+
+    // Midday keeps the chosen calendar date in every timezone
+    const date = new Date(`${settlement.settlementDate}T12:00:00`).toISOString();
+    const payments = settlement.months.map((month) =>
+      nextMonthRecord(
+        balances[month.month - 1],
+        {
+          month: month.month,
+          installmentAmount: fromSatang(toSatang(month.outstanding) - toSatang(month.rebate)),
+          penaltyFee: month.penalty,
+          rebate: month.rebate,
+          settles: true
+        },
+        { receiptId, date, receiptAmount: settlement.total }
+      )
+    );
+
+    try {
+      await postSettlement(installmentId, payments, balances, { signal: getSignal() });
+
+      const settledMonths = new Set(payments.map((payment) => payment.monthNumber));
+      setInstallment(prev => ({
+        ...prev,
+        paymentHistory: [...prev.paymentHistory.filter((payment) => !settledMonths.has(payment.monthNumber)), ...payments]
+      }));
+      setPaidMonths(new Set(Array.from({ length: contract.months }, (_, i) => i + 1)));
+      setPaymentSummary(prev => prev && ({
+        ...prev,
+        paidAmount: (prev.paidAmount || 0) + settlement.total,
+        paymentsMade: contract.months,
+        paymentProgress: 100,
+        isFullyPaid: true
+      }));
+      setOwnerBookStatus('ready');
+
+      const issued = await completeReceipt(receiptId, {
+        contractId: installmentId,
+        date,
+        customer: { name: installment.customerName, passport: installment.passportNumber },
+        carModel: installment.carModel,
+        licensePlate: installment.licensePlate,
+        lines: payments.map((payment, index) => ({
+          month: payment.monthNumber,
+          installmentAmount: fromSatang(toSatang(settlement.months[index].outstanding) - toSatang(settlement.months[index].rebate)),
+          penaltyFee: settlement.months[index].penalty
+        })),
+        amount: settlement.total,
+        penalty: settlement.penalties,
+        balanceRemaining: 0
+      });
+      downloadReceiptPdf(issued).catch((error) => console.error("Failed to create receipt PDF:", error));
+      alert(`Settlement recorded (receipt ${receiptId}). All months are paid and the owner book is ready for transfer.`);
+    } catch (error) {
+      voidReceipt(receiptId, error.message || "Settlement was not recorded");
+      const unrestored = error.unrestoredMonths || [];
+      if (unrestored.length > 0) {
+        console.error("Settlement rolled back except months:", unrestored);
+        alert(`Failed to record settlement: ${error.message}. Month${unrestored.length > 1 ? "s" : ""} ${unrestored.join(", ")} could not be put back; check them on the edit page.`);
+        return;
+      }
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Failed to record settlement:", error);
+      alert(`Failed to record settlement: ${error.message}. Nothing was changed.`);
+    } finally {
+      setRecordingSettlement(false);
+    }
   };
 
   const formatCurrency = (amount) => {
@@ -161,23 +402,13 @@ export default function InstallmentDetails() {
       style: 'currency',
       currency: 'THB',
       minimumFractionDigits: 0,
-      maximumFractionDigits: 0
+      maximumFractionDigits: 2
     }).format(amount);
   };
 
-  const toNumber = (value) => {
-    if (typeof value === "number") return Number.isFinite(value) ? value : 0;
-    if (typeof value === "string") {
-      const cleaned = value.replace(/[^\d.-]/g, "");
-      const n = Number(cleaned);
-      return Number.isFinite(n) ? n : 0;
-    }
-    return 0;
-  };
-
 
 
-  // Note: This is a read-only details page - no payment modifications allowed
+  // Note: Monthly payments are recorded on the Edit page; this page only records early settlements
 
   if (loading) {
     return (
@@ -335,7 +566,7 @@ export default function InstallmentDetails() {
                   <p className="text-sm text-gray-300">Remaining Amount</p>
                   <p className="text-yellow-400 text-xl font-bold">
                     {installment.monthlyPayment && installment.installmentPeriod ? 
-                      `฿${((parseInt(installment.monthlyPayment) || 0) * ((parseInt(installment.installmentPeriod) || 0) - paidMonths.size)).toLocaleString()}` : 
+                      formatCurrency(remainingAmount) : 
                       paymentSummary ? `฿${(paymentSummary.remainingAmount || 0).toLocaleString()}` : 
                       'N/A'}
                   </p>
@@ -374,43 +605,24 @@ export default function InstallmentDetails() {
                 <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
                   {Array.from({ length: parseInt(installment.installmentPeriod) || 0 }, (_, index) => {
                       const monthNumber = index + 1;
-                      const paymentAmount = parseInt(installment.monthlyPayment) || 0;
+                      const balance = balances[index];
+                      const paymentAmount = balance?.due || 0;
                       
                       // Calculate due date from start date
-                      const dueDate = new Date();
-                      if (installment.purchasedDate) {
-                        try {
-                          // Try parsing as ISO date first (from API)
-                          const parsedDate = new Date(installment.purchasedDate);
-                          if (!isNaN(parsedDate.getTime())) {
-                            dueDate.setTime(parsedDate.getTime());
-                          } else {
-                            // Fallback to DD/MM/YYYY format
-                        const [day, month, year] = installment.purchasedDate.split('/');
-                            if (day && month && year) {
-                        dueDate.setDate(parseInt(day));
-                        dueDate.setMonth(parseInt(month) - 1); // Month is 0-indexed
-                        dueDate.setFullYear(parseInt(year));
-                            }
-                          }
-                        } catch (e) {
-                          console.error("Error parsing date:", e);
-                        }
-                      }
-                      dueDate.setMonth(dueDate.getMonth() + monthNumber);
+                      const dueDate = installment.startDate ? addMonths(installment.startDate, monthNumber) : null;
                       
                       const isPaid = paidMonths.has(monthNumber);
+                      const isPartial = !isPaid && balance?.status === 'partial';
                       
-                      // Find penalty fee from payment history
-                      const paymentRecord = installment.paymentHistory?.find(p => p.month === monthNumber);
-                      const penaltyFee = paymentRecord?.penaltyFee || 0;
-                      const totalAmount = paymentAmount + penaltyFee;
+                      // Penalty fee and cash received from the month's receipts
+                      const penaltyFee = balance?.penaltyPaid || 0;
+                      const totalAmount = (balance?.installmentPaid || 0) + penaltyFee;
                       
                       return (
                         <div 
                           key={monthNumber} 
                           className={`bg-black/30 rounded-lg p-4 border transition-all duration-200 ${
-                            isPaid ? 'border-green-500 bg-green-900/20' : 'border-gray-600'
+                            isPaid ? 'border-green-500 bg-green-900/20' : isPartial ? 'border-orange-500 bg-orange-900/20' : 'border-gray-600'
                           }`}
                         >
                           <div className="text-center">
@@ -419,14 +631,21 @@ export default function InstallmentDetails() {
                                 <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
                                   isPaid 
                                     ? 'bg-green-100 text-green-800' 
+                                    : isPartial
+                                    ? 'bg-orange-100 text-orange-800'
                                     : 'bg-yellow-100 text-yellow-800'
                                 }`}>
-                                  {isPaid ? 'Paid' : 'Pending'}
+                                  {isPaid ? 'Paid' : isPartial ? 'Partially Paid' : 'Pending'}
                                 </span>
                             </div>
                             <p className="text-white text-base font-semibold mb-1 font-numeric">
-                              ฿{paymentAmount.toLocaleString()}
+                              {formatCurrency(paymentAmount)}
                             </p>
+                            {isPartial && (
+                              <p className="text-xs text-orange-300 mb-2">
+                                Paid <span className="font-numeric">{formatCurrency(balance.installmentPaid)}</span> · Remaining <span className="font-numeric">{formatCurrency(balance.remaining)}</span>
+                              </p>
+                            )}
                             {penaltyFee > 0 && (
                               <div className="mb-2">
                                 <p className="text-xs text-gray-400">Penalty Fee</p>
@@ -439,12 +658,12 @@ export default function InstallmentDetails() {
                               <div className="pt-2 border-t border-gray-600">
                                 <p className="text-xs text-gray-400">Total Paid</p>
                                 <p className="text-green-400 text-lg font-bold font-numeric">
-                                  ฿{totalAmount.toLocaleString()}
+                                  {formatCurrency(totalAmount)}
                                 </p>
                               </div>
                             )}
                             <p className="text-xs text-gray-400 mt-2">
-                              Due: {dueDate.toLocaleDateString('en-GB')}
+                              Due: {dueDate ? dueDate.toLocaleDateString('en-GB') : '-'}
                             </p>
                           </div>
                         </div>
@@ -473,70 +692,166 @@ export default function InstallmentDetails() {
             </div>
           </div>
 
-          {/* Payment History Section */}
-          {installment.paymentHistory && installment.paymentHistory.length > 0 && (
+          {/* Early Settlement */}
+          {settlement && settlement.months.length > 0 && ownerBookStatus !== 'transferred' && (
+            <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-lg mb-6">
+              <div className="px-4 py-5 sm:p-6">
+                <h3 className="text-lg font-semibold text-white mb-1">Early Settlement</h3>
+                <p className="text-xs text-gray-400 mb-4">
+                  Amount to close the contract on the chosen date: everything left on the open months, less the interest rebate on months not yet due, plus outstanding penalties.
+                </p>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-300 mb-1">Settlement Date</label>
+                    <input
+                      type="date"
+                      value={settlementDate}
+                      onChange={(e) => setSettlementDate(e.target.value)}
+                      className="w-full px-3 py-2 bg-gray-200 border border-gray-600 rounded-lg text-black font-numeric focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-300 mb-1">Interest Rebate Policy</label>
+                    <select
+                      value={rebatePolicy.method}
+                      onChange={(e) => handleRebatePolicyChange({ method: e.target.value })}
+                      className="w-full px-3 py-2 bg-gray-200 border border-gray-600 rounded-lg text-black focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      {Object.entries(REBATE_METHODS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {rebatePolicy.method === 'percent' && (
+                    <div>
+                      <label className="block text-xs font-medium text-gray-300 mb-1">Rebate (% of unearned interest)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={rebatePolicy.percent}
+                        onChange={(e) => handleRebatePolicyChange({ percent: Math.min(100, Math.max(0, Number(e.target.value) || 0)) }, { save: false })}
+                        onBlur={() => handleRebatePolicyChange({})}
+                        className="w-full px-3 py-2 bg-gray-200 border border-gray-600 rounded-lg text-black font-numeric focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                    </div>
+                  )}
+                </div>
+
+                <div className="p-4 bg-black/30 rounded-lg border border-gray-600 space-y-2 text-sm">
+                  <div className="flex justify-between text-gray-300">
+                    <span>Installments due and unpaid</span>
+                    <span className="font-numeric text-white">{formatCurrency(settlement.dueNow)}</span>
+                  </div>
+                  <div className="flex justify-between text-gray-300">
+                    <span>Installments not yet due ({settlement.months.filter((month) => !month.isDue).length} months)</span>
+                    <span className="font-numeric text-white">{formatCurrency(settlement.notYetDue)}</span>
+                  </div>
+                  <div className="flex justify-between text-gray-300">
+                    <span>Interest rebate <span className="text-xs text-gray-400">(unearned interest {formatCurrency(settlement.unearnedInterest)})</span></span>
+                    <span className="font-numeric text-green-400">- {formatCurrency(settlement.rebate)}</span>
+                  </div>
+                  <div className="flex justify-between text-gray-300">
+                    <span>Outstanding penalties</span>
+                    <span className="font-numeric text-red-400">{formatCurrency(settlement.penalties)}</span>
+                  </div>
+                  <div className="flex justify-between pt-2 border-t border-gray-600 text-white font-bold text-base">
+                    <span>Settlement Amount</span>
+                    <span className="font-numeric text-yellow-400">{formatCurrency(settlement.total)}</span>
+                  </div>
+                  {!installment.financedAmount && (
+                    <p className="text-xs text-gray-400 italic">
+                      This contract has no stored amount financed, so no rebate can be worked out.
+                    </p>
+                  )}
+                </div>
+
+                <div className="flex flex-col sm:flex-row gap-3 mt-4">
+                  <button
+                    type="button"
+                    onClick={handleDownloadSettlementLetter}
+                    className="px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg text-sm font-medium transition-colors cursor-pointer"
+                  >
+                    Download Settlement Letter (PDF)
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleRecordSettlement}
+                    disabled={recordingSettlement}
+                    className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg text-sm font-medium transition-colors cursor-pointer"
+                  >
+                    {recordingSettlement ? "Recording..." : "Record Settlement"}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Payment Ledger: each cash receipt and the months it was applied to */}
+          {ledger.length > 0 && (
             <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-lg mb-6">
               <div className="px-4 py-5 sm:p-6">
-                <h3 className="text-lg font-semibold text-white mb-4">Payment History</h3>
+                <h3 className="text-lg font-semibold text-white mb-4">Payment Ledger</h3>
                 <div className="overflow-x-auto">
                   <table className="min-w-full divide-y divide-gray-600">
                     <thead className="bg-black/20 backdrop-blur-2xl">
                       <tr>
                         <th className="px-4 py-3 text-left text-sm font-bold text-white uppercase tracking-wider">Date</th>
-                        <th className="px-4 py-3 text-left text-sm font-bold text-white uppercase tracking-wider">Amount</th>
+                        <th className="px-4 py-3 text-left text-sm font-bold text-white uppercase tracking-wider">Receipt</th>
+                        <th className="px-4 py-3 text-left text-sm font-bold text-white uppercase tracking-wider">Received</th>
+                        <th className="px-4 py-3 text-left text-sm font-bold text-white uppercase tracking-wider">Applied To</th>
                         <th className="px-4 py-3 text-left text-sm font-bold text-white uppercase tracking-wider">Penalty Fee</th>
-                        <th className="px-4 py-3 text-left text-sm font-bold text-white uppercase tracking-wider">Total</th>
+                        <th className="px-4 py-3 text-left text-sm font-bold text-white uppercase tracking-wider">Balance After</th>
                       </tr>
                     </thead>
                     <tbody className="bg-black/10 backdrop-blur-2xl divide-y divide-gray-600">
-                      {installment.paymentHistory.map((payment, index) => {
-                        const paymentDate = payment.paymentDate || payment.date || payment.createdAt;
+                      {ledger.map((row) => {
                         let formattedDate = 'N/A';
-                        if (paymentDate) {
-                          try {
-                            formattedDate = new Date(paymentDate).toLocaleDateString('en-GB');
-                          } catch (e) {
-                            formattedDate = paymentDate;
-                          }
+                        if (row.date) {
+                          const parsed = new Date(row.date);
+                          formattedDate = isNaN(parsed.getTime()) ? row.date : parsed.toLocaleDateString('en-GB');
                         }
-                        const penaltyFee = toNumber(payment.penaltyFee || 0);
-                        const rawAmount = toNumber(payment.amount || 0);
-                        const expectedMonthly = toNumber(installment.monthlyPayment || 0);
-
-                        // Our edit page currently posts: amount = (monthly + penalty) and penaltyFee separately.
-                        // Some older/back-end records might store amount = monthly only.
-                        // Detect which case we have to avoid double-counting in the UI.
-                        const amountLooksLikeTotal =
-                          penaltyFee > 0 &&
-                          expectedMonthly > 0 &&
-                          Math.abs(rawAmount - (expectedMonthly + penaltyFee)) < 1;
-
-                        const amountLooksLikeBase =
-                          penaltyFee > 0 &&
-                          expectedMonthly > 0 &&
-                          Math.abs(rawAmount - expectedMonthly) < 1;
-
-                        const amount = amountLooksLikeTotal
-                          ? Math.max(rawAmount - penaltyFee, 0)
-                          : rawAmount;
-
-                        const total = amountLooksLikeBase ? rawAmount + penaltyFee : rawAmount;
-                        
+
                         return (
-                          <tr key={index} className="hover:bg-black/30">
+                          <tr key={row.receiptId} className="hover:bg-black/30">
                             <td className="px-4 py-3 whitespace-nowrap text-sm text-white">{formattedDate}</td>
-                            <td className="px-4 py-3 whitespace-nowrap text-sm text-white font-semibold font-numeric">
-                              ฿{amount.toLocaleString()}
+                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-300 font-numeric">
+                              {row.receiptId}
+                              <button
+                                type="button"
+                                onClick={() => handleReprintReceipt(row)}
+                                className="ml-2 px-2 py-0.5 text-xs bg-gray-600 hover:bg-gray-700 text-white rounded transition-colors cursor-pointer"
+                              >
+                                Print
+                              </button>
+                            </td>
+                            <td className="px-4 py-3 whitespace-nowrap text-sm text-green-400 font-bold font-numeric">
+                              {formatCurrency(row.received)}
+                              {row.rebate > 0 && (
+                                <p className="text-xs text-gray-400 font-normal">Rebate {formatCurrency(row.rebate)}</p>
+                              )}
+                            </td>
+                            <td className="px-4 py-3 text-sm text-white">
+                              {row.allocations.map((allocation) => {
+                                const settled = balances[allocation.month - 1]?.status === 'paid';
+                                return (
+                                  <p key={allocation.month}>
+                                    Month <span className="font-numeric">{allocation.month}</span>:{" "}
+                                    <span className="font-numeric">{formatCurrency(allocation.amount - allocation.penaltyFee)}</span>
+                                    {!settled && <span className="text-orange-300"> (partial)</span>}
+                                  </p>
+                                );
+                              })}
                             </td>
                             <td className="px-4 py-3 whitespace-nowrap text-sm font-semibold font-numeric">
-                              {penaltyFee > 0 ? (
-                                <span className="text-red-400">฿{penaltyFee.toLocaleString()}</span>
+                              {row.penalty > 0 ? (
+                                <span className="text-red-400">{formatCurrency(row.penalty)}</span>
                               ) : (
                                 <span className="text-gray-500">-</span>
                               )}
                             </td>
-                            <td className="px-4 py-3 whitespace-nowrap text-sm text-green-400 font-bold font-numeric">
-                              ฿{total.toLocaleString()}
+                            <td className="px-4 py-3 whitespace-nowrap text-sm text-yellow-400 font-semibold font-numeric">
+                              {formatCurrency(row.balanceAfter)}
                             </td>
                           </tr>
                         );
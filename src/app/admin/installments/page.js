@@ -1,17 +1,25 @@
 "use client";
 import Link from "next/link";
-import { useState, useEffect } from "react";
+import { Fragment, useState, useEffect, useMemo } from "react";
+import { API_BASE_URL, getInstallmentCars, isAbortError } from "@/lib/api";
+import { logout } from "@/lib/session";
+import { AGING_BUCKETS, buildAgingReport } from "@/lib/aging";
 
 export default function InstallmentsPage() {
   const [installments, setInstallments] = useState([]);
   const [loading, setLoading] = useState(true);
-  const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+  // Aging report: bucket filter and the contract opened for drill-down
+  const [agingBucket, setAgingBucket] = useState(null);
+  const [expandedAgingId, setExpandedAgingId] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
 
   useEffect(() => {
     if (typeof window === "undefined") {
       return;
     }
 
+    const controller = new AbortController();
+
     const fetchInstallments = async () => {
       if (!API_BASE_URL) {
         console.warn("API base URL is not set. Skipping installment fetch.");
@@ -21,34 +29,9 @@ export default function InstallmentsPage() {
 
       try {
         setLoading(true);
-        
-        // Get token from localStorage for authentication
-        const token = localStorage.getItem('token');
-        
-        const headers = {};
-        
-        // Add Authorization header if token exists
-        if (token) {
-          headers['Authorization'] = `Bearer ${token}`;
-        }
-        
-        const response = await fetch(`${API_BASE_URL}/api/cars/sold/installment`, { 
-          cache: "no-store",
-          headers: headers
-        });
-        
-        if (!response.ok) {
-          if (response.status === 401) {
-            console.error("Unauthorized: Token is missing or invalid");
-            setInstallments([]);
-            setLoading(false);
-            return;
-          }
-          throw new Error(`Request failed with status ${response.status}`);
-        }
-        
-        const data = await response.json();
-        const apiCars = Array.isArray(data.data) ? data.data : [];
+
+        const data = await getInstallmentCars({ signal: controller.signal });
+        const apiCars = Array.isArray(data?.data) ? data.data : [];
 
         if (!Array.isArray(apiCars)) {
           console.warn("Unexpected response shape when fetching installments:", data);
@@ -91,6 +74,10 @@ export default function InstallmentsPage() {
             monthlyPayment: monthlyPayment,
             installmentPeriod: months,
             purchasedDate: startDate,
+            startDate: installment.startDate || '',
+            totalPayable: installment.totalPayable || 0,
+            months,
+            paymentHistory: installment.paymentHistory || [],
             carListNo: car.carList || '',
             // Include full car and installment data for details page
             car: car,
@@ -100,24 +87,192 @@ export default function InstallmentsPage() {
 
         setInstallments(normalizedInstallments);
       } catch (error) {
+        if (isAbortError(error)) return;
         console.error("Failed to fetch installments from API:", error);
         setInstallments([]);
       } finally {
-        setLoading(false);
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
       }
     };
 
     fetchInstallments();
-  }, [API_BASE_URL]);
+    return () => controller.abort();
+  }, []);
 
 
   const handleLogout = () => {
-    // Clear any stored authentication data
-    localStorage.removeItem('isLoggedIn');
-    localStorage.removeItem('userType');
-    
-    // Redirect to login page
-    window.location.href = '/admin/login';
+    logout('/admin/login');
+  };
+
+  const agingReport = useMemo(() => buildAgingReport(installments), [installments]);
+  const agingRows = agingBucket
+    ? agingReport.rows.filter((row) => row.buckets[agingBucket] > 0)
+    : agingReport.rows.filter((row) => row.overdue > 0);
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('th-TH', {
+      style: 'currency',
+      currency: 'THB',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0
+    }).format(amount);
+  };
+
+  const csvCell = (value) => {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  // Export the aging report to CSV (Excel compatible)
+  const exportAgingCsv = () => {
+    setIsExporting(true);
+
+    try {
+      let csvContent = '\uFEFF'; // UTF-8 BOM
+      csvContent += `BKK KAUNG PYAE CAR SHOWROOM - Installment Receivables Aging\n`;
+      csvContent += `As of,${new Date().toLocaleDateString('en-GB')}\n`;
+      csvContent += `\n`;
+
+      csvContent += `SUMMARY\n`;
+      AGING_BUCKETS.forEach(({ key, label }) => {
+        csvContent += `${label},${agingReport.totals[key].toFixed(2)}\n`;
+      });
+      csvContent += `Total Overdue,${agingReport.totalOverdue.toFixed(2)}\n`;
+      csvContent += `Contracts Behind,${agingReport.contractsBehind}\n`;
+      csvContent += `\n`;
+
+      csvContent += `CONTRACTS\n`;
+      csvContent += ['Customer', 'Phone', 'Car', 'License No.', ...AGING_BUCKETS.map((bucket) => `${bucket.label} (฿)`), 'Total Overdue (฿)', 'Oldest Days Late'].join(',') + '\n';
+      agingReport.rows.forEach((row) => {
+        csvContent += [
+          csvCell(row.customerName),
+          csvCell(row.phoneNumber),
+          csvCell(row.carModel),
+          csvCell(row.licensePlate),
+          ...AGING_BUCKETS.map(({ key }) => row.buckets[key].toFixed(2)),
+          row.overdue.toFixed(2),
+          row.oldestDaysLate
+        ].join(',') + '\n';
+      });
+
+      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+      const link = document.createElement('a');
+      const url = URL.createObjectURL(blob);
+      link.setAttribute('href', url);
+      const dateStr = new Date().toISOString().split('T')[0];
+      link.setAttribute('download', `BKK_Receivables_Aging_${dateStr}.csv`);
+      link.style.visibility = 'hidden';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+
+      setTimeout(() => setIsExporting(false), 1000);
+    } catch (error) {
+      console.error('CSV export error:', error);
+      alert('Failed to export CSV: ' + error.message);
+      setIsExporting(false);
+    }
+  };
+
+  // Export the aging report to PDF using browser print functionality
+  const exportAgingPdf = () => {
+    setIsExporting(true);
+
+    try {
+      const escapeHtml = (value) =>
+        String(value ?? '').replace(/[&<>"]/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+
+      const htmlContent = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <title>BKK KAUNG PYAE CAR SHOWROOM - Receivables Aging</title>
+          <style>
+            @page { margin: 1cm; size: A4 landscape; }
+            body { font-family: Arial, sans-serif; margin: 0; padding: 20px; font-size: 12px; }
+            .header { text-align: center; margin-bottom: 20px; border-bottom: 3px solid #dc3545; padding-bottom: 15px; }
+            .title { font-size: 24px; font-weight: bold; color: #dc3545; margin-bottom: 5px; }
+            .subtitle { font-size: 16px; color: #666; margin-top: 5px; }
+            table { width: 100%; border-collapse: collapse; margin-bottom: 20px; font-size: 11px; }
+            th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; }
+            th { background-color: #dc3545; color: white; font-weight: bold; text-align: center; }
+            td.amount { text-align: right; }
+            tr:nth-child(even) { background-color: #f9f9f9; }
+            tr.totals td { font-weight: bold; background-color: #f8f9fa; }
+            .late { color: #dc3545; font-weight: bold; }
+            .footer { margin-top: 30px; font-size: 10px; color: #666; text-align: center; border-top: 1px solid #ddd; padding-top: 10px; }
+            @media print {
+              table { page-break-inside: auto; }
+              tr { page-break-inside: avoid; page-break-after: auto; }
+            }
+          </style>
+        </head>
+        <body>
+          <div class="header">
+            <div class="title">BKK KAUNG PYAE CAR SHOWROOM</div>
+            <div class="subtitle">Installment Receivables Aging as of ${new Date().toLocaleDateString('en-GB')}</div>
+          </div>
+
+          <table>
+            <thead>
+              <tr>
+                <th>Customer</th>
+                <th>Phone</th>
+                <th>Car</th>
+                <th>License No.</th>
+                ${AGING_BUCKETS.map((bucket) => `<th>${bucket.label}</th>`).join('')}
+                <th>Total Overdue</th>
+                <th>Oldest (days)</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${agingReport.rows.map((row) => `
+                <tr>
+                  <td>${escapeHtml(row.customerName || 'N/A')}</td>
+                  <td>${escapeHtml(row.phoneNumber || '-')}</td>
+                  <td>${escapeHtml(row.carModel || 'N/A')}</td>
+                  <td>${escapeHtml(row.licensePlate || 'N/A')}</td>
+                  ${AGING_BUCKETS.map(({ key }) => `<td class="amount">${row.buckets[key] > 0 ? formatCurrency(row.buckets[key]) : '-'}</td>`).join('')}
+                  <td class="amount ${row.overdue > 0 ? 'late' : ''}">${formatCurrency(row.overdue)}</td>
+                  <td class="amount">${row.oldestDaysLate || '-'}</td>
+                </tr>
+              `).join('')}
+              <tr class="totals">
+                <td colspan="4">Total (${agingReport.contractsBehind} contract${agingReport.contractsBehind !== 1 ? 's' : ''} behind)</td>
+                ${AGING_BUCKETS.map(({ key }) => `<td class="amount">${formatCurrency(agingReport.totals[key])}</td>`).join('')}
+                <td class="amount late">${formatCurrency(agingReport.totalOverdue)}</td>
+                <td></td>
+              </tr>
+            </tbody>
+          </table>
+
+          <div class="footer">
+            <p>Generated on ${new Date().toLocaleString()} | BKK KAUNG PYAE CAR SHOWROOM</p>
+            <p>This report contains confidential business information.</p>
+          </div>
+        </body>
+        </html>
+      `;
+
+      // Open new window with content and trigger print
+      const printWindow = window.open('', '_blank');
+      printWindow.document.write(htmlContent);
+      printWindow.document.close();
+
+      // Wait for content to load then trigger print
+      setTimeout(() => {
+        printWindow.focus();
+        printWindow.print();
+        printWindow.close();
+        setIsExporting(false);
+      }, 500);
+    } catch (error) {
+      console.error('PDF export error:', error);
+      alert('Failed to export PDF: ' + error.message);
+      setIsExporting(false);
+    }
   };
 
   return (
@@ -153,6 +308,18 @@ export default function InstallmentsPage() {
             <Link href="/admin/sold-list" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
               Sold List
             </Link>
+            <Link href="/admin/customers" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Customers
+            </Link>
+            <Link href="/admin/leads" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Leads
+            </Link>
+            <Link href="/admin/discount-approvals" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Approvals
+            </Link>
+            <Link href="/admin/vendors" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Vendors
+            </Link>
             <Link href="/admin/analysis" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
               Analysis
             </Link>
@@ -178,6 +345,139 @@ export default function InstallmentsPage() {
             </div>
           </div>
 
+          {/* Receivables Aging */}
+          {!loading && agingReport.rows.length > 0 && (
+            <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-md mb-6 sm:mb-8">
+              <div className="px-4 py-5 sm:p-6">
+                <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 mb-4">
+                  <div>
+                    <h3 className="text-lg sm:text-xl font-semibold text-white">Receivables Aging</h3>
+                    <p className="text-white/70 text-sm">
+                      {formatCurrency(agingReport.totalOverdue)} overdue across {agingReport.contractsBehind} contract{agingReport.contractsBehind !== 1 ? 's' : ''} · as of {new Date().toLocaleDateString('en-GB')}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={exportAgingCsv}
+                      disabled={isExporting}
+                      className="bg-green-600 hover:bg-green-700 disabled:bg-green-800 text-white px-3 sm:px-4 py-2 text-sm font-medium rounded-md transition-all cursor-pointer"
+                    >
+                      {isExporting ? 'Exporting...' : 'CSV'}
+                    </button>
+                    <button
+                      onClick={exportAgingPdf}
+                      disabled={isExporting}
+                      className="bg-red-600 hover:bg-red-700 disabled:bg-red-800 text-white px-3 sm:px-4 py-2 text-sm font-medium rounded-md transition-all cursor-pointer"
+                    >
+                      {isExporting ? 'Exporting...' : 'PDF'}
+                    </button>
+                  </div>
+                </div>
+
+                {/* Bucket totals; click one to list only its contracts */}
+                <div className="grid grid-cols-2 sm:grid-cols-5 gap-3 mb-4">
+                  {AGING_BUCKETS.map(({ key, label }) => (
+                    <button
+                      key={key}
+                      type="button"
+                      onClick={() => setAgingBucket(agingBucket === key ? null : key)}
+                      className={`p-3 rounded-lg border text-left transition-all cursor-pointer ${
+                        agingBucket === key
+                          ? 'border-red-500 bg-red-900/30'
+                          : 'border-gray-600 bg-black/30 hover:border-gray-400'
+                      }`}
+                    >
+                      <p className="text-xs text-gray-300">{label}</p>
+                      <p className={`text-base sm:text-lg font-bold font-numeric ${key === 'current' ? 'text-white' : agingReport.totals[key] > 0 ? 'text-red-400' : 'text-white'}`}>
+                        {formatCurrency(agingReport.totals[key])}
+                      </p>
+                      <p className="text-xs text-gray-400">
+                        {agingReport.rows.filter((row) => row.buckets[key] > 0).length} contract(s)
+                      </p>
+                    </button>
+                  ))}
+                </div>
+
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-600">
+                    <thead className="bg-black/20 backdrop-blur-2xl">
+                      <tr>
+                        <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Customer</th>
+                        <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Car</th>
+                        {AGING_BUCKETS.map(({ key, label }) => (
+                          <th key={key} className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider whitespace-nowrap">{label}</th>
+                        ))}
+                        <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Overdue</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-black/10 backdrop-blur-2xl divide-y divide-gray-600">
+                      {agingRows.length > 0 ? (
+                        agingRows.map((row) => (
+                          <Fragment key={row.id}>
+                            <tr
+                              className="hover:bg-black/30 cursor-pointer"
+                              onClick={() => setExpandedAgingId(expandedAgingId === row.id ? null : row.id)}
+                            >
+                              <td className="px-3 py-3 whitespace-nowrap text-sm text-white">
+                                {row.customerName || 'N/A'}
+                                {row.phoneNumber && <p className="text-xs text-gray-400">{row.phoneNumber}</p>}
+                              </td>
+                              <td className="px-3 py-3 whitespace-nowrap text-sm text-white">
+                                {row.carModel || 'N/A'}
+                                {row.licensePlate && <p className="text-xs text-gray-400">{row.licensePlate}</p>}
+                              </td>
+                              {AGING_BUCKETS.map(({ key }) => (
+                                <td key={key} className={`px-3 py-3 whitespace-nowrap text-sm text-right font-numeric ${row.buckets[key] > 0 && key !== 'current' ? 'text-red-400 font-semibold' : 'text-white'}`}>
+                                  {row.buckets[key] > 0 ? formatCurrency(row.buckets[key]) : '-'}
+                                </td>
+                              ))}
+                              <td className="px-3 py-3 whitespace-nowrap text-sm text-right font-bold font-numeric text-yellow-400">
+                                {formatCurrency(row.overdue)}
+                              </td>
+                            </tr>
+                            {expandedAgingId === row.id && (
+                              <tr className="bg-black/30">
+                                <td colSpan={AGING_BUCKETS.length + 3} className="px-3 py-3 text-sm text-gray-300">
+                                  <div className="flex flex-col sm:flex-row justify-between gap-3">
+                                    <div className="space-y-1">
+                                      {row.openMonths.map((month) => (
+                                        <p key={month.month}>
+                                          Month <span className="font-numeric">{month.month}</span> · due {month.dueDate.toLocaleDateString('en-GB')} ·{" "}
+                                          <span className="font-numeric">{formatCurrency(month.amount)}</span>
+                                          {month.daysLate > 0 ? (
+                                            <span className="text-red-400"> · <span className="font-numeric">{month.daysLate}</span> days late</span>
+                                          ) : (
+                                            <span className="text-gray-400"> · not yet due</span>
+                                          )}
+                                        </p>
+                                      ))}
+                                    </div>
+                                    <Link
+                                      href={`/admin/installment-details/${row.id}`}
+                                      className="self-start px-3 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm font-medium transition-colors whitespace-nowrap"
+                                    >
+                                      Open Contract
+                                    </Link>
+                                  </div>
+                                </td>
+                              </tr>
+                            )}
+                          </Fragment>
+                        ))
+                      ) : (
+                        <tr>
+                          <td colSpan={AGING_BUCKETS.length + 3} className="px-3 py-6 text-center text-white/70">
+                            {agingBucket ? 'No contracts in this bucket.' : 'No contracts are behind on payments.'}
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Installments Table */}
           <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-md">
             <div className="overflow-x-auto">
@@ -0,0 +1,288 @@
+"use client";
+import Link from "next/link";
+import { useState, useEffect, useMemo } from "react";
+import { API_BASE_URL, getSoldCars, isAbortError } from "@/lib/api";
+import { logout } from "@/lib/session";
+import { LEAD_SOURCES, LEAD_STATUSES, buildFunnel, fetchLeads, funnelByCar, funnelByStaff, markSoldFromSales } from "@/lib/leads";
+
+const PERIODS = [
+  { value: "30", label: "Last 30 days" },
+  { value: "90", label: "Last 90 days" },
+  { value: "365", label: "Last 12 months" },
+  { value: "all", label: "All time" },
+];
+
+export default function LeadsPage() {
+  const [leads, setLeads] = useState([]);
+  const [soldCars, setSoldCars] = useState([]);
+  const [period, setPeriod] = useState("90");
+
+  useEffect(() => {
+    if (typeof window === "undefined") {
+      return;
+    }
+
+    if (!API_BASE_URL) return;
+
+    const controller = new AbortController();
+
+    const loadLeads = async () => {
+      try {
+        setLeads(await fetchLeads(undefined, { signal: controller.signal }));
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to fetch leads from API:", error);
+      }
+    };
+
+    // Sold cars let leads that staff never closed still count as sold
+    const fetchSoldCars = async () => {
+      try {
+        const data = await getSoldCars({ signal: controller.signal });
+        setSoldCars(Array.isArray(data?.data) ? data.data : []);
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to fetch sold cars from API:", error);
+      }
+    };
+
+    loadLeads();
+    fetchSoldCars();
+    return () => controller.abort();
+  }, []);
+
+  const handleLogout = () => {
+    logout('/admin/login');
+  };
+
+  const periodLeads = useMemo(() => {
+    const since = period === "all" ? 0 : Date.now() - Number(period) * 24 * 60 * 60 * 1000;
+    return markSoldFromSales(leads, soldCars).filter((lead) => new Date(lead.createdAt).getTime() >= since);
+  }, [leads, soldCars, period]);
+
+  const totals = buildFunnel(periodLeads, () => ({ key: "all", label: "All" }))[0] || {
+    inquiries: 0,
+    testDrives: 0,
+    sold: 0,
+    lost: 0,
+    testDriveRate: 0,
+    conversionRate: 0,
+  };
+  const byStaff = useMemo(() => funnelByStaff(periodLeads), [periodLeads]);
+  const byCar = useMemo(() => funnelByCar(periodLeads), [periodLeads]);
+
+  const formatPercent = (rate) => `${Math.round(rate * 100)}%`;
+
+  const funnelStages = [
+    { label: "Inquiries", value: totals.inquiries, color: "bg-blue-500" },
+    { label: "Test Drives", value: totals.testDrives, color: "bg-yellow-500" },
+    { label: "Sold", value: totals.sold, color: "bg-green-500" },
+  ];
+
+  const renderFunnelTable = (title, rows, firstColumn) => (
+    <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-md mb-6 sm:mb-8">
+      <div className="px-4 py-5 sm:p-6">
+        <h3 className="text-lg sm:text-xl font-semibold text-white mb-4">{title}</h3>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-600">
+            <thead className="bg-black/20 backdrop-blur-2xl">
+              <tr>
+                <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">{firstColumn}</th>
+                <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Inquiries</th>
+                <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Test Drives</th>
+                <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Sold</th>
+                <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Lost</th>
+                <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Conversion</th>
+              </tr>
+            </thead>
+            <tbody className="bg-black/10 backdrop-blur-2xl divide-y divide-gray-600">
+              {rows.length > 0 ? (
+                rows.map((row) => (
+                  <tr key={row.key} className="hover:bg-black/30">
+                    <td className="px-3 py-3 whitespace-nowrap text-sm text-white">{row.label}</td>
+                    <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-white font-numeric">{row.inquiries}</td>
+                    <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-white font-numeric">
+                      {row.testDrives} <span className="text-xs text-gray-400">({formatPercent(row.testDriveRate)})</span>
+                    </td>
+                    <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-green-400 font-numeric">{row.sold}</td>
+                    <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-gray-400 font-numeric">{row.lost}</td>
+                    <td className="px-3 py-3 whitespace-nowrap text-sm text-right font-bold text-white font-numeric">{formatPercent(row.conversionRate)}</td>
+                  </tr>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan={6} className="px-3 py-6 text-center text-white/70">No inquiries in this period.</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-cover bg-center bg-no-repeat bg-fixed" style={{ backgroundImage: "url('/View.png')" }}>
+      {/* Top Navigation Bar */}
+      <nav className="bg-black/80 backdrop-blur-md shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center h-14 sm:h-16">
+            <h1 className="text-xl sm:text-2xl font-semibold text-white">BKK KAUNG PYAE CAR SHOWROOM</h1>
+            <button
+              onClick={handleLogout}
+              className="bg-black/20 backdrop-blur-md text-white px-4 sm:px-6 py-2 sm:py-3 rounded-lg hover:bg-black/30 hover:text-red-500 text-base sm:text-lg font-medium border border-white/30 transition-all duration-200 cursor-pointer"
+            >
+              Logout
+            </button>
+          </div>
+        </div>
+      </nav>
+
+      {/* Secondary Navigation Bar */}
+      <nav className="bg-black/70 backdrop-blur-md shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex flex-nowrap space-x-4 sm:space-x-8 h-12 sm:h-14 overflow-x-auto scrollbar-hide">
+            <Link href="/admin/dashboard" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Car List
+            </Link>
+            <Link href="/admin/installments" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Installments
+            </Link>
+            <Link href="/admin/installment-calculator" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Installment Calculator
+            </Link>
+            <Link href="/admin/sold-list" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Sold List
+            </Link>
+            <Link href="/admin/customers" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Customers
+            </Link>
+            <Link href="/admin/leads" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-red-500 border-b-2 border-red-500 whitespace-nowrap flex-shrink-0">
+              Leads
+            </Link>
+            <Link href="/admin/discount-approvals" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Approvals
+            </Link>
+            <Link href="/admin/vendors" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Vendors
+            </Link>
+            <Link href="/admin/analysis" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Analysis
+            </Link>
+            <Link href="/admin/installment-analysis" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Installment Analysis
+            </Link>
+            <Link href="/admin/money-manager" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Money Manager
+            </Link>
+          </div>
+        </div>
+      </nav>
+
+      {/* Main Content */}
+      <div className="max-w-7xl mx-auto py-4 sm:py-6 px-2 sm:px-6 lg:px-8">
+        <div className="px-2 sm:px-4 py-4 sm:py-6 sm:px-0">
+          <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 sm:mb-8 gap-4">
+            <div>
+              <h2 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-white">Leads &amp; Conversion</h2>
+              <p className="text-white/70 text-sm mt-1">Inquiries logged by staff on every device</p>
+            </div>
+            <select
+              value={period}
+              onChange={(e) => setPeriod(e.target.value)}
+              aria-label="Period"
+              className="px-3 py-2 border border-gray-600 rounded-md bg-black/30 text-white text-base focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+            >
+              {PERIODS.map((option) => (
+                <option key={option.value} value={option.value} className="text-gray-800">
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Funnel */}
+          <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-md mb-6 sm:mb-8">
+            <div className="px-4 py-5 sm:p-6">
+              <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-2 mb-4">
+                <h3 className="text-lg sm:text-xl font-semibold text-white">Conversion Funnel</h3>
+                <p className="text-white/70 text-sm">
+                  <span className="font-numeric">{formatPercent(totals.conversionRate)}</span> of inquiries sold ·{" "}
+                  <span className="font-numeric">{totals.lost}</span> lost
+                </p>
+              </div>
+              <div className="space-y-3">
+                {funnelStages.map((stage) => (
+                  <div key={stage.label} className="flex items-center gap-3">
+                    <span className="w-24 text-sm text-gray-300">{stage.label}</span>
+                    <div className="flex-1 bg-black/30 rounded h-7 overflow-hidden">
+                      <div
+                        className={`${stage.color} h-full rounded`}
+                        style={{ width: `${totals.inquiries > 0 ? Math.max(2, (stage.value / totals.inquiries) * 100) : 0}%` }}
+                      />
+                    </div>
+                    <span className="w-12 text-right text-white font-bold font-numeric">{stage.value}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {renderFunnelTable("By Staff Member", byStaff, "Staff")}
+          {renderFunnelTable("By Car", byCar, "Car")}
+
+          {/* Recent inquiries */}
+          <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-md">
+            <div className="px-4 py-5 sm:p-6">
+              <h3 className="text-lg sm:text-xl font-semibold text-white mb-4">Inquiries</h3>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-600">
+                  <thead className="bg-black/20 backdrop-blur-2xl">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Date</th>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Prospect</th>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Car</th>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Source</th>
+                      <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Budget</th>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Staff</th>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-black/10 backdrop-blur-2xl divide-y divide-gray-600">
+                    {periodLeads.length > 0 ? (
+                      periodLeads.map((lead) => (
+                        <tr key={lead.id} className="hover:bg-black/30">
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-white font-numeric">{new Date(lead.createdAt).toLocaleDateString('en-GB')}</td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-white">
+                            {lead.name}
+                            <p className="text-xs text-gray-400">{lead.phone}{lead.wantsInstallment && ' · Installment'}</p>
+                          </td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-white">
+                            <Link href={`/admin/car-details/${lead.carId}`} className="hover:text-red-400">{lead.carLabel || lead.carId}</Link>
+                          </td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-white">{LEAD_SOURCES[lead.source] || lead.source}</td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-white font-numeric">
+                            {lead.budget ? `฿${Number(lead.budget).toLocaleString()}` : '-'}
+                          </td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-white">{lead.staffName}</td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-white">
+                            {LEAD_STATUSES[lead.status] || lead.status}
+                            {lead.soldFromSale && <p className="text-xs text-gray-400">from sale record</p>}
+                          </td>
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td colSpan={7} className="px-3 py-6 text-center text-white/70">No inquiries in this period.</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,8 @@
 "use client";
 import Link from "next/link";
-import { useState } from "react";
+import { useEffect, useState } from "react";
+import { API_BASE_URL, login, register } from "@/lib/api";
+import { getNextPath, isStaffRole, startSession } from "@/lib/session";
 
 export default function AdminLoginPage() {
   const [showPassword, setShowPassword] = useState(false);
@@ -14,7 +16,12 @@ export default function AdminLoginPage() {
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ type: "", text: "" });
 
-  const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+  // The API client sends users here with ?expired=1 when their token is rejected
+  useEffect(() => {
+    if (new URLSearchParams(window.location.search).get("expired") === "1") {
+      setMessage({ type: "error", text: "Your session has expired. Please login again." });
+    }
+  }, []);
 
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -42,17 +49,9 @@ export default function AdminLoginPage() {
         };
 
         if (API_BASE_URL) {
-          const response = await fetch(`${API_BASE_URL}/api/auth/register`, {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-            },
-            body: JSON.stringify(registrationData),
-          });
-
-          const result = await response.json();
+          const result = await register(registrationData);
           console.log("result",result);
-          if (response.ok) {
+          if (result?.success !== false) {
             setMessage({ type: "success", text: "Registration successful! You can now login." });
             setTimeout(() => {
               setIsRegisterMode(false);
@@ -85,56 +84,25 @@ export default function AdminLoginPage() {
           password: formData.password,
         };
 
-        if (API_BASE_URL) {
-          const response = await fetch(`${API_BASE_URL}/api/auth/login`, {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-            },
-            body: JSON.stringify(loginData),
-          });
-
-          const result = await response.json();
-          console.log("Login result:", result);
+        const result = await login(loginData);
+        console.log("Login result:", result);
 
-          if (response.ok && result.success !== false) {
-            // Store user session and token
-            if (result.user) {
-              localStorage.setItem("user", JSON.stringify(result.user));
-            }
-            if (result.token) {
-              localStorage.setItem("token", result.token);
-            }
-            setMessage({ type: "success", text: result.message || "Login successful! Redirecting..." });
-            setTimeout(() => {
-              window.location.href = "/admin/dashboard";
-            }, 1000);
-          } else {
-            setMessage({ type: "error", text: result.message || "Invalid credentials. Please try again." });
-          }
+        if (result?.success !== false) {
+          // Store user session and token
+          startSession({ token: result.token, user: result.user });
+          setMessage({ type: "success", text: result.message || "Login successful! Redirecting..." });
+          setTimeout(() => {
+            window.location.href = isStaffRole(result.user?.role)
+              ? "/staff/dashboard"
+              : getNextPath("/admin", "/admin/dashboard");
+          }, 1000);
         } else {
-          // Fallback: Check localStorage for demo
-          const users = JSON.parse(localStorage.getItem("users") || "[]");
-          const user = users.find(
-            (u) => u.username === loginData.username && u.password === loginData.password && u.isActive
-          );
-
-          if (user) {
-            user.lastLogin = new Date().toISOString();
-            localStorage.setItem("users", JSON.stringify(users));
-            localStorage.setItem("user", JSON.stringify(user));
-            setMessage({ type: "success", text: "Login successful! Redirecting..." });
-            setTimeout(() => {
-              window.location.href = "/admin/dashboard";
-            }, 1000);
-          } else {
-            setMessage({ type: "error", text: "Invalid credentials or account is inactive." });
-          }
+          setMessage({ type: "error", text: result.message || "Invalid credentials. Please try again." });
         }
       }
     } catch (error) {
       console.error("Error:", error);
-      setMessage({ type: "error", text: "An error occurred. Please try again." });
+      setMessage({ type: "error", text: error.status ? error.message : "An error occurred. Please try again." });
     } finally {
       setLoading(false);
     }
@@ -2,6 +2,18 @@
 
 import Link from "next/link";
 import { useEffect, useMemo, useRef, useState } from "react";
+import {
+  API_BASE_URL,
+  createExpense,
+  deleteExpense,
+  getExpenses,
+  getExpensesByPeriod,
+  isAbortError,
+  updateExpense,
+  useAbortSignal,
+} from "@/lib/api";
+import { logout } from "@/lib/session";
+import { fetchVendors, findVendor } from "@/lib/vendors";
 
 function toNumber(value) {
   const n = typeof value === "string" ? Number(value.replace(/,/g, "")) : Number(value);
@@ -48,8 +60,6 @@ function getExpenseDate(exp) {
 }
 
 export default function MoneyManagerPage() {
-  const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
-
   const [selectedPeriod, setSelectedPeriod] = useState("monthly"); // monthly | sixMonths | yearly
   const apiPeriod = useMemo(
     () => (selectedPeriod === "sixMonths" ? "6months" : selectedPeriod),
@@ -66,9 +76,12 @@ export default function MoneyManagerPage() {
   const [expenseForm, setExpenseForm] = useState({
     title: "",
     description: "",
+    vendorId: "",
     amount: "",
     expenseDate: formatDateInput(new Date()),
+    recurring: false,
   });
+  const [vendors, setVendors] = useState([]);
   const [formError, setFormError] = useState("");
   const [saving, setSaving] = useState(false);
 
@@ -96,35 +109,49 @@ export default function MoneyManagerPage() {
   const [confirmDialog, setConfirmDialog] = useState(null);
   // confirmDialog: { type: "update" | "delete", title, message, confirmLabel, confirmVariant, payload }
 
-  const authHeaders = useMemo(() => {
-    if (typeof window === "undefined") return {};
-    const token = localStorage.getItem("token");
-    return token ? { Authorization: `Bearer ${token}` } : {};
-  }, []);
+  const getSignal = useAbortSignal();
 
   const handleLogout = () => {
-    window.location.href = "/admin/login";
+    logout("/admin/login");
+  };
+
+  // Re-read on every open so vendors added on another device show up
+  const loadRegisteredVendors = async () => {
+    try {
+      const registered = await fetchVendors({ signal: getSignal() });
+      setVendors(registered);
+      return registered;
+    } catch (error) {
+      if (!isAbortError(error)) console.error("Failed to fetch vendors:", error);
+      return vendors;
+    }
   };
 
   const openCreateModal = () => {
     setEditingExpense(null);
+    loadRegisteredVendors();
     setExpenseForm({
       title: "",
       description: "",
+      vendorId: "",
       amount: "",
       expenseDate: formatDateInput(new Date()),
+      recurring: false,
     });
     setFormError("");
     setShowExpenseModal(true);
   };
 
-  const openEditModal = (exp) => {
+  const openEditModal = async (exp) => {
+    const registered = await loadRegisteredVendors();
     setEditingExpense(exp);
     setExpenseForm({
       title: exp?.title || "",
       description: exp?.description || "",
+      vendorId: findVendor(registered, { vendorId: exp?.vendorId, name: exp?.vendorName })?.id || "",
       amount: String(exp?.amount ?? ""),
       expenseDate: formatDateInput(exp?.expenseDate || exp?.date || exp?.createdAt),
+      recurring: Boolean(exp?.recurring),
     });
     setFormError("");
     setShowExpenseModal(true);
@@ -148,26 +175,7 @@ export default function MoneyManagerPage() {
       setLoading(true);
 
       // 1) Fetch grouped data using your backend period controller.
-      const periodRes = await fetch(
-        `${API_BASE_URL}/api/general-expenses/period?period=${encodeURIComponent(apiPeriod)}`,
-        {
-          cache: "no-store",
-          headers: authHeaders,
-        }
-      );
-
-      if (periodRes.status === 401) {
-        alert("Unauthorized: Please login again.");
-        window.location.href = "/admin/login";
-        return;
-      }
-
-      if (!periodRes.ok) {
-        const t = await periodRes.text().catch(() => "");
-        throw new Error(`Period request failed (${periodRes.status}). ${t}`);
-      }
-
-      const periodJson = await periodRes.json();
+      const periodJson = await getExpensesByPeriod(apiPeriod, { signal: getSignal() });
       const serverRangeStart = periodJson?.dateRange?.startDate ? new Date(periodJson.dateRange.startDate) : null;
       const serverRangeEnd = periodJson?.dateRange?.endDate ? new Date(periodJson.dateRange.endDate) : null;
       const startDate = serverRangeStart && !Number.isNaN(serverRangeStart.getTime()) ? serverRangeStart : null;
@@ -181,35 +189,16 @@ export default function MoneyManagerPage() {
       const rangeStart = startDate || fallback.startDate;
       const rangeEnd = endDate || fallback.endDate;
 
-      const start = encodeURIComponent(rangeStart.toISOString());
-      const end = encodeURIComponent(rangeEnd.toISOString());
-
       const all = [];
       const limit = 100;
       let page = 1;
       let pages = 1;
 
       while (page <= pages && page <= 50) {
-        const expRes = await fetch(
-          `${API_BASE_URL}/api/general-expenses?startDate=${start}&endDate=${end}&page=${page}&limit=${limit}`,
-          {
-            cache: "no-store",
-            headers: authHeaders,
-          }
+        const expJson = await getExpenses(
+          { startDate: rangeStart.toISOString(), endDate: rangeEnd.toISOString(), page, limit },
+          { signal: getSignal() }
         );
-
-        if (expRes.status === 401) {
-          alert("Unauthorized: Please login again.");
-          window.location.href = "/admin/login";
-          return;
-        }
-
-        if (!expRes.ok) {
-          const t = await expRes.text().catch(() => "");
-          throw new Error(`Expenses request failed (${expRes.status}). ${t}`);
-        }
-
-        const expJson = await expRes.json();
         const list = Array.isArray(expJson?.data) ? expJson.data : [];
         all.push(...list);
 
@@ -224,6 +213,7 @@ export default function MoneyManagerPage() {
 
       setLoading(false);
     } catch (e) {
+      if (isAbortError(e) || e.isUnauthorized) return;
       console.error("Money manager load failed:", e);
       showToast(`Failed to load money manager data: ${e.message}`, "error");
       setLoading(false);
@@ -234,9 +224,9 @@ export default function MoneyManagerPage() {
     if (typeof window === "undefined") return;
     fetchAll();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [API_BASE_URL, apiPeriod]);
+  }, [apiPeriod]);
 
-  const performSaveExpense = async ({ isEdit, id, title, description, amount, expenseDate }) => {
+  const performSaveExpense = async ({ isEdit, id, title, description, vendor, amount, expenseDate, recurring }) => {
     if (!API_BASE_URL) {
       setFormError("API base URL is not configured.");
       return;
@@ -245,35 +235,22 @@ export default function MoneyManagerPage() {
     try {
       setSaving(true);
 
-      const url = isEdit
-        ? `${API_BASE_URL}/api/general-expenses/${id}`
-        : `${API_BASE_URL}/api/general-expenses`;
-
-      const method = isEdit ? "PUT" : "POST";
-
-      const res = await fetch(url, {
-        method,
-        headers: {
-          ...authHeaders,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          title,
-          description: description || undefined,
-          amount,
-          expenseDate,
-        }),
-      });
-
-      if (res.status === 401) {
-        alert("Unauthorized: Please login again.");
-        window.location.href = "/admin/login";
-        return;
-      }
-
-      if (!res.ok) {
-        const json = await res.json().catch(() => null);
-        throw new Error(json?.message || `Request failed (${res.status})`);
+      const body = {
+        title,
+        description: description || undefined,
+        // The vendor's name is kept too, for reports if it leaves the list
+        vendorId: vendor?.id || null,
+        vendorName: vendor?.name || null,
+        amount,
+        expenseDate,
+        // Recurring costs (rent, salaries, utilities) are what the cash-flow forecast expects to repeat
+        recurring,
+      };
+
+      if (isEdit) {
+        await updateExpense(id, body, { signal: getSignal() });
+      } else {
+        await createExpense(body, { signal: getSignal() });
       }
 
       setConfirmDialog(null);
@@ -281,6 +258,7 @@ export default function MoneyManagerPage() {
       await fetchAll();
       showToast(isEdit ? "Expense updated successfully." : "Expense created successfully.", "success");
     } catch (err) {
+      if (isAbortError(err) || err.isUnauthorized) return;
       console.error("Save expense failed:", err);
       setFormError(err.message || "Failed to save expense.");
       showToast(err.message || "Failed to save expense.", "error");
@@ -296,8 +274,10 @@ export default function MoneyManagerPage() {
 
     const title = (expenseForm.title || "").trim();
     const description = (expenseForm.description || "").trim();
+    const vendor = vendors.find((item) => item.id === expenseForm.vendorId) || null;
     const amount = toNumber(expenseForm.amount);
     const expenseDate = expenseForm.expenseDate;
+    const recurring = Boolean(expenseForm.recurring);
 
     if (!title) {
       setFormError("Title is required.");
@@ -323,12 +303,12 @@ export default function MoneyManagerPage() {
         message: `${title}\n฿${amount.toLocaleString()}`,
         confirmLabel: "Update",
         confirmVariant: "primary",
-        payload: { isEdit, id, title, description, amount, expenseDate },
+        payload: { isEdit, id, title, description, vendor, amount, expenseDate, recurring },
       });
       return;
     }
 
-    await performSaveExpense({ isEdit, id, title, description, amount, expenseDate });
+    await performSaveExpense({ isEdit, id, title, description, vendor, amount, expenseDate, recurring });
   };
 
   const performDeleteExpense = async (exp) => {
@@ -342,26 +322,13 @@ export default function MoneyManagerPage() {
 
     try {
       setSaving(true);
-      const res = await fetch(`${API_BASE_URL}/api/general-expenses/${id}`, {
-        method: "DELETE",
-        headers: authHeaders,
-      });
-
-      if (res.status === 401) {
-        alert("Unauthorized: Please login again.");
-        window.location.href = "/admin/login";
-        return;
-      }
-
-      if (!res.ok) {
-        const json = await res.json().catch(() => null);
-        throw new Error(json?.message || `Delete failed (${res.status})`);
-      }
+      await deleteExpense(id, { signal: getSignal() });
 
       setConfirmDialog(null);
       await fetchAll();
       showToast("Expense deleted successfully.", "success");
     } catch (err) {
+      if (isAbortError(err) || err.isUnauthorized) return;
       console.error("Delete expense failed:", err);
       showToast(`Failed to delete expense: ${err.message}`, "error");
     } finally {
@@ -429,6 +396,30 @@ export default function MoneyManagerPage() {
             >
               Sold List
             </Link>
+            <Link
+              href="/admin/customers"
+              className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0"
+            >
+              Customers
+            </Link>
+            <Link
+              href="/admin/leads"
+              className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0"
+            >
+              Leads
+            </Link>
+            <Link
+              href="/admin/discount-approvals"
+              className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0"
+            >
+              Approvals
+            </Link>
+            <Link
+              href="/admin/vendors"
+              className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0"
+            >
+              Vendors
+            </Link>
             <Link
               href="/admin/analysis"
               className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0"
@@ -722,6 +713,8 @@ export default function MoneyManagerPage() {
                             </td>
                             <td className="px-4 py-3 whitespace-nowrap text-sm text-white font-medium">
                               {exp?.title || "N/A"}
+                              {exp?.vendorName && <div className="text-xs text-gray-400 font-normal">{exp.vendorName}</div>}
+                              {exp?.recurring && <div className="text-xs text-blue-300 font-normal">Recurring</div>}
                             </td>
                             <td className="px-4 py-3 text-sm text-gray-200 max-w-[520px]">
                               <div className="line-clamp-2">{exp?.description || "-"}</div>
@@ -782,6 +775,20 @@ export default function MoneyManagerPage() {
                   />
                 </div>
 
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Vendor (optional)</label>
+                  <select
+                    value={expenseForm.vendorId}
+                    onChange={(e) => setExpenseForm((p) => ({ ...p, vendorId: e.target.value }))}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+                  >
+                    <option value="">No vendor</option>
+                    {vendors.map((vendor) => (
+                      <option key={vendor.id} value={vendor.id}>{vendor.name}</option>
+                    ))}
+                  </select>
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">Description (optional)</label>
                   <textarea
@@ -820,6 +827,19 @@ export default function MoneyManagerPage() {
                   </div>
                 </div>
 
+                <label className="flex items-start gap-2 text-sm text-gray-700 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={expenseForm.recurring}
+                    onChange={(e) => setExpenseForm((p) => ({ ...p, recurring: e.target.checked }))}
+                    className="mt-0.5 h-4 w-4 accent-red-600"
+                  />
+                  <span>
+                    Recurring expense
+                    <span className="block text-xs text-gray-500">Rent, salaries, utilities and other monthly costs. Only these are counted in the cash-flow forecast.</span>
+                  </span>
+                </label>
+
                 <div className="flex justify-end gap-3 pt-2">
                   <button
                     type="button"
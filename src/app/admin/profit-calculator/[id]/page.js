@@ -2,6 +2,9 @@
 import { useState, useEffect } from "react";
 import Link from "next/link";
 import { useParams } from "next/navigation";
+import { API_BASE_URL, getCar, isAbortError } from "@/lib/api";
+import { logout } from "@/lib/session";
+import { jobCost, jobExpenseDetail, reconditioningTotal, repairJobsOf } from "@/lib/repairJobs";
 
 export default function ProfitCalculator() {
   const params = useParams();
@@ -32,27 +35,16 @@ export default function ProfitCalculator() {
   useEffect(() => {
     if (!carId) return;
 
+    const controller = new AbortController();
+
     const loadCarData = async () => {
       let foundCar = null;
-      const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
 
       // Try to fetch from API first to get purchasePrice
       if (API_BASE_URL) {
         try {
-          const token = localStorage.getItem('token');
-          const headers = {};
-          
-          if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-          }
-          
-          const response = await fetch(`${API_BASE_URL}/api/car/${carId}`, {
-            cache: "no-store",
-            headers: headers
-          });
-          
-          if (response.ok) {
-            const data = await response.json();
+          const data = await getCar(carId, { signal: controller.signal });
+          if (data) {
             const apiCar = data.data || data;
             
             if (apiCar) {
@@ -70,6 +62,7 @@ export default function ProfitCalculator() {
             }
           }
         } catch (error) {
+          if (isAbortError(error) || error.isUnauthorized) return;
           console.error("Error fetching car from API:", error);
         }
       }
@@ -99,57 +92,16 @@ export default function ProfitCalculator() {
 
       setCar(foundCar);
 
-      // Helper function to convert repair history to expenses format
-      const convertRepairHistoryToExpenses = (repairHistory) => {
-        if (!repairHistory || !Array.isArray(repairHistory)) return [];
-        
-        return repairHistory
-          .filter(item => item !== null && item !== undefined)
-          .map((item, index) => {
-            // Handle API format: { description, cost, repairDate }
-            if (typeof item === 'object') {
-              const description = item.description || item.details || '';
-              const cost = item.cost !== undefined ? item.cost : item.amount;
-              const repairDate = item.repairDate || '';
-              
-              // Format description with date if available
-              let detailText = description;
-              if (repairDate) {
-                try {
-                  const date = new Date(repairDate);
-                  const formattedDate = date.toLocaleDateString('en-GB', {
-                    year: 'numeric',
-                    month: 'short',
-                    day: 'numeric'
-                  });
-                  detailText = `${description} (${formattedDate})`;
-                } catch (e) {
-                  detailText = description;
-                }
-              }
-              
-              return {
-                id: Date.now() + index,
-                detail: detailText || 'Repair expense',
-                amount: cost !== undefined && cost !== null ? parseCurrency(cost).toString() : '0',
-                fromRepairHistory: true
-              };
-            }
-            
-            // Handle string format
-            if (typeof item === 'string') {
-              return {
-                id: Date.now() + index,
-                detail: item,
-                amount: '0',
-                fromRepairHistory: true
-              };
-            }
-            
-            return null;
-          })
-          .filter(item => item !== null);
-      };
+      // Committed repair jobs become expenses, recalculated on every visit
+      // so the reconditioning total follows the jobs on the car
+      const repairExpenses = repairJobsOf(foundCar)
+        .filter((job) => job.status !== "quoted")
+        .map((job, index) => ({
+          id: `${job.id}-${index}`,
+          detail: jobExpenseDetail(job),
+          amount: jobCost(job).toString(),
+          fromRepairHistory: true
+        }));
 
       // Prefill form with saved profit calculation if available
       try {
@@ -159,27 +111,13 @@ export default function ProfitCalculator() {
         );
 
         if (existingCalculation) {
-          // Merge saved expenses with repair history (avoid duplicates)
-          const savedExpenses = existingCalculation.expenses || [];
-          const repairHistoryData = foundCar?.repairHistory || foundCar?.repairs || [];
-          const repairExpenses = convertRepairHistoryToExpenses(repairHistoryData);
-          
-          // Only add repair history expenses that aren't already in saved expenses
-          const mergedExpenses = [...savedExpenses];
-          repairExpenses.forEach(repairExp => {
-            const exists = savedExpenses.some(savedExp => 
-              savedExp.detail === repairExp.detail && 
-              savedExp.amount === repairExp.amount
-            );
-            if (!exists) {
-              mergedExpenses.push(repairExp);
-            }
-          });
+          // Keep the expenses entered by hand; repair expenses come from the jobs
+          const savedExpenses = (existingCalculation.expenses || []).filter((expense) => !expense.fromRepairHistory);
           
           setFormData({
             originalPrice: existingCalculation.originalPrice?.toString() || "",
             retailedPrice: existingCalculation.retailedPrice?.toString() || "",
-            expenses: mergedExpenses,
+            expenses: [...repairExpenses, ...savedExpenses],
           });
           return;
         }
@@ -195,10 +133,6 @@ export default function ProfitCalculator() {
                                    foundCar.originalPrice || 
                                    foundCar.price;
         
-        // Convert repair history to expenses (check both repairHistory and repairs fields)
-        const repairHistoryData = foundCar.repairHistory || foundCar.repairs || [];
-        const repairExpenses = convertRepairHistoryToExpenses(repairHistoryData);
-        
         setFormData((prev) => ({
           ...prev,
           originalPrice: parseCurrency(purchasePriceValue).toString(),
@@ -209,6 +143,7 @@ export default function ProfitCalculator() {
     };
 
     loadCarData();
+    return () => controller.abort();
   }, [carId]);
 
   const handleInputChange = (e) => {
@@ -393,7 +328,7 @@ export default function ProfitCalculator() {
   };
 
   const handleLogout = () => {
-    window.location.href = '/admin/login';
+    logout('/admin/login');
   };
 
   const formatCurrency = (amount) => {
@@ -534,25 +469,35 @@ export default function ProfitCalculator() {
                           <div className="flex items-center gap-2 flex-1 min-w-0">
                             <span className="text-white text-sm font-medium truncate">{expense.detail}</span>
                             {expense.fromRepairHistory && (
-                              <span className="text-xs text-blue-400 bg-blue-400/20 px-2 py-0.5 rounded flex-shrink-0" title="From Repair History">
+                              <span className="text-xs text-blue-400 bg-blue-400/20 px-2 py-0.5 rounded flex-shrink-0" title="From the car's repair jobs">
                                 🔧
                               </span>
                             )}
                           </div>
                           <div className="flex items-center gap-2">
                             <span className="text-white text-sm font-medium">{formatCurrency(expense.amount)}</span>
-                            <button
-                              type="button"
-                              onClick={() => removeExpense(expense.id)}
-                              className="text-red-400 hover:text-red-300 text-sm font-bold hover:bg-red-400/10 px-1 py-1 rounded transition-colors"
-                            >
-                              ×
-                            </button>
+                            {!expense.fromRepairHistory && (
+                              <button
+                                type="button"
+                                onClick={() => removeExpense(expense.id)}
+                                className="text-red-400 hover:text-red-300 text-sm font-bold hover:bg-red-400/10 px-1 py-1 rounded transition-colors"
+                              >
+                                ×
+                              </button>
+                            )}
                           </div>
                         </div>
                       ))
                     )}
                   </div>
+
+                  <p className="text-gray-300 text-sm">
+                    🔧 Reconditioning: <span className="font-numeric text-white">{formatCurrency(reconditioningTotal(repairJobsOf(car)))}</span>
+                    {" "}from the repair jobs on{" "}
+                    <Link href={`/admin/car-details/${carId}`} className="text-blue-300 hover:text-blue-200 underline">
+                      the car details page
+                    </Link>
+                  </p>
                 </div>
 
                 {/* Box 3: Sold Price */}
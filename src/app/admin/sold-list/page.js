@@ -1,11 +1,20 @@
 "use client";
 import Link from "next/link";
-import { useState, useEffect } from "react";
+import { useState, useEffect, useMemo } from "react";
+import OwnerBookTransferTracker from "@/app/components/OwnerBookTransferTracker";
+import { API_BASE_URL, editCar, getSoldCars, isAbortError, useAbortSignal } from "@/lib/api";
+import { addMonths } from "@/lib/installments";
+import { logout } from "@/lib/session";
+import { recordTransitionQuietly } from "@/lib/lifecycle";
+import { nextTransferStep, pendingTransfers, transferProcessOf } from "@/lib/ownerBookTransfer";
 
 export default function SoldListPage() {
   const [soldCars, setSoldCars] = useState([]);
   const [loading, setLoading] = useState(true);
-  const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+  const [trackingCar, setTrackingCar] = useState(null);
+  const getSignal = useAbortSignal();
+
+  const waitingForBook = useMemo(() => pendingTransfers(soldCars), [soldCars]);
 
   const parseCurrency = (value) => {
     if (value === null || value === undefined || value === "") return 0;
@@ -25,6 +34,8 @@ export default function SoldListPage() {
       return;
     }
 
+    const controller = new AbortController();
+
     const loadSoldCarsFromStorage = () => {
       try {
         const savedSoldCars = localStorage.getItem('soldCars');
@@ -47,35 +58,8 @@ export default function SoldListPage() {
       }
 
       try {
-        // Get token from localStorage for authentication
-        const token = localStorage.getItem('token');
-        
-        const headers = {};
-        
-        // Add Authorization header if token exists
-        if (token) {
-          headers['Authorization'] = `Bearer ${token}`;
-        }
-        
-        const response = await fetch(`${API_BASE_URL}/api/cars/sold`, { 
-          cache: "no-store",
-          headers: headers
-        });
-        
-        if (!response.ok) {
-          if (response.status === 401) {
-            console.error("Unauthorized: Token is missing or invalid");
-            // Fallback to localStorage
-            const storageCars = loadSoldCarsFromStorage();
-            setSoldCars(storageCars);
-            setLoading(false);
-            return;
-          }
-          throw new Error(`Request failed with status ${response.status}`);
-        }
-        
-        const data = await response.json();
-        const apiCars = Array.isArray(data.data) ? data.data : [];
+        const data = await getSoldCars({ signal: controller.signal });
+        const apiCars = Array.isArray(data?.data) ? data.data : [];
 
         if (!Array.isArray(apiCars)) {
           console.warn("Unexpected response shape when fetching cars:", data);
@@ -142,6 +126,7 @@ export default function SoldListPage() {
         setSoldCars(normalizedSoldCars);
         setLoading(false);
       } catch (error) {
+        if (isAbortError(error)) return;
         console.error("Failed to fetch sold cars from API:", error);
         // Fallback to localStorage
         const storageCars = loadSoldCarsFromStorage();
@@ -163,49 +148,18 @@ export default function SoldListPage() {
     window.addEventListener('storage', handleStorageChange);
 
     return () => {
+      controller.abort();
       window.removeEventListener('storage', handleStorageChange);
     };
-  }, [API_BASE_URL]);
+  }, []);
 
-  const handleTransferMark = async (car) => {
-    if (window.confirm(`Transfer the owner book for ${car.brand} ${car.model} (${car.licenseNo})?`)) {
-      // Update API if available
-      if (API_BASE_URL && car.id) {
-        try {
-          const token = localStorage.getItem('token');
-          const headers = {
-            'Content-Type': 'application/json'
-          };
-          
-          if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-          }
-          
-          const response = await fetch(`${API_BASE_URL}/api/car/${car.id}/owner-book-transfer`, {
-            method: 'PUT',
-            headers: headers,
-            body: JSON.stringify({ notes: "" })
-          });
-          
-          const result = await response.json().catch(() => ({}));
-          
-          if (!response.ok || result.success === false) {
-            const message = result.message || result.error || `Request failed with status ${response.status}`;
-            alert(`Failed to transfer owner book: ${message}`);
-            return;
-          }
-          
-          // Success - reload the page to show updated data
-          alert('✅ Owner book transferred successfully!');
-          window.location.reload();
-        } catch (error) {
-          console.error("Error transferring owner book:", error);
-          alert(`Error: ${error.message || "Failed to transfer owner book"}`);
-        }
-      } else {
-        alert("API base URL is not configured.");
-      }
-    }
+  const handleTransferSaved = (carId, process) => {
+    setSoldCars((prev) => prev.map((car) => (car.id === carId ? { ...car, ownerBookProcess: process } : car)));
+  };
+
+  const handleTransferred = () => {
+    alert('✅ Owner book transferred successfully!');
+    window.location.reload();
   };
 
   const handleMoveBackToCarList = async (car) => {
@@ -213,40 +167,24 @@ export default function SoldListPage() {
       // Update API if available - relist the car (remove sale/installment data)
       if (API_BASE_URL && car.id) {
         try {
-          const token = localStorage.getItem('token');
-          const headers = {
-            'Content-Type': 'application/json'
-          };
-          
-          if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
-          }
-          
           // Use edit endpoint to relist the car
           // According to schema: set sale=null, installment=null, boughtType=null, isAvailable=true
-          const response = await fetch(`${API_BASE_URL}/api/car/${car.id}/edit`, {
-            method: 'PUT',
-            headers: headers,
-            body: JSON.stringify({
-              sale: null,
-              installment: null,
-              boughtType: null,
-              isAvailable: true
-            })
-          });
-          
-          if (!response.ok) {
-            console.error("Failed to update car in API:", response.status);
-            // Continue with localStorage update as fallback
-          } else {
-            // If API update successful, remove from sold list and refresh
-            const updatedSoldCars = soldCars.filter(c => c.id !== car.id);
-            setSoldCars(updatedSoldCars);
-            localStorage.setItem('soldCars', JSON.stringify(updatedSoldCars));
-            alert('Car moved back to car list successfully!');
-            return;
-          }
+          await editCar(car.id, {
+            sale: null,
+            installment: null,
+            boughtType: null,
+            isAvailable: true
+          }, { signal: getSignal() });
+          await recordTransitionQuietly(car, "returned", "Moved back to the car list", { signal: getSignal() });
+
+          // If API update successful, remove from sold list and refresh
+          const updatedSoldCars = soldCars.filter(c => c.id !== car.id);
+          setSoldCars(updatedSoldCars);
+          localStorage.setItem('soldCars', JSON.stringify(updatedSoldCars));
+          alert('Car moved back to car list successfully!');
+          return;
         } catch (error) {
+          if (isAbortError(error) || error.isUnauthorized) return;
           console.error("Error updating car in API:", error);
           // Continue with localStorage update as fallback
         }
@@ -270,7 +208,7 @@ export default function SoldListPage() {
   };
 
   const handleLogout = () => {
-    window.location.href = '/admin/login';
+    logout('/admin/login');
   };
 
   return (
@@ -306,6 +244,18 @@ export default function SoldListPage() {
             <Link href="/admin/sold-list" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-red-500 border-b-2 border-red-500 whitespace-nowrap flex-shrink-0">
               Sold List
             </Link>
+            <Link href="/admin/customers" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Customers
+            </Link>
+            <Link href="/admin/leads" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Leads
+            </Link>
+            <Link href="/admin/discount-approvals" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Approvals
+            </Link>
+            <Link href="/admin/vendors" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Vendors
+            </Link>
             <Link href="/admin/analysis" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
               Analysis
             </Link>
@@ -326,6 +276,47 @@ export default function SoldListPage() {
             <h2 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-white">Sold Cars</h2>
           </div>
 
+          {/* Sold cars still waiting for their owner book */}
+          {waitingForBook.length > 0 && (
+            <div className="bg-black/20 backdrop-blur-2xl shadow sm:rounded-md p-4 mb-6">
+              <h3 className="text-lg font-semibold text-white mb-3">
+                Pending Owner Book Transfers <span className="font-numeric text-orange-300">({waitingForBook.length})</span>
+              </h3>
+              <ul className="divide-y divide-gray-600">
+                {waitingForBook.map(({ car, since, days, nextStep, overdue }) => (
+                  <li key={car.id} className="py-2 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                    <div>
+                      <Link href={`/admin/car-details/${car.id}`} className="text-white hover:text-orange-300 font-medium">
+                        {car.brand} {car.model} <span className="text-gray-400">({car.licenseNo})</span>
+                      </Link>
+                      <p className="text-sm text-gray-300">
+                        {car.customerName || "Customer not set"}
+                        {since && (
+                          <>
+                            {" "}· sold <span className="font-numeric">{addMonths(since, 0).toLocaleDateString("en-GB")}</span>
+                            {" "}(<span className="font-numeric">{days}</span> {days === 1 ? "day" : "days"} waiting)
+                          </>
+                        )}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <span className={`text-sm ${overdue ? "text-red-400 font-semibold" : "text-gray-300"}`}>
+                        Next: {nextStep?.label || "Complete"}
+                        {overdue && " (overdue)"}
+                      </span>
+                      <button
+                        onClick={() => setTrackingCar(car)}
+                        className="bg-black/20 backdrop-blur-md text-white px-3 py-1.5 rounded text-xs sm:text-sm hover:bg-black/30 hover:text-green-500 font-medium border border-white/30 transition-all duration-200 cursor-pointer"
+                      >
+                        Track
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* Sold Cars Table */}
           <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-md">
             <div className="overflow-x-auto">
@@ -464,21 +455,34 @@ export default function SoldListPage() {
                           })()}
                         </td>
                         <td className="px-3 sm:px-6 py-3 sm:py-5 whitespace-nowrap text-sm sm:text-base text-white">
-                          {car.ownerBookTransfer && car.ownerBookTransfer.transferred ? (
-                            <span className="bg-green-600/20 backdrop-blur-md text-green-400 px-2 sm:px-4 py-1.5 sm:py-2 rounded text-xs sm:text-sm font-medium border border-green-500/30">
-                              ✅ Completed
-                            </span>
-                          ) : (
+                          <div className="flex items-center gap-2">
+                            {car.ownerBookTransfer && car.ownerBookTransfer.transferred ? (
+                              <span className="bg-green-600/20 backdrop-blur-md text-green-400 px-2 sm:px-4 py-1.5 sm:py-2 rounded text-xs sm:text-sm font-medium border border-green-500/30">
+                                ✅ Completed
+                              </span>
+                            ) : (
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation(); // Prevent row click
+                                  setTrackingCar(car);
+                                }}
+                                className="bg-black/20 backdrop-blur-md text-white px-2 sm:px-4 py-1.5 sm:py-2 rounded text-xs sm:text-sm hover:bg-black/30 hover:text-green-500 font-medium border border-white/30 transition-all duration-200 cursor-pointer"
+                                title={`Next step: ${nextTransferStep(transferProcessOf(car))?.label || "Complete"}`}
+                              >
+                                Transfer Owner Book
+                              </button>
+                            )}
                             <button
                               onClick={(e) => {
                                 e.stopPropagation(); // Prevent row click
-                                handleTransferMark(car);
+                                handleMoveBackToCarList(car);
                               }}
-                              className="bg-black/20 backdrop-blur-md text-white px-2 sm:px-4 py-1.5 sm:py-2 rounded text-xs sm:text-sm hover:bg-black/30 hover:text-green-500 font-medium border border-white/30 transition-all duration-200 cursor-pointer"
+                              className="bg-black/20 backdrop-blur-md text-white px-2 sm:px-4 py-1.5 sm:py-2 rounded text-xs sm:text-sm hover:bg-black/30 hover:text-red-500 font-medium border border-white/30 transition-all duration-200 cursor-pointer"
+                              title="Returned or repossessed: clear the sale and list the car again"
                             >
-                              Transfer Owner Book
+                              Move Back to Car List
                             </button>
-                          )}
+                          </div>
                         </td>
                       </tr>
                     ))
@@ -495,6 +499,15 @@ export default function SoldListPage() {
           </div>
         </div>
       </div>
+
+      {trackingCar && (
+        <OwnerBookTransferTracker
+          car={trackingCar}
+          onClose={() => setTrackingCar(null)}
+          onSaved={(process) => handleTransferSaved(trackingCar.id, process)}
+          onTransferred={handleTransferred}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,527 @@
+"use client";
+import Link from "next/link";
+import { useState, useEffect, useMemo } from "react";
+import { API_BASE_URL, getCars, getSoldCars, isAbortError, useAbortSignal } from "@/lib/api";
+import { logout } from "@/lib/session";
+import { todayInputValue } from "@/lib/installments";
+import { repairJobsOf, saveRepairJobs } from "@/lib/repairJobs";
+import {
+  PAYMENT_TERMS,
+  VENDOR_SPECIALTIES,
+  averageCostByCategory,
+  expenseBills,
+  fetchExpensesInRange,
+  fetchVendors,
+  mergeVendor,
+  outstandingBills,
+  removeVendor,
+  repairBills,
+  saveVendor,
+  spendByVendor,
+} from "@/lib/vendors";
+
+const PERIODS = [
+  { value: "30", label: "Last 30 days" },
+  { value: "90", label: "Last 90 days" },
+  { value: "365", label: "Last 12 months" },
+  { value: "all", label: "All time" },
+];
+
+const EMPTY_VENDOR_FORM = { id: "", name: "", phone: "", specialty: "body", paymentTerms: "cash" };
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-600 rounded-md bg-black/30 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent";
+
+const sinceFor = (period) => {
+  if (period === "all") return null;
+  const since = new Date();
+  since.setHours(0, 0, 0, 0);
+  since.setDate(since.getDate() - Number(period));
+  return since;
+};
+
+export default function VendorsPage() {
+  const [vendors, setVendors] = useState([]);
+  const [cars, setCars] = useState([]);
+  const [expenses, setExpenses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [period, setPeriod] = useState("90");
+  const [vendorForm, setVendorForm] = useState(EMPTY_VENDOR_FORM);
+  const [savingVendor, setSavingVendor] = useState(false);
+  const [payingBillId, setPayingBillId] = useState(null);
+  const getSignal = useAbortSignal();
+
+  useEffect(() => {
+    if (typeof window === "undefined") {
+      return;
+    }
+
+    if (!API_BASE_URL) {
+      console.warn("API base URL is not set. Skipping vendor spend fetch.");
+      setLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+
+    // Repair jobs live on the cars, sold or not
+    const fetchCars = async () => {
+      try {
+        const [available, sold, registered] = await Promise.all([
+          getCars({ signal: controller.signal }),
+          getSoldCars({ signal: controller.signal }),
+          // The spend report still shows vendors by name without the registry
+          fetchVendors({ signal: controller.signal }).catch((error) => {
+            if (isAbortError(error)) throw error;
+            console.error("Failed to fetch vendors from API:", error);
+            return [];
+          }),
+        ]);
+        setVendors(registered);
+        const byId = new Map();
+        [...(available?.data || []), ...(sold?.data || [])].forEach((car) => byId.set(String(car.id || car._id), car));
+        setCars([...byId.values()]);
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to fetch cars from API:", error);
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchCars();
+    return () => controller.abort();
+  }, []);
+
+  // Vendor-tagged expenses for the chosen period
+  useEffect(() => {
+    if (typeof window === "undefined" || !API_BASE_URL) {
+      return;
+    }
+
+    const controller = new AbortController();
+
+    const fetchExpenses = async () => {
+      try {
+        const endDate = new Date();
+        endDate.setHours(23, 59, 59, 999);
+        const startDate = sinceFor(period) || new Date(2000, 0, 1);
+        setExpenses(await fetchExpensesInRange({ startDate, endDate }, { signal: controller.signal }));
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to fetch expenses from API:", error);
+        setExpenses([]);
+      }
+    };
+
+    fetchExpenses();
+    return () => controller.abort();
+  }, [period]);
+
+  const handleLogout = () => {
+    logout('/admin/login');
+  };
+
+  const bills = useMemo(
+    () => [...repairBills(cars, vendors), ...expenseBills(expenses, vendors)],
+    [cars, expenses, vendors]
+  );
+  const since = useMemo(() => sinceFor(period), [period]);
+  const spend = useMemo(() => spendByVendor(bills, since), [bills, since]);
+  const categories = useMemo(() => averageCostByCategory(bills, since), [bills, since]);
+  const outstanding = useMemo(() => outstandingBills(bills), [bills]);
+  const totalSpend = spend.reduce((sum, row) => sum + row.total, 0);
+  const totalOutstanding = outstanding.reduce((sum, bill) => sum + bill.amount, 0);
+
+  const handleSaveVendor = async (e) => {
+    e.preventDefault();
+    const name = vendorForm.name.trim();
+    if (!name) {
+      alert("Please enter the vendor name.");
+      return;
+    }
+    if (vendors.some((vendor) => vendor.id !== vendorForm.id && vendor.name.trim().toLowerCase() === name.toLowerCase())) {
+      alert(`${name} is already in the vendor list.`);
+      return;
+    }
+
+    setSavingVendor(true);
+    try {
+      const saved = await saveVendor({ ...vendorForm, name, phone: vendorForm.phone.trim() }, { signal: getSignal() });
+      setVendors((prev) => mergeVendor(prev, saved));
+      setVendorForm(EMPTY_VENDOR_FORM);
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Error saving vendor:", error);
+      alert(`Failed to save the vendor: ${error.message}`);
+    } finally {
+      setSavingVendor(false);
+    }
+  };
+
+  const handleRemoveVendor = async (vendor) => {
+    if (!confirm(`Remove ${vendor.name} from the vendor list? Past jobs and expenses keep the name.`)) return;
+    try {
+      await removeVendor(vendor.id, { signal: getSignal() });
+      setVendors((prev) => prev.filter((item) => item.id !== vendor.id));
+      if (vendorForm.id === vendor.id) setVendorForm(EMPTY_VENDOR_FORM);
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Error removing vendor:", error);
+      alert(`Failed to remove the vendor: ${error.message}`);
+    }
+  };
+
+  const handleMarkPaid = async (bill) => {
+    const car = cars.find((item) => String(item.id || item._id) === String(bill.carId));
+    if (!car) return;
+    const jobs = repairJobsOf(car).map((job) => (job.id === bill.jobId ? { ...job, paidAt: todayInputValue() } : job));
+
+    setPayingBillId(bill.id);
+    try {
+      await saveRepairJobs(bill.carId, jobs, { signal: getSignal() });
+      setCars((prev) => prev.map((item) => (item === car ? { ...item, repairJobs: jobs } : item)));
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Error marking bill paid:", error);
+      alert(`Failed to mark the bill paid: ${error.message}`);
+    } finally {
+      setPayingBillId(null);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('th-TH', {
+      style: 'currency',
+      currency: 'THB',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0
+    }).format(amount || 0);
+  };
+
+  return (
+    <div className="min-h-screen bg-cover bg-center bg-no-repeat bg-fixed" style={{ backgroundImage: "url('/View.png')" }}>
+      {/* Top Navigation Bar */}
+      <nav className="bg-black/80 backdrop-blur-md shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex justify-between items-center h-14 sm:h-16">
+            <h1 className="text-xl sm:text-2xl font-semibold text-white">BKK KAUNG PYAE CAR SHOWROOM</h1>
+            <button
+              onClick={handleLogout}
+              className="bg-black/20 backdrop-blur-md text-white px-4 sm:px-6 py-2 sm:py-3 rounded-lg hover:bg-black/30 hover:text-red-500 text-base sm:text-lg font-medium border border-white/30 transition-all duration-200 cursor-pointer"
+            >
+              Logout
+            </button>
+          </div>
+        </div>
+      </nav>
+
+      {/* Secondary Navigation Bar */}
+      <nav className="bg-black/70 backdrop-blur-md shadow-sm border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex flex-nowrap space-x-4 sm:space-x-8 h-12 sm:h-14 overflow-x-auto scrollbar-hide">
+            <Link href="/admin/dashboard" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Car List
+            </Link>
+            <Link href="/admin/installments" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Installments
+            </Link>
+            <Link href="/admin/installment-calculator" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Installment Calculator
+            </Link>
+            <Link href="/admin/sold-list" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Sold List
+            </Link>
+            <Link href="/admin/customers" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Customers
+            </Link>
+            <Link href="/admin/leads" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Leads
+            </Link>
+            <Link href="/admin/discount-approvals" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Approvals
+            </Link>
+            <Link href="/admin/vendors" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-red-500 border-b-2 border-red-500 whitespace-nowrap flex-shrink-0">
+              Vendors
+            </Link>
+            <Link href="/admin/analysis" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Analysis
+            </Link>
+            <Link href="/admin/installment-analysis" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Installment Analysis
+            </Link>
+            <Link href="/admin/money-manager" className="flex items-center px-2 sm:px-3 py-2 text-sm sm:text-base font-medium text-white hover:text-red-500 hover:border-red-500 border-b-2 border-transparent whitespace-nowrap flex-shrink-0">
+              Money Manager
+            </Link>
+          </div>
+        </div>
+      </nav>
+
+      {/* Main Content */}
+      <div className="max-w-7xl mx-auto py-4 sm:py-6 px-2 sm:px-6 lg:px-8">
+        <div className="px-2 sm:px-4 py-4 sm:py-6 sm:px-0">
+          <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 sm:mb-8 gap-4">
+            <div>
+              <h2 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-white">Vendors &amp; Garage Spend</h2>
+              <p className="text-white/70 text-sm mt-1">
+                <span className="font-numeric">{formatCurrency(totalSpend)}</span> spent in this period ·{" "}
+                <span className="font-numeric">{formatCurrency(totalOutstanding)}</span> unpaid
+              </p>
+            </div>
+            <select
+              value={period}
+              onChange={(e) => setPeriod(e.target.value)}
+              aria-label="Period"
+              className="px-3 py-2 border border-gray-600 rounded-md bg-black/30 text-white text-base focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent"
+            >
+              {PERIODS.map((option) => (
+                <option key={option.value} value={option.value} className="text-gray-800">
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Vendor registry */}
+          <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-md mb-6 sm:mb-8">
+            <div className="px-4 py-5 sm:p-6">
+              <h3 className="text-lg sm:text-xl font-semibold text-white mb-4">Vendor List</h3>
+              <form onSubmit={handleSaveVendor} className="grid grid-cols-1 sm:grid-cols-5 gap-3 mb-6">
+                <input
+                  type="text"
+                  aria-label="Vendor name"
+                  value={vendorForm.name}
+                  onChange={(e) => setVendorForm({ ...vendorForm, name: e.target.value })}
+                  placeholder="Garage or shop name"
+                  className={inputClass}
+                />
+                <input
+                  type="tel"
+                  aria-label="Phone"
+                  value={vendorForm.phone}
+                  onChange={(e) => setVendorForm({ ...vendorForm, phone: e.target.value })}
+                  placeholder="Phone"
+                  className={inputClass}
+                />
+                <select
+                  aria-label="Specialty"
+                  value={vendorForm.specialty}
+                  onChange={(e) => setVendorForm({ ...vendorForm, specialty: e.target.value })}
+                  className={inputClass}
+                >
+                  {Object.entries(VENDOR_SPECIALTIES).map(([key, label]) => (
+                    <option key={key} value={key} className="text-gray-800">{label}</option>
+                  ))}
+                </select>
+                <select
+                  aria-label="Payment terms"
+                  value={vendorForm.paymentTerms}
+                  onChange={(e) => setVendorForm({ ...vendorForm, paymentTerms: e.target.value })}
+                  className={inputClass}
+                >
+                  {Object.entries(PAYMENT_TERMS).map(([key, { label }]) => (
+                    <option key={key} value={key} className="text-gray-800">{label}</option>
+                  ))}
+                </select>
+                <div className="flex gap-2">
+                  <button
+                    type="submit"
+                    disabled={savingVendor}
+                    className="flex-1 px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 font-medium cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {savingVendor ? "Saving..." : vendorForm.id ? "Update" : "Add Vendor"}
+                  </button>
+                  {vendorForm.id && (
+                    <button
+                      type="button"
+                      onClick={() => setVendorForm(EMPTY_VENDOR_FORM)}
+                      className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 font-medium cursor-pointer"
+                    >
+                      Cancel
+                    </button>
+                  )}
+                </div>
+              </form>
+
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-600">
+                  <thead className="bg-black/20 backdrop-blur-2xl">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Name</th>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Phone</th>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Specialty</th>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Payment Terms</th>
+                      <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Action</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-black/10 backdrop-blur-2xl divide-y divide-gray-600">
+                    {vendors.length > 0 ? (
+                      vendors.map((vendor) => (
+                        <tr key={vendor.id} className="hover:bg-black/30">
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-white font-medium">{vendor.name}</td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-white">{vendor.phone || '-'}</td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-white">{VENDOR_SPECIALTIES[vendor.specialty] || vendor.specialty}</td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-white">{PAYMENT_TERMS[vendor.paymentTerms]?.label || vendor.paymentTerms}</td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-right">
+                            <button onClick={() => setVendorForm({ ...EMPTY_VENDOR_FORM, ...vendor })} className="text-blue-300 hover:text-blue-200 mr-3 cursor-pointer">
+                              Edit
+                            </button>
+                            <button onClick={() => handleRemoveVendor(vendor)} className="text-red-400 hover:text-red-300 cursor-pointer">
+                              Remove
+                            </button>
+                          </td>
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td colSpan={5} className="px-3 py-6 text-center text-white/70">No vendors added yet.</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 sm:gap-8 mb-6 sm:mb-8">
+            {/* Spend per vendor */}
+            <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-md">
+              <div className="px-4 py-5 sm:p-6">
+                <h3 className="text-lg sm:text-xl font-semibold text-white mb-4">Spend by Vendor</h3>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-600">
+                    <thead className="bg-black/20 backdrop-blur-2xl">
+                      <tr>
+                        <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Vendor</th>
+                        <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Bills</th>
+                        <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Total</th>
+                        <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Unpaid</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-black/10 backdrop-blur-2xl divide-y divide-gray-600">
+                      {spend.length > 0 ? (
+                        spend.map((row) => (
+                          <tr key={row.key} className="hover:bg-black/30">
+                            <td className="px-3 py-3 whitespace-nowrap text-sm text-white">
+                              {row.name}
+                              {!row.vendor && <p className="text-xs text-gray-400">not in the vendor list</p>}
+                            </td>
+                            <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-white font-numeric">{row.jobs}</td>
+                            <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-white font-bold font-numeric">{formatCurrency(row.total)}</td>
+                            <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-red-400 font-numeric">{row.unpaid > 0 ? formatCurrency(row.unpaid) : '-'}</td>
+                          </tr>
+                        ))
+                      ) : (
+                        <tr>
+                          <td colSpan={4} className="px-3 py-6 text-center text-white/70">
+                            {loading ? "Loading..." : "No vendor spend in this period."}
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </div>
+
+            {/* Average cost per job category */}
+            <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-md">
+              <div className="px-4 py-5 sm:p-6">
+                <h3 className="text-lg sm:text-xl font-semibold text-white mb-4">Average Repair Cost by Category</h3>
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-600">
+                    <thead className="bg-black/20 backdrop-blur-2xl">
+                      <tr>
+                        <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Category</th>
+                        <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Jobs</th>
+                        <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Average</th>
+                        <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Total</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-black/10 backdrop-blur-2xl divide-y divide-gray-600">
+                      {categories.length > 0 ? (
+                        categories.map((row) => (
+                          <tr key={row.key} className="hover:bg-black/30">
+                            <td className="px-3 py-3 whitespace-nowrap text-sm text-white">{row.label}</td>
+                            <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-white font-numeric">{row.jobs}</td>
+                            <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-white font-bold font-numeric">{formatCurrency(row.average)}</td>
+                            <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-gray-300 font-numeric">{formatCurrency(row.total)}</td>
+                          </tr>
+                        ))
+                      ) : (
+                        <tr>
+                          <td colSpan={4} className="px-3 py-6 text-center text-white/70">
+                            {loading ? "Loading..." : "No repair jobs in this period."}
+                          </td>
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Outstanding bills */}
+          <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-md">
+            <div className="px-4 py-5 sm:p-6">
+              <h3 className="text-lg sm:text-xl font-semibold text-white mb-4">Unpaid Vendor Bills</h3>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-600">
+                  <thead className="bg-black/20 backdrop-blur-2xl">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Vendor</th>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Job</th>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Car</th>
+                      <th className="px-3 py-2 text-left text-sm font-bold text-white uppercase tracking-wider">Due</th>
+                      <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Amount</th>
+                      <th className="px-3 py-2 text-right text-sm font-bold text-white uppercase tracking-wider">Action</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-black/10 backdrop-blur-2xl divide-y divide-gray-600">
+                    {outstanding.length > 0 ? (
+                      outstanding.map((bill) => (
+                        <tr key={bill.id} className="hover:bg-black/30">
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-white">
+                            {bill.vendorName}
+                            {bill.vendor?.phone && <p className="text-xs text-gray-400">{bill.vendor.phone}</p>}
+                          </td>
+                          <td className="px-3 py-3 text-sm text-white">{bill.description}</td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-white">
+                            <Link href={`/admin/car-details/${bill.carId}`} className="hover:text-red-400">{bill.carLabel}</Link>
+                          </td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-white font-numeric">
+                            {bill.dueDate ? bill.dueDate.toLocaleDateString('en-GB') : '-'}
+                            {bill.daysOverdue > 0 && <p className="text-xs text-red-400">{bill.daysOverdue} days overdue</p>}
+                          </td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-right text-white font-bold font-numeric">{formatCurrency(bill.amount)}</td>
+                          <td className="px-3 py-3 whitespace-nowrap text-sm text-right">
+                            <button
+                              onClick={() => handleMarkPaid(bill)}
+                              disabled={payingBillId === bill.id}
+                              className="bg-black/20 backdrop-blur-md text-white px-3 py-1.5 rounded hover:bg-black/30 hover:text-green-400 font-medium border border-white/30 transition-all duration-200 cursor-pointer disabled:opacity-60"
+                            >
+                              {payingBillId === bill.id ? "Saving..." : "Mark Paid"}
+                            </button>
+                          </td>
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td colSpan={6} className="px-3 py-6 text-center text-white/70">
+                          {loading ? "Loading..." : "No unpaid vendor bills."}
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
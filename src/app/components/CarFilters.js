@@ -0,0 +1,338 @@
+"use client";
+import { useEffect, useMemo, useState } from "react";
+import { usePathname, useRouter } from "next/navigation";
+
+// Every filter is a plain string so it round-trips through the URL query unchanged
+export const EMPTY_CAR_FILTERS = {
+  q: "",
+  brand: "",
+  gear: "",
+  wd: "",
+  yearMin: "",
+  yearMax: "",
+  priceMin: "",
+  priceMax: "",
+  kiloMin: "",
+  kiloMax: "",
+  purchasedFrom: "",
+  purchasedTo: "",
+  sort: "",
+};
+
+const SORT_OPTIONS = [
+  { value: "", label: "Default order" },
+  { value: "price_asc", label: "Price: low to high" },
+  { value: "price_desc", label: "Price: high to low" },
+  { value: "year_desc", label: "Year: newest first" },
+  { value: "year_asc", label: "Year: oldest first" },
+  { value: "age_desc", label: "Longest in stock" },
+  { value: "age_asc", label: "Newest arrivals" },
+];
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const n = Number(String(value).replace(/[^\d.-]/g, ""));
+  return Number.isFinite(n) ? n : null;
+};
+
+const getCarPrice = (car) => toNumber(car.priceToSell ?? car.price);
+const getCarYear = (car) => toNumber(car.year);
+const getCarKilo = (car) => toNumber(car.kilo ?? car.purchasedKilo);
+
+// Stock age is counted from the purchase date, falling back to when the record was created
+const getStockedAt = (car) => {
+  const raw = car.purchaseDate || car.createdAt;
+  if (!raw) return null;
+  const dt = new Date(raw);
+  return Number.isNaN(dt.getTime()) ? null : dt.getTime();
+};
+
+// Backend stores "Automatic"/"Manual" but older local data uses "Auto", "CVT"...
+const normalizeGear = (gear) => {
+  const value = String(gear || "").trim();
+  if (!value) return "";
+  return value.toLowerCase() === "manual" ? "Manual" : "Automatic";
+};
+
+const inRange = (value, min, max) => {
+  const lo = toNumber(min);
+  const hi = toNumber(max);
+  if (lo === null && hi === null) return true;
+  if (value === null) return false;
+  return (lo === null || value >= lo) && (hi === null || value <= hi);
+};
+
+const compareNullsLast = (a, b, direction) => {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return direction === "asc" ? a - b : b - a;
+};
+
+export function filterAndSortCars(cars, filters) {
+  const q = filters.q.trim().toLowerCase();
+  const from = filters.purchasedFrom ? new Date(filters.purchasedFrom).getTime() : null;
+  // Include the whole "to" day
+  const to = filters.purchasedTo ? new Date(filters.purchasedTo).getTime() + 24 * 60 * 60 * 1000 - 1 : null;
+
+  const result = cars.filter((car) => {
+    if (q) {
+      const haystack = [car.licenseNo, car.brand, car.model, car.color]
+        .map((v) => String(v || "").toLowerCase())
+        .join(" ");
+      if (!haystack.includes(q)) return false;
+    }
+    if (filters.brand && String(car.brand || "").toLowerCase() !== filters.brand.toLowerCase()) return false;
+    if (filters.gear && normalizeGear(car.gear) !== filters.gear) return false;
+    if (filters.wd && String(car.wd ?? car.wheelDrive ?? "") !== filters.wd) return false;
+    if (!inRange(getCarYear(car), filters.yearMin, filters.yearMax)) return false;
+    if (!inRange(getCarPrice(car), filters.priceMin, filters.priceMax)) return false;
+    if (!inRange(getCarKilo(car), filters.kiloMin, filters.kiloMax)) return false;
+    if (from !== null || to !== null) {
+      const stockedAt = getStockedAt(car);
+      if (stockedAt === null) return false;
+      if (from !== null && stockedAt < from) return false;
+      if (to !== null && stockedAt > to) return false;
+    }
+    return true;
+  });
+
+  switch (filters.sort) {
+    case "price_asc":
+      return result.sort((a, b) => compareNullsLast(getCarPrice(a), getCarPrice(b), "asc"));
+    case "price_desc":
+      return result.sort((a, b) => compareNullsLast(getCarPrice(a), getCarPrice(b), "desc"));
+    case "year_asc":
+      return result.sort((a, b) => compareNullsLast(getCarYear(a), getCarYear(b), "asc"));
+    case "year_desc":
+      return result.sort((a, b) => compareNullsLast(getCarYear(a), getCarYear(b), "desc"));
+    // Oldest purchase date = longest in stock
+    case "age_desc":
+      return result.sort((a, b) => compareNullsLast(getStockedAt(a), getStockedAt(b), "asc"));
+    case "age_asc":
+      return result.sort((a, b) => compareNullsLast(getStockedAt(a), getStockedAt(b), "desc"));
+    default:
+      return result;
+  }
+}
+
+const readFiltersFromUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  const filters = { ...EMPTY_CAR_FILTERS };
+  Object.keys(filters).forEach((key) => {
+    filters[key] = params.get(key) || "";
+  });
+  return filters;
+};
+
+// Keeps filter state in the URL query so a filtered list can be shared as a link,
+// e.g. /admin/dashboard?brand=Toyota&gear=Automatic&priceMax=500000
+export function useCarFilters(cars) {
+  const router = useRouter();
+  const pathname = usePathname();
+  const [filters, setFilters] = useState(EMPTY_CAR_FILTERS);
+  // The query string is only readable after mount; don't write back until it has been read
+  const [hydrated, setHydrated] = useState(false);
+
+  useEffect(() => {
+    setFilters(readFiltersFromUrl());
+    setHydrated(true);
+  }, []);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    const params = new URLSearchParams(window.location.search);
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) {
+        params.set(key, value);
+      } else {
+        params.delete(key);
+      }
+    });
+    const query = params.toString();
+    const nextUrl = query ? `${pathname}?${query}` : pathname;
+    if (nextUrl !== `${window.location.pathname}${window.location.search}`) {
+      router.replace(nextUrl, { scroll: false });
+    }
+  }, [filters, hydrated, pathname, router]);
+
+  const filteredCars = useMemo(() => filterAndSortCars(cars, filters), [cars, filters]);
+
+  return {
+    filters,
+    setFilters,
+    resetFilters: () => setFilters(EMPTY_CAR_FILTERS),
+    filteredCars,
+  };
+}
+
+const uniqueSorted = (values) =>
+  Array.from(new Set(values.filter(Boolean).map((v) => String(v).trim()).filter(Boolean))).sort((a, b) =>
+    a.localeCompare(b)
+  );
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-600 rounded-md bg-black/30 text-white text-base placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent";
+const labelClass = "block text-sm font-medium text-gray-200 mb-1";
+
+function RangeInputs({ label, minKey, maxKey, filters, onFieldChange, type = "text", placeholder = ["Min", "Max"] }) {
+  const handle = (key) => (e) => {
+    const { value } = e.target;
+    if (type === "text" && value !== "" && !/^\d*\.?\d*$/.test(value)) return;
+    onFieldChange(key, value);
+  };
+
+  return (
+    <div>
+      <span className={labelClass}>{label}</span>
+      <div className="flex items-center gap-2">
+        <input
+          type={type}
+          inputMode={type === "text" ? "numeric" : undefined}
+          value={filters[minKey]}
+          onChange={handle(minKey)}
+          placeholder={placeholder[0]}
+          aria-label={`${label} from`}
+          className={`${inputClass} font-numeric`}
+        />
+        <span className="text-gray-400">–</span>
+        <input
+          type={type}
+          inputMode={type === "text" ? "numeric" : undefined}
+          value={filters[maxKey]}
+          onChange={handle(maxKey)}
+          placeholder={placeholder[1]}
+          aria-label={`${label} to`}
+          className={`${inputClass} font-numeric`}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default function CarFilters({ cars, filters, onChange, onReset, resultCount, showPurchaseDate = true }) {
+  const [showFacets, setShowFacets] = useState(false);
+
+  const brands = useMemo(() => uniqueSorted(cars.map((car) => car.brand)), [cars]);
+  const wheelDrives = useMemo(() => uniqueSorted(cars.map((car) => car.wd ?? car.wheelDrive)), [cars]);
+
+  const activeFacetCount = Object.entries(filters).filter(
+    ([key, value]) => value && key !== "q" && key !== "sort"
+  ).length;
+  const hasActiveFacets = activeFacetCount > 0;
+
+  // Open the panel when arriving from a shared link with facets applied
+  useEffect(() => {
+    if (hasActiveFacets) setShowFacets(true);
+  }, [hasActiveFacets]);
+
+  const onFieldChange = (key, value) => onChange({ ...filters, [key]: value });
+
+  return (
+    <div className="bg-black/20 backdrop-blur-2xl shadow sm:rounded-md p-4 mb-4 space-y-4">
+      <div className="flex flex-col lg:flex-row gap-3">
+        <input
+          type="search"
+          value={filters.q}
+          onChange={(e) => onFieldChange("q", e.target.value)}
+          placeholder="Search license no, brand, model or color"
+          aria-label="Search cars"
+          className={`${inputClass} lg:flex-1`}
+        />
+        <select
+          value={filters.sort}
+          onChange={(e) => onFieldChange("sort", e.target.value)}
+          aria-label="Sort cars"
+          className={`${inputClass} lg:w-56`}
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value} className="text-gray-800">
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => setShowFacets((prev) => !prev)}
+            className="bg-black/20 backdrop-blur-md text-white px-4 py-2 rounded-lg hover:bg-black/30 hover:text-red-500 text-base font-medium border border-white/30 transition-all duration-200 cursor-pointer whitespace-nowrap"
+          >
+            Filters{activeFacetCount > 0 ? ` (${activeFacetCount})` : ""}
+          </button>
+          <button
+            type="button"
+            onClick={onReset}
+            className="bg-black/20 backdrop-blur-md text-white px-4 py-2 rounded-lg hover:bg-black/30 hover:text-red-500 text-base font-medium border border-white/30 transition-all duration-200 cursor-pointer whitespace-nowrap"
+          >
+            Clear
+          </button>
+        </div>
+      </div>
+
+      {showFacets && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div>
+            <label htmlFor="filter-brand" className={labelClass}>Brand</label>
+            <select
+              id="filter-brand"
+              value={filters.brand}
+              onChange={(e) => onFieldChange("brand", e.target.value)}
+              className={inputClass}
+            >
+              <option value="" className="text-gray-800">All brands</option>
+              {brands.map((brand) => (
+                <option key={brand} value={brand} className="text-gray-800">{brand}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="filter-gear" className={labelClass}>Gear</label>
+            <select
+              id="filter-gear"
+              value={filters.gear}
+              onChange={(e) => onFieldChange("gear", e.target.value)}
+              className={inputClass}
+            >
+              <option value="" className="text-gray-800">Any gear</option>
+              <option value="Automatic" className="text-gray-800">Automatic</option>
+              <option value="Manual" className="text-gray-800">Manual</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="filter-wd" className={labelClass}>Wheel Drive</label>
+            <select
+              id="filter-wd"
+              value={filters.wd}
+              onChange={(e) => onFieldChange("wd", e.target.value)}
+              className={inputClass}
+            >
+              <option value="" className="text-gray-800">Any</option>
+              {wheelDrives.map((wd) => (
+                <option key={wd} value={wd} className="text-gray-800">{wd}</option>
+              ))}
+            </select>
+          </div>
+          <RangeInputs label="Year" minKey="yearMin" maxKey="yearMax" filters={filters} onFieldChange={onFieldChange} />
+          <RangeInputs label="Price (฿)" minKey="priceMin" maxKey="priceMax" filters={filters} onFieldChange={onFieldChange} />
+          <RangeInputs label="Kilometers" minKey="kiloMin" maxKey="kiloMax" filters={filters} onFieldChange={onFieldChange} />
+          {showPurchaseDate && (
+            <RangeInputs
+              label="Purchase Date"
+              minKey="purchasedFrom"
+              maxKey="purchasedTo"
+              type="date"
+              filters={filters}
+              onFieldChange={onFieldChange}
+            />
+          )}
+        </div>
+      )}
+
+      <p className="text-sm text-gray-300">
+        Showing <span className="font-numeric">{resultCount}</span> of{" "}
+        <span className="font-numeric">{cars.length}</span> cars
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+"use client";
+import { useEffect, useRef, useState } from "react";
+import { API_BASE_URL, isAbortError } from "@/lib/api";
+import { fetchCustomerDirectory, searchCustomers } from "@/lib/customers";
+
+const MAX_SUGGESTIONS = 6;
+
+// Customer name input that suggests existing customers. Picking one hands
+// { name, passport, phone, email } to onSelect so the form can fill the rest;
+// typing still goes through onChange like a plain input.
+export default function CustomerAutocomplete({ onSelect, className, ...inputProps }) {
+  const [customers, setCustomers] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // The directory is only loaded once someone starts filling in the field
+  const loadCustomers = async () => {
+    if (customers || controllerRef.current || !API_BASE_URL) return;
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    try {
+      setCustomers(await fetchCustomerDirectory({ signal: controller.signal }));
+    } catch (e) {
+      if (isAbortError(e) || e.isUnauthorized) return;
+      console.error("Failed to load customers:", e);
+      setCustomers([]);
+    }
+  };
+
+  const query = String(inputProps.value || "");
+  const suggestions = customers && query.trim() ? searchCustomers(customers, query).slice(0, MAX_SUGGESTIONS) : [];
+
+  const select = (customer) => {
+    onSelect({ name: customer.name, passport: customer.passport, phone: customer.phone, email: customer.email });
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || suggestions.length === 0) return;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setHighlighted((highlighted + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlighted((highlighted - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      select(suggestions[highlighted] || suggestions[0]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <input
+        {...inputProps}
+        type="text"
+        autoComplete="off"
+        className={className}
+        onFocus={loadCustomers}
+        onChange={(e) => {
+          inputProps.onChange(e);
+          setOpen(true);
+          setHighlighted(0);
+        }}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setOpen(false)}
+      />
+      {open && suggestions.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-300 rounded-md shadow-lg max-h-60 overflow-y-auto">
+          {suggestions.map((customer, index) => (
+            <li
+              key={customer.key}
+              // mousedown fires before the input's blur closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                select(customer);
+              }}
+              onMouseEnter={() => setHighlighted(index)}
+              className={`px-3 py-2 cursor-pointer ${index === highlighted ? "bg-red-50" : ""}`}
+            >
+              <p className="text-sm font-medium text-gray-900">{customer.name || "Unnamed customer"}</p>
+              <p className="text-xs text-gray-500">
+                {[customer.passport, customer.phone].filter(Boolean).join(" · ")}
+                {customer.purchases.length > 0 && ` · ${customer.purchases.length} car${customer.purchases.length !== 1 ? "s" : ""}`}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,1025 @@
+"use client";
+import { useEffect, useState } from "react";
+import { API_BASE_URL, getCar, getPublicCars, getStoredUser, isAbortError, useAbortSignal } from "@/lib/api";
+import {
+  INTEREST_METHODS,
+  VAT_PERCENT,
+  addMonths,
+  buildQuote,
+  formatBaht,
+  parseQuoteInputs,
+  todayInputValue,
+} from "@/lib/installments";
+import {
+  DEFAULT_QUOTE_VALIDITY_DAYS,
+  expiryInputValue,
+  fetchQuotes,
+  isQuoteExpired,
+  mergeQuote,
+  removeQuote,
+  saveQuote,
+} from "@/lib/quotes";
+import { carLinkFor, downloadQuotationPdf } from "@/lib/quotationPdf";
+import { DEFAULT_VISIBILITY, fetchVisibilityRulesOrDefaults, redactCar, roleKey } from "@/lib/priceVisibility";
+
+const emptyForm = () => ({
+  carValue: '',
+  vatPercent: String(VAT_PERCENT), // Fixed at 7%
+  downPaymentAmount: '',
+  interestPerMonth: '',
+  financeFees: '',
+  installmentMonths: '',
+  startDate: todayInputValue(),
+  interestMethod: 'flat'
+});
+
+const emptyCustomer = { name: '', phone: '', passport: '' };
+
+const quoteInputsFrom = (data) =>
+  parseQuoteInputs({
+    carValue: data.carValue,
+    vatPercent: data.vatPercent,
+    downPayment: data.downPaymentAmount,
+    interestPerMonth: data.interestPerMonth,
+    financeFees: data.financeFees,
+    months: data.installmentMonths,
+    interestMethod: data.interestMethod,
+    startDate: data.startDate
+  });
+
+const carLabel = (car) => [car?.brand, car?.model].filter(Boolean).join(' ') || 'Car';
+
+// The BKK KAUNG PYAE installment calculator shared by the admin and staff
+// pages; all numbers come from the installment engine in src/lib.
+// Pass `onConvertQuote` to offer "Convert to Contract" on saved quotes;
+// `loadCar` and `carArea` pick the car endpoint and link for each area.
+export default function InstallmentCalculator({ onConvertQuote, loadCars = getPublicCars, loadCar = getCar, carArea = "admin" }) {
+  const [formData, setFormData] = useState(emptyForm);
+  const [result, setResult] = useState(null);
+  const [cars, setCars] = useState([]);
+  const [visibilityRules, setVisibilityRules] = useState(DEFAULT_VISIBILITY);
+  const [selectedCarId, setSelectedCarId] = useState('');
+  const [customer, setCustomer] = useState(emptyCustomer);
+  const [validityDays, setValidityDays] = useState(String(DEFAULT_QUOTE_VALIDITY_DAYS));
+  const [quotes, setQuotes] = useState([]);
+  const [activeQuoteId, setActiveQuoteId] = useState(null);
+  const [savingQuote, setSavingQuote] = useState(false);
+  const [downloadingPdf, setDownloadingPdf] = useState(false);
+  const getSignal = useAbortSignal();
+
+  useEffect(() => {
+    if (!API_BASE_URL) return;
+    const controller = new AbortController();
+
+    const loadQuotes = async () => {
+      try {
+        setQuotes(await fetchQuotes({ signal: controller.signal }));
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to load saved quotes:", error);
+      }
+    };
+
+    loadQuotes();
+    return () => controller.abort();
+  }, []);
+
+  // Available cars, so a quote can be tied to the car the customer wants
+  useEffect(() => {
+    if (!API_BASE_URL) return;
+    const controller = new AbortController();
+
+    const fetchCars = async () => {
+      try {
+        const [data, rules] = await Promise.all([
+          loadCars({ signal: controller.signal }),
+          fetchVisibilityRulesOrDefaults({ signal: controller.signal }),
+        ]);
+        const apiCars = Array.isArray(data?.data) ? data.data : [];
+        setVisibilityRules(rules);
+        setCars(
+          apiCars
+            .map((car, index) => ({ ...redactCar(car, roleKey(), rules), id: String(car.id ?? car._id ?? index) }))
+            .filter((car) => car.isAvailable !== false)
+        );
+      } catch (error) {
+        if (isAbortError(error)) return;
+        console.error("Failed to fetch cars for the calculator:", error);
+      }
+    };
+
+    fetchCars();
+    return () => controller.abort();
+  }, [loadCars]);
+
+  const selectedCar = cars.find((car) => car.id === selectedCarId) || null;
+
+  const handleCarChange = (e) => {
+    const carId = e.target.value;
+    setSelectedCarId(carId);
+    const car = cars.find((item) => item.id === carId);
+    if (car && car.priceToSell !== undefined && car.priceToSell !== null) {
+      setFormData((prev) => ({ ...prev, carValue: String(car.priceToSell).replace(/[฿,]/g, '') }));
+    }
+  };
+
+  const handlePrintSchedule = () => {
+    if (!result?.schedule) return;
+    const { schedule } = result;
+    const startDate = addMonths(formData.startDate, 0).toLocaleDateString('en-GB');
+    const showRebate = result.interest_method === 'addon';
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>BKK KAUNG PYAE CAR SHOWROOM - Installment Schedule</title>
+        <style>
+          @page { margin: 1cm; size: A4; }
+          body { font-family: Arial, sans-serif; margin: 0; padding: 20px; font-size: 12px; }
+          .header { text-align: center; margin-bottom: 20px; border-bottom: 3px solid #dc3545; padding-bottom: 15px; }
+          .title { font-size: 24px; font-weight: bold; color: #dc3545; margin-bottom: 5px; }
+          .subtitle { font-size: 16px; color: #666; margin-top: 5px; }
+          .summary { background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin-bottom: 20px; border-left: 4px solid #dc3545; }
+          .summary-grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 10px; }
+          .summary-label { font-size: 11px; color: #666; }
+          .summary-value { font-size: 14px; font-weight: bold; }
+          table { width: 100%; border-collapse: collapse; margin-bottom: 20px; font-size: 11px; }
+          th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: right; }
+          th { background-color: #dc3545; color: white; font-weight: bold; text-align: center; }
+          td:first-child, td:nth-child(2) { text-align: center; }
+          tr:nth-child(even) { background-color: #f9f9f9; }
+          .total-row td { font-weight: bold; background-color: #f1f1f1; }
+          .signatures { display: flex; justify-content: space-between; margin-top: 50px; }
+          .signature { width: 40%; text-align: center; border-top: 1px solid #333; padding-top: 5px; }
+          .footer { margin-top: 30px; font-size: 10px; color: #666; text-align: center; border-top: 1px solid #ddd; padding-top: 10px; }
+          @media print {
+            tr { page-break-inside: avoid; }
+          }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <div class="title">BKK KAUNG PYAE CAR SHOWROOM</div>
+          <div class="subtitle">Installment Payment Schedule</div>
+        </div>
+
+        <div class="summary">
+          <div class="summary-grid">
+            <div><div class="summary-label">Car Value</div><div class="summary-value">${formatBaht(formData.carValue)}</div></div>
+            <div><div class="summary-label">Total with VAT (${formData.vatPercent}%) &amp; Fees</div><div class="summary-value">${formatBaht(result.total_with_vat_and_fees)}</div></div>
+            <div><div class="summary-label">Down Payment</div><div class="summary-value">${formatBaht(schedule.downPayment)}</div></div>
+            <div><div class="summary-label">Monthly Installment</div><div class="summary-value">${formatBaht(result.monthly_installment)}</div></div>
+            <div><div class="summary-label">Months</div><div class="summary-value">${schedule.rows.length}</div></div>
+            <div><div class="summary-label">Start Date</div><div class="summary-value">${startDate}</div></div>
+            <div><div class="summary-label">Interest Method</div><div class="summary-value">${INTEREST_METHODS[result.interest_method]}</div></div>
+            <div><div class="summary-label">Interest Rate</div><div class="summary-value">${formData.interestPerMonth}% per month</div></div>
+            <div><div class="summary-label">APR / Effective Annual Rate</div><div class="summary-value">${result.apr}% / ${result.effective_annual_rate}%</div></div>
+          </div>
+        </div>
+
+        <table>
+          <thead>
+            <tr>
+              <th>Month</th>
+              <th>Due Date</th>
+              <th>Opening Balance (฿)</th>
+              <th>Payment (฿)</th>
+              <th>Principal (฿)</th>
+              <th>Interest (฿)</th>
+              <th>Closing Balance (฿)</th>
+              ${showRebate ? '<th>Rebate if Settled (฿)</th>' : ''}
+            </tr>
+          </thead>
+          <tbody>
+            <tr>
+              <td>0</td>
+              <td>${startDate}</td>
+              <td colspan="${showRebate ? 6 : 5}" style="text-align: left;">Down payment: ${formatBaht(schedule.downPayment)}</td>
+            </tr>
+            ${schedule.rows.map(row => `
+              <tr>
+                <td>${row.month}</td>
+                <td>${row.dueDate.toLocaleDateString('en-GB')}</td>
+                <td>${formatBaht(row.opening)}</td>
+                <td>${formatBaht(row.payment)}</td>
+                <td>${formatBaht(row.principal)}</td>
+                <td>${formatBaht(row.interest)}</td>
+                <td>${formatBaht(row.closing)}</td>
+                ${showRebate ? `<td>${formatBaht(row.rebate)}</td>` : ''}
+              </tr>
+            `).join('')}
+            <tr class="total-row">
+              <td colspan="3" style="text-align: left;">Total installments</td>
+              <td>${formatBaht(schedule.totalPayments)}</td>
+              <td>${formatBaht(schedule.totalPrincipal)}</td>
+              <td>${formatBaht(schedule.totalInterest)}</td>
+              <td colspan="${showRebate ? 2 : 1}"></td>
+            </tr>
+            <tr class="total-row">
+              <td colspan="3" style="text-align: left;">Total customer payment (down payment + installments)</td>
+              <td>${formatBaht(schedule.totalCustomerPayment)}</td>
+              <td colspan="${showRebate ? 4 : 3}"></td>
+            </tr>
+          </tbody>
+        </table>
+
+        <div class="signatures">
+          <div class="signature">Customer</div>
+          <div class="signature">BKK KAUNG PYAE CAR SHOWROOM</div>
+        </div>
+
+        <div class="footer">
+          <p>Generated on ${new Date().toLocaleString()} | BKK KAUNG PYAE CAR SHOWROOM</p>
+        </div>
+      </body>
+      </html>
+    `;
+
+    // Open new window with content and trigger print
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      alert('Please allow pop-ups to print the schedule.');
+      return;
+    }
+    printWindow.document.write(htmlContent);
+    printWindow.document.close();
+
+    // Wait for content to load then trigger print
+    setTimeout(() => {
+      printWindow.focus();
+      printWindow.print();
+      printWindow.close();
+    }, 500);
+  };
+
+  const calculate = (data) => {
+    const inputs = quoteInputsFrom(data);
+
+    if (inputs && inputs.downPayment > 0 && inputs.interestPerMonth > 0) {
+      const quote = buildQuote(inputs);
+      const { calculation, schedule } = quote;
+      // Same inputs under every method so staff can show the customer the difference
+      const comparison = Object.keys(INTEREST_METHODS).map((method) => {
+        const alternative = buildQuote({ ...inputs, interestMethod: method });
+        return {
+          method,
+          monthly_installment: alternative.monthlyPayment,
+          total_interest: alternative.totalInterest,
+          total_customer_payment: alternative.totalCustomerPayment,
+          apr: alternative.apr,
+          effective_annual_rate: alternative.effectiveAnnualRate
+        };
+      });
+      setResult({
+        ...calculation,
+        // Format all numbers to 2 decimal places
+        total_with_vat: calculation.total_with_vat.toFixed(2),
+        total_with_vat_and_fees: calculation.total_with_vat_and_fees.toFixed(2),
+        down_payment: calculation.down_payment.toFixed(2),
+        down_payment_percentage: calculation.down_payment_percentage.toFixed(2),
+        installment_left_to_pay: calculation.installment_left_to_pay.toFixed(2),
+        interest_per_month: calculation.interest_per_month.toFixed(2),
+        // Totals come from the schedule so they always equal the sum of the printed rows
+        total_interest: quote.totalInterest.toFixed(2),
+        total_to_pay: quote.totalPayable.toFixed(2),
+        monthly_installment: quote.monthlyPayment.toFixed(2),
+        total_customer_payment: quote.totalCustomerPayment.toFixed(2),
+        apr: quote.apr.toFixed(2),
+        effective_annual_rate: quote.effectiveAnnualRate.toFixed(2),
+        schedule,
+        comparison
+      });
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    calculate(formData);
+  };
+
+  const handleSaveQuote = async () => {
+    if (!result) return;
+    if (!selectedCar) {
+      alert('Please choose the car this quote is for.');
+      return;
+    }
+    if (!customer.name.trim()) {
+      alert('Please enter the customer name.');
+      return;
+    }
+
+    const user = getStoredUser();
+    const quote = {
+      id: activeQuoteId || undefined,
+      car: {
+        id: selectedCar.id,
+        brand: selectedCar.brand || '',
+        model: selectedCar.model || '',
+        licenseNo: selectedCar.licenseNo || '',
+        carList: selectedCar.carList || ''
+      },
+      customer: {
+        name: customer.name.trim(),
+        phone: customer.phone.trim(),
+        passport: customer.passport.trim()
+      },
+      inputs: { ...formData },
+      monthlyPayment: Number(result.monthly_installment),
+      totalCustomerPayment: Number(result.total_customer_payment),
+      apr: Number(result.apr),
+      createdBy: user?.name || user?.username || user?.email || '',
+      expiresAt: expiryInputValue(validityDays)
+    };
+
+    setSavingQuote(true);
+    try {
+      const saved = await saveQuote(quote, { signal: getSignal() });
+      setActiveQuoteId(saved.id);
+      setQuotes((prev) => mergeQuote(prev, saved));
+      alert(`Quote ${saved.id} saved. Valid until ${addMonths(saved.expiresAt, 0).toLocaleDateString('en-GB')}.`);
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Failed to save quote:", error);
+      alert(`Failed to save the quote: ${error.message}`);
+    } finally {
+      setSavingQuote(false);
+    }
+  };
+
+  const handleDownloadQuotation = async () => {
+    const inputs = quoteInputsFrom(formData);
+    if (!result || !inputs) return;
+    if (!selectedCarId) {
+      alert('Please choose the car this quotation is for.');
+      return;
+    }
+
+    setDownloadingPdf(true);
+    try {
+      // Full specs and photos come from the car record itself
+      let car = selectedCar || { id: selectedCarId };
+      try {
+        const data = await loadCar(selectedCarId, { signal: getSignal() });
+        car = { ...car, ...redactCar(data?.data || data, roleKey(), visibilityRules) };
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.warn("Could not load car details for the quotation:", error);
+      }
+
+      const savedQuote = quotes.find((quote) => quote.id === activeQuoteId);
+      await downloadQuotationPdf({
+        car,
+        customer,
+        quote: buildQuote(inputs),
+        inputs,
+        validUntil: savedQuote?.expiresAt || expiryInputValue(validityDays),
+        quoteId: activeQuoteId,
+        carLink: carLinkFor(car.id ?? car._id ?? selectedCarId, carArea)
+      });
+    } catch (error) {
+      console.error("Failed to create quotation PDF:", error);
+      alert(`Failed to create the quotation PDF: ${error.message}`);
+    } finally {
+      setDownloadingPdf(false);
+    }
+  };
+
+  const handleOpenQuote = (quote) => {
+    const data = { ...emptyForm(), ...quote.inputs };
+    setFormData(data);
+    setSelectedCarId(quote.car?.id || '');
+    setCustomer({ ...emptyCustomer, ...quote.customer });
+    setActiveQuoteId(quote.id);
+    calculate(data);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleDeleteQuote = async (quote) => {
+    if (!confirm(`Delete quote ${quote.id} for ${quote.customer?.name || 'this customer'}?`)) return;
+    try {
+      await removeQuote(quote.id, { signal: getSignal() });
+      setQuotes((prev) => prev.filter((item) => item.id !== quote.id));
+      if (activeQuoteId === quote.id) setActiveQuoteId(null);
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Failed to delete quote:", error);
+      alert(`Failed to delete the quote: ${error.message}`);
+    }
+  };
+
+  const handleClear = () => {
+    setFormData(emptyForm());
+    setResult(null);
+    setSelectedCarId('');
+    setCustomer(emptyCustomer);
+    setActiveQuoteId(null);
+  };
+
+  return (
+    <>
+      {/* Main Content */}
+      <div className="max-w-7xl mx-auto py-4 sm:py-6 px-2 sm:px-6 lg:px-8">
+        <div className="px-2 sm:px-4 py-4 sm:py-6 sm:px-0">
+          <div className="text-center mb-6 sm:mb-8">
+            <h2 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-white mb-4">BKK KAUNG PYAE Installment Calculator</h2>
+            <div className="bg-black/30 backdrop-blur-md rounded-lg p-4 max-w-5xl mx-auto">
+              <h3 className="text-lg font-semibold text-white mb-2">Installment Terms</h3>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-sm text-gray-300">
+                <div className="bg-green-900/30 p-3 rounded">
+                  <div className="font-semibold text-green-300">VAT</div>
+                  <div>Fixed at 7%</div>
+                </div>
+                <div className="bg-red-900/30 p-3 rounded">
+                  <div className="font-semibold text-red-300">Down Payment</div>
+                  <div>Manual amount input</div>
+                </div>
+                <div className="bg-blue-900/30 p-3 rounded">
+                  <div className="font-semibold text-blue-300">Monthly Interest</div>
+                  <div>Manual % input</div>
+                </div>
+                <div className="bg-yellow-900/30 p-3 rounded">
+                  <div className="font-semibold text-yellow-300">Finance Fees</div>
+                  <div>Manual amount input</div>
+                </div>
+              </div>
+            </div>
+          </div>
+          
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 sm:gap-8">
+            {/* Calculator Form */}
+            <div className="bg-black/20 backdrop-blur-2xl p-4 sm:p-6 rounded-lg shadow">
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                  <label className="block text-base sm:text-lg font-medium text-white mb-2 sm:mb-3">
+                    Car
+                    <span className="text-gray-400 text-sm ml-2">[needed to save a quote]</span>
+                  </label>
+                  <select
+                    value={selectedCarId}
+                    onChange={handleCarChange}
+                    className="w-full px-3 sm:px-4 py-2 sm:py-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 bg-white text-black text-sm sm:text-base"
+                  >
+                    <option value="">No specific car</option>
+                    {selectedCarId && !selectedCar && (
+                      <option value={selectedCarId}>Car from saved quote (no longer available)</option>
+                    )}
+                    {cars.map((car) => (
+                      <option key={car.id} value={car.id}>
+                        {carLabel(car)}{car.licenseNo ? ` - ${car.licenseNo}` : ''}{car.carList ? ` (#${car.carList})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-base sm:text-lg font-medium text-white mb-2 sm:mb-3">Car Value (฿)</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formData.carValue}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      // Allow only numbers and decimal point
+                      if (value === '' || /^\d*\.?\d*$/.test(value)) {
+                        setFormData({...formData, carValue: value});
+                      }
+                    }}
+                    className="w-full px-3 sm:px-4 py-2 sm:py-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 bg-white text-black text-sm sm:text-base placeholder:text-gray-400"
+                    placeholder="100000"
+                    required
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-base sm:text-lg font-medium text-white mb-2 sm:mb-3">
+                    VAT Percentage (%) 
+                    <span className="text-green-400 ml-2">[Fixed: 7%]</span>
+                  </label>
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={formData.vatPercent}
+                    onChange={(e) => setFormData({...formData, vatPercent: e.target.value})}
+                    className="w-full px-3 sm:px-4 py-2 sm:py-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 bg-white text-black text-sm sm:text-base placeholder:text-gray-400"
+                    placeholder="7"
+                    required
+                    disabled
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-base sm:text-lg font-medium text-white mb-2 sm:mb-3">Finance Fees (฿)</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formData.financeFees}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      // Allow only numbers and decimal point
+                      if (value === '' || /^\d*\.?\d*$/.test(value)) {
+                        setFormData({...formData, financeFees: value});
+                      }
+                    }}
+                    className="w-full px-3 sm:px-4 py-2 sm:py-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 bg-white text-black text-sm sm:text-base placeholder:text-gray-400"
+                    placeholder="0"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-base sm:text-lg font-medium text-white mb-2 sm:mb-3">
+                    60% of (Car Value + VAT + Finance Fees) (฿)
+                    <span className="text-green-400 ml-2">[Auto-calculated]</span>
+                  </label>
+                  <input
+                    type="number"
+                    value={(() => {
+                      const carValue = parseFloat(formData.carValue) || 0;
+                      const vatPercent = parseFloat(formData.vatPercent) || 7;
+                      const financeFees = parseFloat(formData.financeFees) || 0;
+                      const totalWithVat = carValue + (carValue * (vatPercent / 100));
+                      const totalWithFees = totalWithVat + financeFees;
+                      return totalWithFees > 0 ? (totalWithFees * 0.6).toFixed(2) : '';
+                    })()}
+                    readOnly
+                    className="w-full px-3 sm:px-4 py-2 sm:py-3 border border-gray-300 rounded-md bg-gray-200 text-gray-700 text-sm sm:text-base cursor-not-allowed"
+                    placeholder="Auto-calculated"
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-base sm:text-lg font-medium text-white mb-2 sm:mb-3">Down Payment Amount (฿)</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formData.downPaymentAmount}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      // Allow only numbers and decimal point
+                      if (value === '' || /^\d*\.?\d*$/.test(value)) {
+                        setFormData({...formData, downPaymentAmount: value});
+                      }
+                    }}
+                    className="w-full px-3 sm:px-4 py-2 sm:py-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 bg-white text-black text-sm sm:text-base placeholder:text-gray-400"
+                    placeholder="0"
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-base sm:text-lg font-medium text-white mb-2 sm:mb-3">Interest Method</label>
+                  <select
+                    value={formData.interestMethod}
+                    onChange={(e) => setFormData({...formData, interestMethod: e.target.value})}
+                    className="w-full px-3 sm:px-4 py-2 sm:py-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 bg-white text-black text-sm sm:text-base"
+                  >
+                    {Object.entries(INTEREST_METHODS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-base sm:text-lg font-medium text-white mb-2 sm:mb-3">
+                    Interest Per Month (%)
+                    <span className="text-gray-400 text-sm ml-2">
+                      {formData.interestMethod === 'reducing' ? '[on remaining balance]' : '[flat on amount financed]'}
+                    </span>
+                  </label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formData.interestPerMonth}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      // Allow only numbers and decimal point
+                      if (value === '' || /^\d*\.?\d*$/.test(value)) {
+                        setFormData({...formData, interestPerMonth: value});
+                      }
+                    }}
+                    className="w-full px-3 sm:px-4 py-2 sm:py-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 bg-white text-black text-sm sm:text-base placeholder:text-gray-400"
+                    placeholder="2.5"
+                    required
+                  />
+                </div>
+                
+                <div>
+                  <label className="block text-base sm:text-lg font-medium text-white mb-2 sm:mb-3">Installment Months</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={formData.installmentMonths}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      // Allow only numbers (no decimal for months)
+                      if (value === '' || /^\d*$/.test(value)) {
+                        setFormData({...formData, installmentMonths: value});
+                      }
+                    }}
+                    className="w-full px-3 sm:px-4 py-2 sm:py-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 bg-white text-black text-sm sm:text-base placeholder:text-gray-400"
+                    placeholder="12"
+                    required
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-base sm:text-lg font-medium text-white mb-2 sm:mb-3">Contract Start Date</label>
+                  <input
+                    type="date"
+                    value={formData.startDate}
+                    onChange={(e) => setFormData({...formData, startDate: e.target.value})}
+                    className="w-full px-3 sm:px-4 py-2 sm:py-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 bg-white text-black text-sm sm:text-base"
+                    required
+                  />
+                  <p className="text-xs text-gray-400 mt-1">First installment is due one month after this date</p>
+                </div>
+                
+                <div className="flex gap-3">
+                  <button
+                    type="submit"
+                    className="flex-1 bg-red-600 text-white py-2 sm:py-3 px-4 sm:px-6 rounded-md hover:bg-red-700 transition-colors text-base sm:text-lg font-medium"
+                  >
+                    Calculate
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleClear}
+                    className="flex-1 bg-gray-600 text-white py-2 sm:py-3 px-4 sm:px-6 rounded-md hover:bg-gray-700 transition-colors text-base sm:text-lg font-medium"
+                  >
+                    Clear
+                  </button>
+                </div>
+              </form>
+            </div>
+
+            {/* Results */}
+            <div className="bg-black/20 backdrop-blur-2xl p-4 sm:p-6 rounded-lg shadow">
+              <h3 className="text-xl sm:text-2xl font-semibold text-white mb-4 sm:mb-6">Installment Breakdown</h3>
+              
+              {result ? (
+                <div className="space-y-4">
+                  {/* Main Results */}
+                  <div className="bg-gradient-to-r from-red-50 to-red-100 p-4 sm:p-6 rounded-lg border border-red-200">
+                    <div className="text-3xl sm:text-4xl font-bold text-red-900 mb-2 font-numeric">฿{result.monthly_installment}</div>
+                    <div className="text-base sm:text-lg font-semibold text-red-700">Monthly Installment</div>
+                    <div className="text-sm text-red-600 mt-1">Pay this amount for {formData.installmentMonths} months</div>
+                    {result.schedule.lastPayment.toFixed(2) !== result.monthly_installment && (
+                      <div className="text-xs text-red-500 mt-1 font-numeric">
+                        Last month {formatBaht(result.schedule.lastPayment)} (rounding adjustment)
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="bg-gradient-to-r from-blue-50 to-blue-100 p-4 sm:p-6 rounded-lg border border-blue-200">
+                    <div className="text-2xl sm:text-3xl font-bold text-blue-900 mb-2 font-numeric">฿{result.down_payment}</div>
+                    <div className="text-base sm:text-lg font-semibold text-blue-700">
+                      Down Payment (<span className="font-numeric">฿{formData.downPaymentAmount}</span>)
+                    </div>
+                    <div className="text-sm text-blue-600 mt-1">Pay this exact amount upfront</div>
+                    <div className="text-xs text-blue-500 mt-1 font-numeric">({result.down_payment_percentage}% of total price)</div>
+                  </div>
+
+                  {/* Detailed Breakdown */}
+                  <div className="bg-gray-50 p-4 sm:p-6 rounded-lg border border-gray-200">
+                    <h4 className="text-lg font-semibold text-gray-800 mb-3">Calculation Details</h4>
+                    <div className="space-y-2 text-sm">
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Car Value:</span>
+                        <span className="font-medium font-numeric">฿{parseFloat(formData.carValue).toLocaleString()}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">VAT ({formData.vatPercent}%):</span>
+                        <span className="font-medium font-numeric">฿{(result.total_with_vat - formData.carValue).toFixed(2)}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-800 font-medium">Total with VAT:</span>
+                        <span className="font-bold text-gray-900 font-numeric">฿{result.total_with_vat}</span>
+                      </div>
+                      {formData.financeFees && parseFloat(formData.financeFees) > 0 && (
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Finance Fees:</span>
+                          <span className="font-medium font-numeric">฿{formData.financeFees}</span>
+                        </div>
+                      )}
+                      <div className="flex justify-between border-t pt-2">
+                        <span className="text-gray-800 font-medium">Total with Fees:</span>
+                        <span className="font-bold text-gray-900 font-numeric">฿{result.total_with_vat_and_fees}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Installment Amount:</span>
+                        <span className="font-medium font-numeric">฿{result.installment_left_to_pay}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">
+                          {result.interest_method === 'reducing' ? 'Average Interest per Month' : 'Interest per Month'} ({formData.interestPerMonth}%):
+                        </span>
+                        <span className="font-medium font-numeric">฿{result.interest_per_month}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Total Interest:</span>
+                        <span className="font-medium font-numeric">฿{result.total_interest}</span>
+                      </div>
+                      <div className="flex justify-between border-t pt-2">
+                        <span className="text-gray-800 font-medium">Total Payable:</span>
+                        <span className="font-bold text-gray-900 font-numeric">฿{result.total_to_pay}</span>
+                      </div>
+                    </div>
+                  </div>
+
+                  {/* Final Summary */}
+                  <div className="bg-gradient-to-r from-green-50 to-green-100 p-4 sm:p-6 rounded-lg border border-green-200">
+                    <div className="text-2xl sm:text-3xl font-bold text-green-900 mb-2 font-numeric">฿{result.total_customer_payment}</div>
+                    <div className="text-base sm:text-lg font-semibold text-green-700">Total Customer Payment</div>
+                    <div className="text-sm text-green-600 mt-1">Down payment + All installments</div>
+                  </div>
+
+                  {/* Cost of Credit */}
+                  <div className="bg-gradient-to-r from-purple-50 to-purple-100 p-4 sm:p-6 rounded-lg border border-purple-200">
+                    <div className="text-2xl sm:text-3xl font-bold text-purple-900 mb-2 font-numeric">{result.apr}% APR</div>
+                    <div className="text-base sm:text-lg font-semibold text-purple-700">{INTEREST_METHODS[result.interest_method]}</div>
+                    <div className="text-sm text-purple-600 mt-1">
+                      Effective annual rate <span className="font-numeric">{result.effective_annual_rate}%</span> (interest compounded monthly)
+                    </div>
+                    {result.interest_method === 'addon' && (
+                      <div className="text-xs text-purple-500 mt-1">Unearned interest is rebated by the rule of 78s if the customer pays off early</div>
+                    )}
+                  </div>
+
+                  {/* Quick Summary */}
+                  <div className="bg-yellow-50 p-4 sm:p-6 rounded-lg border border-yellow-200">
+                    <h4 className="text-lg font-semibold text-yellow-800 mb-2">Payment Summary</h4>
+                    <div className="text-sm text-yellow-700 space-y-1">
+                      <div>• Pay <strong className="font-numeric">฿{result.down_payment}</strong> immediately</div>
+                      <div>• Then pay <strong className="font-numeric">฿{result.monthly_installment}</strong> for <strong className="font-numeric">{formData.installmentMonths} months</strong></div>
+                      <div>• Total interest: <strong className="font-numeric">฿{result.total_interest}</strong> (<span className="font-numeric">{result.apr}%</span> APR)</div>
+                    </div>
+                  </div>
+
+                  {/* Save Quote */}
+                  <div className="bg-black/30 p-4 sm:p-6 rounded-lg border border-gray-600">
+                    <h4 className="text-lg font-semibold text-white mb-1">
+                      {activeQuoteId ? `Update Quote ${activeQuoteId}` : 'Save Quote'}
+                    </h4>
+                    <p className="text-sm text-gray-400 mb-3">
+                      {selectedCar
+                        ? `For ${carLabel(selectedCar)}${selectedCar.licenseNo ? ` (${selectedCar.licenseNo})` : ''}`
+                        : 'Choose the car at the top of the form first'}
+                    </p>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                      <input
+                        type="text"
+                        value={customer.name}
+                        onChange={(e) => setCustomer({ ...customer, name: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 bg-white text-black text-sm placeholder:text-gray-400"
+                        placeholder="Customer name *"
+                      />
+                      <input
+                        type="text"
+                        value={customer.phone}
+                        onChange={(e) => setCustomer({ ...customer, phone: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 bg-white text-black text-sm placeholder:text-gray-400"
+                        placeholder="Phone"
+                      />
+                      <input
+                        type="text"
+                        value={customer.passport}
+                        onChange={(e) => setCustomer({ ...customer, passport: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 bg-white text-black text-sm placeholder:text-gray-400"
+                        placeholder="Passport number"
+                      />
+                      <div className="flex items-center gap-2">
+                        <label htmlFor="quoteValidityDays" className="text-sm text-gray-300 whitespace-nowrap">Valid for</label>
+                        <input
+                          id="quoteValidityDays"
+                          type="text"
+                          inputMode="numeric"
+                          value={validityDays}
+                          onChange={(e) => {
+                            const value = e.target.value;
+                            if (value === '' || /^\d*$/.test(value)) {
+                              setValidityDays(value);
+                            }
+                          }}
+                          className="w-20 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-red-500 bg-white text-black text-sm"
+                        />
+                        <span className="text-sm text-gray-300">days</span>
+                      </div>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={handleSaveQuote}
+                      disabled={savingQuote}
+                      className="mt-3 w-full bg-red-600 text-white py-2 px-4 rounded-md hover:bg-red-700 transition-colors text-sm sm:text-base font-medium cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {savingQuote ? 'Saving...' : activeQuoteId ? 'Update Quote' : 'Save Quote'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={handleDownloadQuotation}
+                      disabled={downloadingPdf}
+                      className="mt-2 w-full bg-black/20 backdrop-blur-md text-white py-2 px-4 rounded-md border border-white/30 hover:bg-black/30 hover:text-red-500 transition-all text-sm sm:text-base font-medium cursor-pointer disabled:opacity-60 disabled:cursor-not-allowed"
+                    >
+                      {downloadingPdf ? 'Preparing PDF...' : 'Download Quotation (PDF)'}
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                <div className="text-center py-8">
+                  <div className="text-gray-300 text-base sm:text-lg mb-4">
+                    Enter car details and click Calculate to see installment breakdown
+                  </div>
+                  <div className="text-gray-400 text-sm">
+                    <div>• VAT fixed at 7%</div>
+                    <div>• Down payment amount (manual input)</div>
+                    <div>• Monthly interest percentage (manual input)</div>
+                    <div>• Flat, reducing balance or add-on interest, with APR</div>
+                    <div>• Finance fees (optional manual input)</div>
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Interest Method Comparison */}
+          {result && (
+            <div className="mt-6 sm:mt-8 bg-black/20 backdrop-blur-2xl p-4 sm:p-6 rounded-lg shadow">
+              <h3 className="text-xl sm:text-2xl font-semibold text-white mb-4">Compare Interest Methods</h3>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-600 text-sm">
+                  <thead>
+                    <tr className="text-gray-300 text-xs uppercase tracking-wider">
+                      <th className="px-3 py-2 text-left">Method</th>
+                      <th className="px-3 py-2 text-right">Monthly</th>
+                      <th className="px-3 py-2 text-right">Total Interest</th>
+                      <th className="px-3 py-2 text-right">Customer Pays</th>
+                      <th className="px-3 py-2 text-right">APR</th>
+                      <th className="px-3 py-2 text-right">Effective Annual</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-700 text-white">
+                    {result.comparison.map((quote) => (
+                      <tr key={quote.method} className={quote.method === result.interest_method ? 'bg-red-900/30' : 'hover:bg-black/20'}>
+                        <td className="px-3 py-2">{INTEREST_METHODS[quote.method]}</td>
+                        <td className="px-3 py-2 text-right font-numeric">{formatBaht(quote.monthly_installment)}</td>
+                        <td className="px-3 py-2 text-right font-numeric">{formatBaht(quote.total_interest)}</td>
+                        <td className="px-3 py-2 text-right font-numeric">{formatBaht(quote.total_customer_payment)}</td>
+                        <td className="px-3 py-2 text-right font-numeric">{quote.apr.toFixed(2)}%</td>
+                        <td className="px-3 py-2 text-right font-numeric">{quote.effective_annual_rate.toFixed(2)}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-gray-400 mt-3">
+                Same car value, down payment, fees, months and monthly rate ({formData.interestPerMonth}%). A flat rate charges interest on the full amount financed every month, so its APR is much higher than the quoted monthly rate suggests.
+              </p>
+            </div>
+          )}
+
+          {/* Amortization Schedule */}
+          {result && (
+            <div className="mt-6 sm:mt-8 bg-black/20 backdrop-blur-2xl p-4 sm:p-6 rounded-lg shadow">
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+                <h3 className="text-xl sm:text-2xl font-semibold text-white">Payment Schedule</h3>
+                <button
+                  type="button"
+                  onClick={handlePrintSchedule}
+                  className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 text-sm sm:text-base font-medium rounded-md transition-all cursor-pointer"
+                >
+                  Print Schedule
+                </button>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-600 text-sm">
+                  <thead>
+                    <tr className="text-gray-300 text-xs uppercase tracking-wider">
+                      <th className="px-3 py-2 text-center">Month</th>
+                      <th className="px-3 py-2 text-center">Due Date</th>
+                      <th className="px-3 py-2 text-right">Opening Balance</th>
+                      <th className="px-3 py-2 text-right">Payment</th>
+                      <th className="px-3 py-2 text-right">Principal</th>
+                      <th className="px-3 py-2 text-right">Interest</th>
+                      <th className="px-3 py-2 text-right">Closing Balance</th>
+                      {result.interest_method === 'addon' && (
+                        <th className="px-3 py-2 text-right">Rebate if Settled</th>
+                      )}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-700 text-white font-numeric">
+                    <tr className="bg-black/20">
+                      <td className="px-3 py-2 text-center">0</td>
+                      <td className="px-3 py-2 text-center">{addMonths(formData.startDate, 0).toLocaleDateString('en-GB')}</td>
+                      <td className="px-3 py-2 text-left font-sans" colSpan={result.interest_method === 'addon' ? 6 : 5}>
+                        Down payment <span className="font-numeric">{formatBaht(result.schedule.downPayment)}</span>
+                      </td>
+                    </tr>
+                    {result.schedule.rows.map((row) => (
+                      <tr key={row.month} className="hover:bg-black/20">
+                        <td className="px-3 py-2 text-center">{row.month}</td>
+                        <td className="px-3 py-2 text-center">{row.dueDate.toLocaleDateString('en-GB')}</td>
+                        <td className="px-3 py-2 text-right">{formatBaht(row.opening)}</td>
+                        <td className="px-3 py-2 text-right">{formatBaht(row.payment)}</td>
+                        <td className="px-3 py-2 text-right">{formatBaht(row.principal)}</td>
+                        <td className="px-3 py-2 text-right">{formatBaht(row.interest)}</td>
+                        <td className="px-3 py-2 text-right">{formatBaht(row.closing)}</td>
+                        {result.interest_method === 'addon' && (
+                          <td className="px-3 py-2 text-right text-green-400">{formatBaht(row.rebate)}</td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot className="text-white font-semibold font-numeric border-t-2 border-gray-500">
+                    <tr>
+                      <td className="px-3 py-2 text-left font-sans" colSpan="3">Total installments</td>
+                      <td className="px-3 py-2 text-right">{formatBaht(result.schedule.totalPayments)}</td>
+                      <td className="px-3 py-2 text-right">{formatBaht(result.schedule.totalPrincipal)}</td>
+                      <td className="px-3 py-2 text-right">{formatBaht(result.schedule.totalInterest)}</td>
+                      <td colSpan={result.interest_method === 'addon' ? 2 : 1}></td>
+                    </tr>
+                    <tr>
+                      <td className="px-3 py-2 text-left font-sans" colSpan="3">Total customer payment</td>
+                      <td className="px-3 py-2 text-right text-green-400">{formatBaht(result.schedule.totalCustomerPayment)}</td>
+                      <td colSpan={result.interest_method === 'addon' ? 4 : 3}></td>
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Saved Quotes */}
+          <div className="mt-6 sm:mt-8 bg-black/20 backdrop-blur-2xl p-4 sm:p-6 rounded-lg shadow">
+            <h3 className="text-xl sm:text-2xl font-semibold text-white mb-4">Saved Quotes</h3>
+            {quotes.length === 0 ? (
+              <p className="text-gray-400 text-sm">No saved quotes yet. Calculate, choose a car and customer, then press Save Quote.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-600 text-sm">
+                  <thead>
+                    <tr className="text-gray-300 text-xs uppercase tracking-wider">
+                      <th className="px-3 py-2 text-left">Quote</th>
+                      <th className="px-3 py-2 text-left">Customer</th>
+                      <th className="px-3 py-2 text-left">Car</th>
+                      <th className="px-3 py-2 text-right">Monthly</th>
+                      <th className="px-3 py-2 text-center">Expires</th>
+                      <th className="px-3 py-2 text-right">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-700 text-white">
+                    {quotes.map((quote) => {
+                      const expired = isQuoteExpired(quote);
+                      return (
+                        <tr key={quote.id} className={quote.id === activeQuoteId ? 'bg-red-900/30' : 'hover:bg-black/20'}>
+                          <td className="px-3 py-2 font-numeric">{quote.id}</td>
+                          <td className="px-3 py-2">
+                            <div>{quote.customer?.name}</div>
+                            {quote.customer?.phone && <div className="text-xs text-gray-400 font-numeric">{quote.customer.phone}</div>}
+                          </td>
+                          <td className="px-3 py-2">
+                            <div>{carLabel(quote.car)}</div>
+                            {quote.car?.licenseNo && <div className="text-xs text-gray-400">{quote.car.licenseNo}</div>}
+                          </td>
+                          <td className="px-3 py-2 text-right font-numeric">
+                            {formatBaht(quote.monthlyPayment)}
+                            <div className="text-xs text-gray-400">× {quote.inputs?.installmentMonths} months</div>
+                          </td>
+                          <td className="px-3 py-2 text-center">
+                            <span className="font-numeric">{quote.expiresAt ? addMonths(quote.expiresAt, 0).toLocaleDateString('en-GB') : '-'}</span>
+                            {quote.convertedAt ? (
+                              <div className="text-xs text-green-400">Converted</div>
+                            ) : expired ? (
+                              <div className="text-xs text-red-400">Expired</div>
+                            ) : null}
+                          </td>
+                          <td className="px-3 py-2 text-right whitespace-nowrap space-x-3">
+                            <button type="button" onClick={() => handleOpenQuote(quote)} className="text-white hover:text-red-500 cursor-pointer">
+                              Open
+                            </button>
+                            {onConvertQuote && !quote.convertedAt && (
+                              <button
+                                type="button"
+                                onClick={() => onConvertQuote(quote)}
+                                disabled={expired}
+                                title={expired ? 'Expired quotes must be re-saved before converting' : undefined}
+                                className="text-green-400 hover:text-green-300 cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed"
+                              >
+                                Convert to Contract
+                              </button>
+                            )}
+                            <button type="button" onClick={() => handleDeleteQuote(quote)} className="text-red-400 hover:text-red-300 cursor-pointer">
+                              Delete
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,251 @@
+"use client";
+import { useState } from "react";
+import PhotoViewer from "@/app/components/PhotoViewer";
+import { isAbortError, useAbortSignal } from "@/lib/api";
+import { todayInputValue } from "@/lib/installments";
+import {
+  TRANSFER_STEPS,
+  attachmentUrl,
+  completeStep,
+  completeTransfer,
+  isLastStep,
+  isStepOverdue,
+  nextTransferStep,
+  recordTransferFee,
+  saveTransferProcess,
+  transferProcessOf,
+  uploadAttachment,
+} from "@/lib/ownerBookTransfer";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent";
+
+// Modal checklist for a sold car's owner book transfer. Steps are done in
+// order; each save goes straight to the car. onSaved receives the updated
+// process, and onTransferred runs once the book has reached the customer.
+export default function OwnerBookTransferTracker({ car, onClose, onSaved, onTransferred }) {
+  const [process, setProcess] = useState(() => transferProcessOf(car));
+  const [saving, setSaving] = useState(false);
+  const [uploadingFiles, setUploadingFiles] = useState(false);
+  const getSignal = useAbortSignal();
+
+  const carLabel = `${car.brand || ""} ${car.model || ""} (${car.licenseNo || ""})`.trim();
+  const next = nextTransferStep(process);
+  const today = todayInputValue();
+
+  const updateStep = (key, changes) =>
+    setProcess((prev) => ({ ...prev, steps: { ...prev.steps, [key]: { ...prev.steps[key], ...changes } } }));
+
+  const persist = async (updated) => {
+    await saveTransferProcess(car.id, updated, { signal: getSignal() });
+    setProcess(updated);
+    onSaved?.(updated);
+  };
+
+  const run = async (action, failureMessage) => {
+    setSaving(true);
+    try {
+      await action();
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error(`${failureMessage}:`, error);
+      alert(`${failureMessage}: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => run(() => persist(process), "Failed to save the transfer");
+
+  const handleCompleteStep = (step) => {
+    const state = process.steps[step.key];
+    const fee = Number(state.fee);
+    if (step.hasFee && !(fee > 0)) {
+      alert("Please enter the fee amount paid.");
+      return;
+    }
+    if (isLastStep(step.key) && !window.confirm(`Hand the owner book for ${carLabel} to the customer and complete the transfer?`)) {
+      return;
+    }
+
+    run(async () => {
+      let updated = process;
+      // The fee goes into the money manager once; a retry reuses the expense
+      if (step.hasFee && !state.feeRecorded) {
+        const expenseId = await recordTransferFee(carLabel, fee, { signal: getSignal() });
+        updated = { ...updated, steps: { ...updated.steps, [step.key]: { ...state, expenseId, feeRecorded: true } } };
+        setProcess(updated);
+      }
+      updated = completeStep(updated, step.key);
+      await persist(updated);
+      if (isLastStep(step.key)) {
+        await completeTransfer(car, updated.steps[step.key].note || "", { signal: getSignal() });
+        onTransferred?.();
+      }
+    }, "Failed to update the transfer");
+  };
+
+  const handleAddAttachments = async (files) => {
+    if (!files?.length) return;
+    setUploadingFiles(true);
+    try {
+      const added = [];
+      for (const file of files) {
+        added.push(await uploadAttachment(file, { signal: getSignal() }));
+      }
+      await run(() => persist({ ...process, attachments: [...(process.attachments || []), ...added] }), "Failed to attach the documents");
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Error uploading documents:", error);
+      alert(`Failed to upload the documents: ${error.message}`);
+    } finally {
+      setUploadingFiles(false);
+    }
+  };
+
+  const handleRemoveAttachment = (attachment) => {
+    if (!window.confirm(`Remove ${attachment.name}?`)) return;
+    run(
+      () => persist({ ...process, attachments: process.attachments.filter((item) => item.id !== attachment.id) }),
+      "Failed to remove the document"
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-gray-100 rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <h3 className="text-xl font-bold text-gray-800 mb-1">Owner Book Transfer</h3>
+          <p className="text-sm text-gray-600 mb-6">
+            {carLabel}
+            {car.customerName && <> · {car.customerName}</>}
+          </p>
+
+          <ol className="space-y-4">
+            {TRANSFER_STEPS.map((step, index) => {
+              const state = process.steps[step.key] || {};
+              const isNext = next?.key === step.key;
+              const overdue = isStepOverdue(state, today);
+              return (
+                <li
+                  key={step.key}
+                  className={`rounded-md border p-3 ${state.done ? "border-green-300 bg-green-50" : isNext ? "border-gray-400 bg-white" : "border-gray-200 bg-gray-50"}`}
+                >
+                  <div className="flex flex-wrap items-center justify-between gap-2">
+                    <p className="font-medium text-gray-800">
+                      <span className="font-numeric">{index + 1}.</span> {step.label}
+                      {overdue && <span className="ml-2 text-xs font-semibold text-red-600">Overdue</span>}
+                    </p>
+                    {state.done ? (
+                      <span className="text-sm text-green-700">
+                        ✓ {new Date(state.doneAt).toLocaleDateString("en-GB")}
+                        {state.doneBy && <> by {state.doneBy}</>}
+                      </span>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => handleCompleteStep(step)}
+                        disabled={!isNext || saving}
+                        className="px-3 py-1.5 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:bg-gray-400 text-sm font-medium cursor-pointer disabled:cursor-not-allowed"
+                      >
+                        Mark Done
+                      </button>
+                    )}
+                  </div>
+
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mt-3">
+                    <div>
+                      <label htmlFor={`${step.key}-due`} className="block text-xs font-medium text-gray-600 mb-1">Due Date</label>
+                      <input
+                        type="date"
+                        id={`${step.key}-due`}
+                        value={state.dueDate || ""}
+                        onChange={(e) => updateStep(step.key, { dueDate: e.target.value })}
+                        disabled={state.done}
+                        className={inputClass}
+                      />
+                    </div>
+                    {step.hasFee && (
+                      <div>
+                        <label htmlFor={`${step.key}-fee`} className="block text-xs font-medium text-gray-600 mb-1">Fee Amount</label>
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          id={`${step.key}-fee`}
+                          value={state.fee || ""}
+                          onChange={(e) => /^\d*\.?\d*$/.test(e.target.value) && updateStep(step.key, { fee: e.target.value })}
+                          disabled={state.done || state.feeRecorded}
+                          className={`${inputClass} font-numeric`}
+                        />
+                        {state.feeRecorded && <p className="text-xs text-gray-500 mt-1">Recorded in the money manager</p>}
+                      </div>
+                    )}
+                    <div className={step.hasFee ? "" : "sm:col-span-2"}>
+                      <label htmlFor={`${step.key}-note`} className="block text-xs font-medium text-gray-600 mb-1">Note</label>
+                      <input
+                        type="text"
+                        id={`${step.key}-note`}
+                        value={state.note || ""}
+                        onChange={(e) => updateStep(step.key, { note: e.target.value })}
+                        disabled={state.done}
+                        className={inputClass}
+                      />
+                    </div>
+                  </div>
+                </li>
+              );
+            })}
+          </ol>
+
+          <div className="mt-6">
+            <label htmlFor="transferDocuments" className="block text-sm font-medium text-gray-700 mb-2">Scanned Documents</label>
+            <div className="flex flex-wrap gap-3 mb-3">
+              {(process.attachments || []).map((attachment) => (
+                <div key={attachment.id} className="w-24">
+                  <PhotoViewer src={attachmentUrl(attachment)} alt={attachment.name} className="w-24 h-24 object-cover rounded cursor-pointer" enableFullScreen={true} />
+                  <div className="flex items-center justify-between gap-1 mt-1">
+                    <span className="text-xs text-gray-600 truncate" title={attachment.name}>{attachment.name}</span>
+                    <button type="button" onClick={() => handleRemoveAttachment(attachment)} className="text-xs text-red-600 hover:text-red-700 cursor-pointer">
+                      ×
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <input
+              type="file"
+              id="transferDocuments"
+              accept="image/*"
+              multiple
+              onChange={(e) => {
+                handleAddAttachments([...(e.target.files || [])]);
+                e.target.value = "";
+              }}
+              disabled={saving || uploadingFiles}
+              className="text-sm text-gray-700"
+            />
+            {uploadingFiles && <p className="text-xs text-gray-500 mt-1">Uploading documents...</p>}
+          </div>
+
+          <div className="flex justify-end space-x-3 pt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 hover:text-red-500 font-medium cursor-pointer"
+            >
+              Close
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-60 font-medium cursor-pointer"
+            >
+              {saving ? "Saving..." : "Save Dates & Notes"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,359 @@
+"use client";
+import { useEffect, useRef, useState } from "react";
+import {
+  DEFAULT_COMPRESSION,
+  MAX_DIMENSION_OPTIONS,
+  compressImage,
+  formatFileSize,
+  loadCompressionSettings,
+  saveCompressionSettings,
+} from "@/lib/imageCompression";
+
+let nextPhotoId = 0;
+const newPhotoId = () => `photo-${Date.now()}-${nextPhotoId++}`;
+
+// Gallery items are `{ id, url, file?, public_id? }`: new uploads carry a
+// `file` (and an object URL for preview), saved images carry `public_id`.
+// While a new photo is being compressed it also has `status: "processing"`.
+export const photosFromImages = (images = []) =>
+  images
+    .filter((img) => img?.url)
+    .map((img) => ({ id: img.public_id || newPhotoId(), url: img.url, public_id: img.public_id || null }));
+
+const photoFromFile = (file) => ({
+  id: newPhotoId(),
+  url: URL.createObjectURL(file),
+  file,
+  status: "processing",
+  progress: 0,
+  originalSize: file.size,
+});
+
+// Forms must not submit until every new photo has been compressed
+export const isGalleryProcessing = (photos = []) => photos.some((photo) => photo.status === "processing");
+
+// New photos that could not be compressed (e.g. HEIC the browser can't
+// decode) are still the original file, with its GPS location and camera
+// details. Forms ask before uploading them; false means the user said no.
+export function confirmUnprocessedPhotos(photos = []) {
+  const count = photos.filter((photo) => photo.file && photo.status === "failed").length;
+  if (count === 0) return true;
+  return window.confirm(
+    `${count === 1 ? "1 photo" : `${count} photos`} could not be processed, so the location (GPS) and camera details were not removed. ` +
+      "Upload the original anyway? Choose Cancel to go back and delete or replace it."
+  );
+}
+
+const revokePreview = (photo) => {
+  if (photo?.file && photo.url?.startsWith("blob:")) {
+    URL.revokeObjectURL(photo.url);
+  }
+};
+
+// Multi-photo picker used by add-car and edit-car. The first photo is the
+// cover; order can be changed by dragging or with the arrow buttons (touch).
+// `onChange` receives an updater `(prevPhotos) => nextPhotos`, since photos
+// finish compressing after the render that added them.
+export default function PhotoGalleryEditor({ photos, onChange, inputId = "carPhotos" }) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropActive, setDropActive] = useState(false);
+  const [compression, setCompression] = useState(DEFAULT_COMPRESSION);
+  const [showSettings, setShowSettings] = useState(false);
+  const photosRef = useRef(photos);
+  const controllersRef = useRef(new Map());
+  const queueRef = useRef(Promise.resolve());
+  photosRef.current = photos;
+
+  useEffect(() => {
+    setCompression(loadCompressionSettings());
+  }, []);
+
+  // Stop any compression and release previews still held when the form goes away
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => {
+      controllers.forEach((controller) => controller.abort());
+      photosRef.current.forEach(revokePreview);
+    };
+  }, []);
+
+  const updatePhoto = (id, patch) => {
+    onChange((prev) => prev.map((photo) => (photo.id === id ? { ...photo, ...patch } : photo)));
+  };
+
+  const processPhoto = async (photo) => {
+    const controller = controllersRef.current.get(photo.id);
+    if (!controller || controller.signal.aborted) return;
+    try {
+      const compressed = await compressImage(photo.file, {
+        ...compression,
+        signal: controller.signal,
+        onProgress: (progress) => updatePhoto(photo.id, { progress }),
+      });
+      URL.revokeObjectURL(photo.url);
+      updatePhoto(photo.id, {
+        file: compressed,
+        url: URL.createObjectURL(compressed),
+        status: "ready",
+        progress: 1,
+      });
+    } catch (error) {
+      if (error?.name === "AbortError") return;
+      console.error("Error compressing photo:", error);
+      // Keep the original, but mark it so the form asks before uploading it
+      updatePhoto(photo.id, { status: "failed", error: error.message || "Could not compress this photo" });
+    } finally {
+      controllersRef.current.delete(photo.id);
+    }
+  };
+
+  const addFiles = (fileList) => {
+    const files = Array.from(fileList || []).filter((file) => file.type.startsWith("image/"));
+    if (files.length === 0) return;
+    const added = files.map(photoFromFile);
+    added.forEach((photo) => controllersRef.current.set(photo.id, new AbortController()));
+    onChange((prev) => [...prev, ...added]);
+    // One photo at a time keeps older phones and laptops responsive
+    added.forEach((photo) => {
+      queueRef.current = queueRef.current.then(() => processPhoto(photo));
+    });
+  };
+
+  const handleCompressionChange = (patch) => {
+    const next = { ...compression, ...patch };
+    setCompression(next);
+    saveCompressionSettings(next);
+  };
+
+  const handleFileChange = (e) => {
+    addFiles(e.target.files);
+    // Allow picking the same file again after removing it
+    e.target.value = "";
+  };
+
+  // Also used as "Cancel" while a photo is still compressing
+  const removePhoto = (index) => {
+    const photo = photos[index];
+    controllersRef.current.get(photo.id)?.abort();
+    controllersRef.current.delete(photo.id);
+    revokePreview(photo);
+    onChange((prev) => prev.filter((item) => item.id !== photo.id));
+  };
+
+  const movePhoto = (from, to) => {
+    if (to < 0 || to >= photos.length || from === to) return;
+    onChange((prev) => {
+      const next = [...prev];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  };
+
+  const handleDropZone = (e) => {
+    e.preventDefault();
+    setDropActive(false);
+    if (e.dataTransfer.files?.length) {
+      addFiles(e.dataTransfer.files);
+    }
+  };
+
+  const fileInput = (
+    <input
+      id={inputId}
+      name={inputId}
+      type="file"
+      accept="image/*"
+      multiple
+      onChange={handleFileChange}
+      className="sr-only"
+    />
+  );
+
+  return (
+    <div className="space-y-3">
+      {photos.length > 0 && (
+        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3">
+          {photos.map((photo, index) => (
+            <div
+              key={photo.id}
+              draggable
+              onDragStart={(e) => {
+                setDragIndex(index);
+                e.dataTransfer.effectAllowed = "move";
+              }}
+              onDragOver={(e) => {
+                if (dragIndex !== null) e.preventDefault();
+              }}
+              onDrop={(e) => {
+                if (dragIndex === null) return;
+                e.preventDefault();
+                e.stopPropagation();
+                movePhoto(dragIndex, index);
+                setDragIndex(null);
+              }}
+              onDragEnd={() => setDragIndex(null)}
+              className={`relative group rounded-lg overflow-hidden border-2 bg-black/30 cursor-move ${
+                index === 0 ? "border-red-500" : "border-gray-600"
+              } ${dragIndex === index ? "opacity-50" : ""}`}
+            >
+              <img src={photo.url} alt={`Car photo ${index + 1}`} className="w-full h-28 object-cover" />
+              {index === 0 && (
+                <span className="absolute top-1 left-1 px-2 py-0.5 rounded bg-red-600 text-white text-xs font-semibold">
+                  Cover
+                </span>
+              )}
+              {photo.file && (
+                <span className="absolute top-1 right-1 px-2 py-0.5 rounded bg-blue-600 text-white text-xs">New</span>
+              )}
+              {photo.status === "processing" && (
+                <div className="absolute inset-x-0 top-20 px-2">
+                  <div className="h-1.5 w-full rounded bg-black/60 overflow-hidden">
+                    <div
+                      className="h-full bg-red-500 transition-all"
+                      style={{ width: `${Math.round((photo.progress || 0) * 100)}%` }}
+                    />
+                  </div>
+                </div>
+              )}
+              {photo.file && (
+                <p className="px-1 pt-1 text-[11px] text-gray-300 font-numeric truncate">
+                  {photo.status === "processing"
+                    ? `Compressing… ${Math.round((photo.progress || 0) * 100)}%`
+                    : photo.status === "failed"
+                      ? `Not processed, GPS kept (${formatFileSize(photo.file.size)})`
+                      : `${formatFileSize(photo.originalSize)} → ${formatFileSize(photo.file.size)}`}
+                </p>
+              )}
+              <div className="flex items-center justify-between gap-1 p-1 bg-black/60">
+                <div className="flex gap-1">
+                  <button
+                    type="button"
+                    onClick={() => movePhoto(index, index - 1)}
+                    disabled={index === 0}
+                    className="px-2 text-white hover:text-red-500 disabled:opacity-30"
+                    aria-label="Move photo left"
+                  >
+                    ‹
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => movePhoto(index, index + 1)}
+                    disabled={index === photos.length - 1}
+                    className="px-2 text-white hover:text-red-500 disabled:opacity-30"
+                    aria-label="Move photo right"
+                  >
+                    ›
+                  </button>
+                </div>
+                {index !== 0 && (
+                  <button
+                    type="button"
+                    onClick={() => movePhoto(index, 0)}
+                    className="text-xs text-white hover:text-red-500"
+                  >
+                    Set cover
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => removePhoto(index)}
+                  className="text-xs text-red-400 hover:text-red-300"
+                >
+                  {photo.status === "processing" ? "Cancel" : "Delete"}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div
+        onDragOver={(e) => {
+          if (dragIndex !== null) return;
+          e.preventDefault();
+          setDropActive(true);
+        }}
+        onDragLeave={() => setDropActive(false)}
+        onDrop={handleDropZone}
+        className={`flex justify-center px-6 pt-5 pb-6 border-2 border-dashed rounded-md bg-black/30 ${
+          dropActive ? "border-red-500" : "border-gray-600"
+        }`}
+      >
+        <div className="space-y-1 text-center">
+          <svg
+            className="mx-auto h-12 w-12 text-gray-400"
+            stroke="currentColor"
+            fill="none"
+            viewBox="0 0 48 48"
+            aria-hidden="true"
+          >
+            <path
+              d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8m-12 4h.02"
+              strokeWidth={2}
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            />
+          </svg>
+          <div className="flex text-sm text-gray-400 justify-center">
+            <label
+              htmlFor={inputId}
+              className="relative cursor-pointer bg-black/50 rounded-md font-medium text-red-500 hover:text-red-400 focus-within:outline-none focus-within:ring-2 focus-within:ring-offset-2 focus-within:ring-red-500"
+            >
+              <span>{photos.length > 0 ? "Add more photos" : "Upload photos"}</span>
+              {fileInput}
+            </label>
+            <p className="pl-1">or drag and drop</p>
+          </div>
+          <p className="text-xs text-gray-500">
+            PNG, JPG, GIF up to 10MB each. Exterior, interior, engine and damage shots. Drag to reorder; the first photo is the cover.
+          </p>
+          <p className="text-xs text-gray-500">
+            Photos are resized to {compression.maxDimension}px and location data is removed before upload.{" "}
+            <button type="button" onClick={() => setShowSettings((v) => !v)} className="text-red-500 hover:text-red-400">
+              {showSettings ? "Hide settings" : "Change"}
+            </button>
+          </p>
+        </div>
+      </div>
+
+      {/* Compression settings (apply to photos added afterwards) */}
+      {showSettings && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 p-3 rounded-md border border-gray-600 bg-black/30">
+          <div>
+            <label htmlFor={`${inputId}-max-dimension`} className="block text-sm font-medium text-gray-300 mb-1">
+              Maximum size (longest edge)
+            </label>
+            <select
+              id={`${inputId}-max-dimension`}
+              value={compression.maxDimension}
+              onChange={(e) => handleCompressionChange({ maxDimension: Number(e.target.value) })}
+              className="w-full px-3 py-2 border border-gray-600 rounded-md bg-black/30 text-white focus:outline-none focus:ring-2 focus:ring-red-500"
+            >
+              {MAX_DIMENSION_OPTIONS.map((size) => (
+                <option key={size} value={size}>
+                  {size}px
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor={`${inputId}-quality`} className="block text-sm font-medium text-gray-300 mb-1">
+              JPEG quality: <span className="font-numeric">{Math.round(compression.quality * 100)}%</span>
+            </label>
+            <input
+              id={`${inputId}-quality`}
+              type="range"
+              min="0.5"
+              max="0.95"
+              step="0.05"
+              value={compression.quality}
+              onChange={(e) => handleCompressionChange({ quality: Number(e.target.value) })}
+              className="w-full accent-red-500"
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,83 +1,259 @@
 "use client";
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import { createPortal } from "react-dom";
 
+const FALLBACK_SRC = "/admin.png";
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 4;
+const SWIPE_THRESHOLD = 50;
+
+const clampZoom = (value) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, value));
+
+const toUrl = (image) => (typeof image === "string" ? image : image?.url);
+
+const touchDistance = (touches) =>
+  Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+
+// Shows a single photo, or a carousel when `images` (URLs or `{ url }`
+// objects from the backend) holds more than one. Full-screen mode adds
+// keyboard arrows, swipe and pinch/wheel zoom.
 export default function PhotoViewer({
   src,
+  images,
   alt,
   className = "",
   enableFullScreen = false,
 }) {
+  const photos = (images || []).map(toUrl).filter(Boolean);
+  if (photos.length === 0 && src) photos.push(src);
+  if (photos.length === 0) photos.push(FALLBACK_SRC);
+  const hasMany = photos.length > 1;
+
+  const [index, setIndex] = useState(0);
   const [isFullScreen, setIsFullScreen] = useState(false);
   const [isMounted, setIsMounted] = useState(false);
+  const [zoom, setZoom] = useState(1);
+  const touchRef = useRef(null);
 
-  const handleKeyDown = (e) => {
-    if (e.key === 'Escape' || e.key === 'Esc') {
-      closeFullScreen();
-    }
-  };
+  const current = photos[Math.min(index, photos.length - 1)];
+
+  const showPhoto = useCallback(
+    (next) => {
+      setIndex((next + photos.length) % photos.length);
+      setZoom(1);
+    },
+    [photos.length]
+  );
+
+  const showPrevious = useCallback(() => showPhoto(index - 1), [showPhoto, index]);
+  const showNext = useCallback(() => showPhoto(index + 1), [showPhoto, index]);
 
   const openFullScreen = () => {
     if (!enableFullScreen) return;
+    setZoom(1);
     setIsFullScreen(true);
-    
-    // Prevent background scrolling
-    document.body.style.overflow = 'hidden';
-    
-    // Add global keyboard listener
-    document.addEventListener('keydown', handleKeyDown);
   };
 
-  const closeFullScreen = () => {
-    setIsFullScreen(false);
-    
-    // Restore scrolling
-    document.body.style.overflow = 'unset';
-    
-    // Remove global keyboard listener
-    document.removeEventListener('keydown', handleKeyDown);
-  };
+  const closeFullScreen = () => setIsFullScreen(false);
 
-  // Cleanup effect
   useEffect(() => {
     setIsMounted(true);
+  }, []);
+
+  // Keep the index valid when the photo list shrinks
+  useEffect(() => {
+    if (index >= photos.length) setIndex(0);
+  }, [index, photos.length]);
+
+  // Lock scrolling and listen for keys only while full-screen is open
+  useEffect(() => {
+    if (!isFullScreen) return;
+
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape" || e.key === "Esc") {
+        setIsFullScreen(false);
+      } else if (e.key === "ArrowLeft") {
+        showPrevious();
+      } else if (e.key === "ArrowRight") {
+        showNext();
+      }
+    };
+
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+    document.addEventListener("keydown", handleKeyDown);
     return () => {
-      // Clean up event listener when component unmounts
-      document.removeEventListener('keydown', handleKeyDown);
+      document.body.style.overflow = previousOverflow;
+      document.removeEventListener("keydown", handleKeyDown);
     };
-  }, []);
+  }, [isFullScreen, showPrevious, showNext]);
+
+  const handleTouchStart = (e) => {
+    if (e.touches.length === 2) {
+      touchRef.current = { pinchDistance: touchDistance(e.touches), startZoom: zoom };
+    } else if (e.touches.length === 1) {
+      touchRef.current = { startX: e.touches[0].clientX, startY: e.touches[0].clientY };
+    }
+  };
+
+  const handleTouchMove = (e) => {
+    const start = touchRef.current;
+    if (start?.pinchDistance && e.touches.length === 2) {
+      setZoom(clampZoom(start.startZoom * (touchDistance(e.touches) / start.pinchDistance)));
+    }
+  };
+
+  const handleTouchEnd = (e) => {
+    const start = touchRef.current;
+    touchRef.current = null;
+    // Swipe only when not zoomed in, otherwise the gesture is for panning
+    if (!start || start.pinchDistance || zoom > 1 || !hasMany) return;
+    const touch = e.changedTouches[0];
+    const dx = touch.clientX - start.startX;
+    const dy = touch.clientY - start.startY;
+    if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+      if (dx < 0) {
+        showNext();
+      } else {
+        showPrevious();
+      }
+    }
+  };
+
+  const handleWheel = (e) => {
+    setZoom((z) => clampZoom(z - e.deltaY * 0.002));
+  };
+
+  const handleImageError = (e) => {
+    if (!e.target.src.endsWith(FALLBACK_SRC)) {
+      e.target.src = FALLBACK_SRC; // Fallback image
+    }
+  };
+
+  const arrowButtonClass =
+    "absolute top-1/2 -translate-y-1/2 w-10 h-10 flex items-center justify-center rounded-full bg-black/50 text-white text-xl hover:text-red-500 transition-colors";
 
   return (
     <>
       {/* Clickable thumbnail */}
-      <img 
-        src={src} 
-        alt={alt}
-        className={`${className}${enableFullScreen ? " cursor-pointer transition-transform hover:scale-105" : ""}`}
-        onClick={enableFullScreen ? openFullScreen : undefined}
-        onError={(e) => {
-          e.target.src = '/admin.png'; // Fallback image
-        }}
-      />
+      <div className="relative" onTouchStart={handleTouchStart} onTouchEnd={handleTouchEnd}>
+        <img
+          src={current}
+          alt={alt}
+          className={`${className}${enableFullScreen ? " cursor-pointer transition-transform hover:scale-105" : ""}`}
+          onClick={enableFullScreen ? openFullScreen : undefined}
+          onError={handleImageError}
+        />
+        {hasMany && (
+          <>
+            <button type="button" onClick={showPrevious} className={`${arrowButtonClass} left-2`} aria-label="Previous photo">
+              ‹
+            </button>
+            <button type="button" onClick={showNext} className={`${arrowButtonClass} right-2`} aria-label="Next photo">
+              ›
+            </button>
+            <span className="absolute bottom-2 right-2 px-2 py-0.5 rounded bg-black/60 text-white text-xs font-numeric">
+              {index + 1} / {photos.length}
+            </span>
+          </>
+        )}
+      </div>
+
+      {/* Thumbnails */}
+      {hasMany && (
+        <div className="flex gap-2 mt-3 overflow-x-auto pb-1">
+          {photos.map((photo, i) => (
+            <button
+              key={`${photo}-${i}`}
+              type="button"
+              onClick={() => showPhoto(i)}
+              className={`flex-shrink-0 rounded-md overflow-hidden border-2 transition-colors ${
+                i === index ? "border-red-500" : "border-transparent hover:border-white/50"
+              }`}
+              aria-label={`Show photo ${i + 1}`}
+            >
+              <img src={photo} alt={`${alt} ${i + 1}`} className="w-16 h-12 object-cover" onError={handleImageError} />
+            </button>
+          ))}
+        </div>
+      )}
 
       {/* Full-screen overlay */}
       {enableFullScreen && isFullScreen && isMounted && typeof document !== "undefined"
         ? createPortal(
             <div
-              className="fixed inset-0 z-[9999] bg-black flex items-center justify-center"
+              className="fixed inset-0 z-[9999] bg-black flex items-center justify-center overflow-hidden"
               onClick={closeFullScreen}
               role="dialog"
               aria-modal="true"
             >
-              <img
-                src={src}
-                alt={alt}
-                className="max-w-full max-h-full object-contain"
-                onClick={(e) => e.stopPropagation()}
-                onError={(e) => {
-                  e.target.src = "/admin.png";
-                }}
-              />
+              <div
+                className="w-full h-full flex items-center justify-center touch-none"
+                onTouchStart={handleTouchStart}
+                onTouchMove={handleTouchMove}
+                onTouchEnd={handleTouchEnd}
+                onWheel={handleWheel}
+              >
+                <img
+                  src={current}
+                  alt={alt}
+                  className="max-w-full max-h-full object-contain transition-transform duration-100"
+                  style={{ transform: `scale(${zoom})` }}
+                  onClick={(e) => e.stopPropagation()}
+                  onDoubleClick={(e) => {
+                    e.stopPropagation();
+                    setZoom((z) => (z > 1 ? 1 : 2));
+                  }}
+                  onError={handleImageError}
+                />
+              </div>
+
+              <button
+                type="button"
+                onClick={closeFullScreen}
+                className="absolute top-4 right-4 w-10 h-10 flex items-center justify-center rounded-full bg-black/50 text-white text-2xl hover:text-red-500 transition-colors"
+                aria-label="Close"
+              >
+                ×
+              </button>
+
+              {hasMany && (
+                <>
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      showPrevious();
+                    }}
+                    className={`${arrowButtonClass} left-4`}
+                    aria-label="Previous photo"
+                  >
+                    ‹
+                  </button>
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      showNext();
+                    }}
+                    className={`${arrowButtonClass} right-4`}
+                    aria-label="Next photo"
+                  >
+                    ›
+                  </button>
+                  <div className="absolute bottom-4 left-1/2 -translate-x-1/2 flex gap-2" onClick={(e) => e.stopPropagation()}>
+                    {photos.map((photo, i) => (
+                      <button
+                        key={`${photo}-${i}`}
+                        type="button"
+                        onClick={() => showPhoto(i)}
+                        className={`w-2.5 h-2.5 rounded-full ${i === index ? "bg-red-500" : "bg-white/50"}`}
+                        aria-label={`Show photo ${i + 1}`}
+                      />
+                    ))}
+                  </div>
+                </>
+              )}
             </div>,
             document.body
           )
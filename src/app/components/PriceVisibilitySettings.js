@@ -0,0 +1,126 @@
+"use client";
+import { useEffect, useState } from "react";
+import { isAbortError, useAbortSignal } from "@/lib/api";
+import {
+  CONFIGURABLE_FIELDS,
+  DEFAULT_VISIBILITY,
+  RESTRICTED_FIELDS,
+  VISIBILITY_ROLES,
+  fetchVisibilityRules,
+  saveVisibilityRules,
+} from "@/lib/priceVisibility";
+
+// Modal where the admin picks the price fields each role sees on the staff
+// pages. Purchase price, repair costs and profit are listed but locked off.
+export default function PriceVisibilitySettings({ onClose }) {
+  const [rules, setRules] = useState(DEFAULT_VISIBILITY);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const getSignal = useAbortSignal();
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const loadRules = async () => {
+      try {
+        setRules(await fetchVisibilityRules({ signal: controller.signal }));
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to load price visibility:", error);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+
+    loadRules();
+    return () => controller.abort();
+  }, []);
+
+  const toggle = (role, field) =>
+    setRules((prev) => ({ ...prev, [role]: { ...prev[role], [field]: !prev[role][field] } }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await saveVisibilityRules(rules, { signal: getSignal() });
+      onClose();
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Failed to save price visibility:", error);
+      alert(`Failed to save price visibility: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-gray-100 rounded-lg shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <h3 className="text-xl font-bold text-gray-800 mb-1">Price Visibility</h3>
+          <p className="text-sm text-gray-600 mb-6">Choose which prices each role can see on the staff pages. Admins always see everything.</p>
+
+          <table className="min-w-full text-sm text-gray-800">
+            <thead>
+              <tr className="border-b border-gray-300">
+                <th className="py-2 pr-4 text-left font-semibold">Field</th>
+                {Object.entries(VISIBILITY_ROLES).map(([role, label]) => (
+                  <th key={role} className="py-2 px-2 text-center font-semibold">{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {Object.entries(CONFIGURABLE_FIELDS).map(([field, label]) => (
+                <tr key={field}>
+                  <td className="py-2 pr-4">{label}</td>
+                  {Object.keys(VISIBILITY_ROLES).map((role) => (
+                    <td key={role} className="py-2 px-2 text-center">
+                      <input
+                        type="checkbox"
+                        checked={rules[role][field]}
+                        disabled={loading}
+                        onChange={() => toggle(role, field)}
+                        aria-label={`${VISIBILITY_ROLES[role]} can see ${label}`}
+                        className="h-4 w-4 accent-red-600 cursor-pointer"
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              {Object.entries(RESTRICTED_FIELDS).map(([field, label]) => (
+                <tr key={field} className="text-gray-500">
+                  <td className="py-2 pr-4">
+                    {label} <span className="text-xs">(admin only)</span>
+                  </td>
+                  {Object.keys(VISIBILITY_ROLES).map((role) => (
+                    <td key={role} className="py-2 px-2 text-center">
+                      <input type="checkbox" checked={false} disabled aria-label={`${label} is admin only`} className="h-4 w-4" />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="flex justify-end space-x-3 pt-6">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 hover:text-red-500 font-medium cursor-pointer"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={loading || saving}
+              className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 font-medium cursor-pointer disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? "Saving..." : "Save"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
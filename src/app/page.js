@@ -41,8 +41,8 @@ export default function Home() {
           </div>
 
           <div 
-            onClick={() => handleNavigation('/staff/dashboard')}
-            onKeyDown={(e) => e.key === 'Enter' && handleNavigation('/staff/dashboard')}
+            onClick={() => handleNavigation('/staff/login')}
+            onKeyDown={(e) => e.key === 'Enter' && handleNavigation('/staff/login')}
             role="button"
             tabIndex={0}
             aria-label="Go to Staff"
@@ -3,6 +3,32 @@ import Link from "next/link";
 import { useState, useEffect } from "react";
 import { useParams } from "next/navigation";
 import PhotoViewer from "@/app/components/PhotoViewer";
+import { API_BASE_URL, getStaffCar, isAbortError, useAbortSignal } from "@/lib/api";
+import { logout } from "@/lib/session";
+import { LEAD_SOURCES, LEAD_STATUSES, addLead, fetchLeads, isLeadOpen, mergeLead, setLeadStatus, updateLead } from "@/lib/leads";
+import { activeReservation } from "@/lib/reservations";
+import { CONFIGURABLE_FIELDS, canSee, fetchVisibilityRulesOrDefaults, minimumPriceOf, redactCar, roleKey } from "@/lib/priceVisibility";
+import { DISCOUNT_STATUSES, addDiscountRequest, discountPercent, fetchDiscountRequests, mergeDiscountRequest, requestsForCar } from "@/lib/discounts";
+
+const EMPTY_LEAD_FORM = {
+  name: "",
+  phone: "",
+  source: "walk_in",
+  budget: "",
+  wantsInstallment: false,
+  followUpDate: "",
+  notes: "",
+};
+
+const EMPTY_DISCOUNT_FORM = {
+  customerName: "",
+  customerPhone: "",
+  requestedPrice: "",
+  reason: "",
+};
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-md bg-gray-200 text-gray-800 placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-red-500 focus:border-transparent";
 
 export default function StaffCarDetails() {
   const params = useParams();
@@ -10,26 +36,80 @@ export default function StaffCarDetails() {
   
   const [car, setCar] = useState(null);
   const [loading, setLoading] = useState(true);
-  const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+  // Inquiries logged against this car
+  const [leads, setLeads] = useState([]);
+  const [leadForm, setLeadForm] = useState(EMPTY_LEAD_FORM);
+  const [leadError, setLeadError] = useState("");
+  const [showLeadForm, setShowLeadForm] = useState(false);
+  // Discount requests sent to the admin for this car
+  const [discountRequests, setDiscountRequests] = useState([]);
+  const [discountForm, setDiscountForm] = useState(EMPTY_DISCOUNT_FORM);
+  const [discountError, setDiscountError] = useState("");
+  const [showDiscountForm, setShowDiscountForm] = useState(false);
+  // Which price fields the signed-in role may see
+  const [allowed, setAllowed] = useState({});
+
+  const [savingLead, setSavingLead] = useState(false);
+  const [sendingDiscount, setSendingDiscount] = useState(false);
+  const getSignal = useAbortSignal();
+
+  useEffect(() => {
+    if (!API_BASE_URL) return;
+
+    const controller = new AbortController();
+
+    const loadLeads = async () => {
+      try {
+        setLeads(await fetchLeads({ carId }, { signal: controller.signal }));
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to fetch leads from API:", error);
+      }
+    };
+
+    const loadDiscountRequests = async () => {
+      try {
+        setDiscountRequests(await fetchDiscountRequests({ carId }, { signal: controller.signal }));
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to fetch discount requests from API:", error);
+      }
+    };
+
+    loadLeads();
+    loadDiscountRequests();
+    return () => controller.abort();
+  }, [carId]);
 
   useEffect(() => {
     if (typeof window === "undefined") return;
 
+    const controller = new AbortController();
+    const role = roleKey();
+
     // Load car data
     const loadCar = async () => {
       try {
+        const rules = await fetchVisibilityRulesOrDefaults({ signal: controller.signal });
+        setAllowed(Object.fromEntries(Object.keys(CONFIGURABLE_FIELDS).map((field) => [field, canSee(role, field, rules)])));
+
         // Try API first
         if (API_BASE_URL) {
-          const response = await fetch(`${API_BASE_URL}/api/public/car/${carId}`, { cache: "no-store" });
-          if (response.ok) {
-            const data = await response.json();
-            const apiCar = data.data || data;
+          // Fall through to the localStorage copy if the API is unreachable
+          const data = await getStaffCar(carId, { signal: controller.signal }).catch((error) => {
+            if (isAbortError(error)) throw error;
+            console.error("Error fetching car from API:", error);
+            return null;
+          });
+          if (data) {
+            const apiCar = redactCar(data.data || data, role, rules);
 
             console.log('apiCar', apiCar);
             
             if (apiCar) {
-              // Handle carPhoto - extract URL from image object array (always one object)
-              const carPhotoUrl = apiCar.images?.[0]?.url || null;
+              // The first image is the cover; the rest make up the gallery
+              const carPhotoUrls = (apiCar.images || []).map((img) => img?.url).filter(Boolean);
+              const carPhotoUrl = carPhotoUrls[0] || null;
               
               // Normalize the API response to match expected format (same as admin)
               const normalizedCar = {
@@ -46,13 +126,15 @@ export default function StaffCarDetails() {
                       ? `฿${apiCar.priceToSell.toLocaleString()}` 
                       : apiCar.priceToSell)
                   : apiCar.price || "",
-                originalPrice: apiCar.originalPrice || apiCar.priceToBuy || apiCar.price || "",
+                minimumPrice: apiCar.minimumPrice ?? "",
                 year: apiCar.year || "",
                 purchasedKilo: apiCar.kilo || "",
                 repairHistory: apiCar.repairs || [],
                 carPhoto: carPhotoUrl,
+                carPhotos: carPhotoUrls,
                 carList: apiCar.carList || apiCar.carListNo || "",
-                sale: apiCar.sale || {}
+                sale: apiCar.sale || {},
+                reservation: apiCar.reservation || null
               };
               
               setCar(normalizedCar);
@@ -68,10 +150,12 @@ export default function StaffCarDetails() {
           const cars = JSON.parse(savedCars);
           const foundCar = cars.find(c => c.id.toString() === carId || c._id?.toString() === carId);
           if (foundCar) {
-            setCar(foundCar);
+            const visibleCar = redactCar(foundCar, role, rules);
+            setCar({ ...visibleCar, repairHistory: visibleCar.repairs || [] });
           }
         }
       } catch (error) {
+        if (isAbortError(error)) return;
         console.error("Error loading car:", error);
       } finally {
         setLoading(false);
@@ -79,10 +163,119 @@ export default function StaffCarDetails() {
     };
 
     loadCar();
-  }, [carId, API_BASE_URL]);
+    return () => controller.abort();
+  }, [carId]);
 
   const handleLogout = () => {
-    window.location.href = "/";
+    logout("/");
+  };
+
+
+  const handleLeadFieldChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setLeadForm((prev) => ({ ...prev, [name]: type === "checkbox" ? checked : value }));
+    setLeadError("");
+  };
+
+  const handleAddLead = async (e) => {
+    e.preventDefault();
+    if (!leadForm.name.trim() || !leadForm.phone.trim()) {
+      setLeadError("Name and phone are required");
+      return;
+    }
+    const budget = Number(String(leadForm.budget).replace(/[^\d.]/g, ""));
+    setSavingLead(true);
+    try {
+      const saved = await addLead(
+        {
+          ...leadForm,
+          name: leadForm.name.trim(),
+          phone: leadForm.phone.trim(),
+          notes: leadForm.notes.trim(),
+          budget: budget > 0 ? budget : null,
+          carId: String(car.id),
+          carLabel: [car.brand, car.model, car.licenseNo].filter(Boolean).join(" "),
+        },
+        { signal: getSignal() }
+      );
+      setLeads((prev) => mergeLead(prev, saved));
+      setLeadForm(EMPTY_LEAD_FORM);
+      setShowLeadForm(false);
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Failed to save lead:", error);
+      setLeadError(error.fieldErrors?.length > 0 ? error.fieldMessages.join(", ") : `Failed to save: ${error.message}`);
+    } finally {
+      setSavingLead(false);
+    }
+  };
+
+  // Status and follow-up changes on a logged inquiry
+  const saveLeadChanges = async (lead, save) => {
+    try {
+      const saved = await save();
+      setLeads((prev) => mergeLead(prev, saved));
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Failed to update lead:", error);
+      alert(`Failed to update the inquiry from ${lead.name}: ${error.message}`);
+    }
+  };
+
+  const handleLeadStatus = (lead, status) => {
+    if (status === "lost" && !confirm(`Mark the inquiry from ${lead.name} as lost?`)) return;
+    saveLeadChanges(lead, () => setLeadStatus(lead.id, status, { signal: getSignal() }));
+  };
+
+  const handleDiscountFieldChange = (e) => {
+    const { name, value } = e.target;
+    if (name === "requestedPrice" && !/^\d*$/.test(value)) return;
+    setDiscountForm((prev) => ({ ...prev, [name]: value }));
+    setDiscountError("");
+  };
+
+  const handleRequestDiscount = async (e) => {
+    e.preventDefault();
+    const requestedPrice = Number(discountForm.requestedPrice);
+    // 0 when the selling price is hidden from this role
+    const listPrice = Number(String(car.price || "").replace(/[^\d.]/g, "")) || 0;
+    if (!discountForm.customerName.trim()) {
+      setDiscountError("Customer name is required");
+      return;
+    }
+    if (!(requestedPrice > 0)) {
+      setDiscountError("Enter the price the customer is offering");
+      return;
+    }
+    if (listPrice > 0 && requestedPrice >= listPrice) {
+      setDiscountError("The requested price must be below the selling price");
+      return;
+    }
+    setSendingDiscount(true);
+    try {
+      const saved = await addDiscountRequest(
+        {
+          carId: String(car.id),
+          carLabel: [car.brand, car.model, car.licenseNo].filter(Boolean).join(" "),
+          listPrice,
+          requestedPrice,
+          floorPrice: minimumPriceOf(car) || null,
+          customerName: discountForm.customerName.trim(),
+          customerPhone: discountForm.customerPhone.trim(),
+          reason: discountForm.reason.trim(),
+        },
+        { signal: getSignal() }
+      );
+      setDiscountRequests((prev) => mergeDiscountRequest(prev, saved));
+      setDiscountForm(EMPTY_DISCOUNT_FORM);
+      setShowDiscountForm(false);
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Failed to send discount request:", error);
+      setDiscountError(error.fieldErrors?.length > 0 ? error.fieldMessages.join(", ") : `Failed to send: ${error.message}`);
+    } finally {
+      setSendingDiscount(false);
+    }
   };
 
   if (loading) {
@@ -129,6 +322,20 @@ export default function StaffCarDetails() {
     return `฿${numeric.toLocaleString()}`;
   };
 
+  const activeHold = activeReservation(car);
+  const carLeads = leads.filter((lead) => String(lead.carId) === String(car.id));
+  const carDiscounts = requestsForCar(discountRequests, car.id);
+  const requestedBelowFloor =
+    allowed.minimumPrice && minimumPriceOf(car) > 0 && Number(discountForm.requestedPrice) > 0 && Number(discountForm.requestedPrice) < minimumPriceOf(car);
+
+  const leadStatusClass = (status) =>
+    ({
+      open: "bg-blue-100 text-blue-800",
+      test_drive: "bg-yellow-100 text-yellow-800",
+      sold: "bg-green-100 text-green-800",
+      lost: "bg-gray-200 text-gray-700",
+    })[status] || "bg-gray-200 text-gray-700";
+
   return (
     <div className="min-h-screen bg-cover bg-center bg-no-repeat bg-fixed" style={{ backgroundImage: "url('/View.png')" }}>
       {/* Top Navigation Bar */}
@@ -164,6 +371,16 @@ export default function StaffCarDetails() {
             <h2 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-white">Car Details</h2>
           </div>
 
+          {/* Reserved cars must not be promised to anyone else */}
+          {activeHold && (
+            <div className="bg-yellow-500/20 border border-yellow-500/50 rounded-lg p-4 mb-6">
+              <p className="text-yellow-300 font-semibold">
+                Reserved for {activeHold.customer?.name || "a customer"} until {new Date(activeHold.expiresAt).toLocaleDateString("en-GB")}
+              </p>
+              <p className="text-white/80 text-sm">A deposit has been taken. Don&apos;t offer this car to other customers until the hold ends.</p>
+            </div>
+          )}
+
           {/* Car Details Card */}
           <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-lg">
             <div className="p-6">
@@ -171,10 +388,11 @@ export default function StaffCarDetails() {
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
                 {/* Car Photo */}
                 <div>
-                  <h3 className="text-lg font-semibold text-white mb-4">Car Photo</h3>
+                  <h3 className="text-lg font-semibold text-white mb-4">Car Photos</h3>
                   <div className="bg-black/30 rounded-lg p-4">
                     <PhotoViewer 
                       src={carPhotoSrc} 
+                      images={car.carPhotos}
                       alt={`${car.brand || ""} ${car.model || ""}`}
                       className="w-full h-64 object-cover rounded-lg cursor-pointer hover:opacity-90 transition-opacity"
                       enableFullScreen={true}
@@ -241,101 +459,346 @@ export default function StaffCarDetails() {
                     <label className="block text-sm font-medium text-gray-300 mb-1">Gear Type</label>
                     <p className="text-white text-lg font-semibold">{car.gear || "N/A"}</p>
                   </div>
-                  <div>
-                    <label className="block text-sm font-medium text-gray-300 mb-1">Selling Price</label>
-                    <p className="text-white text-lg font-semibold">{formatCurrency(car.price || car.priceToSell)}</p>
-                  </div>
+                  {allowed.sellingPrice && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-1">Selling Price</label>
+                      <p className="text-white text-lg font-semibold">{formatCurrency(car.price || car.priceToSell)}</p>
+                    </div>
+                  )}
                 </div>
               </div>
 
-              {/* Financial Information */}
-              <div className="mb-8">
-                <h3 className="text-lg font-semibold text-white mb-4">Financial Information</h3>
-                <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-300 mb-1">Selling Price</label>
-                    <p className="text-white text-lg font-semibold">{formatCurrency(car.price)}</p>
+              {/* Financial Information - only the fields this role may see */}
+              {(allowed.sellingPrice || allowed.minimumPrice) && (
+                <div className="mb-8">
+                  <h3 className="text-lg font-semibold text-white mb-4">Financial Information</h3>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                    {allowed.sellingPrice && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-1">Selling Price</label>
+                        <p className="text-white text-lg font-semibold">{formatCurrency(car.price)}</p>
+                      </div>
+                    )}
+                    {allowed.minimumPrice && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-300 mb-1">Minimum Negotiable Price</label>
+                        <p className="text-white text-lg font-semibold">
+                          {minimumPriceOf(car) > 0 ? formatCurrency(minimumPriceOf(car)) : "Not set - ask the admin"}
+                        </p>
+                      </div>
+                    )}
                   </div>
                 </div>
-              </div>
+              )}
 
-              {/* Repair History */}
-              <div>
-                <h3 className="text-lg font-semibold text-white mb-4">Repair History</h3>
-                <div className="bg-black/30 rounded-lg p-4 space-y-3">
-                  {(() => {
-                    if (!car.repairHistory || (Array.isArray(car.repairHistory) && car.repairHistory.length === 0)) {
-                      return <p className="text-gray-400 text-base italic">No repair history recorded</p>;
-                    }
-
-                    if (Array.isArray(car.repairHistory)) {
-                      return car.repairHistory.map((item, index) => {
-                        if (typeof item === "string") {
-                          return (
-                            <p key={index} className="text-white text-base leading-relaxed">
-                              {item}
-                            </p>
-                          );
-                        }
-
-                        if (item && typeof item === "object") {
-                          // Handle API format: description, repairDate, cost (same as admin)
-                          const description = item.description || item.details || "";
-                          const cost = item.cost !== undefined ? item.cost : item.amount;
-                          const repairDate = item.repairDate;
-                          
-                          // Format date if present
-                          let formattedDate = null;
-                          if (repairDate) {
-                            try {
-                              const date = new Date(repairDate);
-                              formattedDate = date.toLocaleDateString('en-GB', {
-                                year: 'numeric',
-                                month: 'long',
-                                day: 'numeric'
-                              });
-                            } catch (e) {
-                              formattedDate = repairDate;
-                            }
+              {/* Repair History (work done only; redactCar drops the costs) */}
+              {allowed.repairWork && (
+                <div>
+                  <h3 className="text-lg font-semibold text-white mb-4">Repair History</h3>
+                  <div className="bg-black/30 rounded-lg p-4 space-y-3">
+                    {(() => {
+                      if (!car.repairHistory || (Array.isArray(car.repairHistory) && car.repairHistory.length === 0)) {
+                        return <p className="text-gray-400 text-base italic">No repair history recorded</p>;
+                      }
+
+                      if (Array.isArray(car.repairHistory)) {
+                        return car.repairHistory.map((item, index) => {
+                          if (typeof item === "string") {
+                            return (
+                              <p key={index} className="text-white text-base leading-relaxed">
+                                {item}
+                              </p>
+                            );
                           }
-                          
-                          return (
-                            <div key={index} className="bg-black/30 border border-gray-600/50 rounded-md p-3">
-                              {description && (
-                                <p className="text-white text-base font-medium">{description}</p>
-                              )}
-                              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1 sm:gap-2 mt-2">
-                                {formattedDate && (
-                                  <p className="text-gray-400 text-sm">
-                                    Date: {formattedDate}
-                                  </p>
-                                )}
-                                {cost !== undefined && cost !== null && (
-                                  <p className="text-gray-300 text-sm font-numeric">
-                                    Cost: ฿{parseFloat(cost).toLocaleString()}
-                                  </p>
+
+                          if (item && typeof item === "object") {
+                            // Handle API format: description, repairDate
+                            const description = item.description || item.details || "";
+                            const repairDate = item.repairDate;
+                            
+                            // Format date if present
+                            let formattedDate = null;
+                            if (repairDate) {
+                              try {
+                                const date = new Date(repairDate);
+                                formattedDate = date.toLocaleDateString('en-GB', {
+                                  year: 'numeric',
+                                  month: 'long',
+                                  day: 'numeric'
+                                });
+                              } catch (e) {
+                                formattedDate = repairDate;
+                              }
+                            }
+                            
+                            return (
+                              <div key={index} className="bg-black/30 border border-gray-600/50 rounded-md p-3">
+                                {description && (
+                                  <p className="text-white text-base font-medium">{description}</p>
                                 )}
+                                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-1 sm:gap-2 mt-2">
+                                  {formattedDate && (
+                                    <p className="text-gray-400 text-sm">
+                                      Date: {formattedDate}
+                                    </p>
+                                  )}
+                                </div>
                               </div>
+                            );
+                          }
+
+                          return null;
+                        });
+                      }
+
+                      if (typeof car.repairHistory === "string") {
+                        return <p className="text-white text-base leading-relaxed">{car.repairHistory}</p>;
+                      }
+
+                      return (
+                        <pre className="text-white text-sm bg-black/40 rounded-md p-3 overflow-auto">
+                          {JSON.stringify(car.repairHistory, null, 2)}
+                        </pre>
+                      );
+                    })()}
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Inquiries */}
+          <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-lg mt-6">
+            <div className="p-6">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold text-white">
+                  Inquiries <span className="text-sm font-normal text-white/70">(<span className="font-numeric">{carLeads.length}</span>)</span>
+                </h3>
+                {!showLeadForm && (
+                  <button
+                    onClick={() => setShowLeadForm(true)}
+                    className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 text-sm font-medium rounded-md transition-all cursor-pointer"
+                  >
+                    Log Inquiry
+                  </button>
+                )}
+              </div>
+
+              {showLeadForm && (
+                <form onSubmit={handleAddLead} className="bg-black/30 rounded-lg p-4 mb-4 space-y-4">
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                      <label htmlFor="leadName" className="block text-sm font-medium text-gray-300 mb-1">Name *</label>
+                      <input id="leadName" name="name" type="text" value={leadForm.name} onChange={handleLeadFieldChange} placeholder="Prospect name" className={inputClass} />
+                    </div>
+                    <div>
+                      <label htmlFor="leadPhone" className="block text-sm font-medium text-gray-300 mb-1">Phone *</label>
+                      <input id="leadPhone" name="phone" type="tel" value={leadForm.phone} onChange={handleLeadFieldChange} placeholder="e.g., +66-999-999" className={inputClass} />
+                    </div>
+                    <div>
+                      <label htmlFor="leadSource" className="block text-sm font-medium text-gray-300 mb-1">Source</label>
+                      <select id="leadSource" name="source" value={leadForm.source} onChange={handleLeadFieldChange} className={inputClass}>
+                        {Object.entries(LEAD_SOURCES).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label htmlFor="leadBudget" className="block text-sm font-medium text-gray-300 mb-1">Budget (฿)</label>
+                      <input id="leadBudget" name="budget" type="text" inputMode="numeric" value={leadForm.budget} onChange={handleLeadFieldChange} placeholder="Optional" className={`${inputClass} font-numeric`} />
+                    </div>
+                    <div>
+                      <label htmlFor="leadFollowUp" className="block text-sm font-medium text-gray-300 mb-1">Follow-up Date</label>
+                      <input id="leadFollowUp" name="followUpDate" type="date" value={leadForm.followUpDate} onChange={handleLeadFieldChange} className={inputClass} />
+                    </div>
+                    <label className="flex items-center gap-2 text-sm text-gray-300 sm:mt-7">
+                      <input name="wantsInstallment" type="checkbox" checked={leadForm.wantsInstallment} onChange={handleLeadFieldChange} className="h-4 w-4 accent-red-600" />
+                      Interested in installment
+                    </label>
+                  </div>
+                  <div>
+                    <label htmlFor="leadNotes" className="block text-sm font-medium text-gray-300 mb-1">Notes</label>
+                    <textarea id="leadNotes" name="notes" value={leadForm.notes} onChange={handleLeadFieldChange} rows={2} maxLength={1000} placeholder="What they asked about, trade-in, timing..." className={inputClass} />
+                  </div>
+                  {leadError && <p className="text-sm text-red-400">{leadError}</p>}
+                  <div className="flex justify-end gap-2">
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setShowLeadForm(false);
+                        setLeadForm(EMPTY_LEAD_FORM);
+                        setLeadError("");
+                      }}
+                      className="bg-black/20 text-white px-4 py-2 rounded-md hover:bg-black/30 text-sm font-medium border border-white/30 transition-all cursor-pointer"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={savingLead}
+                      className="bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-4 py-2 text-sm font-medium rounded-md transition-all cursor-pointer"
+                    >
+                      {savingLead ? "Saving..." : "Save Inquiry"}
+                    </button>
+                  </div>
+                </form>
+              )}
+
+              {carLeads.length === 0 ? (
+                <p className="text-gray-400 text-base italic">No inquiries logged for this car</p>
+              ) : (
+                <div className="space-y-3">
+                  {carLeads.map((lead) => (
+                    <div key={lead.id} className="bg-black/30 border border-gray-600/50 rounded-md p-3">
+                      <div className="flex flex-col sm:flex-row sm:justify-between gap-2">
+                        <div>
+                          <p className="text-white text-base font-medium">
+                            {lead.name}
+                            <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${leadStatusClass(lead.status)}`}>{LEAD_STATUSES[lead.status]}</span>
+                          </p>
+                          <p className="text-gray-300 text-sm">
+                            <a href={`tel:${lead.phone}`} className="hover:text-red-400">{lead.phone}</a>
+                            {" · "}{LEAD_SOURCES[lead.source] || lead.source}
+                            {lead.budget ? <> · Budget <span className="font-numeric">฿{Number(lead.budget).toLocaleString()}</span></> : null}
+                            {lead.wantsInstallment && " · Installment"}
+                          </p>
+                          {lead.notes && <p className="text-gray-400 text-sm mt-1">{lead.notes}</p>}
+                          <p className="text-gray-500 text-xs mt-1">
+                            Logged by {lead.staffName} on {new Date(lead.createdAt).toLocaleDateString("en-GB")}
+                          </p>
+                        </div>
+                        {isLeadOpen(lead) && (
+                          <div className="flex flex-col sm:items-end gap-2">
+                            <label className="flex items-center gap-2 text-xs text-gray-300">
+                              Follow up
+                              <input
+                                type="date"
+                                value={lead.followUpDate || ""}
+                                onChange={(e) => saveLeadChanges(lead, () => updateLead(lead.id, { followUpDate: e.target.value }, { signal: getSignal() }))}
+                                className="px-2 py-1 border border-gray-300 rounded-md bg-gray-200 text-gray-800 text-xs focus:outline-none focus:ring-2 focus:ring-red-500"
+                              />
+                            </label>
+                            <div className="flex gap-2">
+                              {lead.status === "open" && (
+                                <button onClick={() => handleLeadStatus(lead, "test_drive")} className="px-2 py-1 bg-yellow-600 hover:bg-yellow-700 text-white rounded text-xs font-medium cursor-pointer">
+                                  Test Drive Done
+                                </button>
+                              )}
+                              <button onClick={() => handleLeadStatus(lead, "sold")} className="px-2 py-1 bg-green-600 hover:bg-green-700 text-white rounded text-xs font-medium cursor-pointer">
+                                Sold
+                              </button>
+                              <button onClick={() => handleLeadStatus(lead, "lost")} className="px-2 py-1 bg-gray-600 hover:bg-gray-700 text-white rounded text-xs font-medium cursor-pointer">
+                                Lost
+                              </button>
                             </div>
-                          );
-                        }
-
-                        return null;
-                      });
-                    }
-
-                    if (typeof car.repairHistory === "string") {
-                      return <p className="text-white text-base leading-relaxed">{car.repairHistory}</p>;
-                    }
-
-                    return (
-                      <pre className="text-white text-sm bg-black/40 rounded-md p-3 overflow-auto">
-                        {JSON.stringify(car.repairHistory, null, 2)}
-                      </pre>
-                    );
-                  })()}
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  ))}
                 </div>
+              )}
+            </div>
+          </div>
+
+          {/* Discount Requests */}
+          <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-lg mt-6">
+            <div className="p-6">
+              <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold text-white">
+                  Discount Requests <span className="text-sm font-normal text-white/70">(<span className="font-numeric">{carDiscounts.length}</span>)</span>
+                </h3>
+                {!showDiscountForm && (
+                  <button
+                    onClick={() => setShowDiscountForm(true)}
+                    className="bg-red-600 hover:bg-red-700 text-white px-4 py-2 text-sm font-medium rounded-md transition-all cursor-pointer"
+                  >
+                    Request Discount
+                  </button>
+                )}
               </div>
+
+              {showDiscountForm && (
+                <form onSubmit={handleRequestDiscount} className="bg-black/30 rounded-lg p-4 mb-4 space-y-4">
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                    <div>
+                      <label htmlFor="discountCustomer" className="block text-sm font-medium text-gray-300 mb-1">Customer Name *</label>
+                      <input id="discountCustomer" name="customerName" type="text" value={discountForm.customerName} onChange={handleDiscountFieldChange} placeholder="Buyer name" className={inputClass} />
+                    </div>
+                    <div>
+                      <label htmlFor="discountPhone" className="block text-sm font-medium text-gray-300 mb-1">Phone</label>
+                      <input id="discountPhone" name="customerPhone" type="tel" value={discountForm.customerPhone} onChange={handleDiscountFieldChange} placeholder="Optional" className={inputClass} />
+                    </div>
+                    <div>
+                      <label htmlFor="discountPrice" className="block text-sm font-medium text-gray-300 mb-1">Requested Price (฿) *</label>
+                      <input id="discountPrice" name="requestedPrice" type="text" inputMode="numeric" value={discountForm.requestedPrice} onChange={handleDiscountFieldChange} placeholder="Customer's offer" className={`${inputClass} font-numeric`} />
+                    </div>
+                  </div>
+                  {requestedBelowFloor && (
+                    <p className="text-sm text-yellow-300">
+                      This is below the minimum negotiable price of <span className="font-numeric">{formatCurrency(minimumPriceOf(car))}</span>; the admin is likely to reject it.
+                    </p>
+                  )}
+                  <div>
+                    <label htmlFor="discountReason" className="block text-sm font-medium text-gray-300 mb-1">Reason</label>
+                    <textarea id="discountReason" name="reason" value={discountForm.reason} onChange={handleDiscountFieldChange} rows={2} maxLength={1000} placeholder="Cash buyer, trade-in, competing offer..." className={inputClass} />
+                  </div>
+                  {discountError && <p className="text-sm text-red-400">{discountError}</p>}
+                  <div className="flex justify-end gap-2">
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setShowDiscountForm(false);
+                        setDiscountForm(EMPTY_DISCOUNT_FORM);
+                        setDiscountError("");
+                      }}
+                      className="bg-black/20 text-white px-4 py-2 rounded-md hover:bg-black/30 text-sm font-medium border border-white/30 transition-all cursor-pointer"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={sendingDiscount}
+                      className="bg-red-600 hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed text-white px-4 py-2 text-sm font-medium rounded-md transition-all cursor-pointer"
+                    >
+                      {sendingDiscount ? "Sending..." : "Send to Admin"}
+                    </button>
+                  </div>
+                </form>
+              )}
+
+              {carDiscounts.length === 0 ? (
+                <p className="text-gray-400 text-base italic">No discount requests for this car</p>
+              ) : (
+                <div className="space-y-3">
+                  {carDiscounts.map((request) => (
+                    <div key={request.id} className="bg-black/30 border border-gray-600/50 rounded-md p-3">
+                      <p className="text-white text-base font-medium">
+                        {request.customerName}
+                        <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${DISCOUNT_STATUSES[request.status]?.badge}`}>
+                          {DISCOUNT_STATUSES[request.status]?.label || request.status}
+                        </span>
+                      </p>
+                      <p className="text-gray-300 text-sm">
+                        Asked for <span className="font-numeric">{formatCurrency(request.requestedPrice)}</span>
+                        {request.listPrice > 0 && (
+                          <> (<span className="font-numeric">{discountPercent(request).toFixed(1)}%</span> off)</>
+                        )}
+                      </p>
+                      {(request.status === "approved" || request.status === "used") && (
+                        <p className="text-green-400 text-sm font-medium">
+                          Approved at <span className="font-numeric">{formatCurrency(request.approvedPrice)}</span>
+                        </p>
+                      )}
+                      {request.reason && <p className="text-gray-400 text-sm mt-1">{request.reason}</p>}
+                      {request.decisionNote && <p className="text-gray-400 text-sm mt-1">Admin: {request.decisionNote}</p>}
+                      <p className="text-gray-500 text-xs mt-1">
+                        Requested by {request.staffName} on {new Date(request.createdAt).toLocaleDateString("en-GB")}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           </div>
         </div>
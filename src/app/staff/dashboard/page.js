@@ -1,25 +1,81 @@
 "use client";
 import Link from "next/link";
 import { useState, useEffect } from "react";
+import { API_BASE_URL, getStaffCars, isAbortError, useAbortSignal } from "@/lib/api";
+import { logout } from "@/lib/session";
+import CarFilters, { useCarFilters } from "@/app/components/CarFilters";
+import { LEAD_SOURCES, currentStaff, fetchLeads, followUpsDue, mergeLead, updateLead } from "@/lib/leads";
+import { addMonths, todayInputValue } from "@/lib/installments";
+import { activeReservation } from "@/lib/reservations";
+import { canSee, fetchVisibilityRulesOrDefaults, redactCar, roleKey } from "@/lib/priceVisibility";
 
 export default function StaffDashboard() {
   const [cars, setCars] = useState([]);
   const [loading, setLoading] = useState(true);
-  const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+  const { filters, setFilters, resetFilters, filteredCars } = useCarFilters(cars);
+  const [leads, setLeads] = useState([]);
+  const [staffId, setStaffId] = useState(null);
+  const [showPrice, setShowPrice] = useState(false);
+  const getSignal = useAbortSignal();
+
+  useEffect(() => {
+    const staff = currentStaff();
+    setStaffId(staff.id);
+    if (!API_BASE_URL) return;
+
+    const controller = new AbortController();
+
+    const loadLeads = async () => {
+      try {
+        setLeads(await fetchLeads({ staffId: staff.id }, { signal: controller.signal }));
+      } catch (error) {
+        if (isAbortError(error) || error.isUnauthorized) return;
+        console.error("Failed to fetch leads from API:", error);
+      }
+    };
+
+    loadLeads();
+    return () => controller.abort();
+  }, []);
+
+  const handleFollowUpChange = async (lead, followUpDate) => {
+    try {
+      const saved = await updateLead(lead.id, { followUpDate }, { signal: getSignal() });
+      setLeads((prev) => mergeLead(prev, saved));
+    } catch (error) {
+      if (isAbortError(error) || error.isUnauthorized) return;
+      console.error("Failed to update lead:", error);
+      alert(`Failed to save the follow-up date: ${error.message}`);
+    }
+  };
+
+  const today = todayInputValue();
+  const myFollowUps = staffId ? followUpsDue(leads, staffId, today) : [];
 
   useEffect(() => {
     if (typeof window === "undefined") return;
 
+    const controller = new AbortController();
+    const role = roleKey();
+
     const loadCars = async () => {
       try {
+        const rules = await fetchVisibilityRulesOrDefaults({ signal: controller.signal });
+        setShowPrice(canSee(role, "sellingPrice", rules));
+
         // Try to fetch from API first
         if (API_BASE_URL) {
-          const response = await fetch(`${API_BASE_URL}/api/public/cars`, { cache: "no-store" });
-          const data = await response.json();
-          const apiCars = Array.isArray(data.data) ? data.data : [];
+          // Fall through to the localStorage copy if the API is unreachable
+          const data = await getStaffCars({ signal: controller.signal }).catch((error) => {
+            if (isAbortError(error)) throw error;
+            console.error("Failed to fetch cars from API:", error);
+            return null;
+          });
+          const apiCars = Array.isArray(data?.data) ? data.data : [];
 
           if (Array.isArray(apiCars) && apiCars.length > 0) {
-            const normalizedCars = apiCars.map((car, index) => {
+            const normalizedCars = apiCars.map((apiCar, index) => {
+              const car = redactCar(apiCar, role, rules);
               const normalizedPrice =
                 typeof car.priceToSell === "number"
                   ? `฿${car.priceToSell.toLocaleString("en-US")}`
@@ -45,7 +101,7 @@ export default function StaffDashboard() {
         const savedCars = localStorage.getItem("cars");
         if (savedCars) {
           const parsedCars = JSON.parse(savedCars);
-          setCars(parsedCars);
+          setCars(parsedCars.map((car) => redactCar(car, role, rules)));
         } else {
           // Default cars
           const defaultCars = [
@@ -56,6 +112,7 @@ export default function StaffDashboard() {
           setCars(defaultCars);
         }
       } catch (error) {
+        if (isAbortError(error)) return;
         console.error("Failed to load cars:", error);
       } finally {
         setLoading(false);
@@ -63,10 +120,11 @@ export default function StaffDashboard() {
     };
 
     loadCars();
-  }, [API_BASE_URL]);
+    return () => controller.abort();
+  }, []);
 
   const handleLogout = () => {
-    window.location.href = "/";
+    logout("/");
   };
 
   if (loading) {
@@ -115,6 +173,57 @@ export default function StaffDashboard() {
             <h2 className="text-2xl sm:text-3xl lg:text-4xl font-bold text-white">Car Inventory</h2>
           </div>
 
+          {/* My Follow-ups Today */}
+          <div className="bg-black/20 backdrop-blur-2xl shadow sm:rounded-md p-4 mb-4">
+            <h3 className="text-lg font-semibold text-white mb-3">
+              My Follow-ups Today <span className="text-sm font-normal text-white/70">(<span className="font-numeric">{myFollowUps.length}</span>)</span>
+            </h3>
+            {myFollowUps.length === 0 ? (
+              <p className="text-gray-400 text-sm italic">No follow-ups due. Log inquiries from a car&apos;s details page.</p>
+            ) : (
+              <div className="divide-y divide-gray-600">
+                {myFollowUps.map((lead) => (
+                  <div key={lead.id} className="py-2 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                    <div>
+                      <p className="text-white font-medium">
+                        {lead.name}{" "}
+                        <a href={`tel:${lead.phone}`} className="text-sm font-normal text-gray-300 hover:text-red-400">{lead.phone}</a>
+                      </p>
+                      <p className="text-sm text-gray-300">
+                        <Link href={`/staff/car-details/${lead.carId}`} className="hover:text-red-400">{lead.carLabel || "View car"}</Link>
+                        {" · "}{LEAD_SOURCES[lead.source] || lead.source}
+                        {lead.wantsInstallment && " · Installment"}
+                        {lead.followUpDate < today && (
+                          <span className="text-red-400"> · due {addMonths(lead.followUpDate, 0).toLocaleDateString("en-GB")}</span>
+                        )}
+                      </p>
+                    </div>
+                    <label className="flex items-center gap-2 text-xs text-gray-300">
+                      Next follow-up
+                      <input
+                        type="date"
+                        value={lead.followUpDate || ""}
+                        min={today}
+                        onChange={(e) => handleFollowUpChange(lead, e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded-md bg-gray-200 text-gray-800 text-xs focus:outline-none focus:ring-2 focus:ring-red-500"
+                      />
+                    </label>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Search, Filters & Sort */}
+          <CarFilters
+            cars={cars}
+            filters={filters}
+            onChange={setFilters}
+            onReset={resetFilters}
+            resultCount={filteredCars.length}
+            showPurchaseDate={false}
+          />
+
           {/* Car Table */}
           <div className="bg-black/20 backdrop-blur-2xl shadow overflow-hidden sm:rounded-md">
             <div className="overflow-x-auto">
@@ -145,29 +254,36 @@ export default function StaffDashboard() {
                     <th className="px-3 sm:px-6 py-3 sm:py-4 text-left text-sm sm:text-base font-bold text-white uppercase tracking-wider">
                       Gear
                     </th>
-                    <th className="px-3 sm:px-6 py-3 sm:py-4 text-left text-sm sm:text-base font-bold text-white uppercase tracking-wider">
-                      Price
-                    </th>
+                    {showPrice && (
+                      <th className="px-3 sm:px-6 py-3 sm:py-4 text-left text-sm sm:text-base font-bold text-white uppercase tracking-wider">
+                        Price
+                      </th>
+                    )}
                     <th className="px-3 sm:px-6 py-3 sm:py-4 text-left text-sm sm:text-base font-bold text-white uppercase tracking-wider">
                       Action
                     </th>
                   </tr>
                 </thead>
                 <tbody className="bg-black/10 backdrop-blur-2xl divide-y divide-gray-600">
-                  {cars.length === 0 ? (
+                  {filteredCars.length === 0 ? (
                     <tr>
-                      <td colSpan="9" className="px-6 py-8 text-center text-white">
-                        No cars available
+                      <td colSpan="10" className="px-6 py-8 text-center text-white">
+                        {cars.length === 0 ? "No cars available" : "No cars match the current filters"}
                       </td>
                     </tr>
                   ) : (
-                    cars.map((car, index) => (
+                    filteredCars.map((car, index) => (
                       <tr key={car.id} className="hover:bg-black/30 backdrop-blur-2xl">
                         <td className="px-3 sm:px-6 py-3 sm:py-5 whitespace-nowrap text-sm sm:text-base font-medium text-white cursor-pointer font-numeric" onClick={() => window.location.href = `/staff/car-details/${car.id}`}>
                           {index + 1}
                         </td>
                         <td className="px-3 sm:px-6 py-3 sm:py-5 whitespace-nowrap text-sm sm:text-base text-white cursor-pointer" onClick={() => window.location.href = `/staff/car-details/${car.id}`}>
                           {car.licenseNo || car.licensePlate || "-"}
+                          {activeReservation(car) && (
+                            <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                              Reserved until {new Date(car.reservation.expiresAt).toLocaleDateString("en-GB")}
+                            </span>
+                          )}
                         </td>
                         <td className="px-3 sm:px-6 py-3 sm:py-5 whitespace-nowrap text-sm sm:text-base text-white cursor-pointer" onClick={() => window.location.href = `/staff/car-details/${car.id}`}>
                           {car.brand || "-"}
@@ -187,9 +303,11 @@ export default function StaffDashboard() {
                         <td className="px-3 sm:px-6 py-3 sm:py-5 whitespace-nowrap text-sm sm:text-base text-white cursor-pointer" onClick={() => window.location.href = `/staff/car-details/${car.id}`}>
                           {car.gear || "-"}
                         </td>
-                        <td className="px-3 sm:px-6 py-3 sm:py-5 whitespace-nowrap text-sm sm:text-base text-white cursor-pointer font-numeric" onClick={() => window.location.href = `/staff/car-details/${car.id}`}>
-                          {car.price || "-"}
-                        </td>
+                        {showPrice && (
+                          <td className="px-3 sm:px-6 py-3 sm:py-5 whitespace-nowrap text-sm sm:text-base text-white cursor-pointer font-numeric" onClick={() => window.location.href = `/staff/car-details/${car.id}`}>
+                            {car.price || "-"}
+                          </td>
+                        )}
                         <td className="px-3 sm:px-6 py-3 sm:py-5 whitespace-nowrap text-sm sm:text-base text-white">
                           <Link 
                             href={`/staff/car-details/${car.id}`} 
@@ -1,6 +1,8 @@
 "use client";
 import Link from "next/link";
-import { useState } from "react";
+import { useEffect, useState } from "react";
+import { login } from "@/lib/api";
+import { getNextPath, isStaffRole, startSession } from "@/lib/session";
 
 export default function StaffLoginPage() {
   const [showPassword, setShowPassword] = useState(false);
@@ -11,7 +13,12 @@ export default function StaffLoginPage() {
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ type: "", text: "" });
 
-  const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+  // The API client sends users here with ?expired=1 when their token is rejected
+  useEffect(() => {
+    if (new URLSearchParams(window.location.search).get("expired") === "1") {
+      setMessage({ type: "error", text: "Your session has expired. Please login again." });
+    }
+  }, []);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -33,63 +40,30 @@ export default function StaffLoginPage() {
         password: formData.password,
       };
 
-      if (API_BASE_URL) {
-        const response = await fetch(`${API_BASE_URL}/api/auth/login`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify(loginData),
-        });
-
-        const result = await response.json();
-        console.log("Staff login result:", result);
-
-        if (response.ok && result.success !== false) {
-          // Check if user is Staff role
-          const user = result.user;
-          if (user && user.role !== "Staff" && user.role !== "staff") {
-            setMessage({ type: "error", text: "Access denied. Staff login only." });
-            setLoading(false);
-            return;
-          }
+      const result = await login(loginData);
+      console.log("Staff login result:", result);
 
-          // Store user session and token
-          if (user) {
-            localStorage.setItem("user", JSON.stringify(user));
-          }
-          if (result.token) {
-            localStorage.setItem("token", result.token);
-          }
-          setMessage({ type: "success", text: result.message || "Login successful! Redirecting..." });
-          setTimeout(() => {
-            window.location.href = "/staff/dashboard";
-          }, 1000);
-        } else {
-          setMessage({ type: "error", text: result.message || "Invalid credentials. Please try again." });
+      if (result?.success !== false) {
+        // Check if user is Staff role
+        const user = result.user;
+        if (user && !isStaffRole(user.role)) {
+          setMessage({ type: "error", text: "Access denied. Staff login only." });
+          setLoading(false);
+          return;
         }
-      } else {
-        // Fallback: Check localStorage for demo
-        const users = JSON.parse(localStorage.getItem("users") || "[]");
-        const user = users.find(
-          (u) => (u.email === loginData.email || u.username === loginData.email) && u.password === loginData.password && (u.role === "Staff" || u.role === "staff")
-        );
 
-        if (user) {
-          user.lastLogin = new Date().toISOString();
-          localStorage.setItem("users", JSON.stringify(users));
-          localStorage.setItem("user", JSON.stringify(user));
-          setMessage({ type: "success", text: "Login successful! Redirecting..." });
-          setTimeout(() => {
-            window.location.href = "/staff/dashboard";
-          }, 1000);
-        } else {
-          setMessage({ type: "error", text: "Invalid credentials or not a staff account." });
-        }
+        // Store user session and token
+        startSession({ token: result.token, user });
+        setMessage({ type: "success", text: result.message || "Login successful! Redirecting..." });
+        setTimeout(() => {
+          window.location.href = getNextPath("/staff", "/staff/dashboard");
+        }, 1000);
+      } else {
+        setMessage({ type: "error", text: result.message || "Invalid credentials. Please try again." });
       }
     } catch (error) {
       console.error("Error:", error);
-      setMessage({ type: "error", text: "An error occurred. Please try again." });
+      setMessage({ type: "error", text: error.status ? error.message : "An error occurred. Please try again." });
     } finally {
       setLoading(false);
     }
@@ -0,0 +1,62 @@
+// Receivables aging for installment contracts. Every open month is put in a
+// bucket by how many days it is past its due date; "current" is the next
+// installment that has not fallen due yet. Later months are not billed and
+// are left out.
+import { addMonths } from "@/lib/installments";
+import { monthBalances } from "@/lib/installmentLedger";
+import { daysLate } from "@/lib/penalties";
+
+export const AGING_BUCKETS = [
+  { key: "current", label: "Current", minDays: -Infinity },
+  { key: "1-30", label: "1–30 days", minDays: 1 },
+  { key: "31-60", label: "31–60 days", minDays: 31 },
+  { key: "61-90", label: "61–90 days", minDays: 61 },
+  { key: "90+", label: "90+ days", minDays: 91 },
+];
+
+export const bucketForDays = (days) =>
+  [...AGING_BUCKETS].reverse().find((bucket) => days >= bucket.minDays).key;
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket.key, 0]));
+
+// contract: { id, startDate, monthlyPayment, months, totalPayable, paymentHistory, ...display fields }
+export function agingForContract(contract, today = new Date()) {
+  const buckets = emptyBuckets();
+  const openMonths = [];
+  if (contract.startDate) {
+    const balances = monthBalances(contract, contract.paymentHistory || []);
+    for (const balance of balances) {
+      if (balance.status === "paid" || balance.remaining <= 0) continue;
+      const dueDate = addMonths(contract.startDate, balance.month);
+      const late = daysLate(dueDate, today);
+      const bucket = bucketForDays(late);
+      buckets[bucket] += balance.remaining;
+      openMonths.push({ month: balance.month, dueDate, daysLate: Math.max(0, late), amount: balance.remaining, bucket });
+      if (late <= 0) break; // only the next installment is billed
+    }
+  }
+  const overdueMonths = openMonths.filter((month) => month.bucket !== "current");
+  return {
+    ...contract,
+    buckets,
+    openMonths,
+    overdue: overdueMonths.reduce((sum, month) => sum + month.amount, 0),
+    oldestDaysLate: overdueMonths.length > 0 ? overdueMonths[0].daysLate : 0,
+  };
+}
+
+// Rows sorted by the oldest overdue month, plus totals per bucket
+export function buildAgingReport(contracts, today = new Date()) {
+  const rows = contracts
+    .map((contract) => agingForContract(contract, today))
+    .filter((row) => row.openMonths.length > 0)
+    .sort((a, b) => b.oldestDaysLate - a.oldestDaysLate || b.overdue - a.overdue);
+  const totals = emptyBuckets();
+  rows.forEach((row) => AGING_BUCKETS.forEach(({ key }) => (totals[key] += row.buckets[key])));
+  return {
+    rows,
+    totals,
+    totalOverdue: rows.reduce((sum, row) => sum + row.overdue, 0),
+    contractsBehind: rows.filter((row) => row.overdue > 0).length,
+  };
+}
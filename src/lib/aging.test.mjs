@@ -0,0 +1,85 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { agingForContract, bucketForDays, buildAgingReport } from "./aging.js";
+
+const TODAY = new Date(2026, 4, 18);
+
+// ฿1,000 a month from 15 Jan; month 1 paid, month 2 part-paid
+const BEHIND = {
+  id: "behind",
+  startDate: "2026-01-15",
+  monthlyPayment: 1000,
+  months: 6,
+  totalPayable: 6000,
+  paymentHistory: [
+    { monthNumber: 1, amount: 1000, paid: true },
+    { monthNumber: 2, amount: 400, paid: false },
+  ],
+};
+
+const UP_TO_DATE = {
+  ...BEHIND,
+  id: "up-to-date",
+  paymentHistory: [1, 2, 3, 4].map((monthNumber) => ({ monthNumber, amount: 1000, paid: true })),
+};
+
+describe("bucketForDays", () => {
+  test("puts the bucket edges on the right side", () => {
+    const cases = [
+      [-10, "current"],
+      [0, "current"],
+      [1, "1-30"],
+      [30, "1-30"],
+      [31, "31-60"],
+      [60, "31-60"],
+      [61, "61-90"],
+      [90, "61-90"],
+      [91, "90+"],
+      [400, "90+"],
+    ];
+    cases.forEach(([days, bucket]) => assert.equal(bucketForDays(days), bucket, `${days} days`));
+  });
+});
+
+describe("agingForContract", () => {
+  test("buckets each open month by days late and stops after the next installment", () => {
+    const row = agingForContract(BEHIND, TODAY);
+    assert.deepEqual(
+      row.openMonths.map(({ month, daysLate, amount, bucket }) => ({ month, daysLate, amount, bucket })),
+      [
+        { month: 2, daysLate: 64, amount: 600, bucket: "61-90" },
+        { month: 3, daysLate: 33, amount: 1000, bucket: "31-60" },
+        { month: 4, daysLate: 3, amount: 1000, bucket: "1-30" },
+        { month: 5, daysLate: 0, amount: 1000, bucket: "current" },
+      ]
+    );
+    assert.deepEqual(row.buckets, { current: 1000, "1-30": 1000, "31-60": 1000, "61-90": 600, "90+": 0 });
+    assert.equal(row.overdue, 2600);
+    assert.equal(row.oldestDaysLate, 64);
+  });
+
+  test("a contract paid up to date only has the next installment as current", () => {
+    const row = agingForContract(UP_TO_DATE, TODAY);
+    assert.deepEqual(row.buckets, { current: 1000, "1-30": 0, "31-60": 0, "61-90": 0, "90+": 0 });
+    assert.equal(row.overdue, 0);
+    assert.equal(row.oldestDaysLate, 0);
+  });
+
+  test("a contract without a start date has no open months", () => {
+    assert.deepEqual(agingForContract({ ...BEHIND, startDate: "" }, TODAY).openMonths, []);
+  });
+});
+
+describe("buildAgingReport", () => {
+  test("sorts by the oldest overdue month and totals each bucket", () => {
+    const noSchedule = { ...BEHIND, id: "no-schedule", startDate: "" };
+    const report = buildAgingReport([UP_TO_DATE, noSchedule, BEHIND], TODAY);
+    assert.deepEqual(
+      report.rows.map((row) => row.id),
+      ["behind", "up-to-date"]
+    );
+    assert.deepEqual(report.totals, { current: 2000, "1-30": 1000, "31-60": 1000, "61-90": 600, "90+": 0 });
+    assert.equal(report.totalOverdue, 2600);
+    assert.equal(report.contractsBehind, 1);
+  });
+});
@@ -0,0 +1,298 @@
+"use client";
+import { useCallback, useEffect, useRef } from "react";
+import { clearSession } from "@/lib/session";
+
+// Shared client for the showroom backend. Every page goes through here so
+// tokens, error parsing, retries and 401 handling behave the same everywhere.
+export const API_BASE_URL = process.env.NEXT_PUBLIC_API_BASE_URL;
+
+const RETRY_ATTEMPTS = 2;
+const RETRY_BASE_DELAY_MS = 400;
+
+export class ApiError extends Error {
+  constructor(message, { status = 0, fieldErrors = [], data = null } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+    this.data = data;
+  }
+
+  get isUnauthorized() {
+    return this.status === 401;
+  }
+
+  // "field: message" lines, the format the forms already display
+  get fieldMessages() {
+    return this.fieldErrors.map((err) => (err.field ? `${err.field}: ${err.message}` : err.message));
+  }
+}
+
+export const isAbortError = (error) => error?.name === "AbortError";
+
+export const getToken = () => (typeof window === "undefined" ? null : localStorage.getItem("token"));
+
+export const getStoredUser = () => {
+  if (typeof window === "undefined") return null;
+  try {
+    return JSON.parse(localStorage.getItem("user") || "null");
+  } catch {
+    return null;
+  }
+};
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(new DOMException("Aborted", "AbortError"));
+      },
+      { once: true }
+    );
+  });
+
+const buildQuery = (params = {}) => {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      search.append(key, value);
+    }
+  });
+  const query = search.toString();
+  return query ? `?${query}` : "";
+};
+
+const readBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { message: text };
+  }
+};
+
+const toApiError = (response, data) => {
+  const fieldErrors = Array.isArray(data?.errors) ? data.errors : [];
+  const message =
+    data?.message ||
+    data?.error ||
+    (fieldErrors.length > 0 ? fieldErrors.map((err) => err.message).join(", ") : "") ||
+    `Request failed with status ${response.status}`;
+  return new ApiError(message, { status: response.status, fieldErrors, data });
+};
+
+// One place decides what an expired session looks like: drop the stored
+// credentials and send the user back to the login page for their area.
+let redirectingToLogin = false;
+const handleUnauthorized = () => {
+  if (typeof window === "undefined" || redirectingToLogin) return;
+  redirectingToLogin = true;
+  clearSession();
+  const loginPath = window.location.pathname.startsWith("/staff") ? "/staff/login" : "/admin/login";
+  if (!window.location.pathname.startsWith(loginPath)) {
+    window.location.href = `${loginPath}?expired=1`;
+  } else {
+    redirectingToLogin = false;
+  }
+};
+
+const isRetryable = (status) => status === 0 || status === 408 || status === 429 || status >= 500;
+
+export async function request(path, { method = "GET", body, query, auth = true, signal, retries } = {}) {
+  if (!API_BASE_URL) {
+    throw new ApiError("API base URL is not configured", { status: 0 });
+  }
+
+  const headers = {};
+  const isFormData = typeof FormData !== "undefined" && body instanceof FormData;
+  if (body !== undefined && !isFormData) {
+    headers["Content-Type"] = "application/json";
+  }
+  if (auth) {
+    const token = getToken();
+    if (token) {
+      headers["Authorization"] = `Bearer ${token}`;
+    }
+  }
+
+  // Only idempotent reads are retried; writes fail fast so nothing is sent twice
+  const maxAttempts = 1 + (retries ?? (method === "GET" ? RETRY_ATTEMPTS : 0));
+  const url = `${API_BASE_URL}${path}${buildQuery(query)}`;
+
+  for (let attempt = 1; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        cache: "no-store",
+        signal,
+        body: body === undefined ? undefined : isFormData ? body : JSON.stringify(body),
+      });
+    } catch (error) {
+      if (isAbortError(error) || attempt >= maxAttempts) {
+        throw isAbortError(error) ? error : new ApiError("Network error. Please check your connection.", { status: 0 });
+      }
+      await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), signal);
+      continue;
+    }
+
+    const data = await readBody(response);
+    if (response.ok) {
+      return data;
+    }
+
+    if (response.status === 401 && auth) {
+      handleUnauthorized();
+    }
+    if (attempt < maxAttempts && isRetryable(response.status)) {
+      await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), signal);
+      continue;
+    }
+    throw toApiError(response, data);
+  }
+}
+
+// Hands out AbortSignals that are all cancelled when the component unmounts.
+export function useAbortSignal() {
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    controllerRef.current = new AbortController();
+    return () => controllerRef.current?.abort();
+  }, []);
+
+  return useCallback(() => {
+    if (!controllerRef.current || controllerRef.current.signal.aborted) {
+      controllerRef.current = new AbortController();
+    }
+    return controllerRef.current.signal;
+  }, []);
+}
+
+// Auth
+export const login = (credentials, options) =>
+  request("/api/auth/login", { method: "POST", body: credentials, auth: false, ...options });
+export const register = (details, options) =>
+  request("/api/auth/register", { method: "POST", body: details, auth: false, ...options });
+
+// Cars
+export const getCars = (options) => request("/api/cars", options);
+export const getCar = (id, options) => request(`/api/car/${id}`, options);
+export const createCar = (formData, options) =>
+  request("/api/create-car", { method: "POST", body: formData, ...options });
+export const editCar = (id, body, options) =>
+  request(`/api/car/${id}/edit`, { method: "PUT", body, ...options });
+export const sellCar = (id, body, options) =>
+  request(`/api/car/${id}/sell`, { method: "PUT", body, ...options });
+export const sellCarInstallment = (id, body, options) =>
+  request(`/api/car/${id}/sell-installment`, { method: "PUT", body, ...options });
+export const transferOwnerBook = (id, body = { notes: "" }, options) =>
+  request(`/api/car/${id}/owner-book-transfer`, { method: "PUT", body, ...options });
+export const getSoldCars = (options) => request("/api/cars/sold", options);
+
+// Document scans (repair receipts, transfer paperwork) go up as files like car
+// photos do; records keep only the URL the server answers with
+export async function uploadDocument(file, options) {
+  const formData = new FormData();
+  formData.append("file", file);
+  const response = await request("/api/uploads", { method: "POST", body: formData, ...options });
+  const url = (response?.data ?? response)?.url;
+  if (!url) throw new Error("The server did not return the uploaded file's URL");
+  return url;
+}
+
+// Public catalogue
+export const getPublicCars = (options) => request("/api/public/cars", { auth: false, ...options });
+export const getPublicCar = (id, options) => request(`/api/public/car/${id}`, { auth: false, ...options });
+
+// Staff catalogue: the server drops what the signed-in role may not see
+export const getStaffCars = (options) => request("/api/staff/cars", options);
+export const getStaffCar = (id, options) => request(`/api/staff/car/${id}`, options);
+
+// Installments
+export const getInstallmentCars = (options) => request("/api/cars/sold/installment", options);
+export const getInstallment = (id, options) => request(`/api/car/${id}/installment`, options);
+export const recordMonthlyPayment = (id, body, options) =>
+  request(`/api/car/${id}/installment/monthly-payment`, { method: "POST", body, ...options });
+export const editInstallment = (id, body, options) =>
+  request(`/api/car/${id}/edit-installment`, { method: "PUT", body, ...options });
+
+// Payment receipts: the server numbers them and keeps the register
+export const reserveReceipt = (body, options) => request("/api/receipts", { method: "POST", body, ...options });
+export const getReceipt = (number, options) => request(`/api/receipts/${encodeURIComponent(number)}`, options);
+export const updateReceipt = (number, body, options) =>
+  request(`/api/receipts/${encodeURIComponent(number)}`, { method: "PUT", body, ...options });
+
+// General expenses
+export const getExpensesByPeriod = (period, options) =>
+  request("/api/general-expenses/period", { query: { period }, ...options });
+export const getExpenses = (params, options) => request("/api/general-expenses", { query: params, ...options });
+export const createExpense = (body, options) =>
+  request("/api/general-expenses", { method: "POST", body, ...options });
+export const updateExpense = (id, body, options) =>
+  request(`/api/general-expenses/${id}`, { method: "PUT", body, ...options });
+export const deleteExpense = (id, options) =>
+  request(`/api/general-expenses/${id}`, { method: "DELETE", ...options });
+
+// Leads (prospect inquiries logged by staff). params: { carId, staffId } to narrow the list
+export const getLeads = (params, options) => request("/api/leads", { query: params, ...options });
+export const createLead = (body, options) => request("/api/leads", { method: "POST", body, ...options });
+export const editLead = (id, body, options) => request(`/api/leads/${id}`, { method: "PUT", body, ...options });
+
+// Deposit holds: who holds the car and the deposit taken. Admin only, as the
+// car record (and car.reservation on it) is served by the public endpoints too.
+// params: { carId, status } to narrow the list
+export const getReservations = (params, options) => request("/api/reservations", { query: params, ...options });
+export const createReservation = (body, options) => request("/api/reservations", { method: "POST", body, ...options });
+export const editReservation = (id, body, options) =>
+  request(`/api/reservations/${id}`, { method: "PUT", body, ...options });
+
+// Discount requests from staff and the admin's decisions. params: { carId, status } to narrow the list
+export const getDiscountRequests = (params, options) => request("/api/discount-requests", { query: params, ...options });
+export const createDiscountRequest = (body, options) =>
+  request("/api/discount-requests", { method: "POST", body, ...options });
+export const editDiscountRequest = (id, body, options) =>
+  request(`/api/discount-requests/${id}`, { method: "PUT", body, ...options });
+
+// Notes on customers, by the key the customer directory groups buyers by
+export const getCustomerNotes = (options) => request("/api/customers/notes", options);
+export const editCustomerNote = (key, body, options) =>
+  request(`/api/customers/${encodeURIComponent(key)}/notes`, { method: "PUT", body, ...options });
+export const deleteCustomerNote = (key, options) =>
+  request(`/api/customers/${encodeURIComponent(key)}/notes`, { method: "DELETE", ...options });
+
+// Saved installment quotes, from the admin and staff calculators
+export const getQuotes = (options) => request("/api/quotes", options);
+export const getQuote = (id, options) => request(`/api/quotes/${id}`, options);
+export const createQuote = (body, options) => request("/api/quotes", { method: "POST", body, ...options });
+export const editQuote = (id, body, options) => request(`/api/quotes/${id}`, { method: "PUT", body, ...options });
+export const deleteQuote = (id, options) => request(`/api/quotes/${id}`, { method: "DELETE", ...options });
+
+// Vendors (garages and parts shops the showroom pays)
+export const getVendors = (options) => request("/api/vendors", options);
+export const createVendor = (body, options) => request("/api/vendors", { method: "POST", body, ...options });
+export const editVendor = (id, body, options) => request(`/api/vendors/${id}`, { method: "PUT", body, ...options });
+export const deleteVendor = (id, options) => request(`/api/vendors/${id}`, { method: "DELETE", ...options });
+
+// Showroom-wide settings, one JSON document per key. A key nobody has saved
+// yet comes back as 404, which callers get as null and treat as the defaults.
+export const getSetting = (key, options) =>
+  request(`/api/settings/${key}`, options).catch((error) => {
+    if (error.status === 404) return null;
+    throw error;
+  });
+export const saveSetting = (key, value, options) =>
+  request(`/api/settings/${key}`, { method: "PUT", body: value, ...options });
+
+// Analysis
+export const getProfitAnalysis = (period, options) =>
+  request("/api/analysis/profit", { query: { period }, ...options });
+export const getNetProfitAnalysis = (period, options) =>
+  request("/api/analysis/profit/net", { query: { period }, ...options });
+export const getInstallmentProfitAnalysis = (period, options) =>
+  request("/api/analysis/profit/installment", { query: { period }, ...options });
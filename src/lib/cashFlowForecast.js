@@ -0,0 +1,123 @@
+// Cash expected over the coming months from active installment contracts,
+// less the average monthly spend on recurring general expenses (the ones
+// flagged recurring in the money manager). Each customer's on-time
+// rate (share of paid months paid by the due date plus grace days) drives
+// three cases:
+//   best     - every installment is paid in its due month, arrears this month
+//   expected - the on-time share arrives in the due month, the rest a month
+//              later; arrears come in this month at the on-time rate
+//   worst    - only the on-time share is collected, arrears never are
+import { addMonths, fromSatang, toSatang } from "@/lib/installments";
+import { monthBalances } from "@/lib/installmentLedger";
+import { daysLate } from "@/lib/penalties";
+
+export const FORECAST_MONTHS = 12;
+
+// Complete months of expenses the monthly spend is averaged over
+export const EXPENSE_HISTORY_MONTHS = 6;
+
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+
+// { rate, samples }: rate is null when no paid month has a payment date
+export function onTimeRate(contract, graceDays = 0) {
+  if (!contract.startDate) return { rate: null, samples: 0 };
+  let onTime = 0;
+  let samples = 0;
+  monthBalances(contract, contract.paymentHistory || []).forEach((balance) => {
+    const paidOn = balance.record?.paymentDate || balance.record?.date;
+    if (balance.status !== "paid" || !paidOn) return;
+    const paidDate = new Date(paidOn);
+    if (Number.isNaN(paidDate.getTime())) return;
+    samples++;
+    if (daysLate(addMonths(contract.startDate, balance.month), paidDate) <= graceDays) onTime++;
+  });
+  return { rate: samples > 0 ? onTime / samples : null, samples };
+}
+
+// contracts: [{ id, startDate, monthlyPayment, months, totalPayable, paymentHistory }]
+// monthlyExpenses: average monthly spend on general expenses
+export function buildCashFlowForecast({ contracts, monthlyExpenses = 0, graceDays = 0, today = new Date(), horizon = FORECAST_MONTHS }) {
+  const start = new Date(today.getFullYear(), today.getMonth(), 1);
+  const months = Array.from({ length: horizon }, (_, i) => {
+    const date = new Date(start.getFullYear(), start.getMonth() + i, 1);
+    return { key: monthKey(date), date, scheduled: 0, best: 0, expected: 0, worst: 0 };
+  });
+  const byKey = Object.fromEntries(months.map((month, index) => [month.key, index]));
+
+  const rates = contracts.map((contract) => onTimeRate(contract, graceDays));
+  const sampled = rates.filter((item) => item.rate !== null);
+  // Customers without history get the average of everyone else
+  const portfolioRate = sampled.length > 0 ? sampled.reduce((sum, item) => sum + item.rate, 0) / sampled.length : 1;
+
+  contracts.forEach((contract, index) => {
+    if (!contract.startDate) return;
+    const rate = rates[index].rate ?? portfolioRate;
+    monthBalances(contract, contract.paymentHistory || []).forEach((balance) => {
+      if (balance.status === "paid" || balance.remaining <= 0) return;
+      const amount = toSatang(balance.remaining);
+      const dueDate = addMonths(contract.startDate, balance.month);
+      const slot = dueDate < start ? 0 : byKey[monthKey(dueDate)];
+      if (slot === undefined) return; // beyond the horizon
+      const onTime = Math.round(amount * rate);
+
+      if (dueDate < start) {
+        // Arrears from before this month
+        months[0].best += amount;
+        months[0].expected += onTime;
+        return;
+      }
+      months[slot].scheduled += amount;
+      months[slot].best += amount;
+      months[slot].expected += onTime;
+      months[slot].worst += onTime;
+      if (slot + 1 < months.length) months[slot + 1].expected += amount - onTime;
+    });
+  });
+
+  const expenses = toSatang(monthlyExpenses);
+  const rows = months.map((month) => ({
+    key: month.key,
+    date: month.date,
+    scheduled: fromSatang(month.scheduled),
+    best: fromSatang(month.best),
+    expected: fromSatang(month.expected),
+    worst: fromSatang(month.worst),
+    expenses: fromSatang(expenses),
+    netBest: fromSatang(month.best - expenses),
+    netExpected: fromSatang(month.expected - expenses),
+    netWorst: fromSatang(month.worst - expenses),
+  }));
+  const total = (key) => fromSatang(rows.reduce((sum, row) => sum + toSatang(row[key]), 0));
+
+  return {
+    rows,
+    portfolioRate,
+    customersWithHistory: sampled.length,
+    totals: Object.fromEntries(
+      ["scheduled", "best", "expected", "worst", "expenses", "netBest", "netExpected", "netWorst"].map((key) => [key, total(key)])
+    ),
+  };
+}
+
+// { startDate, endDate } of the last EXPENSE_HISTORY_MONTHS complete months
+export const expenseHistoryRange = (today = new Date()) => ({
+  startDate: new Date(today.getFullYear(), today.getMonth() - EXPENSE_HISTORY_MONTHS, 1),
+  endDate: new Date(today.getFullYear(), today.getMonth(), 0, 23, 59, 59, 999),
+});
+
+// Average monthly spend on recurring expenses, over the months that have any
+// expense recorded. The current month is left out since it is not finished
+// yet, and so are expenses not flagged recurring: one-off purchases are not
+// expected to come back every month.
+export function averageMonthlyExpenses(expenses, today = new Date()) {
+  const currentKey = monthKey(today);
+  const months = new Set();
+  let total = 0;
+  for (const expense of expenses || []) {
+    const date = addMonths(expense?.expenseDate || expense?.date || expense?.createdAt, 0);
+    if (Number.isNaN(date.getTime()) || monthKey(date) === currentKey) continue;
+    months.add(monthKey(date));
+    if (expense.recurring) total += Number(expense.amount) || 0;
+  }
+  return months.size === 0 ? 0 : Math.round(total / months.size);
+}
@@ -0,0 +1,42 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { averageMonthlyExpenses, expenseHistoryRange } from "./cashFlowForecast.js";
+
+const TODAY = new Date(2026, 6, 15);
+
+describe("averageMonthlyExpenses", () => {
+  test("averages only the recurring expenses over the months with expenses", () => {
+    const expenses = [
+      { expenseDate: "2026-05-01", amount: 30000, recurring: true },
+      { expenseDate: "2026-05-20", amount: 250000, recurring: false }, // one-off purchase
+      { expenseDate: "2026-06-01", amount: 30000, recurring: true },
+      { expenseDate: "2026-06-25T10:00:00.000Z", amount: 4000, recurring: true },
+    ];
+    assert.equal(averageMonthlyExpenses(expenses, TODAY), 32000);
+  });
+
+  test("a month with only one-off expenses still counts as a month", () => {
+    const expenses = [
+      { expenseDate: "2026-05-01", amount: 30000, recurring: true },
+      { expenseDate: "2026-06-10", amount: 9000 },
+    ];
+    assert.equal(averageMonthlyExpenses(expenses, TODAY), 15000);
+  });
+
+  test("the unfinished current month and undated expenses are left out", () => {
+    const expenses = [
+      { expenseDate: "2026-07-01", amount: 30000, recurring: true },
+      { amount: 5000, recurring: true },
+    ];
+    assert.equal(averageMonthlyExpenses(expenses, TODAY), 0);
+    assert.equal(averageMonthlyExpenses(undefined, TODAY), 0);
+  });
+});
+
+describe("expenseHistoryRange", () => {
+  test("covers the six complete months before this one", () => {
+    const { startDate, endDate } = expenseHistoryRange(TODAY);
+    assert.deepEqual(startDate, new Date(2026, 0, 1));
+    assert.deepEqual(endDate, new Date(2026, 5, 30, 23, 59, 59, 999));
+  });
+});
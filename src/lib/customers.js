@@ -0,0 +1,174 @@
+// Customer directory built from the buyers recorded on sold cars, since the
+// backend has no customer records of its own. A customer is one passport
+// number (spaces and case ignored); buyers entered without a passport are
+// grouped by name and phone instead. Notes are stored on the backend by the
+// same key, so every admin sees the same notes.
+import { deleteCustomerNote, editCustomerNote, getCustomerNotes, getInstallmentCars, getSoldCars } from "@/lib/api";
+import { agingForContract } from "@/lib/aging";
+import { onTimeRate } from "@/lib/cashFlowForecast";
+import { monthBalances } from "@/lib/installmentLedger";
+import { fromSatang, toSatang } from "@/lib/installments";
+import { fetchPenaltyRules } from "@/lib/penalties";
+
+export const normalizePassport = (passport) => String(passport || "").replace(/\s+/g, "").toUpperCase();
+
+const normalizePhone = (phone) => String(phone || "").replace(/[^\d+]/g, "");
+
+export const customerKey = (buyer) => {
+  const passport = normalizePassport(buyer?.passport);
+  if (passport) return passport;
+  const name = String(buyer?.name || "").trim().toLowerCase();
+  const phone = normalizePhone(buyer?.phone);
+  return name || phone ? `~${name}|${phone}` : "";
+};
+
+const carModel = (car) => `${car.brand || ""} ${car.model || ""}`.trim();
+
+const timeOf = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? 0 : time;
+};
+
+// One installment contract with how the customer has paid it
+function installmentSummary(car, graceDays, today) {
+  const installment = car.installment || {};
+  const contract = {
+    id: car.id || car._id,
+    startDate: installment.startDate || "",
+    monthlyPayment: installment.monthlyPayment || 0,
+    months: installment.months || 0,
+    totalPayable: installment.totalPayable || 0,
+    paymentHistory: installment.paymentHistory || [],
+  };
+  const balances = monthBalances(contract, contract.paymentHistory);
+  const remaining = balances.reduce((sum, balance) => sum + toSatang(balance.remaining), 0);
+  const aging = agingForContract(contract, today);
+  const { rate, samples } = onTimeRate(contract, graceDays);
+  return {
+    ...contract,
+    carModel: carModel(car),
+    licensePlate: car.licenseNo || "",
+    paidMonths: balances.filter((balance) => balance.status === "paid").length,
+    remaining: fromSatang(remaining),
+    active: contract.months > 0 && remaining > 0,
+    onTimeRate: rate,
+    ratedMonths: samples,
+    overdue: aging.overdue,
+    oldestDaysLate: aging.oldestDaysLate,
+  };
+}
+
+// soldCars: /api/cars/sold (cash sales and installments);
+// installmentCars: /api/cars/sold/installment, which carries the payment history
+export function buildCustomerDirectory({ soldCars = [], installmentCars = [], graceDays = 0, today = new Date() }) {
+  const cars = new Map();
+  [...soldCars, ...installmentCars].forEach((car, index) => {
+    const id = car.id || car._id || `car-${index}`;
+    cars.set(id, { ...cars.get(id), ...car });
+  });
+
+  const customers = new Map();
+  cars.forEach((car, id) => {
+    const buyer = car.sale?.buyer || car.installment?.buyer;
+    const key = customerKey(buyer);
+    if (!key) return;
+    // A paid-off installment also gets a sale record; it still counts as an installment
+    const isInstallment = car.installment != null;
+    const date = isInstallment ? car.installment.startDate || car.sale?.date : car.sale?.date;
+
+    const customer = customers.get(key) || {
+      key,
+      name: "",
+      passport: "",
+      phone: "",
+      email: "",
+      lastPurchaseAt: 0,
+      purchases: [],
+      installments: [],
+    };
+    // Contact details come from the most recent purchase
+    if (timeOf(date) >= customer.lastPurchaseAt || !customer.name) {
+      customer.name = buyer.name || customer.name;
+      customer.passport = buyer.passport || customer.passport;
+      customer.phone = buyer.phone || customer.phone;
+      customer.email = buyer.email || customer.email;
+      customer.lastPurchaseAt = Math.max(customer.lastPurchaseAt, timeOf(date));
+    }
+    customer.purchases.push({
+      carId: id,
+      carModel: carModel(car),
+      licensePlate: car.licenseNo || "",
+      type: isInstallment ? "installment" : "cash",
+      date: date || "",
+      price: Number(isInstallment ? car.priceToSell : (car.sale?.price ?? car.priceToSell)) || 0,
+    });
+    if (isInstallment) customer.installments.push(installmentSummary({ ...car, id }, graceDays, today));
+    customers.set(key, customer);
+  });
+
+  return [...customers.values()]
+    .map((customer) => {
+      const rated = customer.installments.filter((item) => item.onTimeRate !== null);
+      const ratedMonths = rated.reduce((sum, item) => sum + item.ratedMonths, 0);
+      return {
+        ...customer,
+        purchases: customer.purchases.sort((a, b) => timeOf(b.date) - timeOf(a.date)),
+        activeInstallments: customer.installments.filter((item) => item.active).length,
+        totalSpent: customer.purchases.reduce((sum, item) => sum + item.price, 0),
+        // Weighted by months paid, so a long clean contract outweighs one late month elsewhere
+        onTimeRate: ratedMonths > 0 ? rated.reduce((sum, item) => sum + item.onTimeRate * item.ratedMonths, 0) / ratedMonths : null,
+        overdue: customer.installments.reduce((sum, item) => sum + item.overdue, 0),
+      };
+    })
+    .sort((a, b) => b.lastPurchaseAt - a.lastPurchaseAt || a.name.localeCompare(b.name));
+}
+
+export async function fetchCustomerDirectory(options) {
+  const [sold, installments, penaltyRules] = await Promise.all([
+    getSoldCars(options),
+    getInstallmentCars(options),
+    fetchPenaltyRules(options),
+  ]);
+  return buildCustomerDirectory({
+    soldCars: Array.isArray(sold?.data) ? sold.data : [],
+    installmentCars: Array.isArray(installments?.data) ? installments.data : [],
+    graceDays: penaltyRules.graceDays,
+  });
+}
+
+// Matches name, passport or phone; passport and phone ignore spacing and dashes
+export function searchCustomers(customers, query) {
+  const text = String(query || "").trim().toLowerCase();
+  if (!text) return customers;
+  const passport = normalizePassport(text);
+  const phone = normalizePhone(text);
+  return customers.filter(
+    (customer) =>
+      customer.name.toLowerCase().includes(text) ||
+      (passport && normalizePassport(customer.passport).includes(passport)) ||
+      (phone.replace("+", "").length >= 3 && normalizePhone(customer.phone).includes(phone))
+  );
+}
+
+// Every saved note as { [customer key]: { text, updatedAt } }
+export async function fetchCustomerNotes(options) {
+  const response = await getCustomerNotes(options);
+  const notes = Array.isArray(response?.data) ? response.data : Array.isArray(response) ? response : [];
+  return Object.fromEntries(notes.filter((note) => note?.key).map(({ key, text, updatedAt }) => [key, { text: text || "", updatedAt }]));
+}
+
+// Saves the note, or deletes it when it is empty; resolves to the saved note or null
+export async function saveCustomerNote(key, text, options) {
+  if (!text.trim()) {
+    await deleteCustomerNote(key, options);
+    return null;
+  }
+  const note = { text, updatedAt: new Date().toISOString() };
+  const response = await editCustomerNote(key, note, options);
+  const saved = response?.data ?? response;
+  return { text: saved?.text ?? note.text, updatedAt: saved?.updatedAt || note.updatedAt };
+}
+
+// Puts a saved note (or its deletion, when null) into the notes held in state
+export const mergeCustomerNote = (notes, key, note) =>
+  note ? { ...notes, [key]: note } : Object.fromEntries(Object.entries(notes).filter(([noteKey]) => noteKey !== key));
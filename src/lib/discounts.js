@@ -0,0 +1,132 @@
+// Price negotiation. Each car has a floor price: the minimum the admin set on
+// the car (car.minimumPrice). On the admin pages a car without one falls back
+// to its purchase cost plus repairs plus the target margin; staff only ever
+// see the saved minimumPrice, as a floor worked out on their side would give
+// the cost away. Staff who need to go below the listed price send a discount
+// request; the admin approves it (at the asked price or a counter price) or
+// rejects it in the approvals inbox, and the approved price is offered in the
+// sell modal. A request goes pending -> approved -> used, or pending -> rejected.
+// Requests are stored on the backend and the margin policy is a showroom-wide
+// setting, so every device sees the same inbox.
+import { createDiscountRequest, editDiscountRequest, getDiscountRequests, getSetting, getStoredUser, saveSetting } from "@/lib/api";
+import { currentStaff } from "@/lib/leads";
+import { reconditioningTotal, repairJobsOf } from "@/lib/repairJobs";
+
+const FLOOR_POLICY_SETTING = "floorPricePolicy";
+
+export const DEFAULT_FLOOR_POLICY = { targetMarginPercent: 5 };
+
+export function normalizeFloorPolicy(saved) {
+  const margin = Number(saved?.targetMarginPercent);
+  return Number.isFinite(margin) && margin >= 0 ? { targetMarginPercent: margin } : DEFAULT_FLOOR_POLICY;
+}
+
+export async function fetchFloorPolicy(options) {
+  const response = await getSetting(FLOOR_POLICY_SETTING, options);
+  return normalizeFloorPolicy(response?.data ?? response);
+}
+
+export const saveFloorPolicy = (policy, options) => saveSetting(FLOOR_POLICY_SETTING, policy, options);
+
+const amountOf = (value) => {
+  const parsed = parseFloat(String(value ?? "").replace(/[^\d.-]/g, ""));
+  return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+// Works on the raw API record (priceToBuy) and the admin pages' normalized car (originalPrice)
+const purchaseCostOf = (car) => amountOf(car?.priceToBuy ?? car?.purchasePrice ?? car?.originalPrice);
+
+// Cost + repairs, plus the target margin on both. 0 when the cost is unknown.
+// Admin pages only: it needs the purchase cost.
+export function derivedFloorPrice(car, policy = DEFAULT_FLOOR_POLICY) {
+  const cost = purchaseCostOf(car);
+  if (!cost) return 0;
+  const base = cost + reconditioningTotal(repairJobsOf(car));
+  return Math.round(base * (1 + (Number(policy.targetMarginPercent) || 0) / 100));
+}
+
+export const isFloorSet = (car) => amountOf(car?.minimumPrice) > 0;
+
+export const floorPriceOf = (car, policy) => (isFloorSet(car) ? amountOf(car.minimumPrice) : derivedFloorPrice(car, policy));
+
+export const DISCOUNT_STATUSES = {
+  pending: { label: "Pending", badge: "bg-yellow-100 text-yellow-800" },
+  approved: { label: "Approved", badge: "bg-green-100 text-green-800" },
+  rejected: { label: "Rejected", badge: "bg-red-100 text-red-800" },
+  used: { label: "Sold", badge: "bg-gray-200 text-gray-800" },
+};
+
+const normalizeRequest = (request) => ({ ...request, id: String(request.id ?? request._id) });
+
+const requestOf = (response) => normalizeRequest(response?.data ?? response);
+
+// params: { carId, status } to narrow the list; without them every request
+export async function fetchDiscountRequests(params, options) {
+  const response = await getDiscountRequests(params, options);
+  const requests = Array.isArray(response?.data) ? response.data : Array.isArray(response) ? response : [];
+  return requests.map(normalizeRequest);
+}
+
+// Puts a saved request into a list held in state: replaced in place, or added first when new
+export const mergeDiscountRequest = (requests, saved) =>
+  requests.some((request) => request.id === saved.id)
+    ? requests.map((request) => (request.id === saved.id ? saved : request))
+    : [saved, ...requests];
+
+// Sends a request from the current staff member; returns the saved request.
+// details: { carId, carLabel, listPrice, requestedPrice, floorPrice, customerName, customerPhone, reason }
+export async function addDiscountRequest(details, options) {
+  const staff = currentStaff();
+  const request = {
+    ...details,
+    status: "pending",
+    staffId: staff.id,
+    staffName: staff.name,
+    createdAt: new Date().toISOString(),
+  };
+  return requestOf(await createDiscountRequest(request, options));
+}
+
+const updateRequest = async (id, changes, options) => requestOf(await editDiscountRequest(id, changes, options));
+
+// The admin's answer. approvedPrice defaults to the price asked for.
+export function decideDiscountRequest(request, { approve, approvedPrice, note = "" }, options) {
+  const user = getStoredUser();
+  return updateRequest(
+    request.id,
+    {
+      status: approve ? "approved" : "rejected",
+      approvedPrice: approve ? amountOf(approvedPrice) || amountOf(request.requestedPrice) : null,
+      decisionNote: note,
+      decidedBy: user?.name || user?.username || user?.email || "",
+      decidedAt: new Date().toISOString(),
+    },
+    options
+  );
+}
+
+export const markDiscountUsed = (id, options) => updateRequest(id, { status: "used", usedAt: new Date().toISOString() }, options);
+
+export const discountAmount = (request, price = request.requestedPrice) => Math.max(0, amountOf(request.listPrice) - amountOf(price));
+
+export const discountPercent = (request, price) => {
+  const list = amountOf(request.listPrice);
+  return list > 0 ? (discountAmount(request, price) / list) * 100 : 0;
+};
+
+export const requestsForCar = (requests, carId) => requests.filter((request) => String(request.carId) === String(carId));
+
+// The latest approval on the car that has not been sold at yet
+export const approvedDiscountFor = (requests, carId) =>
+  requestsForCar(requests, carId)
+    .filter((request) => request.status === "approved")
+    .sort((a, b) => String(b.decidedAt).localeCompare(String(a.decidedAt)))[0] || null;
+
+// Waiting for the admin, oldest first so nobody is kept waiting
+export const pendingRequests = (requests) =>
+  requests.filter((request) => request.status === "pending").sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+export const decidedRequests = (requests) =>
+  requests
+    .filter((request) => request.status !== "pending")
+    .sort((a, b) => String(b.decidedAt).localeCompare(String(a.decidedAt)));
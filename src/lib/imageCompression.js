@@ -0,0 +1,210 @@
+// Browser-side photo preparation before upload: resize to a maximum edge,
+// re-encode at a chosen quality, and bake in the EXIF orientation. Drawing
+// through a canvas drops every metadata block, which is how GPS is stripped.
+export const DEFAULT_COMPRESSION = {
+  maxDimension: Number(process.env.NEXT_PUBLIC_IMAGE_MAX_DIMENSION) || 1920,
+  quality: Number(process.env.NEXT_PUBLIC_IMAGE_QUALITY) || 0.8,
+};
+
+export const MAX_DIMENSION_OPTIONS = [1280, 1600, 1920, 2560];
+
+const COMPRESSION_SETTINGS_KEY = "photoCompression";
+
+// Animated GIFs would lose every frame but the first, so they go up untouched
+const PASS_THROUGH_TYPES = ["image/gif", "image/svg+xml"];
+
+export function loadCompressionSettings() {
+  if (typeof window === "undefined") return DEFAULT_COMPRESSION;
+  try {
+    const saved = JSON.parse(localStorage.getItem(COMPRESSION_SETTINGS_KEY) || "null");
+    return {
+      maxDimension: Number(saved?.maxDimension) || DEFAULT_COMPRESSION.maxDimension,
+      quality: Number(saved?.quality) || DEFAULT_COMPRESSION.quality,
+    };
+  } catch {
+    return DEFAULT_COMPRESSION;
+  }
+}
+
+export function saveCompressionSettings(settings) {
+  localStorage.setItem(COMPRESSION_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+const abortError = () => new DOMException("Aborted", "AbortError");
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw abortError();
+};
+
+const readAsArrayBuffer = (file, { signal, onProgress }) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    const onAbort = () => {
+      reader.abort();
+      reject(abortError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+    reader.onprogress = (e) => {
+      if (e.lengthComputable) onProgress?.(e.loaded / e.total);
+    };
+    reader.onload = () => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve(reader.result);
+    };
+    reader.onerror = () => {
+      signal?.removeEventListener("abort", onAbort);
+      reject(reader.error || new Error("Could not read the file"));
+    };
+    reader.readAsArrayBuffer(file);
+  });
+
+// Returns the EXIF orientation (1-8) of a JPEG, or 1 when there is none.
+export function readExifOrientation(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return 1;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const segmentLength = view.getUint16(offset + 2);
+    // APP1 segment starting with "Exif\0\0"
+    if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+      const tiff = offset + 10;
+      const little = view.getUint16(tiff) === 0x4949;
+      const firstIfd = tiff + view.getUint32(tiff + 4, little);
+      if (firstIfd + 2 > view.byteLength) return 1;
+      const entries = view.getUint16(firstIfd, little);
+      for (let i = 0; i < entries; i++) {
+        const entry = firstIfd + 2 + i * 12;
+        if (entry + 10 > view.byteLength) return 1;
+        if (view.getUint16(entry, little) === 0x0112) {
+          const orientation = view.getUint16(entry + 8, little);
+          return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+      }
+      return 1;
+    }
+    // Start of scan: no more metadata segments follow
+    if (marker === 0xffda || (marker & 0xff00) !== 0xff00) return 1;
+    offset += 2 + segmentLength;
+  }
+  return 1;
+}
+
+// Decodes the image, letting the browser apply EXIF orientation where it can.
+// `oriented` reports whether the browser already applied it.
+const decodeImage = async (file) => {
+  if (typeof createImageBitmap === "function") {
+    try {
+      const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+      return { source: bitmap, width: bitmap.width, height: bitmap.height, oriented: true };
+    } catch {
+      // Older Safari rejects the options object; fall back to an <img>
+    }
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const img = await new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error("This image format cannot be processed in the browser"));
+      image.src = url;
+    });
+    const oriented = typeof CSS !== "undefined" && CSS.supports?.("image-orientation", "from-image");
+    return { source: img, width: img.naturalWidth, height: img.naturalHeight, oriented };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+// Canvas transform for each EXIF orientation value; width/height are the
+// output canvas size (already swapped for the rotated orientations 5-8)
+const applyOrientation = (ctx, orientation, width, height) => {
+  switch (orientation) {
+    case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+    case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+    case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+    case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+    case 6: ctx.transform(0, 1, -1, 0, width, 0); break;
+    case 7: ctx.transform(0, -1, -1, 0, width, height); break;
+    case 8: ctx.transform(0, -1, 1, 0, 0, height); break;
+    default: break;
+  }
+};
+
+const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Could not encode the image"))),
+      type,
+      quality
+    );
+  });
+
+const renameWithExtension = (name, type) => {
+  const base = name.replace(/\.[^.]+$/, "") || "photo";
+  return `${base}.${type === "image/png" ? "png" : "jpg"}`;
+};
+
+// Resizes and re-encodes one photo. `onProgress` receives 0..1; pass an
+// AbortSignal to cancel. Resolves with a new File ready for FormData.
+export async function compressImage(file, { maxDimension, quality, signal, onProgress } = {}) {
+  const settings = { ...DEFAULT_COMPRESSION, ...(maxDimension && { maxDimension }), ...(quality && { quality }) };
+
+  if (PASS_THROUGH_TYPES.includes(file.type)) {
+    onProgress?.(1);
+    return file;
+  }
+
+  throwIfAborted(signal);
+  const buffer = await readAsArrayBuffer(file, { signal, onProgress: (p) => onProgress?.(p * 0.4) });
+  const exifOrientation = readExifOrientation(buffer);
+
+  throwIfAborted(signal);
+  const decoded = await decodeImage(file);
+  onProgress?.(0.6);
+
+  try {
+    throwIfAborted(signal);
+    const orientation = decoded.oriented ? 1 : exifOrientation;
+    const swapSides = orientation >= 5;
+    const srcWidth = swapSides ? decoded.height : decoded.width;
+    const srcHeight = swapSides ? decoded.width : decoded.height;
+    const scale = Math.min(1, settings.maxDimension / Math.max(srcWidth, srcHeight));
+    const width = Math.round(srcWidth * scale);
+    const height = Math.round(srcHeight * scale);
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d");
+    applyOrientation(ctx, orientation, width, height);
+    if (swapSides) {
+      ctx.drawImage(decoded.source, 0, 0, height, width);
+    } else {
+      ctx.drawImage(decoded.source, 0, 0, width, height);
+    }
+    onProgress?.(0.8);
+
+    // Keep PNG for screenshots/transparency; everything else becomes JPEG
+    const type = file.type === "image/png" ? "image/png" : "image/jpeg";
+    const blob = await canvasToBlob(canvas, type, settings.quality);
+    throwIfAborted(signal);
+    onProgress?.(1);
+
+    return new File([blob], renameWithExtension(file.name, type), { type, lastModified: Date.now() });
+  } finally {
+    decoded.source.close?.();
+  }
+}
+
+export const formatFileSize = (bytes) => {
+  if (!bytes && bytes !== 0) return "";
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Settings for document scans (receipts, paperwork), which only need to stay legible
+export const DOCUMENT_COMPRESSION = { maxDimension: 1280, quality: 0.7 };
+
@@ -0,0 +1,156 @@
+// Cash receipts and how they were applied to installment months.
+//
+// The monthly-payment endpoint keeps one record per month (posting a month
+// again replaces it), so each month record carries cumulative totals plus the
+// list of receipts applied to it:
+//   { monthNumber, amount, penaltyFee, paid, paymentDate,
+//     receipts: [{ receiptId, date, amount, penaltyFee, rebate }] }
+// `amount` is all cash applied to the month including its penalty; `rebate`
+// is interest forgiven on an early settlement. Records made before receipts
+// existed are read as a single receipt.
+import { fromSatang, scheduledPaymentForMonth, toSatang } from "@/lib/installments";
+
+const recordMonth = (record) => Number(record.monthNumber ?? record.month);
+
+const recordDate = (record) => record.paymentDate || record.date || record.createdAt || null;
+
+// Older records may hold amount = installment + penalty or the installment
+// alone with the penalty on top; tell them apart by the scheduled amount.
+const legacyReceipt = (record, due, month) => {
+  const amount = toSatang(record.amount);
+  const penalty = toSatang(record.penaltyFee);
+  const dueSatang = toSatang(due);
+  const amountIsInstallmentOnly = penalty > 0 && Math.abs(amount - dueSatang) < 100;
+  return {
+    receiptId: record.receiptId || `M${month}`,
+    date: recordDate(record),
+    amount: fromSatang(amountIsInstallmentOnly ? amount + penalty : amount),
+    penaltyFee: fromSatang(penalty),
+  };
+};
+
+// Per-month position for months 1..contract.months:
+// { month, due, installmentPaid, penaltyPaid, remaining, status, receipts, record }
+// status is "paid", "partial" or "unpaid".
+export function monthBalances(contract, paymentHistory = []) {
+  const months = contract.months || 0;
+  const latestByMonth = {};
+  paymentHistory.forEach((record, index) => {
+    // History without month numbers is one payment per month, in order
+    const month = Number.isFinite(recordMonth(record)) && recordMonth(record) > 0 ? recordMonth(record) : index + 1;
+    latestByMonth[month] = record;
+  });
+
+  return Array.from({ length: months }, (_, i) => {
+    const month = i + 1;
+    const due = scheduledPaymentForMonth(contract, month);
+    const record = latestByMonth[month] || null;
+    let receipts = [];
+    if (record && Array.isArray(record.receipts) && record.receipts.length > 0) {
+      receipts = record.receipts;
+    } else if (record && (Number(record.amount) > 0 || record.paid !== false)) {
+      receipts = [legacyReceipt(record, due, month)];
+    }
+
+    const penaltyPaid = receipts.reduce((sum, receipt) => sum + toSatang(receipt.penaltyFee), 0);
+    const cashPaid = receipts.reduce((sum, receipt) => sum + toSatang(receipt.amount), 0);
+    // A legacy "paid" flag without an amount still counts as settled in full
+    const installmentPaid =
+      record && record.paid !== false && cashPaid === 0 ? toSatang(due) : Math.max(0, cashPaid - penaltyPaid);
+    const remaining = Math.max(0, toSatang(due) - installmentPaid);
+    const settled = record?.paid === true || remaining === 0;
+
+    return {
+      month,
+      due,
+      installmentPaid: fromSatang(installmentPaid),
+      penaltyPaid: fromSatang(penaltyPaid),
+      remaining: settled ? 0 : fromSatang(remaining),
+      status: settled && record ? "paid" : installmentPaid > 0 ? "partial" : "unpaid",
+      receipts,
+      record,
+    };
+  });
+}
+
+// Splits a cash receipt over the open months, oldest first: each month's
+// outstanding penalty, then its installment balance. Whatever is left after
+// the current month rolls forward to the next ones. Returns the allocations
+// and any amount that could not be applied (more than the contract owes).
+export function allocateReceipt({ amount, balances, penaltyForMonth = () => 0 }) {
+  let left = toSatang(amount);
+  const allocations = [];
+  for (const balance of balances) {
+    if (left <= 0) break;
+    if (balance.status === "paid") continue;
+    const penaltyDue = Math.max(0, toSatang(penaltyForMonth(balance.month)) - toSatang(balance.penaltyPaid));
+    const penalty = Math.min(left, penaltyDue);
+    left -= penalty;
+    const installment = Math.min(left, toSatang(balance.remaining));
+    left -= installment;
+    if (penalty > 0 || installment > 0) {
+      allocations.push({
+        month: balance.month,
+        penaltyFee: fromSatang(penalty),
+        installmentAmount: fromSatang(installment),
+        settles: installment === toSatang(balance.remaining),
+      });
+    }
+  }
+  return { allocations, unapplied: fromSatang(left) };
+}
+
+// The month record to post after applying `allocation` of `receipt`
+export function nextMonthRecord(balance, allocation, { receiptId, date, receiptAmount }) {
+  const amount = fromSatang(toSatang(allocation.installmentAmount) + toSatang(allocation.penaltyFee));
+  const receipt = { receiptId, date, amount, penaltyFee: allocation.penaltyFee, receiptAmount };
+  if (allocation.rebate > 0) receipt.rebate = allocation.rebate;
+  const receipts = [...balance.receipts, receipt];
+  return {
+    monthNumber: balance.month,
+    amount: fromSatang(receipts.reduce((sum, receipt) => sum + toSatang(receipt.amount), 0)),
+    penaltyFee: fromSatang(receipts.reduce((sum, receipt) => sum + toSatang(receipt.penaltyFee), 0)),
+    paid: allocation.settles,
+    paymentDate: date,
+    receiptId,
+    receipts,
+  };
+}
+
+// One row per cash receipt, oldest first, with the months it was applied to
+// and the installment balance left on the contract afterwards (a settlement
+// rebate reduces the balance without any cash).
+export function buildLedger(balances, totalDue) {
+  const byReceipt = new Map();
+  balances.forEach((balance) => {
+    balance.receipts.forEach((receipt) => {
+      const key = receipt.receiptId || `${receipt.date}-${balance.month}`;
+      if (!byReceipt.has(key)) {
+        byReceipt.set(key, { receiptId: key, date: receipt.date, received: 0, penalty: 0, rebate: 0, allocations: [] });
+      }
+      const row = byReceipt.get(key);
+      row.received += toSatang(receipt.amount);
+      row.penalty += toSatang(receipt.penaltyFee);
+      row.rebate += toSatang(receipt.rebate);
+      row.allocations.push({
+        month: balance.month,
+        amount: receipt.amount,
+        penaltyFee: Number(receipt.penaltyFee) || 0,
+      });
+      if (receipt.date && (!row.date || receipt.date < row.date)) row.date = receipt.date;
+    });
+  });
+
+  const rows = [...byReceipt.values()].sort((a, b) => String(a.date || "").localeCompare(String(b.date || "")));
+  let balance = toSatang(totalDue);
+  return rows.map((row) => {
+    balance -= row.received - row.penalty + row.rebate;
+    return {
+      ...row,
+      received: fromSatang(row.received),
+      penalty: fromSatang(row.penalty),
+      rebate: fromSatang(row.rebate),
+      balanceAfter: fromSatang(Math.max(0, balance)),
+    };
+  });
+}
@@ -0,0 +1,144 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { allocateReceipt, buildLedger, monthBalances, nextMonthRecord } from "./installmentLedger.js";
+
+// ฿1,000 a month for 3 months; the last month takes the rounding remainder
+const CONTRACT = { monthlyPayment: 1000, months: 3, totalPayable: 2999.99 };
+
+// Applies one receipt the way edit-installment does and returns the new history
+const applyReceipt = (history, amount, { receiptId, date = "2026-01-05", penaltyForMonth } = {}) => {
+  const balances = monthBalances(CONTRACT, history);
+  const { allocations, unapplied } = allocateReceipt({ amount, balances, penaltyForMonth });
+  const records = allocations.map((allocation) =>
+    nextMonthRecord(balances[allocation.month - 1], allocation, { receiptId, date, receiptAmount: amount })
+  );
+  const byMonth = new Map(history.map((record) => [record.monthNumber, record]));
+  records.forEach((record) => byMonth.set(record.monthNumber, record));
+  return { history: [...byMonth.values()], allocations, unapplied };
+};
+
+describe("monthBalances", () => {
+  test("a contract without payments is unpaid month by month", () => {
+    const balances = monthBalances(CONTRACT, []);
+    assert.deepEqual(
+      balances.map(({ month, due, remaining, status }) => ({ month, due, remaining, status })),
+      [
+        { month: 1, due: 1000, remaining: 1000, status: "unpaid" },
+        { month: 2, due: 1000, remaining: 1000, status: "unpaid" },
+        { month: 3, due: 999.99, remaining: 999.99, status: "unpaid" },
+      ]
+    );
+  });
+
+  test("legacy records with the penalty inside the amount", () => {
+    const [month] = monthBalances(CONTRACT, [{ monthNumber: 1, amount: 1050, penaltyFee: 50, paid: true }]);
+    assert.equal(month.installmentPaid, 1000);
+    assert.equal(month.penaltyPaid, 50);
+    assert.equal(month.status, "paid");
+  });
+
+  test("legacy records with the penalty on top of the installment", () => {
+    const [month] = monthBalances(CONTRACT, [{ monthNumber: 1, amount: 1000, penaltyFee: 50, paid: true }]);
+    assert.equal(month.receipts[0].amount, 1050);
+    assert.equal(month.installmentPaid, 1000);
+    assert.equal(month.penaltyPaid, 50);
+  });
+
+  test("a legacy paid flag without an amount settles the month in full", () => {
+    const [month] = monthBalances(CONTRACT, [{ monthNumber: 1, paid: true }]);
+    assert.equal(month.installmentPaid, 1000);
+    assert.equal(month.remaining, 0);
+    assert.equal(month.status, "paid");
+  });
+
+  test("history without month numbers is read in order", () => {
+    const balances = monthBalances(CONTRACT, [{ amount: 1000, paid: true }, { amount: 300, paid: false }]);
+    assert.deepEqual(
+      balances.map((balance) => balance.status),
+      ["paid", "partial", "unpaid"]
+    );
+    assert.equal(balances[1].remaining, 700);
+  });
+});
+
+describe("allocateReceipt", () => {
+  test("a partial payment leaves the month open with the rest outstanding", () => {
+    const { history, allocations, unapplied } = applyReceipt([], 400, { receiptId: "RC-000001" });
+    assert.deepEqual(allocations, [{ month: 1, penaltyFee: 0, installmentAmount: 400, settles: false }]);
+    assert.equal(unapplied, 0);
+    const [first] = monthBalances(CONTRACT, history);
+    assert.equal(first.status, "partial");
+    assert.equal(first.remaining, 600);
+    assert.equal(history[0].paid, false);
+  });
+
+  test("an over-payment settles the open month and rolls forward to the next", () => {
+    const partial = applyReceipt([], 400, { receiptId: "RC-000001" }).history;
+    const { history, allocations, unapplied } = applyReceipt(partial, 1500, { receiptId: "RC-000002" });
+    assert.deepEqual(allocations, [
+      { month: 1, penaltyFee: 0, installmentAmount: 600, settles: true },
+      { month: 2, penaltyFee: 0, installmentAmount: 900, settles: false },
+    ]);
+    assert.equal(unapplied, 0);
+    const balances = monthBalances(CONTRACT, history);
+    assert.deepEqual(
+      balances.map(({ status, remaining }) => ({ status, remaining })),
+      [
+        { status: "paid", remaining: 0 },
+        { status: "partial", remaining: 100 },
+        { status: "unpaid", remaining: 999.99 },
+      ]
+    );
+    // Month 1 keeps both receipts with their cumulative total
+    assert.deepEqual(
+      history.find((record) => record.monthNumber === 1).receipts.map((receipt) => [receipt.receiptId, receipt.amount]),
+      [
+        ["RC-000001", 400],
+        ["RC-000002", 600],
+      ]
+    );
+    assert.equal(history.find((record) => record.monthNumber === 1).amount, 1000);
+  });
+
+  test("paying more than the contract owes settles every month and returns the excess", () => {
+    const { history, allocations, unapplied } = applyReceipt([], 5000);
+    assert.equal(allocations.length, 3);
+    assert.ok(allocations.every((allocation) => allocation.settles));
+    assert.equal(allocations[2].installmentAmount, 999.99);
+    assert.equal(unapplied, 2000.01);
+    assert.ok(monthBalances(CONTRACT, history).every((balance) => balance.status === "paid"));
+  });
+
+  test("the outstanding penalty is paid before the installment", () => {
+    const penaltyForMonth = (month) => (month === 1 ? 50 : 0);
+    const { history, allocations } = applyReceipt([], 500, { penaltyForMonth });
+    assert.deepEqual(allocations, [{ month: 1, penaltyFee: 50, installmentAmount: 450, settles: false }]);
+    const [first] = monthBalances(CONTRACT, history);
+    assert.equal(first.penaltyPaid, 50);
+    assert.equal(first.remaining, 550);
+
+    // A penalty already paid is not charged again
+    const next = applyReceipt(history, 550, { penaltyForMonth });
+    assert.deepEqual(next.allocations, [{ month: 1, penaltyFee: 0, installmentAmount: 550, settles: true }]);
+  });
+
+  test("paid months are skipped", () => {
+    const { allocations } = allocateReceipt({ amount: 100, balances: monthBalances(CONTRACT, [{ monthNumber: 1, paid: true }]) });
+    assert.equal(allocations[0].month, 2);
+  });
+});
+
+describe("buildLedger", () => {
+  test("one row per receipt with the balance left after it", () => {
+    const first = applyReceipt([], 400, { receiptId: "RC-000001", date: "2026-01-05" }).history;
+    const second = applyReceipt(first, 1500, { receiptId: "RC-000002", date: "2026-02-05" }).history;
+    const rows = buildLedger(monthBalances(CONTRACT, second), CONTRACT.totalPayable);
+    assert.deepEqual(
+      rows.map(({ receiptId, received, balanceAfter, allocations }) => ({ receiptId, received, balanceAfter, months: allocations.map((a) => a.month) })),
+      [
+        { receiptId: "RC-000001", received: 400, balanceAfter: 2599.99, months: [1] },
+        { receiptId: "RC-000002", received: 1500, balanceAfter: 1099.99, months: [1, 2] },
+      ]
+    );
+  });
+});
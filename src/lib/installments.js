@@ -0,0 +1,252 @@
+// BKK KAUNG PYAE installment engine. The calculators, the dashboard
+// sell-installment form and edit-installment all price contracts through
+// here, so a change to VAT or fee rules is made once and every screen agrees
+// to the satang. Pure functions only: no React, no storage, no network.
+export const VAT_PERCENT = 7;
+
+export const INTEREST_METHODS = {
+  flat: "Flat rate",
+  reducing: "Reducing balance (annuity)",
+  addon: "Add-on with early payoff rebate",
+};
+
+// Money is rounded through satang (1/100 baht) integers
+export const toSatang = (value) => Math.round((Number(value) || 0) * 100);
+export const fromSatang = (satang) => satang / 100;
+export const roundBaht = (value) => fromSatang(toSatang(value));
+
+export const formatBaht = (value) =>
+  `฿${Number(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// Date `monthsAhead` months after a YYYY-MM-DD date; a 31st start falls on
+// the last day of shorter months instead of spilling into the next one
+export function addMonths(dateString, monthsAhead) {
+  const [year, month, day] = String(dateString).split("T")[0].split("-").map(Number);
+  const lastDay = new Date(year, month - 1 + monthsAhead + 1, 0).getDate();
+  return new Date(year, month - 1 + monthsAhead, Math.min(day, lastDay));
+}
+
+export const todayInputValue = () => {
+  const today = new Date();
+  return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, "0")}-${String(today.getDate()).padStart(2, "0")}`;
+};
+
+// BKK KAUNG PYAE Car Showroom Installment Formula (Flexible)
+// interestMethod: "flat" (flat % of the financed amount every month),
+// "reducing" (annuity on the remaining balance) or "addon" (flat payments,
+// interest earned by the rule of 78s so early payoff gets a rebate)
+export function calculateCarInstallment({
+  carValue,
+  vatPercent = VAT_PERCENT,
+  downPayment,
+  interestPerMonth,
+  financeFees = 0,
+  months,
+  interestMethod = "flat",
+}) {
+  // 1. Total with VAT
+  const total_with_vat = carValue + carValue * (vatPercent / 100);
+
+  // 2. Add finance fees
+  const total_with_vat_and_fees = total_with_vat + financeFees;
+
+  // 3. Down payment (exact amount)
+  const down_payment = downPayment;
+
+  // 4. Installment left to pay (remaining amount)
+  const installment_left_to_pay = total_with_vat_and_fees - down_payment;
+
+  // 5-8. Interest and monthly installment for the chosen method
+  const monthly_rate = interestPerMonth / 100;
+  let interest_per_month, total_interest, total_to_pay, monthly_installment;
+  if (interestMethod === "reducing" && monthly_rate > 0) {
+    monthly_installment = (installment_left_to_pay * monthly_rate) / (1 - Math.pow(1 + monthly_rate, -months));
+    total_to_pay = monthly_installment * months;
+    total_interest = total_to_pay - installment_left_to_pay;
+    // Varies month to month; this is the average for display
+    interest_per_month = total_interest / months;
+  } else {
+    interest_per_month = installment_left_to_pay * monthly_rate;
+    total_interest = interest_per_month * months;
+    total_to_pay = installment_left_to_pay + total_interest;
+    monthly_installment = total_to_pay / months;
+  }
+
+  // 9. Total amount customer will pay
+  const total_customer_payment = down_payment + total_to_pay;
+
+  // 10. Down payment percentage for display
+  const down_payment_percentage = (down_payment / total_with_vat_and_fees) * 100;
+
+  return {
+    total_with_vat,
+    total_with_vat_and_fees,
+    down_payment,
+    down_payment_percentage,
+    installment_left_to_pay,
+    interest_per_month,
+    total_interest,
+    total_to_pay,
+    monthly_installment,
+    total_customer_payment,
+    interest_method: interestMethod,
+    months,
+    interest_per_month_percent: interestPerMonth,
+  };
+}
+
+// Month-by-month schedule. Worked in satang so each row is exact to 2
+// decimals; the last month absorbs the rounding remainder so the rows add up
+// to the total payable (total_to_pay) exactly.
+export function buildAmortizationSchedule(calculation, { startDate } = {}) {
+  const months = calculation.months;
+  const method = calculation.interest_method;
+  const principalTotal = toSatang(calculation.installment_left_to_pay);
+  const monthlyPayment = toSatang(calculation.monthly_installment);
+  const totalToPay = toSatang(calculation.total_to_pay);
+
+  // Interest portion of each month, in satang
+  const interestByMonth = [];
+  if (method === "reducing") {
+    const rate = calculation.interest_per_month_percent / 100;
+    let balance = principalTotal;
+    for (let month = 1; month <= months; month++) {
+      // Interest on rounded balances drifts from the annuity total; the last month takes the difference
+      const interest =
+        month === months ? totalToPay - monthlyPayment * (months - 1) - balance : Math.round(balance * rate);
+      const principal = month === months ? balance : monthlyPayment - interest;
+      interestByMonth.push(interest);
+      balance -= principal;
+    }
+  } else {
+    const interestTotal = totalToPay - principalTotal;
+    // Rule of 78s: month k earns (n - k + 1) / (n(n + 1) / 2) of the interest
+    const digits = (months * (months + 1)) / 2;
+    let allocated = 0;
+    for (let month = 1; month <= months; month++) {
+      const share =
+        method === "addon"
+          ? Math.round((interestTotal * (months - month + 1)) / digits)
+          : toSatang(calculation.interest_per_month);
+      const interest = month === months ? interestTotal - allocated : share;
+      interestByMonth.push(interest);
+      allocated += interest;
+    }
+  }
+
+  const rows = [];
+  let balance = principalTotal;
+  for (let month = 1; month <= months; month++) {
+    const isLast = month === months;
+    const interest = interestByMonth[month - 1];
+    const principal = isLast ? balance : monthlyPayment - interest;
+    const payment = principal + interest;
+    const unearnedInterest = interestByMonth.slice(month).reduce((sum, value) => sum + value, 0);
+    rows.push({
+      month,
+      dueDate: startDate ? addMonths(startDate, month) : null,
+      opening: fromSatang(balance),
+      payment: fromSatang(payment),
+      principal: fromSatang(principal),
+      interest: fromSatang(interest),
+      closing: fromSatang(balance - principal),
+      // Interest given back if the customer settles right after this month
+      rebate: method === "addon" ? fromSatang(unearnedInterest) : 0,
+    });
+    balance -= principal;
+  }
+
+  const totalPayments = rows.reduce((sum, row) => sum + toSatang(row.payment), 0);
+  const downPayment = toSatang(calculation.down_payment);
+  return {
+    rows,
+    downPayment: fromSatang(downPayment),
+    monthlyPayment: rows[0] ? rows[0].payment : 0,
+    lastPayment: rows[rows.length - 1]?.payment ?? 0,
+    totalPrincipal: fromSatang(principalTotal),
+    totalInterest: fromSatang(totalPayments - principalTotal),
+    totalPayments: fromSatang(totalPayments),
+    totalCustomerPayment: fromSatang(downPayment + totalPayments),
+  };
+}
+
+// Monthly rate r that discounts the payments back to the amount financed
+// (internal rate of return), found by bisection. APR = 12r; the effective
+// annual rate compounds it: (1 + r)^12 - 1. Both are percentages.
+export function calculateApr(financed, payments) {
+  if (!(financed > 0) || payments.length === 0) return { apr: 0, effectiveAnnualRate: 0 };
+  const presentValue = (rate) => payments.reduce((sum, payment, i) => sum + payment / Math.pow(1 + rate, i + 1), 0);
+  if (presentValue(0) <= financed) return { apr: 0, effectiveAnnualRate: 0 };
+
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (presentValue(mid) > financed) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  const monthlyRate = (low + high) / 2;
+  return {
+    apr: monthlyRate * 12 * 100,
+    effectiveAnnualRate: (Math.pow(1 + monthlyRate, 12) - 1) * 100,
+  };
+}
+
+// Numbers a screen needs to show or store a quote. `monthlyPayment` is the
+// rounded figure the customer pays in months 1..n-1; `lastPayment` may differ
+// by the rounding remainder.
+export function buildQuote(inputs) {
+  const calculation = calculateCarInstallment(inputs);
+  const schedule = buildAmortizationSchedule(calculation, { startDate: inputs.startDate });
+  const rate = calculateApr(schedule.totalPrincipal, schedule.rows.map((row) => row.payment));
+  return {
+    calculation,
+    schedule,
+    monthlyPayment: schedule.monthlyPayment,
+    lastPayment: schedule.lastPayment,
+    financedAmount: schedule.totalPrincipal,
+    totalInterest: schedule.totalInterest,
+    totalPayable: schedule.totalPayments,
+    totalCustomerPayment: schedule.totalCustomerPayment,
+    apr: rate.apr,
+    effectiveAnnualRate: rate.effectiveAnnualRate,
+  };
+}
+
+// Parses form strings into engine inputs; returns null until every required
+// field holds a usable number
+export function parseQuoteInputs({ carValue, vatPercent, downPayment, interestPerMonth, financeFees, months, interestMethod, startDate }) {
+  const parsed = {
+    carValue: parseFloat(carValue),
+    vatPercent: vatPercent === undefined || vatPercent === "" ? VAT_PERCENT : parseFloat(vatPercent),
+    downPayment: parseFloat(downPayment) || 0,
+    interestPerMonth: parseFloat(interestPerMonth) || 0,
+    financeFees: parseFloat(financeFees) || 0,
+    months: parseInt(months, 10),
+    interestMethod: interestMethod || "flat",
+    startDate,
+  };
+  if (!(parsed.carValue > 0) || !(parsed.months > 0) || Number.isNaN(parsed.vatPercent)) return null;
+  if (parsed.downPayment >= parsed.carValue * (1 + parsed.vatPercent / 100) + parsed.financeFees) return null;
+  return parsed;
+}
+
+// Amount due for a month of an existing contract. Contracts priced by the
+// engine carry their own schedule; older ones only have a flat monthly figure.
+export function scheduledPaymentForMonth({ monthlyPayment, months, totalPayable }, month) {
+  const monthly = toSatang(monthlyPayment);
+  if (month === months && totalPayable) {
+    return fromSatang(toSatang(totalPayable) - monthly * (months - 1));
+  }
+  return fromSatang(monthly);
+}
+
+// Sum of the scheduled amounts for the given month numbers
+export function sumScheduledPayments(contract, monthNumbers) {
+  return fromSatang(
+    monthNumbers.reduce((sum, month) => sum + toSatang(scheduledPaymentForMonth(contract, month)), 0)
+  );
+}
@@ -0,0 +1,169 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  INTEREST_METHODS,
+  buildAmortizationSchedule,
+  buildQuote,
+  calculateCarInstallment,
+  scheduledPaymentForMonth,
+  sumScheduledPayments,
+  toSatang,
+} from "./installments.js";
+
+// ฿500,000 car, 7% VAT, ฿5,000 fees, ฿100,000 down, 1% a month over 12 months
+const STANDARD = { carValue: 500000, downPayment: 100000, interestPerMonth: 1, financeFees: 5000, months: 12 };
+
+// Awkward amounts and terms that leave rounding remainders
+const CASES = [
+  STANDARD,
+  { carValue: 333333.33, downPayment: 77777.77, interestPerMonth: 1.25, financeFees: 1234.56, months: 7 },
+  { carValue: 987654.32, downPayment: 123456.78, interestPerMonth: 0.89, financeFees: 9999.99, months: 60 },
+  { carValue: 1000, downPayment: 0, interestPerMonth: 0, financeFees: 0, months: 3 },
+];
+
+const sumSatang = (rows, key) => rows.reduce((sum, row) => sum + toSatang(row[key]), 0);
+
+describe("calculateCarInstallment", () => {
+  test("flat rate charges the monthly rate on the amount financed every month", () => {
+    const result = calculateCarInstallment(STANDARD);
+    assert.equal(result.total_with_vat, 535000);
+    assert.equal(result.total_with_vat_and_fees, 540000);
+    assert.equal(result.installment_left_to_pay, 440000);
+    assert.equal(result.interest_per_month, 4400);
+    assert.equal(result.total_interest, 52800);
+    assert.equal(result.total_to_pay, 492800);
+    assert.equal(toSatang(result.monthly_installment), 4106667);
+    assert.equal(result.total_customer_payment, 592800);
+    assert.equal(result.down_payment_percentage, (100000 / 540000) * 100);
+  });
+
+  test("flat is the default method", () => {
+    assert.equal(calculateCarInstallment(STANDARD).interest_method, "flat");
+  });
+
+  test("reducing balance uses the annuity payment", () => {
+    const result = calculateCarInstallment({ ...STANDARD, interestMethod: "reducing" });
+    assert.equal(toSatang(result.monthly_installment), 3909347);
+    assert.ok(Math.abs(result.total_to_pay - result.monthly_installment * 12) < 1e-6);
+    assert.ok(result.total_interest < calculateCarInstallment(STANDARD).total_interest);
+  });
+
+  test("add-on prices the same payments as flat", () => {
+    const flat = calculateCarInstallment(STANDARD);
+    const addon = calculateCarInstallment({ ...STANDARD, interestMethod: "addon" });
+    assert.equal(addon.monthly_installment, flat.monthly_installment);
+    assert.equal(addon.total_to_pay, flat.total_to_pay);
+  });
+
+  test("reducing balance at 0% splits the amount financed evenly", () => {
+    const result = calculateCarInstallment({ ...STANDARD, interestPerMonth: 0, interestMethod: "reducing" });
+    assert.equal(result.total_interest, 0);
+    assert.equal(result.monthly_installment, 440000 / 12);
+  });
+
+  test("uses the VAT rate it is given", () => {
+    const result = calculateCarInstallment({ ...STANDARD, vatPercent: 0 });
+    assert.equal(result.total_with_vat, 500000);
+    assert.equal(result.installment_left_to_pay, 405000);
+  });
+});
+
+describe("buildAmortizationSchedule", () => {
+  for (const method of Object.keys(INTEREST_METHODS)) {
+    for (const inputs of CASES) {
+      const label = `${method}, ฿${inputs.carValue} over ${inputs.months} months`;
+      const calculation = calculateCarInstallment({ ...inputs, interestMethod: method });
+      const schedule = buildAmortizationSchedule(calculation);
+      const { rows } = schedule;
+
+      test(`${label}: rows add up to the total payable to the satang`, () => {
+        assert.equal(rows.length, inputs.months);
+        assert.equal(sumSatang(rows, "payment"), toSatang(calculation.total_to_pay));
+        assert.equal(toSatang(schedule.totalPayments), toSatang(calculation.total_to_pay));
+        assert.equal(sumSatang(rows, "principal"), toSatang(calculation.installment_left_to_pay));
+        assert.equal(
+          toSatang(schedule.totalCustomerPayment),
+          toSatang(calculation.down_payment) + toSatang(calculation.total_to_pay)
+        );
+      });
+
+      test(`${label}: every month but the last pays the rounded installment`, () => {
+        const monthly = toSatang(calculation.monthly_installment);
+        rows.slice(0, -1).forEach((row) => assert.equal(toSatang(row.payment), monthly));
+        const remainder = toSatang(calculation.total_to_pay) - monthly * (inputs.months - 1);
+        assert.equal(toSatang(schedule.lastPayment), remainder);
+      });
+
+      test(`${label}: balances run down to zero`, () => {
+        rows.forEach((row, index) => {
+          assert.equal(toSatang(row.payment), toSatang(row.principal) + toSatang(row.interest));
+          assert.equal(toSatang(row.closing), toSatang(row.opening) - toSatang(row.principal));
+          if (index > 0) assert.equal(row.opening, rows[index - 1].closing);
+        });
+        assert.equal(toSatang(rows[0].opening), toSatang(calculation.installment_left_to_pay));
+        assert.equal(rows[rows.length - 1].closing, 0);
+      });
+    }
+  }
+
+  test("add-on interest follows the rule of 78s and the rebate shrinks to nothing", () => {
+    const calculation = calculateCarInstallment({ ...STANDARD, interestMethod: "addon" });
+    const { rows } = buildAmortizationSchedule(calculation);
+    assert.equal(rows[0].interest, 8123.08);
+    assert.equal(rows[10].rebate, 676.92);
+    assert.equal(rows[11].rebate, 0);
+    rows.slice(1).forEach((row, index) => assert.ok(row.interest <= rows[index].interest));
+  });
+
+  test("flat and reducing schedules have no rebate", () => {
+    for (const method of ["flat", "reducing"]) {
+      const { rows } = buildAmortizationSchedule(calculateCarInstallment({ ...STANDARD, interestMethod: method }));
+      rows.forEach((row) => assert.equal(row.rebate, 0));
+    }
+  });
+
+  test("due dates fall on the start day, or the month end when it is shorter", () => {
+    const { rows } = buildAmortizationSchedule(calculateCarInstallment(STANDARD), { startDate: "2025-12-31" });
+    const dueDates = rows.slice(0, 3).map((row) => row.dueDate.toDateString());
+    assert.deepEqual(dueDates, [
+      new Date(2026, 0, 31).toDateString(),
+      new Date(2026, 1, 28).toDateString(),
+      new Date(2026, 2, 31).toDateString(),
+    ]);
+  });
+
+  test("due dates are left empty without a start date", () => {
+    const { rows } = buildAmortizationSchedule(calculateCarInstallment(STANDARD));
+    rows.forEach((row) => assert.equal(row.dueDate, null));
+  });
+});
+
+describe("scheduledPaymentForMonth", () => {
+  const contract = { monthlyPayment: 41066.67, months: 12, totalPayable: 492800 };
+
+  test("regular months are the monthly payment", () => {
+    assert.equal(scheduledPaymentForMonth(contract, 1), 41066.67);
+    assert.equal(scheduledPaymentForMonth(contract, 11), 41066.67);
+  });
+
+  test("the last month takes whatever is left of the total payable", () => {
+    assert.equal(scheduledPaymentForMonth(contract, 12), 41066.63);
+  });
+
+  test("older contracts without a total payable pay the flat figure every month", () => {
+    assert.equal(scheduledPaymentForMonth({ monthlyPayment: 15000, months: 24 }, 24), 15000);
+  });
+
+  for (const method of Object.keys(INTEREST_METHODS)) {
+    test(`${method}: matches the stored schedule month by month`, () => {
+      const quote = buildQuote({ ...CASES[1], interestMethod: method });
+      const stored = { monthlyPayment: quote.monthlyPayment, months: CASES[1].months, totalPayable: quote.totalPayable };
+      quote.schedule.rows.forEach((row) => assert.equal(scheduledPaymentForMonth(stored, row.month), row.payment));
+    });
+  }
+
+  test("sumScheduledPayments adds the chosen months", () => {
+    assert.equal(sumScheduledPayments(contract, [11, 12]), 82133.3);
+    assert.equal(sumScheduledPayments(contract, []), 0);
+  });
+});
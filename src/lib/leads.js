@@ -0,0 +1,123 @@
+// Prospect inquiries logged by staff against a car. Leads are stored on the
+// backend so the admin funnel counts every device's inquiries. A lead moves
+// open -> test drive -> sold (or lost); the admin funnel counts how many
+// reach each stage per car and per staff member.
+import { createLead, editLead, getLeads, getStoredUser } from "@/lib/api";
+import { todayInputValue } from "@/lib/installments";
+
+export const LEAD_SOURCES = {
+  walk_in: "Walk-in",
+  facebook: "Facebook",
+  phone: "Phone",
+  referral: "Referral",
+};
+
+export const LEAD_STATUSES = {
+  open: "Open",
+  test_drive: "Test Drive",
+  sold: "Sold",
+  lost: "Lost",
+};
+
+const normalizeLead = (lead) => ({ ...lead, id: String(lead.id ?? lead._id) });
+
+const leadOf = (response) => normalizeLead(response?.data ?? response);
+
+// params: { carId, staffId } to narrow the list; without them every lead
+export async function fetchLeads(params, options) {
+  const response = await getLeads(params, options);
+  const leads = Array.isArray(response?.data) ? response.data : Array.isArray(response) ? response : [];
+  return leads.map(normalizeLead);
+}
+
+// Puts a saved lead into a list held in state: replaced in place, or added first when new
+export const mergeLead = (leads, saved) =>
+  leads.some((lead) => lead.id === saved.id) ? leads.map((lead) => (lead.id === saved.id ? saved : lead)) : [saved, ...leads];
+
+// { id, name } of the logged-in user, used to assign leads
+export function currentStaff() {
+  const user = getStoredUser();
+  const name = user?.name || user?.username || user?.email || "Unknown";
+  return { id: String(user?.id || user?._id || user?.email || name), name };
+}
+
+// Logs a new inquiry for the current user. Resolves to the saved lead.
+export async function addLead(details, options) {
+  const staff = currentStaff();
+  const now = new Date().toISOString();
+  const lead = {
+    ...details,
+    status: "open",
+    staffId: staff.id,
+    staffName: staff.name,
+    createdAt: now,
+    updatedAt: now,
+  };
+  return leadOf(await createLead(lead, options));
+}
+
+export const updateLead = async (id, changes, options) =>
+  leadOf(await editLead(id, { ...changes, updatedAt: new Date().toISOString() }, options));
+
+const STATUS_STAMPS = { test_drive: "testDriveAt", sold: "soldAt", lost: "lostAt" };
+
+// Moves a lead to a new status, stamping when it got there. Closed leads need no follow-up.
+export function setLeadStatus(id, status, options) {
+  const changes = { status };
+  if (STATUS_STAMPS[status]) changes[STATUS_STAMPS[status]] = new Date().toISOString();
+  if (status === "sold" || status === "lost") changes.followUpDate = "";
+  return updateLead(id, changes, options);
+}
+
+export const isLeadOpen = (lead) => lead.status === "open" || lead.status === "test_drive";
+
+// Open leads of one staff member due for a call today, overdue ones first
+export function followUpsDue(leads, staffId, today = todayInputValue()) {
+  return leads
+    .filter((lead) => lead.staffId === staffId && isLeadOpen(lead) && lead.followUpDate && lead.followUpDate <= today)
+    .sort((a, b) => a.followUpDate.localeCompare(b.followUpDate));
+}
+
+const digits = (phone) => String(phone || "").replace(/\D/g, "");
+
+// Staff don't always close their leads, so a lead also counts as sold when
+// its car was sold to someone with the same phone number
+export function markSoldFromSales(leads, soldCars) {
+  const buyerPhones = new Map();
+  soldCars.forEach((car) => {
+    const buyer = car.sale?.buyer || car.installment?.buyer;
+    const phone = digits(buyer?.phone);
+    if (phone) buyerPhones.set(String(car.id || car._id), phone);
+  });
+  return leads.map((lead) =>
+    lead.status !== "sold" && digits(lead.phone) && buyerPhones.get(String(lead.carId)) === digits(lead.phone)
+      ? { ...lead, status: "sold", soldFromSale: true }
+      : lead
+  );
+}
+
+// One funnel row per group: inquiries -> test drives -> sold.
+// A sold lead counts as test-driven even if the test drive was never logged.
+export function buildFunnel(leads, groupBy) {
+  const groups = new Map();
+  leads.forEach((lead) => {
+    const { key, label } = groupBy(lead);
+    const row = groups.get(key) || { key, label, inquiries: 0, testDrives: 0, sold: 0, lost: 0 };
+    row.inquiries++;
+    if (lead.testDriveAt || lead.status === "test_drive" || lead.status === "sold") row.testDrives++;
+    if (lead.status === "sold") row.sold++;
+    if (lead.status === "lost") row.lost++;
+    groups.set(key, row);
+  });
+  return [...groups.values()]
+    .map((row) => ({
+      ...row,
+      testDriveRate: row.inquiries > 0 ? row.testDrives / row.inquiries : 0,
+      conversionRate: row.inquiries > 0 ? row.sold / row.inquiries : 0,
+    }))
+    .sort((a, b) => b.inquiries - a.inquiries || b.sold - a.sold);
+}
+
+export const funnelByCar = (leads) => buildFunnel(leads, (lead) => ({ key: String(lead.carId), label: lead.carLabel || `Car ${lead.carId}` }));
+
+export const funnelByStaff = (leads) => buildFunnel(leads, (lead) => ({ key: lead.staffId, label: lead.staffName || lead.staffId }));
@@ -0,0 +1,94 @@
+// Where a car is in its life at the showroom. Each transition is appended to
+// car.statusHistory ({ status, at, by, note }) through the edit endpoint, and
+// car.lifecycleStatus holds the latest one. Cars recorded before this existed
+// have no history, so the timeline also infers steps from the data they do
+// carry (purchase date, reservation, sale, installment, owner book transfer).
+// The history sits on the car record, so notes never carry customer details
+// or amounts.
+import { editCar, getStoredUser, isAbortError } from "@/lib/api";
+import { activeReservation } from "@/lib/reservations";
+
+export const LIFECYCLE_STATUSES = {
+  purchased: { label: "Purchased", badge: "bg-gray-200 text-gray-800" },
+  in_repair: { label: "In Repair", badge: "bg-orange-100 text-orange-800" },
+  ready_for_sale: { label: "Ready for Sale", badge: "bg-blue-100 text-blue-800" },
+  reserved: { label: "Reserved", badge: "bg-yellow-100 text-yellow-800" },
+  sold_cash: { label: "Sold (Cash)", badge: "bg-green-100 text-green-800" },
+  sold_installment: { label: "Sold (Installment)", badge: "bg-green-100 text-green-800" },
+  owner_book_transferred: { label: "Owner Book Transferred", badge: "bg-purple-100 text-purple-800" },
+  returned: { label: "Returned / Repossessed", badge: "bg-red-100 text-red-800" },
+};
+
+// Statuses set by hand; the rest follow from reserving, selling and transferring
+export const MANUAL_STATUSES = ["purchased", "in_repair", "ready_for_sale", "returned"];
+
+const historyOf = (car) => (Array.isArray(car?.statusHistory) ? car.statusHistory : []);
+
+// When the car last changed hands: the latest sale, installment start or
+// owner book transfer date (-Infinity if it was never sold)
+const soldAt = (car) =>
+  Math.max(
+    -Infinity,
+    ...[car?.sale?.soldDate || car?.sale?.date, car?.installment?.startDate, car?.ownerBookTransfer?.transferDate]
+      .map((date) => new Date(date).getTime())
+      .filter(Number.isFinite)
+  );
+
+// The current status: sale records and holds win over the recorded history,
+// which can lag behind if a follow-up save failed. The exception is a car
+// returned or repossessed after its sale, which keeps the sale on record. A
+// car listed before statuses were recorded counts as ready for sale.
+export function currentStatus(car, now = new Date()) {
+  const latest = historyOf(car).at(-1);
+  if (latest?.status === "returned" && new Date(latest.at).getTime() > soldAt(car)) return "returned";
+  if (car?.ownerBookTransfer?.transferred) return "owner_book_transferred";
+  if (car?.installment) return "sold_installment";
+  if (car?.sale) return "sold_cash";
+  if (activeReservation(car, now)) return "reserved";
+  const recorded = car?.lifecycleStatus || historyOf(car).at(-1)?.status;
+  return MANUAL_STATUSES.includes(recorded) ? recorded : "ready_for_sale";
+}
+
+// Recorded transitions plus steps inferred from older data, oldest first.
+// An inferred step is left out when the history already has that status.
+export function buildTimeline(car) {
+  const history = historyOf(car).map((entry) => ({ ...entry, inferred: false }));
+  const recorded = new Set(history.map((entry) => entry.status));
+  const inferred = [];
+  const infer = (status, at, note = "") => {
+    if (!at || recorded.has(status) || Number.isNaN(new Date(at).getTime())) return;
+    inferred.push({ status, at, by: "", note, inferred: true });
+  };
+
+  infer("purchased", car?.purchaseDate || car?.createdAt);
+  const reservation = car?.reservation;
+  if (reservation?.reservedAt) {
+    infer("reserved", reservation.reservedAt, reservation.customer?.name ? `Held for ${reservation.customer.name}` : "");
+  }
+  infer("sold_cash", car?.sale?.soldDate || car?.sale?.date);
+  infer("sold_installment", car?.installment?.startDate);
+  if (car?.ownerBookTransfer?.transferred) infer("owner_book_transferred", car.ownerBookTransfer.transferDate);
+
+  return [...history, ...inferred].sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+const entryFor = (status, note) => {
+  const user = getStoredUser();
+  return { status, at: new Date().toISOString(), by: user?.name || user?.username || user?.email || "", note };
+};
+
+// Saves a transition; returns the fields to merge into the car
+export async function recordTransition(car, status, note = "", options) {
+  const fields = { lifecycleStatus: status, statusHistory: [...historyOf(car), entryFor(status, note)] };
+  await editCar(car.id, fields, options);
+  return fields;
+}
+
+// For steps that follow another save (sale, transfer...): a failure is logged
+// rather than undoing the step, and the timeline still infers it
+export const recordTransitionQuietly = (car, status, note, options) =>
+  recordTransition(car, status, note, options).catch((error) => {
+    if (isAbortError(error)) throw error;
+    console.error(`Failed to record the "${status}" status:`, error);
+    return null;
+  });
@@ -0,0 +1,30 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { currentStatus } from "./lifecycle.js";
+
+const entry = (status, at) => ({ status, at, by: "", note: "" });
+
+describe("currentStatus", () => {
+  test("a sale wins over a recorded status that lags behind it", () => {
+    const car = { sale: { soldDate: "2026-03-01" }, statusHistory: [entry("ready_for_sale", "2026-02-01T09:00:00Z")] };
+    assert.equal(currentStatus(car), "sold_cash");
+  });
+
+  test("a car returned after its sale is returned, sale record or not", () => {
+    const history = [entry("sold_installment", "2026-03-01T09:00:00Z"), entry("returned", "2026-08-10T09:00:00Z")];
+    assert.equal(currentStatus({ installment: { startDate: "2026-03-01" }, statusHistory: history }), "returned");
+    assert.equal(
+      currentStatus({ sale: { soldDate: "2026-03-01" }, ownerBookTransfer: { transferred: true, transferDate: "2026-04-01" }, statusHistory: history }),
+      "returned"
+    );
+  });
+
+  test("a car sold again after it was returned is sold", () => {
+    const history = [entry("returned", "2026-08-10T09:00:00Z")];
+    assert.equal(currentStatus({ sale: { soldDate: "2026-09-01" }, statusHistory: history }), "sold_cash");
+  });
+
+  test("a car with no history counts as ready for sale", () => {
+    assert.equal(currentStatus({}), "ready_for_sale");
+  });
+});
@@ -0,0 +1,122 @@
+// Owner book (registration) transfer after a sale. The backend only records
+// the end result (car.ownerBookTransfer via /owner-book-transfer), so the
+// steps leading up to it are saved on the car as car.ownerBookProcess:
+//   { startedAt, steps: { <step>: { dueDate, done, doneAt, doneBy, note, fee, feeRecorded, expenseId } },
+//     attachments: [{ id, name, url, addedAt }] }
+// Attachments are uploaded as files; ones added before that carry a dataUrl.
+// Fees are also recorded as general expenses so they show in the money
+// manager. Ticking the last step completes the transfer on the backend.
+import { createExpense, editCar, getStoredUser, transferOwnerBook, uploadDocument } from "@/lib/api";
+import { DOCUMENT_COMPRESSION, compressImage } from "@/lib/imageCompression";
+import { addMonths, todayInputValue } from "@/lib/installments";
+import { recordTransitionQuietly } from "@/lib/lifecycle";
+
+// dueAfterDays counts from the sale
+export const TRANSFER_STEPS = [
+  { key: "documents_collected", label: "Documents collected from buyer", dueAfterDays: 3 },
+  { key: "submitted", label: "Submitted to the land transport office", dueAfterDays: 7 },
+  { key: "fees_paid", label: "Transfer fees paid", dueAfterDays: 7, hasFee: true },
+  { key: "book_received", label: "Owner book received back", dueAfterDays: 30 },
+  { key: "handed_over", label: "Handed to customer", dueAfterDays: 35 },
+];
+
+const LAST_STEP = TRANSFER_STEPS[TRANSFER_STEPS.length - 1].key;
+
+const inputDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+// When the car was sold: cash sale date, else the installment start
+export const saleDateOf = (car) =>
+  String(car?.sale?.soldDate || car?.sale?.date || car?.installment?.startDate || "").split("T")[0];
+
+export const isTransferred = (car) => Boolean(car?.ownerBookTransfer?.transferred);
+
+export function newTransferProcess(saleDate = todayInputValue()) {
+  const steps = {};
+  TRANSFER_STEPS.forEach((step) => {
+    const due = addMonths(saleDate, 0);
+    due.setDate(due.getDate() + step.dueAfterDays);
+    steps[step.key] = { dueDate: inputDate(due), done: false, doneAt: "", doneBy: "", note: "", fee: "", feeRecorded: false, expenseId: "" };
+  });
+  return { startedAt: new Date().toISOString(), steps, attachments: [] };
+}
+
+// The saved process, or a fresh one dated from the sale
+export const transferProcessOf = (car) => car?.ownerBookProcess || newTransferProcess(saleDateOf(car) || undefined);
+
+export const nextTransferStep = (process) => TRANSFER_STEPS.find((step) => !process.steps[step.key]?.done) || null;
+
+export const isStepOverdue = (stepState, today = todayInputValue()) =>
+  Boolean(stepState && !stepState.done && stepState.dueDate && stepState.dueDate < today);
+
+export const saveTransferProcess = (carId, process, options) => editCar(carId, { ownerBookProcess: process }, options);
+
+// Marks a step done by the current user
+export function completeStep(process, key) {
+  const user = getStoredUser();
+  return {
+    ...process,
+    steps: {
+      ...process.steps,
+      [key]: { ...process.steps[key], done: true, doneAt: new Date().toISOString(), doneBy: user?.name || user?.username || user?.email || "" },
+    },
+  };
+}
+
+export const isLastStep = (key) => key === LAST_STEP;
+
+// Uploads a shrunk copy of a scanned document; returns the attachment to save
+export async function uploadAttachment(file, options) {
+  const compressed = await compressImage(file, { ...DOCUMENT_COMPRESSION, signal: options?.signal });
+  return {
+    id: `D-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: file.name,
+    url: await uploadDocument(compressed, options),
+    addedAt: new Date().toISOString(),
+  };
+}
+
+export const attachmentUrl = (attachment) => attachment.url || attachment.dataUrl;
+
+// Books the transfer fee in the money manager; returns the expense id
+export async function recordTransferFee(carLabel, amount, options) {
+  const result = await createExpense(
+    {
+      title: `Owner book transfer fee - ${carLabel}`,
+      description: "Land transport office fees for the owner book transfer",
+      amount,
+      expenseDate: todayInputValue(),
+    },
+    options
+  );
+  const expense = result?.data || result;
+  return expense?._id || expense?.id || "";
+}
+
+// The book reached the customer: record the transfer on the backend
+export async function completeTransfer(car, notes, options) {
+  const result = await transferOwnerBook(car.id, { notes }, options);
+  if (result?.success === false) throw new Error(result.message || "Unknown error occurred");
+  await recordTransitionQuietly(car, "owner_book_transferred", "", options);
+  return result;
+}
+
+// Sold cars still waiting for their owner book, longest wait first
+export function pendingTransfers(soldCars, today = new Date()) {
+  return soldCars
+    .filter((car) => !isTransferred(car))
+    .map((car) => {
+      const process = transferProcessOf(car);
+      const since = saleDateOf(car) || String(process.startedAt).split("T")[0];
+      const next = nextTransferStep(process);
+      return {
+        car,
+        process,
+        since,
+        days: since ? Math.max(0, Math.floor((today - addMonths(since, 0)) / 86400000)) : 0,
+        nextStep: next,
+        overdue: next ? isStepOverdue(process.steps[next.key], inputDate(today)) : false,
+      };
+    })
+    .sort((a, b) => b.days - a.days);
+}
@@ -0,0 +1,78 @@
+// Late-payment penalties for installment contracts. A month is overdue once
+// its due date (start date + n months) has passed without a payment; the
+// penalty only starts after the grace days and is then
+//   flat fee + % of the installment + per-day fee for each day past grace,
+// limited by the cap (0 = no cap). Rounded to whole baht.
+// The rules are a showroom-wide setting on the server, so every admin and
+// every screen charges the same.
+import { getSetting, saveSetting } from "@/lib/api";
+import { addMonths } from "@/lib/installments";
+
+const PENALTY_RULES_SETTING = "penaltyRules";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_PENALTY_RULES = {
+  graceDays: 5,
+  flatFee: 0,
+  percentOfInstallment: 5,
+  perDayFee: 0,
+  cap: 0,
+};
+
+// Saved values that aren't usable numbers fall back to the defaults
+export function normalizePenaltyRules(saved) {
+  if (!saved || typeof saved !== "object") return DEFAULT_PENALTY_RULES;
+  return Object.fromEntries(
+    Object.entries(DEFAULT_PENALTY_RULES).map(([key, fallback]) => {
+      const value = Number(saved[key]);
+      return [key, Number.isFinite(value) && value >= 0 ? value : fallback];
+    })
+  );
+}
+
+export async function fetchPenaltyRules(options) {
+  const response = await getSetting(PENALTY_RULES_SETTING, options);
+  return normalizePenaltyRules(response?.data ?? response);
+}
+
+export const savePenaltyRules = (rules, options) => saveSetting(PENALTY_RULES_SETTING, rules, options);
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Whole calendar days from the due date to `today` (0 or less = not late)
+export const daysLate = (dueDate, today = new Date()) =>
+  Math.round((startOfDay(today) - startOfDay(dueDate)) / DAY_MS);
+
+export function calculatePenalty(rules, { installmentAmount, daysLate: late }) {
+  const chargeableDays = late - (Number(rules.graceDays) || 0);
+  if (chargeableDays <= 0) return 0;
+  let penalty =
+    (Number(rules.flatFee) || 0) +
+    ((Number(rules.percentOfInstallment) || 0) / 100) * (Number(installmentAmount) || 0) +
+    (Number(rules.perDayFee) || 0) * chargeableDays;
+  if (Number(rules.cap) > 0) {
+    penalty = Math.min(penalty, Number(rules.cap));
+  }
+  return Math.round(penalty);
+}
+
+// Unpaid months whose due date has passed, with the suggested penalty.
+// `amountForMonth(month)` gives the installment due for that month.
+export function findOverdueMonths({ startDate, months, paidMonths, amountForMonth, rules, today = new Date() }) {
+  if (!startDate || !months) return [];
+  const overdue = [];
+  for (let month = 1; month <= months; month++) {
+    if (paidMonths.has(month)) continue;
+    const dueDate = addMonths(startDate, month);
+    const late = daysLate(dueDate, today);
+    if (late <= 0) break; // later months are not due yet either
+    overdue.push({
+      month,
+      dueDate,
+      daysLate: late,
+      withinGrace: late <= (Number(rules.graceDays) || 0),
+      suggestedPenalty: calculatePenalty(rules, { installmentAmount: amountForMonth(month), daysLate: late }),
+    });
+  }
+  return overdue;
+}
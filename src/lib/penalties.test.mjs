@@ -0,0 +1,89 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { calculatePenalty, daysLate, DEFAULT_PENALTY_RULES, findOverdueMonths, normalizePenaltyRules } from "./penalties.js";
+
+describe("normalizePenaltyRules", () => {
+  test("missing settings fall back to the defaults", () => {
+    assert.deepEqual(normalizePenaltyRules(null), DEFAULT_PENALTY_RULES);
+    assert.deepEqual(normalizePenaltyRules("5"), DEFAULT_PENALTY_RULES);
+  });
+
+  test("numeric strings are kept, negative or non-numeric values are not", () => {
+    const rules = normalizePenaltyRules({ graceDays: "7", flatFee: "abc", perDayFee: 50, cap: -1 });
+    assert.deepEqual(rules, { graceDays: 7, flatFee: 0, percentOfInstallment: 5, perDayFee: 50, cap: 0 });
+  });
+});
+
+describe("daysLate", () => {
+  test("counts whole calendar days and ignores the time of day", () => {
+    const dueDate = new Date(2026, 0, 15);
+    assert.equal(daysLate(dueDate, new Date(2026, 0, 15, 23, 30)), 0);
+    assert.equal(daysLate(dueDate, new Date(2026, 0, 20, 0, 5)), 5);
+    assert.equal(daysLate(dueDate, new Date(2026, 0, 10)), -5);
+  });
+
+  test("counts across a month end", () => {
+    assert.equal(daysLate(new Date(2026, 2, 15), new Date(2026, 4, 18)), 64);
+  });
+});
+
+describe("calculatePenalty", () => {
+  const rules = { graceDays: 5, flatFee: 200, percentOfInstallment: 5, perDayFee: 100, cap: 0 };
+
+  test("nothing is charged within the grace days", () => {
+    assert.equal(calculatePenalty(rules, { installmentAmount: 10000, daysLate: 0 }), 0);
+    assert.equal(calculatePenalty(rules, { installmentAmount: 10000, daysLate: 5 }), 0);
+  });
+
+  test("flat fee, percentage and per-day fee count from the end of the grace days", () => {
+    // 200 + 5% of 10,000 + 3 days x 100
+    assert.equal(calculatePenalty(rules, { installmentAmount: 10000, daysLate: 8 }), 1000);
+  });
+
+  test("the cap limits the penalty and 0 means no cap", () => {
+    assert.equal(calculatePenalty({ ...rules, cap: 700 }, { installmentAmount: 10000, daysLate: 8 }), 700);
+    assert.equal(calculatePenalty({ ...rules, cap: 700 }, { installmentAmount: 10000, daysLate: 6 }), 700);
+    assert.equal(calculatePenalty({ ...rules, cap: 0 }, { installmentAmount: 10000, daysLate: 30 }), 3200);
+  });
+
+  test("rounds to whole baht", () => {
+    const percentOnly = { graceDays: 0, flatFee: 0, percentOfInstallment: 3.333, perDayFee: 0, cap: 0 };
+    assert.equal(calculatePenalty(percentOnly, { installmentAmount: 1000, daysLate: 1 }), 33);
+  });
+});
+
+describe("findOverdueMonths", () => {
+  const overdue = (paidMonths, today) =>
+    findOverdueMonths({
+      startDate: "2026-01-15",
+      months: 6,
+      paidMonths: new Set(paidMonths),
+      amountForMonth: () => 10000,
+      rules: DEFAULT_PENALTY_RULES,
+      today,
+    });
+
+  test("lists unpaid months past their due date and stops at the first month not yet due", () => {
+    const months = overdue([1], new Date(2026, 4, 18));
+    assert.deepEqual(
+      months.map(({ month, daysLate: late, withinGrace, suggestedPenalty }) => ({ month, late, withinGrace, suggestedPenalty })),
+      [
+        { month: 2, late: 64, withinGrace: false, suggestedPenalty: 500 },
+        { month: 3, late: 33, withinGrace: false, suggestedPenalty: 500 },
+        { month: 4, late: 3, withinGrace: true, suggestedPenalty: 0 },
+      ]
+    );
+    assert.deepEqual(months[0].dueDate, new Date(2026, 2, 15));
+  });
+
+  test("a contract paid up to date has nothing overdue", () => {
+    assert.deepEqual(overdue([1, 2, 3, 4], new Date(2026, 4, 18)), []);
+  });
+
+  test("no start date means no schedule", () => {
+    assert.deepEqual(
+      findOverdueMonths({ startDate: "", months: 6, paidMonths: new Set(), amountForMonth: () => 0, rules: DEFAULT_PENALTY_RULES }),
+      []
+    );
+  });
+});
@@ -0,0 +1,129 @@
+// Which money fields each role may see on a car. Admins see everything; for
+// the other roles the admin picks from the configurable fields, while purchase
+// price, repair costs and profit are never shown outside the admin area. Like
+// the penalty rules, the settings are a showroom-wide setting on the server.
+// The staff pages load cars from the staff endpoints, where the backend
+// applies the same rules for the signed-in role; they still pass every car
+// through redactCar() as soon as it arrives and only keep what the role is
+// allowed to see.
+import { getSetting, getStoredUser, isAbortError, saveSetting } from "@/lib/api";
+
+const VISIBILITY_SETTING = "priceVisibility";
+
+export const VISIBILITY_ROLES = {
+  staff: "Staff",
+  moderator: "Moderator",
+};
+
+export const CONFIGURABLE_FIELDS = {
+  sellingPrice: "Selling Price",
+  minimumPrice: "Minimum Negotiable Price",
+  repairWork: "Repair History (work done, without costs)",
+};
+
+// Shown in the settings for reference; they cannot be switched on
+export const RESTRICTED_FIELDS = {
+  purchasePrice: "Purchase Price",
+  repairCost: "Repair Costs",
+  profit: "Profit",
+};
+
+const allFields = (value) => Object.fromEntries(Object.keys(CONFIGURABLE_FIELDS).map((field) => [field, value]));
+
+export const DEFAULT_VISIBILITY = Object.fromEntries(Object.keys(VISIBILITY_ROLES).map((role) => [role, allFields(true)]));
+
+// Saved values that aren't true/false fall back to the defaults
+export function normalizeVisibilityRules(saved) {
+  if (!saved || typeof saved !== "object") return DEFAULT_VISIBILITY;
+  return Object.fromEntries(
+    Object.entries(DEFAULT_VISIBILITY).map(([role, fields]) => [
+      role,
+      Object.fromEntries(Object.entries(fields).map(([field, fallback]) => [field, typeof saved[role]?.[field] === "boolean" ? saved[role][field] : fallback])),
+    ])
+  );
+}
+
+export async function fetchVisibilityRules(options) {
+  const response = await getSetting(VISIBILITY_SETTING, options);
+  return normalizeVisibilityRules(response?.data ?? response);
+}
+
+// For the staff pages, which carry on with the defaults if the rules can't be loaded
+export const fetchVisibilityRulesOrDefaults = (options) =>
+  fetchVisibilityRules(options).catch((error) => {
+    if (isAbortError(error)) throw error;
+    console.error("Failed to load price visibility:", error);
+    return DEFAULT_VISIBILITY;
+  });
+
+export const saveVisibilityRules = (rules, options) => saveSetting(VISIBILITY_SETTING, rules, options);
+
+// "admin", or the rules key for any other role. Unknown roles get staff rules.
+export function roleKey(role = getStoredUser()?.role) {
+  const key = String(role || "").toLowerCase();
+  if (key === "admin") return "admin";
+  return VISIBILITY_ROLES[key] ? key : "staff";
+}
+
+export function canSee(role, field, rules = DEFAULT_VISIBILITY) {
+  if (role === "admin") return true;
+  if (RESTRICTED_FIELDS[field]) return false;
+  return Boolean(rules[role]?.[field]);
+}
+
+const amountOf = (value) => {
+  const parsed = parseFloat(String(value ?? "").replace(/[^\d.-]/g, ""));
+  return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+// The minimum negotiable price on a redacted car: the floor the admin set (0 when not set)
+export const minimumPriceOf = (car) => amountOf(car?.minimumPrice);
+
+// Keys on a car record that give away what it cost or earned. The status
+// history and owner book paperwork go too: older history entries name the
+// buyer and the deposit, and the transfer steps carry fees and notes.
+const COST_KEYS = [
+  "priceToBuy",
+  "purchasePrice",
+  "originalPrice",
+  "repairJobs",
+  "repairCost",
+  "totalExpenses",
+  "financeFee",
+  "financeFees",
+  "profit",
+  "profitCalculation",
+  "statusHistory",
+  "ownerBookProcess",
+];
+
+// A copy of the car with only what the role may see. Selling price fields are
+// dropped when hidden, minimumPrice is only the floor the admin saved on the
+// car (never one worked out from the cost), and repair rows (`repairs`, or
+// `repairHistory` on cars saved locally) come back as `repairs` with their
+// description and date only.
+export function redactCar(car, role = roleKey(), rules = DEFAULT_VISIBILITY) {
+  if (!car || role === "admin") return car;
+  const visible = { ...car };
+  COST_KEYS.forEach((key) => delete visible[key]);
+  if (!canSee(role, "sellingPrice", rules)) {
+    delete visible.priceToSell;
+    delete visible.price;
+  }
+  if (canSee(role, "minimumPrice", rules)) {
+    visible.minimumPrice = minimumPriceOf(car);
+  } else {
+    delete visible.minimumPrice;
+  }
+  const repairs = car.repairs ?? car.repairHistory;
+  delete visible.repairs;
+  delete visible.repairHistory;
+  if (canSee(role, "repairWork", rules) && repairs) {
+    visible.repairs = Array.isArray(repairs)
+      ? repairs.map((repair) =>
+          repair && typeof repair === "object" ? { description: repair.description || repair.details || "", repairDate: repair.repairDate } : repair
+        )
+      : repairs;
+  }
+  return visible;
+}
@@ -0,0 +1,266 @@
+// Customer quotation / offer sheet as a real PDF file (jsPDF), with the car
+// photo, specs, price breakdown, payment schedule and a QR code to the car.
+// The built-in PDF fonts are Latin-only: amounts are written as "THB" since
+// there is no ฿ glyph, and Thai text (e.g. plate letters) needs a TTF added
+// with doc.addFont before it will show.
+import { INTEREST_METHODS, addMonths } from "@/lib/installments";
+
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const MARGIN = 14;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const BRAND_RED = [220, 53, 69];
+
+// Where the QR code points. Set NEXT_PUBLIC_CAR_LINK_TEMPLATE (with an {id}
+// placeholder) to a customer-facing listing; otherwise the showroom's own
+// car details page is used.
+export const carLinkFor = (carId, area = "staff") => {
+  const template = process.env.NEXT_PUBLIC_CAR_LINK_TEMPLATE;
+  if (template) return template.replace("{id}", encodeURIComponent(carId));
+  const origin = typeof window === "undefined" ? "" : window.location.origin;
+  return `${origin}/${area}/car-details/${encodeURIComponent(carId)}`;
+};
+
+const thb = (value) =>
+  `THB ${Number(value || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (value) => (value ? addMonths(value, 0).toLocaleDateString("en-GB") : "-");
+
+// Draws the photo through a canvas so any format the browser can show ends
+// up as JPEG. Resolves null when the image can't be loaded or is cross-origin
+// without CORS headers (the PDF is then produced without it).
+const loadImageAsJpeg = (url) =>
+  new Promise((resolve) => {
+    if (!url) {
+      resolve(null);
+      return;
+    }
+    const image = new Image();
+    image.crossOrigin = "anonymous";
+    image.onload = () => {
+      try {
+        const scale = Math.min(1, 1200 / Math.max(image.naturalWidth, image.naturalHeight));
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.round(image.naturalWidth * scale);
+        canvas.height = Math.round(image.naturalHeight * scale);
+        canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+        resolve({ dataUrl: canvas.toDataURL("image/jpeg", 0.85), width: canvas.width, height: canvas.height });
+      } catch (error) {
+        console.warn("Car photo could not be added to the quotation:", error);
+        resolve(null);
+      }
+    };
+    image.onerror = () => resolve(null);
+    image.src = url;
+  });
+
+const carPhotoUrl = (car) => {
+  const first = Array.isArray(car?.images) ? car.images[0] : null;
+  return (typeof first === "string" ? first : first?.url) || car?.image || car?.photo || null;
+};
+
+const carSpecs = (car) =>
+  [
+    ["Brand / Model", [car.brand, car.model].filter(Boolean).join(" ")],
+    ["Year", car.year || car.modelYear],
+    ["Color", car.color],
+    ["Engine", car.engine],
+    ["Gear", car.gear],
+    ["Wheel Drive", car.wheelDrive || car.wd],
+    ["License No.", car.licenseNo],
+    ["Car List No.", car.carList],
+  ].filter(([, value]) => value !== undefined && value !== null && value !== "");
+
+// quote: result of buildQuote(); inputs: the parsed engine inputs
+export async function downloadQuotationPdf({ car, customer = {}, quote, inputs, validUntil, quoteId, carLink }) {
+  const [{ jsPDF }, { default: QRCode }] = await Promise.all([import("jspdf"), import("qrcode")]);
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const { calculation, schedule } = quote;
+
+  const [photo, qrDataUrl] = await Promise.all([
+    loadImageAsJpeg(carPhotoUrl(car)),
+    carLink ? QRCode.toDataURL(carLink, { margin: 1, width: 256 }) : Promise.resolve(null),
+  ]);
+
+  // Header band
+  doc.setFillColor(...BRAND_RED);
+  doc.rect(0, 0, PAGE_WIDTH, 26, "F");
+  doc.setTextColor(255, 255, 255);
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(18);
+  doc.text("BKK KAUNG PYAE CAR SHOWROOM", MARGIN, 12);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(11);
+  doc.text("Installment Quotation", MARGIN, 20);
+  doc.setFontSize(9);
+  doc.text(`Quote No.: ${quoteId || "Draft"}`, PAGE_WIDTH - MARGIN, 12, { align: "right" });
+  doc.text(`Date: ${new Date().toLocaleDateString("en-GB")}`, PAGE_WIDTH - MARGIN, 17, { align: "right" });
+  doc.text(`Valid until: ${formatDate(validUntil)}`, PAGE_WIDTH - MARGIN, 22, { align: "right" });
+
+  let y = 34;
+  doc.setTextColor(33, 37, 41);
+
+  // Customer and QR code
+  const qrSize = 30;
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(11);
+  doc.text("Prepared for", MARGIN, y);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(10);
+  const customerLines = [
+    customer.name || "-",
+    customer.phone ? `Phone: ${customer.phone}` : null,
+    customer.passport ? `Passport: ${customer.passport}` : null,
+  ].filter(Boolean);
+  customerLines.forEach((line, i) => doc.text(line, MARGIN, y + 6 + i * 5));
+  if (qrDataUrl) {
+    doc.addImage(qrDataUrl, "PNG", PAGE_WIDTH - MARGIN - qrSize, y - 5, qrSize, qrSize);
+    doc.setFontSize(7);
+    doc.text("Scan to view this car", PAGE_WIDTH - MARGIN - qrSize / 2, y + qrSize - 2, { align: "center" });
+  }
+  y += qrDataUrl ? qrSize : 6 + customerLines.length * 5 + 4;
+
+  // Car photo and specs
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(11);
+  doc.text("Vehicle", MARGIN, y);
+  y += 3;
+  const photoWidth = 80;
+  let photoHeight = 0;
+  if (photo) {
+    photoHeight = Math.min(60, (photo.height / photo.width) * photoWidth);
+    doc.addImage(photo.dataUrl, "JPEG", MARGIN, y, photoWidth, photoHeight);
+  }
+  const specsX = photo ? MARGIN + photoWidth + 6 : MARGIN;
+  doc.setFontSize(10);
+  const specs = carSpecs(car);
+  specs.forEach(([label, value], i) => {
+    doc.setFont("helvetica", "bold");
+    doc.text(`${label}:`, specsX, y + 5 + i * 6);
+    doc.setFont("helvetica", "normal");
+    doc.text(String(value), specsX + 30, y + 5 + i * 6);
+  });
+  y += Math.max(photoHeight, specs.length * 6 + 2) + 8;
+
+  // Price breakdown
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(11);
+  doc.text("Price and Payment Terms", MARGIN, y);
+  y += 2;
+  const priceRows = [
+    ["Car price", thb(inputs.carValue)],
+    [`VAT (${inputs.vatPercent}%)`, thb(calculation.total_with_vat - inputs.carValue)],
+    ["Price including VAT", thb(calculation.total_with_vat)],
+    ...(inputs.financeFees > 0 ? [["Finance fees", thb(inputs.financeFees)]] : []),
+    ["Total", thb(calculation.total_with_vat_and_fees)],
+    ["Down payment", thb(schedule.downPayment)],
+    ["Amount financed", thb(quote.financedAmount)],
+    ["Interest", `${inputs.interestPerMonth}% per month, ${INTEREST_METHODS[inputs.interestMethod] || inputs.interestMethod}`],
+    ["Monthly installment", `${thb(quote.monthlyPayment)} x ${inputs.months} months`],
+    ...(quote.lastPayment !== quote.monthlyPayment ? [["Last installment", thb(quote.lastPayment)]] : []),
+    ["Total interest", thb(quote.totalInterest)],
+    ["Total customer payment", thb(quote.totalCustomerPayment)],
+    ["APR / effective annual rate", `${quote.apr.toFixed(2)}% / ${quote.effectiveAnnualRate.toFixed(2)}%`],
+  ];
+  doc.setFontSize(10);
+  priceRows.forEach(([label, value], i) => {
+    const rowY = y + 4 + i * 6;
+    if (i % 2 === 0) {
+      doc.setFillColor(248, 249, 250);
+      doc.rect(MARGIN, rowY - 4, CONTENT_WIDTH, 6, "F");
+    }
+    const emphasise = label === "Monthly installment" || label === "Total customer payment";
+    doc.setFont("helvetica", emphasise ? "bold" : "normal");
+    doc.text(label, MARGIN + 2, rowY);
+    doc.text(value, PAGE_WIDTH - MARGIN - 2, rowY, { align: "right" });
+  });
+  y += 4 + priceRows.length * 6 + 4;
+
+  // Payment schedule, continued on new pages as needed
+  const columns = [
+    { title: "Month", x: MARGIN + 2, align: "left" },
+    { title: "Due Date", x: MARGIN + 20, align: "left" },
+    { title: "Payment", x: MARGIN + 82, align: "right" },
+    { title: "Principal", x: MARGIN + 115, align: "right" },
+    { title: "Interest", x: MARGIN + 145, align: "right" },
+    { title: "Balance", x: PAGE_WIDTH - MARGIN - 2, align: "right" },
+  ];
+  const drawScheduleHeader = () => {
+    doc.setFillColor(...BRAND_RED);
+    doc.rect(MARGIN, y - 4, CONTENT_WIDTH, 6, "F");
+    doc.setTextColor(255, 255, 255);
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(9);
+    columns.forEach((column) => doc.text(column.title, column.x, y, { align: column.align }));
+    doc.setTextColor(33, 37, 41);
+    doc.setFont("helvetica", "normal");
+    y += 6;
+  };
+
+  if (y > PAGE_HEIGHT - 40) {
+    doc.addPage();
+    y = 20;
+  }
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(11);
+  doc.text("Payment Schedule", MARGIN, y);
+  y += 6;
+  drawScheduleHeader();
+  schedule.rows.forEach((row) => {
+    if (y > PAGE_HEIGHT - 20) {
+      doc.addPage();
+      y = 20;
+      drawScheduleHeader();
+    }
+    const cells = [
+      String(row.month),
+      row.dueDate ? row.dueDate.toLocaleDateString("en-GB") : "-",
+      thb(row.payment).replace("THB ", ""),
+      thb(row.principal).replace("THB ", ""),
+      thb(row.interest).replace("THB ", ""),
+      thb(row.closing).replace("THB ", ""),
+    ];
+    columns.forEach((column, i) => doc.text(cells[i], column.x, y, { align: column.align }));
+    y += 5;
+  });
+  doc.setFont("helvetica", "bold");
+  doc.text("Total", columns[0].x, y + 1);
+  doc.text(thb(schedule.totalPayments).replace("THB ", ""), columns[2].x, y + 1, { align: "right" });
+  doc.text(thb(schedule.totalPrincipal).replace("THB ", ""), columns[3].x, y + 1, { align: "right" });
+  doc.text(thb(schedule.totalInterest).replace("THB ", ""), columns[4].x, y + 1, { align: "right" });
+  y += 10;
+
+  // Validity note and signatures
+  if (y > PAGE_HEIGHT - 45) {
+    doc.addPage();
+    y = 20;
+  }
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  doc.text(
+    doc.splitTextToSize(
+      `This quotation is valid until ${formatDate(validUntil)}. Figures are subject to credit approval and to the car still being available. First installment is due one month after the contract start date (${formatDate(inputs.startDate)}).`,
+      CONTENT_WIDTH
+    ),
+    MARGIN,
+    y
+  );
+  y += 25;
+  doc.line(MARGIN, y, MARGIN + 70, y);
+  doc.line(PAGE_WIDTH - MARGIN - 70, y, PAGE_WIDTH - MARGIN, y);
+  doc.text("Customer", MARGIN + 35, y + 5, { align: "center" });
+  doc.text("BKK KAUNG PYAE CAR SHOWROOM", PAGE_WIDTH - MARGIN - 35, y + 5, { align: "center" });
+
+  // Footer on every page
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFontSize(8);
+    doc.setTextColor(120, 120, 120);
+    doc.text(`BKK KAUNG PYAE CAR SHOWROOM | Quote ${quoteId || "Draft"}`, MARGIN, PAGE_HEIGHT - 8);
+    doc.text(`Page ${page} of ${pageCount}`, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 8, { align: "right" });
+  }
+
+  const carName = [car.brand, car.model].filter(Boolean).join("-") || "car";
+  doc.save(`Quotation-${quoteId || "draft"}-${carName}.pdf`.replace(/\s+/g, "-"));
+}
@@ -0,0 +1,59 @@
+// Saved installment quotes. A quote ties calculator inputs to one car and a
+// prospective customer so it can be reopened later or turned into a contract
+// from the admin dashboard. Quotes are stored on the backend, so one saved on
+// a staff member's phone can be converted from the admin's computer.
+import { createQuote, deleteQuote, editQuote, getQuote, getQuotes } from "@/lib/api";
+
+export const DEFAULT_QUOTE_VALIDITY_DAYS = 7;
+
+const normalizeQuote = (quote) => ({ ...quote, id: String(quote.id ?? quote._id) });
+
+const newestFirst = (a, b) => String(b.savedAt || "").localeCompare(String(a.savedAt || ""));
+
+// Every saved quote, newest first
+export async function fetchQuotes(options) {
+  const response = await getQuotes(options);
+  const quotes = Array.isArray(response?.data) ? response.data : Array.isArray(response) ? response : [];
+  return quotes.map(normalizeQuote).sort(newestFirst);
+}
+
+// The quote with this id, or null when there is none
+export async function fetchQuote(id, options) {
+  const response = await getQuote(id, options).catch((error) => {
+    if (error.status === 404) return null;
+    throw error;
+  });
+  const quote = response?.data ?? response;
+  return quote ? normalizeQuote(quote) : null;
+}
+
+// Adds a new quote, or updates it when it already has an id; returns the saved quote
+export async function saveQuote(quote, options) {
+  const { id, ...details } = { ...quote, savedAt: new Date().toISOString() };
+  const response = id ? await editQuote(id, details, options) : await createQuote(details, options);
+  const saved = { ...quote, ...details, ...(response?.data ?? response) };
+  if (!saved.id && !saved._id) throw new Error("The server did not return the quote's id");
+  return normalizeQuote(saved);
+}
+
+export const removeQuote = (id, options) => deleteQuote(id, options);
+
+// Marks a quote as turned into a contract so it drops out of the open list
+export const markQuoteConverted = (id, options) => editQuote(id, { convertedAt: new Date().toISOString() }, options);
+
+// Puts a saved quote into a list held in state, newest first
+export const mergeQuote = (quotes, saved) => [saved, ...quotes.filter((quote) => quote.id !== saved.id)];
+
+// YYYY-MM-DD `days` days from today
+export const expiryInputValue = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + (Number(days) || 0));
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+};
+
+// A quote is valid through the end of its expiry date
+export const isQuoteExpired = (quote, now = new Date()) => {
+  if (!quote?.expiresAt) return false;
+  const [year, month, day] = quote.expiresAt.split("-").map(Number);
+  return now > new Date(year, month - 1, day, 23, 59, 59, 999);
+};
@@ -0,0 +1,112 @@
+// Installment payment receipt as an A5 PDF (jsPDF). Reprints carry a COPY
+// mark so they can't be passed off as a second payment. Same Latin-only font
+// limits as the quotation PDF: amounts use "THB".
+const PAGE_WIDTH = 148;
+const PAGE_HEIGHT = 210;
+const MARGIN = 10;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const BRAND_RED = [220, 53, 69];
+
+const thb = (value) =>
+  `THB ${Number(value || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// receipt: { number, date, customer: { name, passport }, licensePlate, carModel,
+//   lines: [{ month, installmentAmount, penaltyFee }], amount, penalty, balanceRemaining, cashier }
+export async function downloadReceiptPdf(receipt, { copy = false } = {}) {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ unit: "mm", format: "a5" });
+
+  // Header band
+  doc.setFillColor(...BRAND_RED);
+  doc.rect(0, 0, PAGE_WIDTH, 22, "F");
+  doc.setTextColor(255, 255, 255);
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(13);
+  doc.text("BKK KAUNG PYAE CAR SHOWROOM", MARGIN, 10);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(10);
+  doc.text("Installment Payment Receipt", MARGIN, 17);
+  doc.setFontSize(9);
+  doc.text(`No.: ${receipt.number}`, PAGE_WIDTH - MARGIN, 10, { align: "right" });
+  doc.text(`Date: ${receipt.date ? new Date(receipt.date).toLocaleDateString("en-GB") : "-"}`, PAGE_WIDTH - MARGIN, 17, { align: "right" });
+
+  if (copy) {
+    doc.setTextColor(230, 230, 230);
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(60);
+    doc.text("COPY", PAGE_WIDTH / 2, PAGE_HEIGHT / 2, { align: "center", angle: 30 });
+  }
+
+  let y = 32;
+  doc.setTextColor(33, 37, 41);
+  const details = [
+    ["Received from", receipt.customer?.name || "-"],
+    ["Passport", receipt.customer?.passport || "-"],
+    ["Car", [receipt.carModel, receipt.licensePlate].filter(Boolean).join(" / ") || "-"],
+  ];
+  doc.setFontSize(10);
+  details.forEach(([label, value]) => {
+    doc.setFont("helvetica", "bold");
+    doc.text(`${label}:`, MARGIN, y);
+    doc.setFont("helvetica", "normal");
+    doc.text(String(value), MARGIN + 32, y);
+    y += 6;
+  });
+  y += 4;
+
+  // Months paid
+  doc.setFillColor(...BRAND_RED);
+  doc.rect(MARGIN, y - 4, CONTENT_WIDTH, 6, "F");
+  doc.setTextColor(255, 255, 255);
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(9);
+  doc.text("Month", MARGIN + 2, y);
+  doc.text("Installment", MARGIN + 70, y, { align: "right" });
+  doc.text("Penalty", MARGIN + 100, y, { align: "right" });
+  doc.text("Total", PAGE_WIDTH - MARGIN - 2, y, { align: "right" });
+  doc.setTextColor(33, 37, 41);
+  doc.setFont("helvetica", "normal");
+  y += 6;
+  const amount = (value) => thb(value).replace("THB ", "");
+  (receipt.lines || []).forEach((line) => {
+    doc.text(`Month ${line.month}`, MARGIN + 2, y);
+    doc.text(amount(line.installmentAmount), MARGIN + 70, y, { align: "right" });
+    doc.text(line.penaltyFee > 0 ? amount(line.penaltyFee) : "-", MARGIN + 100, y, { align: "right" });
+    doc.text(amount(Number(line.installmentAmount) + Number(line.penaltyFee || 0)), PAGE_WIDTH - MARGIN - 2, y, { align: "right" });
+    y += 5;
+  });
+  y += 3;
+
+  const totals = [
+    ["Penalty included", thb(receipt.penalty)],
+    ["Amount received", thb(receipt.amount)],
+    ["Balance remaining on contract", thb(receipt.balanceRemaining)],
+  ];
+  totals.forEach(([label, value], i) => {
+    if (i % 2 === 0) {
+      doc.setFillColor(248, 249, 250);
+      doc.rect(MARGIN, y - 4, CONTENT_WIDTH, 6, "F");
+    }
+    doc.setFont("helvetica", label === "Amount received" ? "bold" : "normal");
+    doc.text(label, MARGIN + 2, y);
+    doc.text(value, PAGE_WIDTH - MARGIN - 2, y, { align: "right" });
+    y += 6;
+  });
+
+  // Cashier signature
+  y += 20;
+  doc.setFont("helvetica", "normal");
+  doc.line(PAGE_WIDTH - MARGIN - 55, y, PAGE_WIDTH - MARGIN, y);
+  doc.text(`Cashier: ${receipt.cashier || "-"}`, PAGE_WIDTH - MARGIN - 27.5, y + 5, { align: "center" });
+
+  doc.setFontSize(8);
+  doc.setTextColor(120, 120, 120);
+  doc.text(
+    copy ? `Reprinted ${new Date().toLocaleDateString("en-GB")} | BKK KAUNG PYAE CAR SHOWROOM` : "Thank you for your payment | BKK KAUNG PYAE CAR SHOWROOM",
+    PAGE_WIDTH / 2,
+    PAGE_HEIGHT - 8,
+    { align: "center" }
+  );
+
+  doc.save(`Receipt-${receipt.number}${copy ? "-copy" : ""}.pdf`);
+}
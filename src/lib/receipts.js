@@ -0,0 +1,56 @@
+// Payment receipts handed to installment customers. The server hands out the
+// numbers (RC-000001, RC-000002, ...) from one counter and keeps the register
+// every admin sees, so numbers never repeat or skip across devices: a number
+// is reserved before the payment is sent and, if the payment then fails, the
+// receipt is kept as void instead of the number being handed out again.
+// Issued receipts keep what was printed so a reprint matches it; the number
+// also travels with the payment record as its receiptId.
+import { getReceipt, getStoredUser, reserveReceipt, updateReceipt } from "@/lib/api";
+
+const receiptOf = (response) => response?.data ?? response;
+
+// Reprints read the register; a number it doesn't know comes back as null
+export async function findReceipt(number, options) {
+  try {
+    return receiptOf(await getReceipt(number, options)) || null;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+// Reserves the next number on the server; it is never handed out again
+export async function issueReceiptNumber(options) {
+  const receipt = receiptOf(await reserveReceipt({ reservedAt: new Date().toISOString() }, options));
+  if (!receipt?.number) throw new Error("The server did not return a receipt number");
+  return receipt.number;
+}
+
+// Fills in a reserved number once its payment is recorded. The payment is
+// already saved by then, so a failure here is logged rather than thrown: the
+// receipt is still returned for printing and the number stays pending in the
+// register, where the payment's receiptId ties it back. Like voidReceipt() it
+// isn't tied to the page's abort signal.
+export async function completeReceipt(number, details) {
+  const user = getStoredUser();
+  const receipt = {
+    ...details,
+    number,
+    status: "issued",
+    cashier: details.cashier || user?.name || user?.username || user?.email || "",
+    issuedAt: new Date().toISOString(),
+  };
+  try {
+    return { ...receipt, ...receiptOf(await updateReceipt(number, receipt)) };
+  } catch (error) {
+    console.error(`Receipt ${number} could not be marked issued:`, error);
+    return receipt;
+  }
+}
+
+// The payment behind a reserved number failed: keep the number, marked void.
+// Called on error paths, so it logs instead of throwing.
+export const voidReceipt = (number, reason = "") =>
+  updateReceipt(number, { status: "void", voidReason: reason, voidedAt: new Date().toISOString() }).catch((error) =>
+    console.error(`Receipt ${number} could not be voided:`, error)
+  );
@@ -0,0 +1,122 @@
+// Repair and reconditioning jobs on a car, saved as car.repairJobs through the
+// edit endpoint:
+//   { id, vendorId, vendor, category, description, status, estimate,
+//     actualCost, startDate, finishDate, paidAt, receiptPhoto, notes }
+// status goes quoted -> in_progress -> done. Cars added before jobs existed
+// only have the free-text `repairs` rows ({ description, repairDate, cost });
+// those read as finished, paid jobs without a category. Every save also rewrites
+// `repairs` from the jobs so screens that still read it stay in step.
+// The receipt photo is compressed and uploaded; the job keeps its URL.
+import { editCar, uploadDocument } from "@/lib/api";
+import { DOCUMENT_COMPRESSION, compressImage } from "@/lib/imageCompression";
+import { addMonths } from "@/lib/installments";
+
+export const REPAIR_CATEGORIES = {
+  body: "Body",
+  engine: "Engine",
+  tyres: "Tyres",
+  detailing: "Detailing",
+  paperwork: "Paperwork",
+};
+
+export const REPAIR_JOB_STATUSES = {
+  quoted: { label: "Quoted", badge: "bg-gray-200 text-gray-800" },
+  in_progress: { label: "In Progress", badge: "bg-orange-100 text-orange-800" },
+  done: { label: "Done", badge: "bg-green-100 text-green-800" },
+};
+
+const amountOf = (value) => {
+  const parsed = parseFloat(String(value ?? "").replace(/[^\d.-]/g, ""));
+  return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+const fromLegacyRepair = (repair, index) => {
+  const row = typeof repair === "string" ? { description: repair } : repair || {};
+  const date = row.repairDate ? String(row.repairDate).split("T")[0] : "";
+  return {
+    id: `R-legacy-${index}`,
+    vendorId: "",
+    vendor: "",
+    category: "",
+    description: row.description || row.details || "",
+    status: "done",
+    estimate: 0,
+    actualCost: amountOf(row.cost ?? row.amount),
+    startDate: date,
+    finishDate: date,
+    paidAt: date,
+    receiptPhoto: "",
+    notes: "",
+  };
+};
+
+// The car's jobs, converting the old repair rows when there are none yet
+export function repairJobsOf(car) {
+  if (Array.isArray(car?.repairJobs)) return car.repairJobs;
+  const legacy = car?.repairs ?? car?.repairHistory;
+  if (Array.isArray(legacy)) return legacy.filter(Boolean).map(fromLegacyRepair);
+  return typeof legacy === "string" && legacy.trim() ? [fromLegacyRepair(legacy, 0)] : [];
+}
+
+export const newRepairJob = () => ({
+  id: `R-${Date.now()}`,
+  vendorId: "",
+  vendor: "",
+  category: "body",
+  description: "",
+  status: "quoted",
+  estimate: "",
+  actualCost: "",
+  startDate: "",
+  finishDate: "",
+  paidAt: "",
+  receiptPhoto: "",
+  notes: "",
+});
+
+// What a job costs the showroom: the actual bill once there is one,
+// otherwise the estimate. Quoted jobs are not committed yet.
+export const jobCost = (job) => amountOf(job.actualCost) || amountOf(job.estimate);
+
+export function reconditioningTotal(jobs) {
+  return jobs.filter((job) => job.status !== "quoted").reduce((sum, job) => sum + jobCost(job), 0);
+}
+
+export const categoryLabel = (category) => REPAIR_CATEGORIES[category] || "Other";
+
+// One line per committed job, in the profit calculator's expense format
+export const jobExpenseDetail = (job) =>
+  `${job.category ? `${categoryLabel(job.category)}: ` : ""}${job.description || "Repair"}${job.vendor ? ` (${job.vendor})` : ""}`;
+
+const toLegacyRepairs = (jobs) =>
+  jobs
+    .filter((job) => job.status !== "quoted")
+    .map((job) => ({
+      description: jobExpenseDetail(job),
+      repairDate: job.finishDate || job.startDate ? addMonths(job.finishDate || job.startDate, 0).toISOString() : new Date().toISOString(),
+      cost: jobCost(job),
+    }));
+
+export const saveRepairJobs = (carId, jobs, options) =>
+  editCar(carId, { repairJobs: jobs, repairs: toLegacyRepairs(jobs) }, options);
+
+export const isAtGarage = (jobs) => jobs.some((job) => job.status === "in_progress");
+
+// Cars with a job in progress, longest at the garage first
+export function carsAtGarage(cars, today = new Date()) {
+  return cars
+    .map((car) => {
+      const jobs = repairJobsOf(car).filter((job) => job.status === "in_progress");
+      if (jobs.length === 0) return null;
+      const since = jobs.map((job) => job.startDate).filter(Boolean).sort()[0] || "";
+      const days = since ? Math.max(0, Math.floor((today - addMonths(since, 0)) / 86400000)) : null;
+      return { car, jobs, since, days, vendors: [...new Set(jobs.map((job) => job.vendor).filter(Boolean))] };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.days ?? -1) - (a.days ?? -1));
+}
+
+// Uploads a shrunk copy of the receipt photo and returns its URL
+export async function uploadReceiptPhoto(file, options) {
+  return uploadDocument(await compressImage(file, { ...DOCUMENT_COMPRESSION, signal: options?.signal }), options);
+}
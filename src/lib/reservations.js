@@ -0,0 +1,121 @@
+// Holding an available car for a customer against a deposit. The car record
+// is what the public and staff car endpoints serve, so it only carries the
+// hold itself (car.reservation), which is all staff need to stop offering it:
+//   { id, status, reservedAt, expiresAt, closedAt }
+// Who holds it and the deposit live in the admin-only reservation record with
+// the same id, which the admin pages read back onto car.reservation:
+//   { carId, status, depositAmount, customer: { name, passport, phone },
+//     notes, reservedAt, expiresAt, reservedBy, closedAt }
+// status is "active", then "expired", "released" or "converted" (the deal
+// closed and the deposit went into the sale). Nothing runs on the server when
+// a hold runs out, so an active hold past expiresAt counts as released
+// everywhere and is written back as expired when an admin next loads the cars.
+import { createReservation, editCar, editReservation, getReservations, getStoredUser, isAbortError } from "@/lib/api";
+import { addMonths } from "@/lib/installments";
+
+export const DEFAULT_HOLD_DAYS = 3;
+
+const recordOf = (response) => response?.data ?? response;
+const idOf = (record) => record?.id ?? record?._id;
+
+// The part of a hold that is saved on the car
+const carHoldOf = (reservation) => ({
+  id: idOf(reservation),
+  status: reservation.status,
+  reservedAt: reservation.reservedAt,
+  expiresAt: reservation.expiresAt,
+  ...(reservation.closedAt ? { closedAt: reservation.closedAt } : {}),
+});
+
+// The car's hold if it is still in force
+export function activeReservation(car, now = new Date()) {
+  const reservation = car?.reservation;
+  if (!reservation || reservation.status !== "active") return null;
+  return new Date(reservation.expiresAt) > now ? reservation : null;
+}
+
+const isLapsed = (car, now) => car?.reservation?.status === "active" && !activeReservation(car, now);
+
+// Holds saved before the details moved off the car still carry the customer
+const hasDetailsOnCar = (car) => Boolean(car?.reservation && !idOf(car.reservation) && car.reservation.customer);
+
+// YYYY-MM-DD for the default expiry date input
+export const holdExpiryInputValue = (days = DEFAULT_HOLD_DAYS) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+};
+
+// The hold lasts until the end of the chosen day
+export function buildReservation({ depositAmount, customer, expiryDate, notes = "" }) {
+  const expiresAt = addMonths(expiryDate, 0);
+  expiresAt.setHours(23, 59, 59, 999);
+  const user = getStoredUser();
+  return {
+    status: "active",
+    depositAmount: Number(depositAmount) || 0,
+    customer,
+    notes,
+    reservedAt: new Date().toISOString(),
+    expiresAt: expiresAt.toISOString(),
+    reservedBy: user?.name || user?.username || user?.email || "",
+  };
+}
+
+// Saves the details first, so the car never shows a hold the admin can't look
+// up, then the hold on the car. Returns the reservation with its id.
+export async function saveReservation(carId, reservation, options) {
+  const details = { ...reservation };
+  delete details.id;
+  delete details._id;
+  let id = idOf(reservation);
+  if (id) {
+    await editReservation(id, { ...details, carId }, options);
+  } else {
+    id = idOf(recordOf(await createReservation({ ...details, carId }, options)));
+    if (!id) throw new Error("The server did not return a reservation id");
+  }
+  const saved = { ...details, id };
+  await editCar(carId, { reservation: carHoldOf(saved) }, options);
+  return saved;
+}
+
+// Ends a hold, keeping it on the car as a record of the deposit
+export const closeReservation = (carId, reservation, status, options) =>
+  saveReservation(carId, { ...reservation, status, closedAt: new Date().toISOString() }, options);
+
+// Writes back every hold that ran out, and moves the customer details of holds
+// saved before the split off the car; returns the cars with their holds updated
+export async function releaseLapsedReservations(cars, options, now = new Date()) {
+  const updated = [];
+  for (const car of cars) {
+    if (!isLapsed(car, now) && !hasDetailsOnCar(car)) {
+      updated.push(car);
+      continue;
+    }
+    const reservation = isLapsed(car, now)
+      ? { ...car.reservation, status: "expired", closedAt: now.toISOString() }
+      : car.reservation;
+    updated.push({ ...car, reservation: await saveReservation(car.id, reservation, options) });
+  }
+  return updated;
+}
+
+// Admin pages only: puts the details of every active hold back onto its car.
+// The list still shows the holds without them if they can't be loaded.
+export async function withReservationDetails(cars, options) {
+  if (!cars.some((car) => idOf(activeReservation(car)))) return cars;
+  try {
+    const response = recordOf(await getReservations({ status: "active" }, options));
+    const records = Array.isArray(response) ? response : [];
+    const byId = new Map(records.map((record) => [String(idOf(record)), record]));
+    return cars.map((car) => {
+      const details = byId.get(String(idOf(car.reservation)));
+      return details ? { ...car, reservation: { ...details, ...car.reservation } } : car;
+    });
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    console.error("Failed to load the reservation details:", error);
+    return cars;
+  }
+}
@@ -0,0 +1,114 @@
+// Session handling shared by the login pages, the API client and middleware.
+// The backend token lives in localStorage for API calls; a copy is mirrored
+// into a cookie so middleware can guard /admin and /staff before render.
+// Middleware checks the token's signature with JWT_SECRET (the backend's
+// signing key) and only trusts the role inside it, so the cookie can't be forged.
+export const SESSION_COOKIE = "bkk_session";
+// No longer written; cleared so older sessions don't keep it around
+export const ROLE_COOKIE = "bkk_role";
+
+const DEFAULT_MAX_AGE_SECONDS = 7 * 24 * 60 * 60;
+
+export const isStaffRole = (role) => String(role || "").toLowerCase() === "staff";
+
+const base64UrlToBinary = (part) => {
+  const base64 = part.replace(/-/g, "+").replace(/_/g, "/");
+  return atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+};
+
+const decodeTokenPart = (part) => {
+  try {
+    return JSON.parse(base64UrlToBinary(part));
+  } catch {
+    return null;
+  }
+};
+
+// Reads the payload of a JWT without verifying it. Fine for showing things
+// in the browser; anything that guards a page goes through verifyToken().
+export function decodeTokenPayload(token) {
+  if (!token || typeof token !== "string") return null;
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+  return decodeTokenPart(parts[1]);
+}
+
+// The payload of an HS256 token signed with `secret` that hasn't expired, or
+// null. Runs in middleware (Web Crypto), so it can't use Node's crypto module.
+export async function verifyToken(token, secret) {
+  if (!token || typeof token !== "string" || !secret) return null;
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+  if (decodeTokenPart(parts[0])?.alg !== "HS256") return null;
+
+  let signature;
+  try {
+    signature = Uint8Array.from(base64UrlToBinary(parts[2]), (char) => char.charCodeAt(0));
+  } catch {
+    return null;
+  }
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["verify"]);
+  const valid = await crypto.subtle.verify("HMAC", key, signature, encoder.encode(`${parts[0]}.${parts[1]}`));
+  if (!valid) return null;
+
+  const payload = decodeTokenPart(parts[1]);
+  if (!payload || (payload.exp && payload.exp * 1000 <= Date.now())) return null;
+  return payload;
+}
+
+const setCookie = (name, value, maxAge) => {
+  const secure = window.location.protocol === "https:" ? "; Secure" : "";
+  document.cookie = `${name}=${encodeURIComponent(value)}; Path=/; Max-Age=${maxAge}; SameSite=Lax${secure}`;
+};
+
+const deleteCookie = (name) => {
+  document.cookie = `${name}=; Path=/; Max-Age=0; SameSite=Lax`;
+};
+
+// Call after a successful login with the token the backend issued.
+export function startSession({ token, user }) {
+  if (typeof window === "undefined") return;
+
+  if (user) {
+    localStorage.setItem("user", JSON.stringify(user));
+  }
+  if (token) {
+    localStorage.setItem("token", token);
+  }
+
+  const payload = decodeTokenPayload(token);
+  const maxAge = payload?.exp
+    ? Math.max(0, Math.floor(payload.exp - Date.now() / 1000))
+    : DEFAULT_MAX_AGE_SECONDS;
+
+  if (token) {
+    setCookie(SESSION_COOKIE, token, maxAge);
+  }
+  deleteCookie(ROLE_COOKIE);
+}
+
+// Where to go after login: the page middleware bounced the user from, as long
+// as it belongs to the area they just signed into.
+export function getNextPath(areaPrefix, fallback) {
+  if (typeof window === "undefined") return fallback;
+  const next = new URLSearchParams(window.location.search).get("next");
+  return next && next.startsWith(`${areaPrefix}/`) && !next.startsWith("//") ? next : fallback;
+}
+
+export function clearSession() {
+  if (typeof window === "undefined") return;
+  localStorage.removeItem("token");
+  localStorage.removeItem("user");
+  // Left behind by older builds of the app
+  localStorage.removeItem("isLoggedIn");
+  localStorage.removeItem("userType");
+  deleteCookie(SESSION_COOKIE);
+  deleteCookie(ROLE_COOKIE);
+}
+
+export function logout(redirectTo) {
+  clearSession();
+  const target = redirectTo || (window.location.pathname.startsWith("/staff") ? "/staff/login" : "/admin/login");
+  window.location.href = target;
+}
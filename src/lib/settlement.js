@@ -0,0 +1,160 @@
+// Early payoff ("how much to close my car loan today?"). The customer pays
+// what is left on every open month plus outstanding penalties, and gets part
+// of the interest on the months not yet due back as a rebate:
+//   rule78  - rule of 78s: r(r + 1) / n(n + 1) of all interest, where r is
+//             the number of months not yet due out of n
+//   percent - a fixed % of the interest scheduled for the months not yet due
+//   none    - no rebate
+// The policy is a showroom-wide setting on the server, like the penalty rules.
+import { ApiError, getSetting, recordMonthlyPayment, saveSetting } from "@/lib/api";
+import { addMonths, buildAmortizationSchedule, fromSatang, toSatang } from "@/lib/installments";
+
+const REBATE_POLICY_SETTING = "settlementRebatePolicy";
+
+export const REBATE_METHODS = {
+  rule78: "Rule of 78s",
+  percent: "Percentage of unearned interest",
+  none: "No rebate",
+};
+
+export const DEFAULT_REBATE_POLICY = { method: "rule78", percent: 100 };
+
+export function normalizeRebatePolicy(saved) {
+  if (!saved || !REBATE_METHODS[saved.method]) return DEFAULT_REBATE_POLICY;
+  const percent = Number(saved.percent);
+  return { method: saved.method, percent: percent >= 0 && percent <= 100 ? percent : DEFAULT_REBATE_POLICY.percent };
+}
+
+export async function fetchRebatePolicy(options) {
+  const response = await getSetting(REBATE_POLICY_SETTING, options);
+  return normalizeRebatePolicy(response?.data ?? response);
+}
+
+export const saveRebatePolicy = (policy, options) => saveSetting(REBATE_POLICY_SETTING, policy, options);
+
+// Interest in each month's installment, rebuilt from the contract's stored
+// terms. Without the amount financed there is no split and every month is 0.
+export function scheduledInterestByMonth({ months, monthlyPayment, totalPayable, financedAmount, interestPerMonth, interestMethod }) {
+  if (!(months > 0)) return [];
+  if (!(financedAmount > 0)) return Array(months).fill(0);
+  const totalToPay = totalPayable || monthlyPayment * months;
+  const schedule = buildAmortizationSchedule({
+    months,
+    interest_method: interestMethod || "flat",
+    installment_left_to_pay: financedAmount,
+    monthly_installment: monthlyPayment,
+    total_to_pay: totalToPay,
+    interest_per_month: (totalToPay - financedAmount) / months,
+    interest_per_month_percent: Number(interestPerMonth) || 0,
+    down_payment: 0,
+  });
+  return schedule.rows.map((row) => Math.max(0, row.interest));
+}
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// terms: { months, monthlyPayment, totalPayable, financedAmount, interestPerMonth, interestMethod }
+// balances: monthBalances() of the contract; settlementDate: YYYY-MM-DD.
+// Each open month gets { month, dueDate, isDue, outstanding, penalty, rebate, amount }
+// where amount is the cash to collect for it.
+export function calculateSettlement({ terms, balances, startDate, settlementDate, policy, penaltyForMonth = () => 0 }) {
+  const n = balances.length;
+  const interestByMonth = scheduledInterestByMonth(terms);
+  const totalInterest = interestByMonth.reduce((sum, value) => sum + toSatang(value), 0);
+  const cutoff = startOfDay(addMonths(settlementDate, 0));
+
+  const open = balances
+    .filter((balance) => balance.status !== "paid")
+    .map((balance) => {
+      const dueDate = startDate ? addMonths(startDate, balance.month) : null;
+      return {
+        month: balance.month,
+        dueDate,
+        isDue: !dueDate || dueDate <= cutoff,
+        outstanding: toSatang(balance.remaining),
+        penalty: Math.max(0, toSatang(penaltyForMonth(balance.month)) - toSatang(balance.penaltyPaid)),
+        interest: toSatang(interestByMonth[balance.month - 1]),
+        rebate: 0,
+      };
+    });
+
+  const notDue = open.filter((month) => !month.isDue);
+  const unearnedInterest = notDue.reduce((sum, month) => sum + month.interest, 0);
+  let rebate = 0;
+  if (policy.method === "rule78" && n > 0) {
+    const r = notDue.length;
+    rebate = Math.min(unearnedInterest, Math.round((totalInterest * r * (r + 1)) / (n * (n + 1))));
+  } else if (policy.method === "percent") {
+    rebate = Math.round((unearnedInterest * (Number(policy.percent) || 0)) / 100);
+  }
+
+  // The rebate comes off the last months first, up to each month's interest
+  let left = rebate;
+  [...notDue].reverse().forEach((month) => {
+    month.rebate = Math.min(left, month.interest, month.outstanding);
+    left -= month.rebate;
+  });
+  rebate -= left;
+
+  const sum = (key, months = open) => months.reduce((total, month) => total + month[key], 0);
+  return {
+    settlementDate,
+    method: policy.method,
+    percent: policy.method === "percent" ? Number(policy.percent) || 0 : null,
+    months: open.map((month) => ({
+      month: month.month,
+      dueDate: month.dueDate,
+      isDue: month.isDue,
+      outstanding: fromSatang(month.outstanding),
+      penalty: fromSatang(month.penalty),
+      rebate: fromSatang(month.rebate),
+      amount: fromSatang(month.outstanding - month.rebate + month.penalty),
+    })),
+    dueNow: fromSatang(sum("outstanding", open.filter((month) => month.isDue))),
+    notYetDue: fromSatang(sum("outstanding", notDue)),
+    totalInterest: fromSatang(totalInterest),
+    unearnedInterest: fromSatang(unearnedInterest),
+    rebate: fromSatang(rebate),
+    penalties: fromSatang(sum("penalty")),
+    total: fromSatang(sum("outstanding") - rebate + sum("penalty")),
+  };
+}
+
+const postMonth = async (installmentId, record, options) => {
+  const result = await recordMonthlyPayment(installmentId, record, options);
+  if (result?.success === false) {
+    throw new ApiError(result.message || `Month ${record.monthNumber} was not recorded`, { data: result });
+  }
+};
+
+// Records a settlement through the monthly-payment endpoint, one month at a
+// time. `payments` are the new month records and `balances` the
+// monthBalances() they were built from. If a month is rejected, the months
+// already posted get their previous record back so the contract is never left
+// half settled, and the error is rethrown. Months that could not be put back
+// are listed on error.unrestoredMonths.
+export async function postSettlement(installmentId, payments, balances, options) {
+  const posted = [];
+  try {
+    for (const payment of payments) {
+      await postMonth(installmentId, payment, options);
+      posted.push(payment.monthNumber);
+    }
+  } catch (error) {
+    const unrestoredMonths = [];
+    // Not tied to the caller's signal: the rollback has to finish even if the page goes away
+    for (const month of posted.reverse()) {
+      const previous = balances[month - 1]?.record;
+      try {
+        await postMonth(
+          installmentId,
+          previous ? { ...previous, monthNumber: month } : { monthNumber: month, amount: 0, paid: false, receipts: [] }
+        );
+      } catch {
+        unrestoredMonths.push(month);
+      }
+    }
+    error.unrestoredMonths = unrestoredMonths.sort((a, b) => a - b);
+    throw error;
+  }
+}
@@ -0,0 +1,146 @@
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { buildQuote, toSatang } from "./installments.js";
+import { monthBalances } from "./installmentLedger.js";
+
+// postSettlement goes through the API client, which reads the base URL when it loads
+process.env.NEXT_PUBLIC_API_BASE_URL = "http://backend.test";
+const { calculateSettlement, postSettlement, scheduledInterestByMonth } = await import("./settlement.js");
+
+// ฿500,000 car, ฿100,000 down, 1% flat a month over 12 months: ฿4,400 interest a month
+const quote = buildQuote({ carValue: 500000, downPayment: 100000, interestPerMonth: 1, financeFees: 5000, months: 12 });
+const TERMS = {
+  months: 12,
+  monthlyPayment: quote.monthlyPayment,
+  totalPayable: quote.totalPayable,
+  financedAmount: quote.financedAmount,
+  interestPerMonth: 1,
+  interestMethod: "flat",
+};
+const START_DATE = "2026-01-15";
+
+// Months 1-4 paid, month 5 part paid
+const HISTORY = [
+  ...[1, 2, 3, 4].map((monthNumber) => ({ monthNumber, amount: TERMS.monthlyPayment, paid: true, receipts: [{ receiptId: `RC-${monthNumber}`, amount: TERMS.monthlyPayment }] })),
+  { monthNumber: 5, amount: 10000, paid: false, receipts: [{ receiptId: "RC-5", amount: 10000 }] },
+];
+const BALANCES = monthBalances(TERMS, HISTORY);
+
+// Month 5 fell due on 15 June; months 6-12 are not due yet
+const settle = (policy, penaltyForMonth) =>
+  calculateSettlement({ terms: TERMS, balances: BALANCES, startDate: START_DATE, settlementDate: "2026-06-20", policy, penaltyForMonth });
+
+const sumSatang = (values) => values.reduce((sum, value) => sum + toSatang(value), 0);
+
+describe("calculateSettlement", () => {
+  test("the interest split follows the stored terms", () => {
+    const interest = scheduledInterestByMonth(TERMS);
+    assert.equal(interest.length, 12);
+    assert.equal(interest[0], 4400);
+    assert.equal(sumSatang(interest), toSatang(52800));
+  });
+
+  test("without an amount financed there is no interest to rebate", () => {
+    assert.deepEqual(scheduledInterestByMonth({ ...TERMS, financedAmount: 0 }), Array(12).fill(0));
+    const result = calculateSettlement({
+      terms: { ...TERMS, financedAmount: 0 },
+      balances: BALANCES,
+      startDate: START_DATE,
+      settlementDate: "2026-06-20",
+      policy: { method: "rule78" },
+    });
+    assert.equal(result.rebate, 0);
+  });
+
+  test("rule of 78s rebates r(r + 1) / n(n + 1) of the interest, last months first", () => {
+    const result = settle({ method: "rule78" });
+    // 7 months not due: 52,800 x 56 / 156
+    assert.equal(result.rebate, 18953.85);
+    assert.equal(result.unearnedInterest, 30800);
+    assert.equal(result.dueNow, 31066.67);
+    assert.deepEqual(
+      result.months.map((month) => month.rebate),
+      [0, 0, 0, 1353.85, 4400, 4400, 4400, 4400]
+    );
+    assert.equal(toSatang(result.total), sumSatang(result.months.map((month) => month.amount)));
+    assert.equal(toSatang(result.total), toSatang(result.dueNow) + toSatang(result.notYetDue) - toSatang(result.rebate));
+  });
+
+  test("percentage rebate on the interest not yet due", () => {
+    const result = settle({ method: "percent", percent: 50 });
+    assert.equal(result.rebate, 15400);
+    assert.equal(result.percent, 50);
+  });
+
+  test("no rebate collects everything outstanding", () => {
+    const result = settle({ method: "none" });
+    assert.equal(result.rebate, 0);
+    assert.equal(toSatang(result.total), toSatang(result.dueNow) + toSatang(result.notYetDue));
+  });
+
+  test("outstanding penalties are added and paid penalties are not charged twice", () => {
+    const balances = BALANCES.map((balance) => (balance.month === 5 ? { ...balance, penaltyPaid: 200 } : balance));
+    const result = calculateSettlement({
+      terms: TERMS,
+      balances,
+      startDate: START_DATE,
+      settlementDate: "2026-06-20",
+      policy: { method: "none" },
+      penaltyForMonth: (month) => (month === 5 ? 500 : 0),
+    });
+    assert.equal(result.penalties, 300);
+    assert.equal(result.months[0].amount, 31366.67);
+  });
+});
+
+describe("postSettlement", () => {
+  const realFetch = globalThis.fetch;
+  let posted;
+  let reject;
+
+  beforeEach(() => {
+    posted = [];
+    reject = () => false;
+    globalThis.fetch = async (url, init) => {
+      const body = JSON.parse(init.body);
+      posted.push(body);
+      const ok = !reject(body, posted.length);
+      return new Response(JSON.stringify(ok ? { success: true } : { success: false, message: `Month ${body.monthNumber} is locked` }), { status: 200 });
+    };
+  });
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  const payments = [5, 6, 7].map((monthNumber) => ({ monthNumber, amount: 1, paid: true, receipts: [] }));
+
+  test("posts every month in order", async () => {
+    await postSettlement("car-1", payments, BALANCES);
+    assert.deepEqual(
+      posted.map((body) => body.monthNumber),
+      [5, 6, 7]
+    );
+  });
+
+  test("a rejected month puts the months already posted back, newest first", async () => {
+    reject = (body, call) => body.monthNumber === 7 && call === 3;
+    await assert.rejects(postSettlement("car-1", payments, BALANCES), (error) => {
+      assert.equal(error.message, "Month 7 is locked");
+      assert.deepEqual(error.unrestoredMonths, []);
+      return true;
+    });
+    const rollback = posted.slice(3);
+    // Month 6 had no record, month 5 gets its part payment back
+    assert.deepEqual(rollback[0], { monthNumber: 6, amount: 0, paid: false, receipts: [] });
+    assert.deepEqual(rollback[1], { ...HISTORY[4], monthNumber: 5 });
+  });
+
+  test("months the rollback cannot restore are reported", async () => {
+    reject = (body, call) => call === 3 || (call > 3 && body.monthNumber === 5);
+    await assert.rejects(postSettlement("car-1", payments, BALANCES), (error) => {
+      assert.deepEqual(error.unrestoredMonths, [5]);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,167 @@
+// Early settlement letter for an installment customer (jsPDF), stating the
+// amount that closes the contract on a given date and how it is made up.
+// Same Latin-only font limits as the quotation PDF: amounts use "THB".
+import { REBATE_METHODS } from "@/lib/settlement";
+import { addMonths } from "@/lib/installments";
+
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const MARGIN = 14;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const BRAND_RED = [220, 53, 69];
+
+const thb = (value) =>
+  `THB ${Number(value || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (value) => (value ? addMonths(value, 0).toLocaleDateString("en-GB") : "-");
+
+// settlement: result of calculateSettlement()
+export async function downloadSettlementLetterPdf({ settlement, customer = {}, vehicle = {}, contractId }) {
+  const { jsPDF } = await import("jspdf");
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const reference = `ST-${contractId}-${settlement.settlementDate.replace(/-/g, "")}`;
+
+  // Header band
+  doc.setFillColor(...BRAND_RED);
+  doc.rect(0, 0, PAGE_WIDTH, 26, "F");
+  doc.setTextColor(255, 255, 255);
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(18);
+  doc.text("BKK KAUNG PYAE CAR SHOWROOM", MARGIN, 12);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(11);
+  doc.text("Early Settlement Letter", MARGIN, 20);
+  doc.setFontSize(9);
+  doc.text(`Ref.: ${reference}`, PAGE_WIDTH - MARGIN, 12, { align: "right" });
+  doc.text(`Date: ${new Date().toLocaleDateString("en-GB")}`, PAGE_WIDTH - MARGIN, 17, { align: "right" });
+
+  let y = 36;
+  doc.setTextColor(33, 37, 41);
+
+  // Addressee and vehicle
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(11);
+  doc.text("To", MARGIN, y);
+  doc.text("Vehicle", PAGE_WIDTH / 2, y);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(10);
+  const customerLines = [
+    customer.name || "-",
+    customer.passport ? `Passport: ${customer.passport}` : null,
+    customer.phone ? `Phone: ${customer.phone}` : null,
+  ].filter(Boolean);
+  const vehicleLines = [
+    vehicle.model || "-",
+    vehicle.licensePlate ? `License No.: ${vehicle.licensePlate}` : null,
+    vehicle.carListNo ? `Car List No.: ${vehicle.carListNo}` : null,
+  ].filter(Boolean);
+  customerLines.forEach((line, i) => doc.text(line, MARGIN, y + 6 + i * 5));
+  vehicleLines.forEach((line, i) => doc.text(line, PAGE_WIDTH / 2, y + 6 + i * 5));
+  y += 10 + Math.max(customerLines.length, vehicleLines.length) * 5;
+
+  const intro = doc.splitTextToSize(
+    `We confirm that the installment contract for the vehicle above can be settled in full on ${formatDate(settlement.settlementDate)} by a single payment of ${thb(settlement.total)}, made up as follows.`,
+    CONTENT_WIDTH
+  );
+  doc.text(intro, MARGIN, y);
+  y += intro.length * 5 + 4;
+
+  // Summary
+  const rebateLabel =
+    settlement.method === "percent"
+      ? `Less interest rebate (${settlement.percent}% of unearned interest)`
+      : `Less interest rebate (${REBATE_METHODS[settlement.method]})`;
+  const summaryRows = [
+    ["Installments due and unpaid", thb(settlement.dueNow)],
+    ["Installments not yet due", thb(settlement.notYetDue)],
+    [rebateLabel, `- ${thb(settlement.rebate)}`],
+    ["Outstanding penalties", thb(settlement.penalties)],
+    ["Settlement amount", thb(settlement.total)],
+  ];
+  summaryRows.forEach(([label, value], i) => {
+    const rowY = y + 4 + i * 6;
+    if (i % 2 === 0) {
+      doc.setFillColor(248, 249, 250);
+      doc.rect(MARGIN, rowY - 4, CONTENT_WIDTH, 6, "F");
+    }
+    doc.setFont("helvetica", i === summaryRows.length - 1 ? "bold" : "normal");
+    doc.text(label, MARGIN + 2, rowY);
+    doc.text(value, PAGE_WIDTH - MARGIN - 2, rowY, { align: "right" });
+  });
+  y += 4 + summaryRows.length * 6 + 6;
+
+  // Open months, continued on new pages as needed
+  const columns = [
+    { title: "Month", x: MARGIN + 2, align: "left" },
+    { title: "Due Date", x: MARGIN + 20, align: "left" },
+    { title: "Outstanding", x: MARGIN + 82, align: "right" },
+    { title: "Rebate", x: MARGIN + 115, align: "right" },
+    { title: "Penalty", x: MARGIN + 145, align: "right" },
+    { title: "To Pay", x: PAGE_WIDTH - MARGIN - 2, align: "right" },
+  ];
+  const drawHeader = () => {
+    doc.setFillColor(...BRAND_RED);
+    doc.rect(MARGIN, y - 4, CONTENT_WIDTH, 6, "F");
+    doc.setTextColor(255, 255, 255);
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(9);
+    columns.forEach((column) => doc.text(column.title, column.x, y, { align: column.align }));
+    doc.setTextColor(33, 37, 41);
+    doc.setFont("helvetica", "normal");
+    y += 6;
+  };
+  const amount = (value) => thb(value).replace("THB ", "");
+
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(11);
+  doc.text("Months Settled", MARGIN, y);
+  y += 6;
+  drawHeader();
+  settlement.months.forEach((month) => {
+    if (y > PAGE_HEIGHT - 20) {
+      doc.addPage();
+      y = 20;
+      drawHeader();
+    }
+    const cells = [
+      String(month.month),
+      month.dueDate ? month.dueDate.toLocaleDateString("en-GB") : "-",
+      amount(month.outstanding),
+      month.rebate > 0 ? amount(month.rebate) : "-",
+      month.penalty > 0 ? amount(month.penalty) : "-",
+      amount(month.amount),
+    ];
+    columns.forEach((column, i) => doc.text(cells[i], column.x, y, { align: column.align }));
+    y += 5;
+  });
+  y += 6;
+
+  // Validity note and signatures
+  if (y > PAGE_HEIGHT - 50) {
+    doc.addPage();
+    y = 20;
+  }
+  doc.setFontSize(9);
+  const note = doc.splitTextToSize(
+    `This figure is valid for payment on ${formatDate(settlement.settlementDate)} only; a later payment date changes the rebate and any penalties. Once payment is received all remaining installments are closed and the owner book is prepared for transfer to the customer.`,
+    CONTENT_WIDTH
+  );
+  doc.text(note, MARGIN, y);
+  y += note.length * 4 + 25;
+  doc.line(MARGIN, y, MARGIN + 70, y);
+  doc.line(PAGE_WIDTH - MARGIN - 70, y, PAGE_WIDTH - MARGIN, y);
+  doc.text("Customer", MARGIN + 35, y + 5, { align: "center" });
+  doc.text("BKK KAUNG PYAE CAR SHOWROOM", PAGE_WIDTH - MARGIN - 35, y + 5, { align: "center" });
+
+  // Footer on every page
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFontSize(8);
+    doc.setTextColor(120, 120, 120);
+    doc.text(`BKK KAUNG PYAE CAR SHOWROOM | ${reference}`, MARGIN, PAGE_HEIGHT - 8);
+    doc.text(`Page ${page} of ${pageCount}`, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 8, { align: "right" });
+  }
+
+  doc.save(`Settlement-${reference}.pdf`);
+}
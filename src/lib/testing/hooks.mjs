@@ -0,0 +1,20 @@
+// Module hooks for `npm test`. The sources are ES modules in .js files with
+// no "type" in package.json (Next.js compiles them either way), so Node is
+// told they are modules instead of guessing, and the "@/" alias from
+// jsconfig.json resolves to src/ the way it does in the app.
+const SRC_URL = new URL("../../", import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith("@/")) {
+    const target = new URL(specifier.slice(2), SRC_URL).href;
+    return nextResolve(/\.[cm]?js$/.test(target) ? target : `${target}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC_URL.href) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
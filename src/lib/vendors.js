@@ -0,0 +1,163 @@
+// Garages and parts shops the showroom pays. The registry is stored on the
+// backend so every admin picks from the same list; repair jobs and general
+// expenses keep the vendor's id and name so older entries can still be
+// matched by name. A committed repair job is a bill from its vendor, due
+// after the vendor's payment terms and open until it is marked paid; an
+// expense recorded in the money manager has already been paid.
+import { createVendor, deleteVendor, editVendor, getExpenses, getVendors } from "@/lib/api";
+import { addMonths } from "@/lib/installments";
+import { REPAIR_CATEGORIES, jobCost, repairJobsOf } from "@/lib/repairJobs";
+
+export const PAYMENT_TERMS = {
+  cash: { label: "Cash on completion", days: 0 },
+  net7: { label: "7 days", days: 7 },
+  net15: { label: "15 days", days: 15 },
+  net30: { label: "30 days", days: 30 },
+};
+
+export const VENDOR_SPECIALTIES = { ...REPAIR_CATEGORIES, parts: "Parts" };
+
+const normalizeVendor = (vendor) => ({ ...vendor, id: String(vendor.id || vendor._id) });
+
+const byName = (a, b) => String(a.name).localeCompare(String(b.name));
+
+// The registered vendors, sorted by name
+export async function fetchVendors(options) {
+  const response = await getVendors(options);
+  const vendors = Array.isArray(response?.data) ? response.data : Array.isArray(response) ? response : [];
+  return vendors.map(normalizeVendor).sort(byName);
+}
+
+// Adds the vendor, or updates it when it already has an id; returns the saved vendor
+export async function saveVendor(vendor, options) {
+  const { id, ...details } = vendor;
+  const response = id ? await editVendor(id, details, options) : await createVendor(details, options);
+  const saved = { ...vendor, ...(response?.data ?? response) };
+  if (!saved.id && !saved._id) throw new Error("The server did not return the vendor's id");
+  return normalizeVendor(saved);
+}
+
+export const removeVendor = (id, options) => deleteVendor(id, options);
+
+// Puts a saved vendor into a list held in state, keeping it sorted by name
+export const mergeVendor = (vendors, saved) =>
+  [...vendors.filter((vendor) => vendor.id !== saved.id), saved].sort(byName);
+
+const nameKey = (name) => String(name || "").trim().toLowerCase();
+
+// The registered vendor for an entry, by id or else by name
+export function findVendor(vendors, { vendorId, name }) {
+  return (
+    (vendorId && vendors.find((vendor) => vendor.id === vendorId)) ||
+    vendors.find((vendor) => nameKey(vendor.name) === nameKey(name)) ||
+    null
+  );
+}
+
+const billVendor = (vendors, vendorId, name) => {
+  const vendor = findVendor(vendors, { vendorId, name });
+  return vendor ? { vendorKey: vendor.id, vendorName: vendor.name, vendor } : { vendorKey: `~${nameKey(name)}`, vendorName: name, vendor: null };
+};
+
+const dueDateFor = (date, vendor) => {
+  const due = addMonths(date, 0);
+  due.setDate(due.getDate() + (PAYMENT_TERMS[vendor?.paymentTerms]?.days ?? 0));
+  return due;
+};
+
+// Every committed repair job with a vendor, across the given cars
+export function repairBills(cars, vendors) {
+  return cars.flatMap((car) =>
+    repairJobsOf(car)
+      .filter((job) => job.status !== "quoted" && job.vendor)
+      .map((job) => {
+        const date = job.finishDate || job.startDate || "";
+        const billed = billVendor(vendors, job.vendorId, job.vendor);
+        return {
+          id: `${car.id || car._id}-${job.id}`,
+          source: "repair",
+          jobId: job.id,
+          ...billed,
+          category: job.category,
+          description: job.description,
+          amount: jobCost(job),
+          date,
+          dueDate: date ? dueDateFor(date, billed.vendor) : null,
+          paid: Boolean(job.paidAt),
+          carId: car.id || car._id,
+          carLabel: `${car.brand || ""} ${car.model || ""} (${car.licenseNo || ""})`.trim(),
+        };
+      })
+  );
+}
+
+// Money manager expenses tagged with a vendor
+export function expenseBills(expenses, vendors) {
+  return expenses
+    .filter((expense) => expense.vendorId || expense.vendorName)
+    .map((expense) => ({
+      id: expense._id || expense.id,
+      source: "expense",
+      ...billVendor(vendors, expense.vendorId, expense.vendorName),
+      category: "",
+      description: expense.title,
+      amount: Number(expense.amount) || 0,
+      date: String(expense.expenseDate || expense.date || expense.createdAt || "").split("T")[0],
+      dueDate: null,
+      paid: true,
+    }));
+}
+
+const inPeriod = (bill, since) => !since || (bill.date && addMonths(bill.date, 0) >= since);
+
+// Total billed per vendor in the period, biggest first
+export function spendByVendor(bills, since) {
+  const rows = new Map();
+  bills.filter((bill) => inPeriod(bill, since)).forEach((bill) => {
+    const row = rows.get(bill.vendorKey) || { key: bill.vendorKey, name: bill.vendorName, vendor: bill.vendor, jobs: 0, total: 0, unpaid: 0 };
+    row.jobs++;
+    row.total += bill.amount;
+    if (!bill.paid) row.unpaid += bill.amount;
+    rows.set(bill.vendorKey, row);
+  });
+  return [...rows.values()].sort((a, b) => b.total - a.total);
+}
+
+// Average repair job cost per category in the period
+export function averageCostByCategory(bills, since) {
+  const rows = new Map();
+  bills
+    .filter((bill) => bill.source === "repair" && inPeriod(bill, since))
+    .forEach((bill) => {
+      const key = bill.category || "other";
+      const row = rows.get(key) || { key, label: REPAIR_CATEGORIES[key] || "Other", jobs: 0, total: 0 };
+      row.jobs++;
+      row.total += bill.amount;
+      rows.set(key, row);
+    });
+  return [...rows.values()].map((row) => ({ ...row, average: row.total / row.jobs })).sort((a, b) => b.total - a.total);
+}
+
+// Unpaid bills, most overdue first
+export function outstandingBills(bills, today = new Date()) {
+  return bills
+    .filter((bill) => !bill.paid && bill.amount > 0)
+    .map((bill) => ({
+      ...bill,
+      daysOverdue: bill.dueDate ? Math.floor((today - bill.dueDate) / 86400000) : null,
+    }))
+    .sort((a, b) => (b.daysOverdue ?? -Infinity) - (a.daysOverdue ?? -Infinity));
+}
+
+// Every expense in the range; the backend caps a page at 100
+export async function fetchExpensesInRange({ startDate, endDate }, options) {
+  const all = [];
+  for (let page = 1, pages = 1; page <= pages && page <= 50; page++) {
+    const json = await getExpenses({ startDate: startDate.toISOString(), endDate: endDate.toISOString(), page, limit: 100 }, options);
+    const list = Array.isArray(json?.data) ? json.data : [];
+    all.push(...list);
+    pages = Number(json?.pagination?.pages) || 1;
+    if (list.length === 0) break;
+  }
+  return all;
+}
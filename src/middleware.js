@@ -0,0 +1,37 @@
+import { NextResponse } from "next/server";
+import { ROLE_COOKIE, SESSION_COOKIE, isStaffRole, verifyToken } from "@/lib/session";
+
+// Pages that must stay reachable without a session
+const PUBLIC_PATHS = ["/admin/login", "/admin/forgot-password", "/staff/login"];
+
+export async function middleware(request) {
+  const { pathname, search } = request.nextUrl;
+
+  if (PUBLIC_PATHS.some((path) => pathname === path || pathname.startsWith(`${path}/`))) {
+    return NextResponse.next();
+  }
+
+  const isAdminArea = pathname === "/admin" || pathname.startsWith("/admin/");
+  // Without JWT_SECRET nothing verifies, so every protected page goes to login
+  const payload = await verifyToken(request.cookies.get(SESSION_COOKIE)?.value, process.env.JWT_SECRET);
+
+  if (!payload) {
+    const loginUrl = new URL(isAdminArea ? "/admin/login" : "/staff/login", request.url);
+    loginUrl.searchParams.set("next", `${pathname}${search}`);
+    const response = NextResponse.redirect(loginUrl);
+    response.cookies.delete(SESSION_COOKIE);
+    response.cookies.delete(ROLE_COOKIE);
+    return response;
+  }
+
+  // Only the signed role counts. A token without one isn't let into the admin area.
+  if (isAdminArea && (!payload.role || isStaffRole(payload.role))) {
+    return NextResponse.redirect(new URL("/staff/dashboard", request.url));
+  }
+
+  return NextResponse.next();
+}
+
+export const config = {
+  matcher: ["/admin/:path*", "/staff/:path*"],
+};